@@ -0,0 +1,6 @@
+import AddressesPage from "@design-system/pages/AddressesPage";
+
+function Addresses() {
+  return <AddressesPage />;
+}
+export default Addresses;
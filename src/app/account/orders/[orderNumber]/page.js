@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Order detail route for the account area
+ * Path: src/app/account/orders/[orderNumber]/page.js
+ * Example: /account/orders/UE-2026-004821
+ */
+
+import PropTypes from "prop-types";
+
+import OrderDetailPage from "@design-system/pages/OrderDetailPage";
+
+/**
+ * Order detail route - passes the order number from the URL to OrderDetailPage
+ * @param {Object} props - Component props
+ * @param {Promise<Object>} props.params - URL parameters extracted by Next.js (must be awaited)
+ * @param {string} props.params.orderNumber - Order number from the URL
+ */
+export default async function OrderDetail({ params }) {
+  const { orderNumber } = await params;
+
+  return <OrderDetailPage orderNumber={decodeURIComponent(orderNumber)} />;
+}
+
+OrderDetail.propTypes = {
+  params: PropTypes.object.isRequired,
+};
@@ -1,4 +1,6 @@
+import OrdersPage from "@design-system/pages/OrdersPage";
+
 function Orders() {
-  return <div>Orders</div>;
+  return <OrdersPage />;
 }
 export default Orders;
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Auth0 login, logout, callback, and profile routes
+ * The callback links the Auth0 profile to a User document so API routes can read the MongoDB user ID
+ * straight from the session cookie
+ */
+
+import { handleAuth, handleCallback } from "@auth0/nextjs-auth0";
+
+import { linkSessionUser } from "@lib/auth0";
+
+/**
+ * GET /api/auth/[...auth0] - Auth0 login, logout, callback, and me routes
+ * @example
+ * GET /api/auth/login?returnTo=/account/orders
+ * // Redirects to Auth0, then back through /api/auth/callback with the session cookie set
+ */
+export const GET = handleAuth({
+  callback: handleCallback({ afterCallback: linkSessionUser }),
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Individual cart line API endpoint for quantity updates and line removal
+ * Addresses lines by their variant-based line ID within the caller's user or guest cart
+ * Setting a quantity below one removes the line, mirroring the client cart store behaviour
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  MAX_QUANTITY_PER_ITEM,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getCartIdentity,
+  transformCart,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+const ERROR_SOURCE = "cart-item-api";
+/**
+ * PUT /api/cart/items/[lineId] - Update the quantity of a cart line
+ * @param {Request} request - Next.js API request object with the new quantity
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.lineId - Cart line identifier (variant SKU)
+ * @returns {Promise<Response>} JSON response with the updated cart
+ * @throws {ValidationError} When quantity is missing or exceeds the per-line limit
+ * @throws {NotFoundError} When the cart or line does not exist
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @example
+ * // Set quantity to 3
+ * PUT /api/cart/items/DJ-001-M-BLU
+ * { "quantity": 3 }
+ *
+ * @example
+ * // Quantity of 0 removes the line
+ * PUT /api/cart/items/DJ-001-M-BLU
+ * { "quantity": 0 }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { lineId } = await params;
+    const { quantity } = await request.json();
+    const endpoint = `/api/${API_ENDPOINTS.cartItems}/${lineId}`;
+    const validation = validateRequiredFields(
+      { lineId, quantity },
+      API_REQUIRED_FIELDS.CART_ITEM_UPDATE,
+      endpoint
+    );
+
+    if (!validation.isValid) return validation.response;
+
+    const requestedQuantity = Number.parseInt(quantity, 10);
+    if (Number.isNaN(requestedQuantity) || requestedQuantity > MAX_QUANTITY_PER_ITEM) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.QUANTITY_LIMIT_EXCEEDED(MAX_QUANTITY_PER_ITEM),
+        { quantity, maxQuantity: MAX_QUANTITY_PER_ITEM },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const cart = await Cart.findByIdentity(await getCartIdentity(request));
+    const line = cart?.items.find(item => item.lineId === lineId);
+
+    if (!line) return createNotFoundResponse("Cart item", lineId, { endpoint });
+
+    if (requestedQuantity < 1) {
+      cart.items.pull(line._id);
+    } else {
+      line.quantity = requestedQuantity;
+    }
+    await cart.touch().save();
+
+    return createSuccessResponse(transformCart(await cart.populate("promotions")), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.CART_UPDATED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "update-item",
+      endpoint: `/api/${API_ENDPOINTS.cartItems}/[lineId]`,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message);
+  }
+}
+
+/**
+ * DELETE /api/cart/items/[lineId] - Remove a line from the cart
+ * @param {Request} request - Next.js API request object with Auth0 session or guest cart cookie
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.lineId - Cart line identifier (variant SKU)
+ * @returns {Promise<Response>} JSON response with the updated cart
+ * @throws {NotFoundError} When the cart or line does not exist
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @example
+ * DELETE /api/cart/items/DJ-001-M-BLU
+ * // Returns: { data: { id, items: [...remaining lines], totalItems, subtotal } }
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { lineId } = await params;
+    const endpoint = `/api/${API_ENDPOINTS.cartItems}/${lineId}`;
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const cart = await Cart.findByIdentity(await getCartIdentity(request));
+    const line = cart?.items.find(item => item.lineId === lineId);
+
+    if (!line) return createNotFoundResponse("Cart item", lineId, { endpoint });
+
+    cart.items.pull(line._id);
+    await cart.touch().save();
+
+    return createSuccessResponse(transformCart(await cart.populate("promotions")), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.CART_UPDATED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "remove-item",
+      endpoint: `/api/${API_ENDPOINTS.cartItems}/[lineId]`,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message);
+  }
+}
+
+/**
+ * OPTIONS /api/cart/items/[lineId] - CORS preflight handler for cart line endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Cart items API endpoint for adding product variants to the server-side cart
+ * Looks up the variant by SKU and prices the line from MongoDB rather than trusting the client
+ * Creates a guest cart and session cookie for anonymous shoppers on first add
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  MAX_QUANTITY_PER_ITEM,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  buildCartLine,
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  ensureCartSession,
+  findVariant,
+  getCartIdentity,
+  isValidObjectId,
+  transformCart,
+  validateRequiredFields,
+  withCartSession,
+} from "@modules/core/utils/api";
+const ERROR_SOURCE = "cart-items-api";
+/**
+ * POST /api/cart/items - Add a product variant to the cart or increase its quantity
+ * @param {Request} request - Next.js API request object with the line to add
+ * @returns {Promise<Response>} JSON response with the updated cart
+ * @throws {ValidationError} When productId or sku are missing, or quantity is invalid
+ * @throws {NotFoundError} When the product or variant does not exist
+ * @throws {UnprocessableEntityError} When cart size or per-line quantity limits are exceeded
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @typedef {Object} AddCartItemData
+ * @property {string} productId - Product ID
+ * @property {string} sku - Variant SKU (identifies size and color)
+ * @property {number} [quantity=1] - Quantity to add
+ *
+ * @example
+ * // Add two medium blue jackets
+ * POST /api/cart/items
+ * {
+ *   "productId": "507f1f77bcf86cd799439011",
+ *   "sku": "DJ-001-M-BLU",
+ *   "quantity": 2
+ * }
+ * // Returns: { data: { id, items: [...], totalItems, subtotal } }
+ *
+ * @example
+ * // Error response when the per-line limit is exceeded
+ * {
+ *   "success": false,
+ *   "error": "Validation failed",
+ *   "message": "Cannot add more than 10 of the same item"
+ * }
+ */
+export async function POST(request) {
+  try {
+    const { productId, quantity = 1, sku } = await request.json();
+    const endpoint = `/api/${API_ENDPOINTS.cartItems}`;
+    const validation = validateRequiredFields(
+      { productId, sku },
+      API_REQUIRED_FIELDS.CART_ITEM_ADD,
+      endpoint
+    );
+
+    if (!validation.isValid) return validation.response;
+
+    const requestedQuantity = Number.parseInt(quantity, 10);
+    if (
+      !isValidObjectId(productId) ||
+      !(requestedQuantity >= 1 && requestedQuantity <= MAX_QUANTITY_PER_ITEM)
+    ) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("productId or quantity"),
+        { productId, quantity, maxQuantity: MAX_QUANTITY_PER_ITEM },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+
+    const product = await Product.findOne({ _id: productId, isActive: true }).lean();
+    const variant = findVariant(product, sku);
+
+    if (!variant) {
+      return createNotFoundResponse(product ? "Variant" : "Product", product ? sku : productId, {
+        endpoint,
+      });
+    }
+
+    const identity = ensureCartSession(await getCartIdentity(request));
+    const cart = await Cart.findOrCreateByIdentity(identity);
+
+    cart.addLine(buildCartLine(product, variant, requestedQuantity));
+    await cart.touch().save();
+
+    const response = createSuccessResponse(
+      transformCart(await cart.populate("promotions")),
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.CART_UPDATED },
+      HTTP_STATUS.CREATED
+    );
+    return withCartSession(response, identity);
+  } catch (error) {
+    if (error.status === HTTP_STATUS.UNPROCESSABLE_ENTITY) {
+      errorHandler.handleError(error, ERROR_TYPES.VALIDATION_ERROR, {
+        source: ERROR_SOURCE,
+        action: "add-item",
+      });
+
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.VALIDATION_FAILED,
+        error.message,
+        {},
+        HTTP_STATUS.UNPROCESSABLE_ENTITY
+      );
+    }
+
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "add-item",
+      endpoint: `/api/${API_ENDPOINTS.cartItems}`,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message);
+  }
+}
+
+/**
+ * OPTIONS /api/cart/items - CORS preflight handler for cart items endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Cart merge API endpoint for folding an anonymous cart into the user's cart on login
+ * Combines the guest session cart and any lines still held in the browser into the account cart
+ * Re-prices browser lines from MongoDB, removes the guest cart, and clears the session cookie
+ */
+
+import {
+  API_ENDPOINTS,
+  API_RESPONSE_MESSAGES,
+  CART_SESSION_COOKIE,
+  ERROR_TYPES,
+  HTTP_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  getCartIdentity,
+  resolveCartLines,
+  setResponseCookie,
+  transformCart,
+} from "@modules/core/utils/api";
+const ERROR_SOURCE = "cart-merge-api";
+/**
+ * POST /api/cart/merge - Merge the anonymous cart into the signed-in user's cart
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and local lines
+ * @returns {Promise<Response>} JSON response with the merged account cart
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @typedef {Object} CartMergeData
+ * @property {Array<Object>} [items] - Lines from the browser cart
+ * @property {string} items[].productId - Product ID
+ * @property {string} items[].sku - Variant SKU
+ * @property {number} items[].quantity - Line quantity
+ *
+ * @example
+ * // Merge after login
+ * POST /api/cart/merge
+ * Cookie: appSession=<Auth0 session>
+ * {
+ *   "items": [{ "productId": "507f1f77bcf86cd799439011", "sku": "DJ-001-M-BLU", "quantity": 1 }]
+ * }
+ * // Returns: { data: { id, items: [...merged lines], totalItems, subtotal } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.cartMerge}`;
+
+  try {
+    const { sessionId, userId } = await getCartIdentity(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Cart merge requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { items = [] } = await request.json().catch(() => ({}));
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+
+    const [userCart, guestCart, localLines] = await Promise.all([
+      Cart.findOrCreateByIdentity({ userId }),
+      sessionId ? Cart.findOne({ sessionId }) : null,
+      resolveCartLines(Product, Array.isArray(items) ? items : []),
+    ]);
+
+    const guestLineIds = new Set(guestCart?.items.map(item => item.lineId) || []);
+    userCart.mergeLines(guestCart?.items.map(item => item.toObject()) || []);
+    // Browser lines mirror the guest cart when it exists, so only merge lines it doesn't hold
+    userCart.mergeLines(localLines.filter(line => !guestLineIds.has(line.lineId)));
+    if (!userCart.promotions.length && guestCart?.promotions.length) {
+      userCart.promotions = guestCart.promotions;
+    }
+    await userCart.save();
+
+    if (guestCart) await guestCart.deleteOne();
+
+    const response = createSuccessResponse(transformCart(await userCart.populate("promotions")), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.CART_MERGED,
+    });
+    return sessionId ? setResponseCookie(response, CART_SESSION_COOKIE, null) : response;
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "merge-cart",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message);
+  }
+}
+
+/**
+ * OPTIONS /api/cart/merge - CORS preflight handler for cart merge endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
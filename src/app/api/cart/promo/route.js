@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Cart promo code API endpoint for applying and removing promo codes
+ * Checks the code's validity window, usage limits, minimum subtotal, and item eligibility before applying it
+ * Honours FEATURES.PROMO_CODES: without stacking a new code replaces the current one, with stacking
+ * at most maxPromosPerOrder codes can be applied; discounts are recalculated from the cart on every read
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  FEATURES,
+  HTTP_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  countCustomerRedemptions,
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getCartIdentity,
+  getPromotionIssue,
+  transformCart,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "cart-promo-api";
+
+/**
+ * Builds the 422 response for a promo code that cannot be applied
+ * @param {string} message - Customer-facing reason
+ * @param {string} code - Promo code the customer entered
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Error response
+ */
+const createPromoRejectedResponse = (message, code, endpoint) =>
+  createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.PROMO_CODE_INVALID,
+    message,
+    { endpoint, code },
+    HTTP_STATUS.UNPROCESSABLE_ENTITY
+  );
+
+/**
+ * Returns the response for requests made while promo codes are switched off
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response|null} Error response, or null when promo codes are enabled
+ */
+const getDisabledResponse = endpoint => {
+  if (FEATURES.PROMO_CODES.enabled) return null;
+
+  return createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.PROMO_CODES_DISABLED,
+    "Promo codes are currently disabled",
+    { endpoint },
+    HTTP_STATUS.FORBIDDEN
+  );
+};
+
+/**
+ * POST /api/cart/promo - Apply a promo code to the current cart
+ * @param {Request} request - Next.js API request object with Auth0 session or guest cart cookie
+ * @returns {Promise<Response>} JSON response with the updated cart, its promo codes, and discount lines
+ * @throws {ValidationError} When the code is missing or malformed
+ * @throws {AuthorizationError} When promo codes are disabled
+ * @throws {UnprocessableEntityError} When the code is unknown, expired, used up, or the cart does not qualify
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @typedef {Object} ApplyPromoData
+ * @property {string} code - Promo code in any letter case
+ *
+ * @example
+ * // Apply a percentage code
+ * POST /api/cart/promo
+ * { "code": "spring20" }
+ * // Returns: {
+ * //   data: {
+ * //     items: [...],
+ * //     promoCodes: ["SPRING20"],
+ * //     discounts: [{ code: "SPRING20", type: "percentage", amount: 32, freeShipping: false }],
+ * //     discount: 32, ...
+ * //   }
+ * // }
+ *
+ * @example
+ * // Error response when the cart is below the minimum subtotal
+ * {
+ *   "success": false,
+ *   "error": "This promo code cannot be used",
+ *   "message": "Spend $75.00 or more to use this promo code",
+ *   "meta": { "code": "spring20" }
+ * }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.cartPromo}`;
+
+  try {
+    const disabledResponse = getDisabledResponse(endpoint);
+    if (disabledResponse) return disabledResponse;
+
+    const { code } = await request.json().catch(() => ({}));
+    const validation = validateRequiredFields(
+      { code },
+      API_REQUIRED_FIELDS.CART_PROMO_APPLY,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (typeof code !== "string" || code.length > API_VALIDATION_LIMITS.MAX_PROMO_CODE_LENGTH) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("code"),
+        { maxLength: API_VALIDATION_LIMITS.MAX_PROMO_CODE_LENGTH },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    const Promotion = (await import("@lib/mongodb/models/promotion")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const identity = await getCartIdentity(request);
+    const [cart, promotion] = await Promise.all([
+      Cart.findByIdentity(identity),
+      Promotion.findByCode(code),
+    ]);
+
+    if (!cart?.items.length) {
+      return createPromoRejectedResponse(
+        "Add items to your cart before applying a promo code",
+        code,
+        endpoint
+      );
+    }
+    if (!promotion) {
+      return createPromoRejectedResponse("We don't recognize this promo code", code, endpoint);
+    }
+
+    const isApplied = cart.promotions.some(id => id.equals(promotion._id));
+    // Guests are only counted by contact email once they check out, when the order is placed
+    const customerRedemptions = await countCustomerRedemptions(
+      { Order, User },
+      { userId: identity.userId },
+      [promotion]
+    );
+    const issue = getPromotionIssue(promotion, cart.items, {
+      customerRedemptions: customerRedemptions[promotion._id.toString()],
+    });
+    if (issue) return createPromoRejectedResponse(issue, code, endpoint);
+
+    const { maxPromosPerOrder, stackablePromosEnabled } = FEATURES.PROMO_CODES;
+    if (!stackablePromosEnabled) {
+      cart.promotions = [promotion._id];
+    } else if (!isApplied && cart.promotions.length >= maxPromosPerOrder) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.PROMO_LIMIT_REACHED(maxPromosPerOrder),
+        "Remove a promo code before adding another",
+        { endpoint, code, maxPromosPerOrder },
+        HTTP_STATUS.UNPROCESSABLE_ENTITY
+      );
+    } else if (!isApplied) {
+      cart.promotions.push(promotion._id);
+    }
+
+    await cart.touch().save();
+
+    return createSuccessResponse(transformCart(await cart.populate("promotions")), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.PROMO_APPLIED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "apply-promo",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * DELETE /api/cart/promo - Remove a promo code, or every promo code, from the current cart
+ * @param {Request} request - Next.js API request object with an optional code query parameter
+ * @returns {Promise<Response>} JSON response with the updated cart
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @example
+ * // Remove one code
+ * DELETE /api/cart/promo?code=SPRING20
+ * // Returns: { data: { items: [...], promoCodes: [], discounts: [], discount: 0, ... } }
+ */
+export async function DELETE(request) {
+  const endpoint = `/api/${API_ENDPOINTS.cartPromo}`;
+
+  try {
+    const code = new URL(request.url).searchParams.get("code")?.trim().toUpperCase();
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const cart = await Cart.findByIdentity(await getCartIdentity(request)).populate("promotions");
+
+    if (cart) {
+      cart.promotions = code
+        ? cart.promotions.filter(promotion => promotion?.code && promotion.code !== code)
+        : [];
+      await cart.touch().save();
+    }
+
+    return createSuccessResponse(transformCart(cart), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.PROMO_REMOVED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "remove-promo",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/cart/promo - CORS preflight handler for cart promo endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Shopping cart API endpoint for retrieving and clearing the server-side cart
+ * Resolves the cart for the signed-in user or the anonymous guest session cookie
+ * Returns cart lines in the same shape as the client cart store for direct hydration
+ */
+
+import { API_ENDPOINTS, API_RESPONSE_MESSAGES, ERROR_TYPES } from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  getCartIdentity,
+  transformCart,
+} from "@modules/core/utils/api";
+const ERROR_SOURCE = "cart-api";
+/**
+ * GET /api/cart - Retrieve the current user's or guest session's cart
+ * @param {Request} request - Next.js API request object with Auth0 session or guest cart cookie
+ * @returns {Promise<Response>} JSON response with cart lines and totals
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} CartLine
+ * @property {string} lineId - Line identifier (variant SKU)
+ * @property {string} productId - Product ID
+ * @property {string} sku - Variant SKU
+ * @property {string} name - Product name snapshot
+ * @property {number} price - Unit price from the product catalog
+ * @property {string} image - Primary product image URL
+ * @property {string} size - Variant size
+ * @property {string} color - Variant color
+ * @property {string} slug - Product slug for linking
+ * @property {string} category - Product category for linking
+ * @property {boolean} freeShipping - Whether the product ships free on methods with a free shipping threshold
+ * @property {number} quantity - Line quantity
+ *
+ * @typedef {Object} CartResponse
+ * @property {string|null} id - Cart ID (null when no cart exists yet)
+ * @property {CartLine[]} items - Cart lines
+ * @property {string[]} promoCodes - Promo codes applied to the cart
+ * @property {Array<Object>} discounts - Discount lines for the promo codes that currently qualify
+ * @property {number} discount - Sum of discount line amounts
+ * @property {Object|null} taxes - Tax breakdown for the cart's shipping address (null until one is given)
+ * @property {number} totalItems - Sum of line quantities
+ * @property {number} subtotal - Sum of line totals before tax and shipping
+ * @property {string|null} updatedAt - Last modification timestamp
+ *
+ * @example
+ * // Get cart for a signed-in user
+ * GET /api/cart
+ * Cookie: appSession=<Auth0 session>
+ *
+ * @example
+ * // Successful response structure
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": "665f1c2e8b3a4d0087654321",
+ *     "items": [
+ *       {
+ *         "lineId": "DJ-001-M-BLU",
+ *         "productId": "507f1f77bcf86cd799439011",
+ *         "sku": "DJ-001-M-BLU",
+ *         "name": "Classic Denim Jacket",
+ *         "price": 89.99,
+ *         "size": "M",
+ *         "color": "Blue",
+ *         "quantity": 2
+ *       }
+ *     ],
+ *     "totalItems": 2,
+ *     "subtotal": 179.98
+ *   },
+ *   "meta": { "endpoint": "/api/cart", "source": "mongodb" }
+ * }
+ */
+export async function GET(request) {
+  try {
+    const identity = await getCartIdentity(request);
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const cart = await Cart.findByIdentity(identity).populate("promotions").lean();
+
+    return createSuccessResponse(transformCart(cart), {
+      endpoint: `/api/${API_ENDPOINTS.cart}`,
+      source: "mongodb",
+      message: API_RESPONSE_MESSAGES.SUCCESS.CART_RETRIEVED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "get-cart",
+      endpoint: `/api/${API_ENDPOINTS.cart}`,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message);
+  }
+}
+
+/**
+ * DELETE /api/cart - Remove all lines and promo codes from the current cart
+ * @param {Request} request - Next.js API request object with Auth0 session or guest cart cookie
+ * @returns {Promise<Response>} JSON response with the emptied cart
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @example
+ * // Clear cart after checkout or on user request
+ * DELETE /api/cart
+ * // Returns: { data: { id, items: [], totalItems: 0, subtotal: 0 } }
+ */
+export async function DELETE(request) {
+  try {
+    const identity = await getCartIdentity(request);
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const cart = await Cart.findByIdentity(identity);
+
+    if (cart) {
+      cart.items = [];
+      cart.promotions = [];
+      await cart.touch().save();
+    }
+
+    return createSuccessResponse(transformCart(cart), {
+      endpoint: `/api/${API_ENDPOINTS.cart}`,
+      message: API_RESPONSE_MESSAGES.SUCCESS.CART_UPDATED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "clear-cart",
+      endpoint: `/api/${API_ENDPOINTS.cart}`,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message);
+  }
+}
+
+/**
+ * OPTIONS /api/cart - CORS preflight handler for cart endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
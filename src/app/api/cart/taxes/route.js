@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Cart taxes API endpoint for pricing tax on the cart once a shipping address is known
+ * Stores the destination on the cart and returns the cart with a line-level tax breakdown, which every later
+ * cart read recalculates so the breakdown follows line, quantity, and promo code changes
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  SUPPORTED_COUNTRIES,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getCartIdentity,
+  transformCart,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "cart-taxes-api";
+
+/**
+ * POST /api/cart/taxes - Calculate taxes for the current cart shipped to an address
+ * @param {Request} request - Next.js API request object with Auth0 session or guest cart cookie and the shipping address
+ * @returns {Promise<Response>} JSON response with the cart and its taxes breakdown
+ * @throws {ValidationError} When the country is missing or not a supported shipping country
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @typedef {Object} CartTaxesData
+ * @property {Object} shippingAddress - Shipping address; only country, state, and postalCode are used
+ * @property {string} shippingAddress.country - SUPPORTED_COUNTRIES code
+ * @property {string} [shippingAddress.state] - State or province code, for regional rates
+ * @property {string} [shippingAddress.postalCode] - Postal code
+ *
+ * @example
+ * // Price sales tax for a New York address
+ * POST /api/cart/taxes
+ * { "shippingAddress": { "country": "US", "state": "NY", "postalCode": "10001" } }
+ * // Returns: {
+ * //   data: {
+ * //     items: [...],
+ * //     taxes: {
+ * //       country: "US", region: "NY", name: "Sales Tax", rate: 0.04, included: false, amount: 6.4,
+ * //       lines: [{ sku: "DJ-001-M-BLU", taxableAmount: 159.98, rate: 0.04, amount: 6.4, isExempt: false }]
+ * //     }, ...
+ * //   }
+ * // }
+ *
+ * @example
+ * // VAT countries report the tax already included in prices
+ * POST /api/cart/taxes
+ * { "shippingAddress": { "country": "GB" } }
+ * // Returns: { data: { taxes: { name: "VAT", rate: 0.2, included: true, amount: 26.66, lines: [...] } } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.cartTaxes}`;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const shippingAddress = body?.shippingAddress || {};
+    const validation = validateRequiredFields(
+      shippingAddress,
+      API_REQUIRED_FIELDS.CART_TAXES,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (!SUPPORTED_COUNTRIES.some(country => country.code === shippingAddress.country)) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("country"),
+        { supported: SUPPORTED_COUNTRIES.map(country => country.code) },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const cart = await Cart.findByIdentity(await getCartIdentity(request));
+
+    if (cart) {
+      cart.taxAddress = {
+        country: shippingAddress.country,
+        state: shippingAddress.state?.trim() || undefined,
+        postalCode: shippingAddress.postalCode?.trim() || undefined,
+      };
+      await cart.touch().save();
+    }
+
+    return createSuccessResponse(transformCart(await cart?.populate("promotions")), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.TAXES_CALCULATED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "calculate-taxes",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/cart/taxes - CORS preflight handler for cart taxes endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Cart validation API endpoint for re-checking lines before checkout
+ * Re-prices every line from the product catalog and checks variant inventory against quantities
+ * Returns per-line warnings so the cart can flag price changes and stock problems to the shopper
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  MAX_CART_ITEMS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  validateCartLines,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+const ERROR_SOURCE = "cart-validate-api";
+/**
+ * POST /api/cart/validate - Re-price cart lines and check variant stock
+ * @param {Request} request - Next.js API request object with the cart lines to validate
+ * @returns {Promise<Response>} JSON response with per-line prices, stock, and warnings
+ * @throws {ValidationError} When the body is not JSON, or items are missing, not line objects, or exceed the cart size limit
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} CartValidateData
+ * @property {Array<Object>} items - Cart lines to validate
+ * @property {string} items[].lineId - Cart line identifier
+ * @property {string} items[].productId - Product ID
+ * @property {string} items[].sku - Variant SKU
+ * @property {string} [items[].size] - Variant size, used to find the SKU of lines that have none
+ * @property {string} [items[].color] - Variant color, used to find the SKU of lines that have none
+ * @property {number} items[].price - Price the shopper saw when adding the line
+ * @property {number} items[].quantity - Requested quantity
+ *
+ * @typedef {Object} CartLineWarning
+ * @property {string} type - Warning type from CART_LINE_WARNINGS
+ * @property {string} message - Customer-facing warning message
+ *
+ * @typedef {Object} ValidatedCartLine
+ * @property {string} lineId - Cart line identifier
+ * @property {string|null} sku - SKU of the matched variant, or null when it no longer exists
+ * @property {number} price - Current catalog price
+ * @property {number} availableQuantity - Units currently in stock for the variant
+ * @property {CartLineWarning[]} warnings - Warnings for the line
+ * @property {boolean} isBlocking - Whether the line prevents checkout
+ *
+ * @typedef {Object} CartValidateResponse
+ * @property {ValidatedCartLine[]} items - Per-line validation results in request order
+ * @property {boolean} isValid - Whether checkout can proceed
+ * @property {boolean} hasChanges - Whether any line has a warning
+ * @property {string} checkedAt - ISO timestamp of the check
+ *
+ * @example
+ * // Validate before checkout
+ * POST /api/cart/validate
+ * {
+ *   "items": [
+ *     { "lineId": "DJ-001-M-BLU", "productId": "507f1f77bcf86cd799439011",
+ *       "sku": "DJ-001-M-BLU", "price": 89.99, "quantity": 3 }
+ *   ]
+ * }
+ *
+ * @example
+ * // Response when the price dropped and only two units remain
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "items": [
+ *       {
+ *         "lineId": "DJ-001-M-BLU",
+ *         "price": 69.99,
+ *         "availableQuantity": 2,
+ *         "warnings": [
+ *           { "type": "price_changed", "message": "Price changed from $89.99 to $69.99" },
+ *           { "type": "insufficient_stock", "message": "Only 2 available - reduce the quantity to continue" }
+ *         ],
+ *         "isBlocking": true
+ *       }
+ *     ],
+ *     "isValid": false,
+ *     "hasChanges": true,
+ *     "checkedAt": "2024-01-15T10:30:00Z"
+ *   }
+ * }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.cartValidate}`;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { items } = body || {};
+    const validation = validateRequiredFields(
+      { items },
+      API_REQUIRED_FIELDS.CART_VALIDATE,
+      endpoint
+    );
+
+    if (!validation.isValid) return validation.response;
+    if (
+      !Array.isArray(items) ||
+      items.length > MAX_CART_ITEMS ||
+      items.some(line => !line || typeof line !== "object")
+    ) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("items"),
+        { maxItems: MAX_CART_ITEMS },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const Product = (await import("@lib/mongodb/models/product")).default;
+    const result = await validateCartLines(Product, items);
+
+    return createSuccessResponse(result, {
+      endpoint,
+      source: "mongodb",
+      message: API_RESPONSE_MESSAGES.SUCCESS.CART_VALIDATED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "validate-cart",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.CART_FAILED, error.message);
+  }
+}
+
+/**
+ * OPTIONS /api/cart/validate - CORS preflight handler for cart validation endpoint
+ * @returns {Response} CORS headers configured for public read operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("PUBLIC_API");
+}
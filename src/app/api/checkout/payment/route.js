@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Checkout payment API endpoint for paying a placed order
+ * Starts a payment intent with the configured PaymentProvider for the server-side amount due (total less gift cards),
+ * then confirms it and records the outcome on the order (paid orders move to processing)
+ * Uses the in-process mock provider when Stripe is not configured, so checkout runs end-to-end offline
+ * Guests pay for their orders from the same guest cart session the order was placed with
+ * Renews the order's inventory holds before each payment attempt, so stock cannot sell out from under the charge
+ * Reclaims the order's per-customer promotion redemptions too, as a declined payment gives them back
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  DEFAULT_CURRENCY,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  ORDER_STATUS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { getPaymentProvider } from "@lib/payments";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getCartIdentity,
+  getRedemptionCustomers,
+  transformOrder,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "checkout-payment-api";
+
+/**
+ * Checks that a payment method reference, when given, is a Stripe PaymentMethod id
+ * @param {string} [id] - PaymentMethod id created by Stripe.js
+ * @returns {boolean} True if the id is absent or looks like "pm_..."
+ */
+const isValidPaymentMethodId = id => id === undefined || /^pm_\w+$/.test(id);
+
+/**
+ * Checks that a payment method summary is well formed and never carries raw card data
+ * @param {Object} paymentMethod - Payment method summary from checkout
+ * @returns {boolean} True if the summary has a known type and only safe card details
+ */
+const isValidPaymentMethod = paymentMethod =>
+  Object.values(PAYMENT_METHODS).includes(paymentMethod?.type) &&
+  (paymentMethod.last4 === undefined || /^\d{4}$/.test(paymentMethod.last4)) &&
+  isValidPaymentMethodId(paymentMethod.id) &&
+  paymentMethod.cardNumber === undefined;
+
+/**
+ * Builds the conflict response for orders that cannot take a payment
+ * @param {Object} order - Order document
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response|null} Conflict response, or null when the order can be paid
+ */
+const getUnpayableOrderResponse = (order, endpoint) => {
+  if (order.paymentStatus === PAYMENT_STATUS.PAID) {
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.ORDER_ALREADY_PAID,
+      `Order ${order.orderNumber} has already been paid`,
+      { endpoint },
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  if (order.status !== ORDER_STATUS.PENDING) {
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.ORDER_NOT_PAYABLE,
+      `Order ${order.orderNumber} is ${order.status}`,
+      { endpoint },
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Builds the response for a confirmed payment
+ * @param {Object} order - Order document after the payment was applied
+ * @param {Object} intent - Payment intent with status and clientSecret
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Success response with the order and payment status, plus the client secret when the
+ * customer still has to authenticate the payment
+ */
+const createConfirmedResponse = (order, { clientSecret, status }, endpoint) =>
+  createSuccessResponse(
+    {
+      order: transformOrder(order),
+      payment: {
+        status,
+        clientSecret: status === PAYMENT_INTENT_STATUS.REQUIRES_ACTION ? clientSecret : null,
+      },
+    },
+    { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.PAYMENT_CONFIRMED }
+  );
+
+/**
+ * Maps payment provider errors onto API responses and logs unexpected failures
+ * @param {Error} error - Error thrown while paying
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @param {string} action - Action name for error logging
+ * @returns {Response} Error response with the matching status
+ */
+const createPaymentErrorResponse = (error, endpoint, action) => {
+  errorHandler.handleError(error, ERROR_TYPES.PAYMENT_ERROR, {
+    source: ERROR_SOURCE,
+    action,
+    endpoint,
+  });
+
+  return createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.PAYMENT_FAILED,
+    error.message,
+    { endpoint, ...error.details },
+    error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR
+  );
+};
+
+/**
+ * Renews the holds on an order's stock for another INVENTORY_HOLD_DURATION before it is charged
+ * @param {Object} order - Order document about to be paid
+ * @param {Object} identity - Identity from getCartIdentity
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Promise<Response|null>} Conflict response when a line has sold out since, or null once held
+ */
+const holdOrderStock = async (order, identity, endpoint) => {
+  const InventoryReservation = (await import("@lib/mongodb/models/inventory-reservation")).default;
+
+  try {
+    await InventoryReservation.holdForOrder(order, InventoryReservation.getHolder(identity));
+    return null;
+  } catch (error) {
+    if (error.status !== HTTP_STATUS.CONFLICT) throw error;
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.INSUFFICIENT_STOCK,
+      error.message,
+      { endpoint, ...error.details },
+      HTTP_STATUS.CONFLICT
+    );
+  }
+};
+
+/**
+ * Reclaims the per-customer redemptions of the promotions on an order before it is charged
+ * @param {Object} order - Order document about to be paid
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Promise<Response|null>} Unprocessable response when the customer has used a code up since, or null once
+ * claimed
+ */
+const claimOrderPromotions = async (order, endpoint) => {
+  if (!order.discounts?.length) return null;
+
+  const Promotion = (await import("@lib/mongodb/models/promotion")).default;
+  const PromotionRedemption = (await import("@lib/mongodb/models/promotion-redemption")).default;
+  const User = (await import("@lib/mongodb/models/user")).default;
+
+  try {
+    await PromotionRedemption.claimForOrder(
+      order,
+      await Promotion.find({ _id: { $in: order.discounts.map(discount => discount.promotion) } }),
+      await getRedemptionCustomers(User, {
+        email: order.contactEmail,
+        userId: order.user?.toString(),
+      })
+    );
+    return null;
+  } catch (error) {
+    if (!error.details?.promoCode) throw error;
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.PROMO_CODE_INVALID,
+      error.message,
+      { endpoint, code: error.details.promoCode },
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+};
+
+/**
+ * Loads one of the customer's orders for payment
+ * Guest orders are only found from the guest cart session that placed them, and only until they are claimed
+ * @param {string} orderNumber - Order number shown to the customer
+ * @param {Object} identity - Identity from getCartIdentity
+ * @returns {Promise<Object|null>} Order document, or null when it does not exist or belongs to someone else
+ */
+const findCustomerOrder = async (orderNumber, { sessionId, userId }) => {
+  await dbConnect();
+  const Order = (await import("@lib/mongodb/models/order")).default;
+  return Order.findOne(
+    userId ? { orderNumber, user: userId } : { orderNumber, user: null, guestSessionId: sessionId }
+  );
+};
+
+/**
+ * POST /api/checkout/payment - Start paying for a placed order
+ * @param {Request} request - Next.js API request object with Auth0 session cookie, order number, and payment method
+ * @returns {Promise<Response>} JSON response with the payment intent
+ * @throws {AuthenticationError} When the request has neither a signed-in user nor a guest cart session
+ * @throws {ValidationError} When the order number or payment method is missing or malformed
+ * @throws {NotFoundError} When the order does not exist or belongs to another customer
+ * @throws {ConflictError} When the order is already paid or no longer pending, or a line has sold out
+ * since the order was placed
+ * @throws {ValidationError} When the customer has used up a promo code on the order since it was placed
+ * @throws {PaymentError} When the payment provider rejects the request
+ *
+ * @typedef {Object} PaymentIntentRequest
+ * @property {string} orderNumber - Order to pay
+ * @property {Object} paymentMethod - Payment method summary
+ * @property {string} paymentMethod.type - PAYMENT_METHODS value
+ * @property {string} [paymentMethod.brand] - Card brand for display
+ * @property {string} [paymentMethod.last4] - Last four card digits for display
+ * @property {string} [paymentMethod.id] - Stripe PaymentMethod id ("pm_...") from Stripe.js
+ *
+ * @example
+ * // Start a card payment
+ * POST /api/checkout/payment
+ * Cookie: appSession=<Auth0 session>
+ * { "orderNumber": "UE-2026-004821",
+ *   "paymentMethod": { "type": "credit_card", "id": "pm_1Q...", "brand": "Visa", "last4": "4242" } }
+ * // Returns: { data: { intentId: "pi_...", clientSecret, status: "requires_confirmation", amount, currency } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.payment}`;
+
+  try {
+    const identity = await getCartIdentity(request);
+
+    if (!identity.userId && !identity.sessionId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Paying for an order requires a signed-in user or guest checkout session",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { orderNumber, paymentMethod } = await request.json().catch(() => ({}));
+    const validation = validateRequiredFields(
+      { orderNumber, paymentMethod },
+      API_REQUIRED_FIELDS.PAYMENT_INTENT_CREATE,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (!isValidPaymentMethod(paymentMethod)) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("paymentMethod"),
+        { allowedTypes: Object.values(PAYMENT_METHODS) },
+        { endpoint }
+      );
+    }
+
+    const order = await findCustomerOrder(orderNumber, identity);
+    if (!order) return createNotFoundResponse("Order", orderNumber, { endpoint });
+
+    const unpayableResponse = getUnpayableOrderResponse(order, endpoint);
+    if (unpayableResponse) return unpayableResponse;
+
+    const stockResponse = await holdOrderStock(order, identity, endpoint);
+    if (stockResponse) return stockResponse;
+
+    const promoResponse = await claimOrderPromotions(order, endpoint);
+    if (promoResponse) return promoResponse;
+
+    // Charge what the server calculated when the order was placed, never a client amount;
+    // gift cards used at checkout were already debited, so only the amount due is charged
+    const provider = getPaymentProvider();
+    const intent = await provider.createIntent({
+      amount: order.amountDue ?? order.total,
+      currency: DEFAULT_CURRENCY,
+      orderNumber: order.orderNumber,
+      paymentMethod: paymentMethod.type,
+      metadata: { orderId: order._id.toString() },
+    });
+
+    order.paymentProvider = provider.name;
+    order.stripePaymentIntentId = intent.id;
+    order.paymentMethod = {
+      type: paymentMethod.type,
+      brand: paymentMethod.brand,
+      last4: paymentMethod.last4,
+    };
+    await order.save();
+
+    return createSuccessResponse(
+      {
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency,
+        provider: provider.name,
+      },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.PAYMENT_INTENT_CREATED },
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    return createPaymentErrorResponse(error, endpoint, "create-payment-intent");
+  }
+}
+
+/**
+ * PUT /api/checkout/payment - Confirm the payment for a placed order
+ * A payment that needs 3D Secure returns status requires_action with a clientSecret for stripe.handleNextAction;
+ * confirming again afterwards records the outcome, and an order that is already paid is reported as succeeded
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and order number
+ * @returns {Promise<Response>} JSON response with the updated order and payment status
+ * @throws {AuthenticationError} When the request has neither a signed-in user nor a guest cart session
+ * @throws {ValidationError} When the order number is missing or the payment method id is not a "pm_..." id
+ * @throws {NotFoundError} When the order does not exist or belongs to another customer
+ * @throws {ConflictError} When no payment was started or the unpaid order is no longer pending
+ * @throws {PaymentError} When Stripe is used without a payment method id (422), the card is declined (402),
+ * or the payment provider fails
+ *
+ * @typedef {Object} PaymentConfirmRequest
+ * @property {string} orderNumber - Order to pay
+ * @property {Object} [paymentMethod] - Provider payment method reference, e.g. { id: "pm_..." } from Stripe.js;
+ * required by Stripe, ignored by the mock provider
+ *
+ * @example
+ * // Confirm the payment started with POST
+ * PUT /api/checkout/payment
+ * Cookie: appSession=<Auth0 session>
+ * { "orderNumber": "UE-2026-004821", "paymentMethod": { "id": "pm_1Q..." } }
+ * // Returns: { data: { order: { status: "processing", paymentStatus: "paid", ... }, payment: { status: "succeeded" } } }
+ *
+ * @example
+ * // A card that needs 3D Secure
+ * // Returns: { data: { order: { paymentStatus: "pending", ... },
+ * //   payment: { status: "requires_action", clientSecret: "pi_..._secret_..." } } }
+ *
+ * @example
+ * // Error response for a declined card
+ * {
+ *   "success": false,
+ *   "error": "Your payment was declined",
+ *   "message": "Your card was declined."
+ * }
+ */
+export async function PUT(request) {
+  const endpoint = `/api/${API_ENDPOINTS.payment}`;
+
+  try {
+    const identity = await getCartIdentity(request);
+
+    if (!identity.userId && !identity.sessionId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Paying for an order requires a signed-in user or guest checkout session",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { orderNumber, paymentMethod } = await request.json().catch(() => ({}));
+    const validation = validateRequiredFields(
+      { orderNumber },
+      API_REQUIRED_FIELDS.PAYMENT_CONFIRM,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (!isValidPaymentMethodId(paymentMethod?.id)) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("paymentMethod.id"),
+        { field: "paymentMethod.id" },
+        { endpoint }
+      );
+    }
+
+    const order = await findCustomerOrder(orderNumber, identity);
+    if (!order) return createNotFoundResponse("Order", orderNumber, { endpoint });
+
+    // Confirming again after 3D Secure can find the order already paid by the webhook
+    if (order.paymentStatus === PAYMENT_STATUS.PAID) {
+      return createConfirmedResponse(
+        order,
+        { status: PAYMENT_INTENT_STATUS.SUCCEEDED, clientSecret: null },
+        endpoint
+      );
+    }
+
+    const unpayableResponse = getUnpayableOrderResponse(order, endpoint);
+    if (unpayableResponse) return unpayableResponse;
+
+    if (!order.stripePaymentIntentId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ORDER_NOT_PAYABLE,
+        "Start the payment before confirming it",
+        { endpoint },
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    const intent = await getPaymentProvider().confirm(order.stripePaymentIntentId, {
+      paymentMethod: { id: paymentMethod?.id, last4: order.paymentMethod?.last4 },
+    });
+    await order.applyPaymentIntent(intent);
+
+    if (order.paymentStatus === PAYMENT_STATUS.FAILED) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.PAYMENT_DECLINED,
+        intent.failureMessage,
+        { endpoint },
+        HTTP_STATUS.PAYMENT_REQUIRED
+      );
+    }
+
+    return createConfirmedResponse(order, intent, endpoint);
+  } catch (error) {
+    return createPaymentErrorResponse(error, endpoint, "confirm-payment");
+  }
+}
+
+/**
+ * OPTIONS /api/checkout/payment - CORS preflight handler for checkout payment endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
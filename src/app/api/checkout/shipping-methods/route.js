@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Checkout shipping methods API endpoint for quoting delivery options to a destination
+ * Offers domestic methods inside DEFAULT_COUNTRY and international shipping everywhere else, priced against
+ * the current cart with free shipping thresholds, per-product free shipping, and free shipping promo codes
+ * Each method carries an estimated delivery window counted in business days, skipping weekends
+ */
+
+import {
+  API_ENDPOINTS,
+  API_RESPONSE_MESSAGES,
+  DEFAULT_COUNTRY,
+  ERROR_TYPES,
+  FEATURES,
+  SUPPORTED_COUNTRIES,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import {
+  calculateShippingCost,
+  errorHandler,
+  getAvailableShippingMethods,
+  getDeliveryEstimate,
+} from "@modules/core/utils";
+import {
+  calculateDiscounts,
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getCartIdentity,
+  resolveCartLines,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "shipping-methods-api";
+
+/**
+ * GET /api/checkout/shipping-methods - List the shipping methods for a destination with costs and delivery estimates
+ * @param {Request} request - Next.js API request object with Auth0 session or guest cart cookie and a country query parameter
+ * @returns {Promise<Response>} JSON response with the destination country and its shipping methods
+ * @throws {ValidationError} When the country is not a supported shipping country
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} ShippingMethodQuote
+ * @property {string} id - SHIPPING_METHODS identifier
+ * @property {string} name - Display name
+ * @property {string} description - Delivery timeframe description
+ * @property {number} cost - Cost for the current cart
+ * @property {boolean} isFree - Whether the cart ships free with this method
+ * @property {Object} estimatedDelivery - Earliest and latest delivery days (YYYY-MM-DD)
+ *
+ * @example
+ * // Quote domestic shipping
+ * GET /api/checkout/shipping-methods?country=US
+ * // Returns: {
+ * //   data: {
+ * //     country: "US",
+ * //     methods: [
+ * //       { id: "standard", cost: 0, isFree: true, estimatedDelivery: { earliest: "2026-10-26", latest: "2026-10-28" } },
+ * //       { id: "express", cost: 14.99, isFree: false, ... },
+ * //       { id: "nextDay", cost: 24.99, isFree: false, ... }
+ * //     ]
+ * //   }
+ * // }
+ *
+ * @example
+ * // Destinations outside DEFAULT_COUNTRY only get international shipping
+ * GET /api/checkout/shipping-methods?country=GB
+ * // Returns: { data: { country: "GB", methods: [{ id: "international", cost: 29.99, ... }] } }
+ */
+export async function GET(request) {
+  const endpoint = `/api/${API_ENDPOINTS.shippingMethods}`;
+
+  try {
+    const country = new URL(request.url).searchParams.get("country") || DEFAULT_COUNTRY;
+
+    if (!SUPPORTED_COUNTRIES.some(supported => supported.code === country)) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("country"),
+        { supported: SUPPORTED_COUNTRIES.map(supported => supported.code) },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+
+    const cart = await Cart.findByIdentity(await getCartIdentity(request)).populate("promotions");
+    // Lines are re-read from the catalog so price and free shipping changes apply straight away
+    const lines = await resolveCartLines(
+      Product,
+      (cart?.items || []).map(item => ({
+        productId: item.product.toString(),
+        sku: item.variant?.sku,
+        quantity: item.quantity,
+      }))
+    );
+    const promotions = FEATURES.PROMO_CODES.enabled
+      ? (cart?.promotions || []).filter(promotion => promotion?.code)
+      : [];
+    const hasFreeShippingPromo = calculateDiscounts(promotions, lines).some(
+      discount => discount.freeShipping
+    );
+
+    const methods = getAvailableShippingMethods(country).map(method => {
+      const cost = calculateShippingCost(method, lines, { hasFreeShippingPromo });
+
+      return {
+        id: method.id,
+        name: method.name,
+        description: method.description,
+        cost,
+        isFree: cost === 0,
+        estimatedDelivery: getDeliveryEstimate(method),
+      };
+    });
+
+    return createSuccessResponse(
+      { country, methods },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.SHIPPING_METHODS_RETRIEVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "get-shipping-methods",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.SHIPPING_METHODS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/checkout/shipping-methods - CORS preflight handler for shipping methods endpoint
+ * @returns {Response} CORS headers configured for read-only operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("GET_ONLY");
+}
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Gift card balance API endpoint for checking a code before using it at checkout
+ * Looks codes up by their hash, so the response only ever echoes the last four characters back, along with a
+ * signed reference checkout pays with instead of keeping the code
+ * Honours FEATURES.GIFT_CARDS; codes are sent in the request body to keep them out of URLs and logs
+ * Checks are rate limited per client by RATE_LIMIT, so codes cannot be guessed by trying them in bulk
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  FEATURES,
+  HTTP_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getRateLimitResponse,
+  transformGiftCard,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "gift-card-balance-api";
+
+/**
+ * POST /api/gift-cards/balance - Check the balance left on a gift card
+ * @param {Request} request - Next.js API request object with the gift card code
+ * @returns {Promise<Response>} JSON response with the card's last four characters, balance, currency, and reference
+ * @throws {ValidationError} When the code is missing or malformed
+ * @throws {AuthorizationError} When gift cards are disabled
+ * @throws {RateLimitError} When the client has checked more than RATE_LIMIT.maxRequests codes in the window
+ * @throws {NotFoundError} When no active gift card matches the code
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} GiftCardBalanceRequest
+ * @property {string} code - Gift card code, with or without dashes
+ *
+ * @example
+ * // Check a gift card
+ * POST /api/gift-cards/balance
+ * { "code": "7k3m-qx9p-2wrt-h4nc" }
+ * // Returns: { data: { last4: "H4NC", balance: 42.5, currency: "USD", reference: "6661b2c3d4e5f60123456789.H4NC.1763000000.kX9..." } }
+ *
+ * @example
+ * // Error response for an unknown code
+ * {
+ *   "success": false,
+ *   "error": "This gift card cannot be used",
+ *   "message": "We don't recognize this gift card"
+ * }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.giftCardBalance}`;
+
+  try {
+    if (!FEATURES.GIFT_CARDS.enabled) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.GIFT_CARDS_DISABLED,
+        "Gift cards are currently disabled",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const rateLimitResponse = getRateLimitResponse(request, endpoint);
+    if (rateLimitResponse) return rateLimitResponse;
+
+    const { code } = await request.json().catch(() => ({}));
+    const validation = validateRequiredFields(
+      { code },
+      API_REQUIRED_FIELDS.GIFT_CARD_BALANCE,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (typeof code !== "string" || code.length > API_VALIDATION_LIMITS.MAX_GIFT_CARD_CODE_LENGTH) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("code"),
+        { maxLength: API_VALIDATION_LIMITS.MAX_GIFT_CARD_CODE_LENGTH },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const GiftCard = (await import("@lib/mongodb/models/gift-card")).default;
+    const giftCard = await GiftCard.findByCode(code).lean();
+
+    if (!giftCard) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.GIFT_CARD_INVALID,
+        "We don't recognize this gift card",
+        { endpoint },
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return createSuccessResponse(transformGiftCard(giftCard), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.GIFT_CARD_BALANCE_RETRIEVED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "check-gift-card-balance",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.GIFT_CARD_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/gift-cards/balance - CORS preflight handler for gift card balance endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
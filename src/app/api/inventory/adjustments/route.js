@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Inventory adjustment ledger API endpoint for administrators
+ * Lists the stock adjustments recorded for a SKU newest first, paginated over the { sku, createdAt } index
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  INVENTORY_ADJUSTMENTS_PER_PAGE,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  buildPagination,
+  buildPaginationMeta,
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+  getRequestUserId,
+  transformInventoryAdjustment,
+  validatePagination,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "inventory-adjustments-api";
+
+/**
+ * GET /api/inventory/adjustments - List the ledger entries for a SKU, newest first
+ * @param {Request} request - Next.js API request object with Auth0 session cookie, SKU, and pagination params
+ * @returns {Promise<Response>} JSON response with a page of ledger entries and pagination metadata
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {AuthorizationError} When the user is not an administrator
+ * @throws {ValidationError} When the SKU is missing or the page size exceeds MAX_INVENTORY_ADJUSTMENTS_PER_REQUEST
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} InventoryAdjustmentListQuery
+ * @property {string} sku - Variant SKU
+ * @property {number} [page=1] - Page number (1-based)
+ * @property {number} [limit=INVENTORY_ADJUSTMENTS_PER_PAGE] - Entries per page
+ *
+ * @example
+ * // Latest adjustments for one variant
+ * GET /api/inventory/adjustments?sku=DJ-001-M-BLU
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { adjustments: [{ change: 24, previousInventory: 3, inventory: 27, reason: "restock",
+ * //   actor: { type: "admin", id }, createdAt }], pagination } }
+ */
+export async function GET(request) {
+  const endpoint = `/api/${API_ENDPOINTS.inventoryAdjustments}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "The inventory ledger requires a signed-in administrator",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const sku = searchParams.get("sku")?.trim();
+    const validation = validateRequiredFields(
+      { sku },
+      API_REQUIRED_FIELDS.INVENTORY_READ,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    const rawLimit =
+      Number.parseInt(searchParams.get("limit"), 10) || INVENTORY_ADJUSTMENTS_PER_PAGE;
+    const rawPage = Number.parseInt(searchParams.get("page"), 10) || 1;
+    const maxLimit = API_VALIDATION_LIMITS.MAX_INVENTORY_ADJUSTMENTS_PER_REQUEST;
+
+    const paginationValidation = validatePagination({
+      limit: rawLimit,
+      page: rawPage,
+      maxLimit,
+      endpoint,
+    });
+    if (!paginationValidation.isValid) return paginationValidation.response;
+
+    await dbConnect();
+    const InventoryAdjustment = (await import("@lib/mongodb/models/inventory-adjustment")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const user = await User.findById(userId);
+    if (!user?.isAdmin()) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ADMIN_REQUIRED,
+        "The inventory ledger is only available to administrators",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const pagination = buildPagination({ page: rawPage, limit: rawLimit, maxLimit });
+    const [adjustments, total] = await Promise.all([
+      InventoryAdjustment.find({ sku })
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      InventoryAdjustment.countDocuments({ sku }),
+    ]);
+
+    return createSuccessResponse(
+      {
+        adjustments: adjustments.map(transformInventoryAdjustment),
+        pagination: buildPaginationMeta(pagination.page, pagination.limit, total),
+      },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.INVENTORY_ADJUSTMENTS_RETRIEVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "list-inventory-adjustments",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.INVENTORY_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/inventory/adjustments - CORS preflight handler for inventory ledger endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Inventory API endpoint for per-SKU stock reads and administrator stock adjustments
+ * Reports what each variant can still sell once active checkout holds are taken off its stock on hand;
+ * administrators also see the stock on hand and held units behind that number
+ * Adjustments add, remove, or recount stock atomically and are recorded in the inventory adjustment ledger
+ * with the reason and the administrator who made them; a variant falling to LOW_STOCK_THRESHOLD emits inventory.low
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  INVENTORY_ADJUSTMENT_REASONS,
+  ORDER_STATUS_ACTORS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  findStockLevels,
+  getRequestUserId,
+  isValidObjectId,
+  parseSkuList,
+  transformInventoryAdjustment,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "inventory-api";
+
+/**
+ * Checks whether the request comes from a signed-in administrator
+ * @param {string|null} userId - User ID from the Auth0 session
+ * @returns {Promise<boolean>} True for administrators
+ */
+const isAdminUser = async userId => {
+  if (!userId) return false;
+  const User = (await import("@lib/mongodb/models/user")).default;
+  const user = await User.findById(userId);
+  return Boolean(user?.isAdmin());
+};
+
+/**
+ * Validates the shape of a stock adjustment before any database work
+ * @param {Object} body - Parsed request body
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response|null} Validation error response, or null when the request is valid
+ */
+const validateAdjustmentRequest = (
+  { change, inventory, note, productId, reason, sku },
+  endpoint
+) => {
+  const validation = validateRequiredFields(
+    { productId, sku, reason },
+    API_REQUIRED_FIELDS.INVENTORY_ADJUSTMENT,
+    endpoint
+  );
+  if (!validation.isValid) return validation.response;
+
+  const hasChange = change !== undefined;
+  const hasInventory = inventory !== undefined;
+
+  // Exactly one of change and inventory says how the stock moves
+  const invalidField = [
+    !isValidObjectId(productId) && "productId",
+    typeof sku !== "string" && "sku",
+    !Object.values(INVENTORY_ADJUSTMENT_REASONS).includes(reason) && "reason",
+    hasChange === hasInventory && "change",
+    hasChange && !(Number.isInteger(change) && change !== 0) && "change",
+    hasInventory && !(Number.isInteger(inventory) && inventory >= 0) && "inventory",
+  ].find(Boolean);
+
+  if (invalidField) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT(invalidField),
+      { field: invalidField, reasons: Object.values(INVENTORY_ADJUSTMENT_REASONS) },
+      { endpoint }
+    );
+  }
+
+  if (note !== undefined && String(note).length > API_VALIDATION_LIMITS.MAX_INVENTORY_NOTE_LENGTH) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.TOO_LONG(
+        "note",
+        API_VALIDATION_LIMITS.MAX_INVENTORY_NOTE_LENGTH
+      ),
+      { maxLength: API_VALIDATION_LIMITS.MAX_INVENTORY_NOTE_LENGTH },
+      { endpoint }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/inventory - Read stock levels for one or more SKUs
+ * @param {Request} request - Next.js API request object with sku query parameters
+ * @returns {Promise<Response>} JSON response with a stock level per known SKU and the SKUs not found
+ * @throws {ValidationError} When no SKU is given or more than MAX_INVENTORY_SKUS are requested
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} StockLevel
+ * @property {string} sku - Variant SKU
+ * @property {string} productId - Product ID
+ * @property {string} productName - Product name
+ * @property {string} size - Variant size
+ * @property {string} color - Variant color
+ * @property {number} available - Units new orders can still take (stock on hand less active holds)
+ * @property {string} status - PRODUCT_STATUS value: in_stock, low_stock, or out_of_stock
+ * @property {number} [inventory] - Units on hand (administrators only)
+ * @property {number} [held] - Units under active checkout holds (administrators only)
+ *
+ * @example
+ * // Stock for two sizes; sku may be repeated or comma-separated
+ * GET /api/inventory?sku=DJ-001-M-BLU,DJ-001-L-BLU
+ * // Returns: { data: { stock: [{ sku: "DJ-001-M-BLU", available: 3, status: "low_stock", ... }], missing: [] } }
+ */
+export async function GET(request) {
+  const endpoint = `/api/${API_ENDPOINTS.inventory}`;
+
+  try {
+    const skus = parseSkuList(new URL(request.url).searchParams);
+    const validation = validateRequiredFields(
+      { sku: skus.join(",") },
+      API_REQUIRED_FIELDS.INVENTORY_READ,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (skus.length > API_VALIDATION_LIMITS.MAX_INVENTORY_SKUS) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.LIMIT_EXCEEDED(API_VALIDATION_LIMITS.MAX_INVENTORY_SKUS),
+        { maxSkus: API_VALIDATION_LIMITS.MAX_INVENTORY_SKUS },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const InventoryReservation = (await import("@lib/mongodb/models/inventory-reservation"))
+      .default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+
+    const { missing, stock } = await findStockLevels({ InventoryReservation, Product }, skus, {
+      includeCounts: await isAdminUser(await getRequestUserId(request)),
+    });
+
+    return createSuccessResponse(
+      { stock, missing },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.INVENTORY_RETRIEVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "read-inventory",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.INVENTORY_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * POST /api/inventory - Adjust a variant's stock and record the adjustment in the ledger
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and adjustment details
+ * @returns {Promise<Response>} JSON response with the new stock level and the ledger entry
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {AuthorizationError} When the user is not an administrator
+ * @throws {ValidationError} When the product ID, SKU, reason, change, inventory, or note are malformed
+ * @throws {NotFoundError} When the product has no variant with the SKU
+ * @throws {ConflictError} When the removal would take stock below zero
+ * @throws {DatabaseError} When MongoDB connection or writes fail
+ *
+ * @typedef {Object} InventoryAdjustmentRequest
+ * @property {string} productId - Product the variant belongs to
+ * @property {string} sku - Variant SKU
+ * @property {string} reason - INVENTORY_ADJUSTMENT_REASONS value
+ * @property {number} [change] - Units to add (positive) or remove (negative); send this or inventory
+ * @property {number} [inventory] - Exact count to set after a stocktake; send this or change
+ * @property {string} [note] - Free-text note stored with the adjustment
+ *
+ * @example
+ * // Book in a delivery
+ * POST /api/inventory
+ * Cookie: appSession=<Auth0 session>
+ * { "productId": "6650f1e2d3c4b5a697887766", "sku": "DJ-001-M-BLU", "change": 24, "reason": "restock",
+ *   "note": "PO-1182" }
+ * // Returns: { data: { stock: { sku, available: 27, inventory: 27, held: 0, ... },
+ * //   adjustment: { change: 24, previousInventory: 3, inventory: 27, reason: "restock", actor: {...} } } }
+ *
+ * @example
+ * // Record a stocktake count
+ * POST /api/inventory
+ * { "productId": "6650f1e2d3c4b5a697887766", "sku": "DJ-001-M-BLU", "inventory": 25, "reason": "recount" }
+ * // Returns: { data: { adjustment: { change: -2, previousInventory: 27, inventory: 25, ... }, ... } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.inventory}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Adjusting inventory requires a signed-in administrator",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const invalidResponse = validateAdjustmentRequest(body, endpoint);
+    if (invalidResponse) return invalidResponse;
+
+    await dbConnect();
+    const InventoryAdjustment = (await import("@lib/mongodb/models/inventory-adjustment")).default;
+    const InventoryReservation = (await import("@lib/mongodb/models/inventory-reservation"))
+      .default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+
+    if (!(await isAdminUser(userId))) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ADMIN_REQUIRED,
+        "Inventory can only be adjusted by administrators",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const sku = body.sku.trim();
+    if (!(await Product.exists({ _id: body.productId, "variants.sku": sku }))) {
+      return createNotFoundResponse("Variant", sku, { endpoint });
+    }
+
+    const result = await Product.adjustVariantInventory(body.productId, sku, {
+      change: body.change,
+      inventory: body.inventory,
+    });
+    if (!result) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.INVALID_INVENTORY_ADJUSTMENT,
+        `Cannot remove ${-body.change} units from ${sku}`,
+        { endpoint, sku },
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    const adjustment = await InventoryAdjustment.create({
+      product: result.productId,
+      sku,
+      change: result.inventory - result.previousInventory,
+      previousInventory: result.previousInventory,
+      inventory: result.inventory,
+      reason: body.reason,
+      note: typeof body.note === "string" ? body.note.trim() || undefined : undefined,
+      actor: { type: ORDER_STATUS_ACTORS.ADMIN, id: userId },
+    });
+
+    const {
+      stock: [stock],
+    } = await findStockLevels({ InventoryReservation, Product }, [sku], { includeCounts: true });
+
+    return createSuccessResponse(
+      { stock, adjustment: transformInventoryAdjustment(adjustment) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.INVENTORY_ADJUSTED },
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "adjust-inventory",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.INVENTORY_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/inventory - CORS preflight handler for inventory endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
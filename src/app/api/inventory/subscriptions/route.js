@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Restock subscription API endpoint for back-in-stock email alerts
+ * Customers subscribe an email address to a sold-out variant SKU; signed-in customers may leave the address out
+ * to use the one on their account. The restock job emails pending subscribers once the variant's stock goes
+ * back above zero. Only available while FEATURES.SIZE_OUT_OF_STOCK_BEHAVIOR.notifyWhenAvailable is on
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  FEATURES,
+  HTTP_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler, isValidEmail } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  findStockLevels,
+  getRequestUserId,
+  transformRestockSubscription,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "restock-subscriptions-api";
+
+/**
+ * Checks whether back-in-stock alerts are switched on
+ * @returns {boolean} True when customers can subscribe to sold-out variants
+ */
+const isRestockAlertsEnabled = () => {
+  const { enabled, notifyWhenAvailable } = FEATURES.SIZE_OUT_OF_STOCK_BEHAVIOR;
+  return enabled && notifyWhenAvailable;
+};
+
+/**
+ * Builds the response for requests made while back-in-stock alerts are switched off
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Forbidden response
+ */
+const createAlertsDisabledResponse = endpoint =>
+  createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.RESTOCK_ALERTS_DISABLED,
+    "Back-in-stock alerts are currently disabled",
+    { endpoint },
+    HTTP_STATUS.FORBIDDEN
+  );
+
+/**
+ * Works out who a subscription belongs to, falling back to the signed-in user's account email
+ * @param {Request} request - Request carrying the Auth0 session cookie
+ * @param {string} [email] - Address sent by the client
+ * @returns {Promise<Object>} { email, user } where user is the signed-in user document, if any
+ */
+const resolveSubscriber = async (request, email) => {
+  const userId = await getRequestUserId(request);
+  if (!userId) return { email, user: null };
+
+  const User = (await import("@lib/mongodb/models/user")).default;
+  const user = await User.findById(userId, "email");
+  return { email: email || user?.email, user };
+};
+
+/**
+ * Validates the SKU and email address of a subscription request
+ * @param {Object} fields - Request fields
+ * @param {string} fields.email - Address to notify
+ * @param {string} fields.sku - Variant SKU
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response|null} Validation error response, or null when the request is valid
+ */
+const validateSubscriptionRequest = ({ email, sku }, endpoint) => {
+  const validation = validateRequiredFields(
+    { sku, email },
+    API_REQUIRED_FIELDS.RESTOCK_SUBSCRIPTION,
+    endpoint
+  );
+  if (!validation.isValid) return validation.response;
+
+  if (typeof sku !== "string" || !sku.trim()) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("sku"),
+      { field: "sku" },
+      { endpoint }
+    );
+  }
+
+  if (typeof email !== "string" || !isValidEmail(email.trim())) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.INVALID_EMAIL,
+      { field: "email" },
+      { endpoint }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * POST /api/inventory/subscriptions - Subscribe an email address to a sold-out variant
+ * @param {Request} request - Next.js API request object with optional Auth0 session cookie and subscription details
+ * @returns {Promise<Response>} JSON response with the pending subscription
+ * @throws {AuthorizationError} When back-in-stock alerts are disabled
+ * @throws {ValidationError} When the SKU is missing or the email address is missing or malformed
+ * @throws {NotFoundError} When no variant has the SKU
+ * @throws {ConflictError} When the variant can be ordered now
+ * @throws {DatabaseError} When MongoDB connection or writes fail
+ *
+ * @typedef {Object} RestockSubscriptionRequest
+ * @property {string} sku - Sold-out variant SKU
+ * @property {string} [email] - Address to notify; defaults to the signed-in user's account email
+ *
+ * @example
+ * // Guest subscribing to a sold-out size
+ * POST /api/inventory/subscriptions
+ * { "sku": "DJ-001-M-BLU", "email": "sam@example.com" }
+ * // Returns: { data: { subscription: { id, productId, sku: "DJ-001-M-BLU", email: "sam@example.com",
+ * //   notifiedAt: null, createdAt } } }
+ *
+ * @example
+ * // Signed-in customer using their account email
+ * POST /api/inventory/subscriptions
+ * Cookie: appSession=<Auth0 session>
+ * { "sku": "DJ-001-M-BLU" }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.restockSubscriptions}`;
+
+  try {
+    if (!isRestockAlertsEnabled()) return createAlertsDisabledResponse(endpoint);
+
+    const body = await request.json().catch(() => ({}));
+
+    await dbConnect();
+    const InventoryReservation = (await import("@lib/mongodb/models/inventory-reservation"))
+      .default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+    const RestockSubscription = (await import("@lib/mongodb/models/restock-subscription")).default;
+
+    const { email, user } = await resolveSubscriber(request, body.email);
+    const invalidResponse = validateSubscriptionRequest({ email, sku: body.sku }, endpoint);
+    if (invalidResponse) return invalidResponse;
+
+    const sku = body.sku.trim();
+    const {
+      stock: [stock],
+    } = await findStockLevels({ InventoryReservation, Product }, [sku]);
+    if (!stock) return createNotFoundResponse("Variant", sku, { endpoint });
+
+    if (stock.available > 0) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.VARIANT_IN_STOCK,
+        "This item is back in stock and can be added to your cart",
+        { endpoint, sku, available: stock.available },
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    const subscription = await RestockSubscription.subscribe({
+      product: stock.productId,
+      sku,
+      email,
+      user: user?._id,
+    });
+
+    return createSuccessResponse(
+      { subscription: transformRestockSubscription(subscription) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.RESTOCK_SUBSCRIBED },
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "subscribe",
+      endpoint,
+    });
+
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.RESTOCK_SUBSCRIPTION_FAILED,
+      error.message,
+      { endpoint }
+    );
+  }
+}
+
+/**
+ * DELETE /api/inventory/subscriptions - Remove an email address's subscription to a variant
+ * Responds the same whether or not the address was subscribed, so the endpoint never confirms who is waiting
+ * @param {Request} request - Next.js API request object with sku and email query parameters
+ * @returns {Promise<Response>} JSON response confirming the subscription is gone
+ * @throws {ValidationError} When the SKU is missing or the email address is missing or malformed
+ * @throws {DatabaseError} When MongoDB connection or writes fail
+ *
+ * @example
+ * // Stop waiting on a size
+ * DELETE /api/inventory/subscriptions?sku=DJ-001-M-BLU&email=sam@example.com
+ * // Returns: { data: { sku: "DJ-001-M-BLU" } }
+ */
+export async function DELETE(request) {
+  const endpoint = `/api/${API_ENDPOINTS.restockSubscriptions}`;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const sku = searchParams.get("sku")?.trim();
+
+    await dbConnect();
+    const RestockSubscription = (await import("@lib/mongodb/models/restock-subscription")).default;
+
+    const { email } = await resolveSubscriber(request, searchParams.get("email")?.trim());
+    const invalidResponse = validateSubscriptionRequest({ email, sku }, endpoint);
+    if (invalidResponse) return invalidResponse;
+
+    await RestockSubscription.unsubscribe(sku, email);
+
+    return createSuccessResponse(
+      { sku },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.RESTOCK_UNSUBSCRIBED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "unsubscribe",
+      endpoint,
+    });
+
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.RESTOCK_SUBSCRIPTION_FAILED,
+      error.message,
+      { endpoint }
+    );
+  }
+}
+
+/**
+ * OPTIONS /api/inventory/subscriptions - CORS preflight handler for restock subscription endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
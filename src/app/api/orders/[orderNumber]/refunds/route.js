@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Order refunds API endpoint for administrators
+ * Refunds a whole order, selected line items, or a set amount through the payment provider
+ * Records refunded lines, amounts, and reasons on the order and returns refunded units to stock
+ * Partial refunds leave the payment partially_refunded; refunding the remaining total marks it refunded
+ * Orders paid partly with gift cards refund the provider-captured amount first, then credit the gift cards back
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  ORDER_STATUS,
+  ORDER_STATUS_ACTORS,
+  PAYMENT_STATUS,
+  REFUND_REASONS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { getPaymentProvider } from "@lib/payments";
+import { errorHandler } from "@modules/core/utils";
+import {
+  calculateRefund,
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  creditGiftCards,
+  getRequestUserId,
+  restoreOrderStock,
+  splitRefund,
+  transformOrder,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "order-refunds-api";
+
+/**
+ * Payment states that still hold money to refund
+ * @type {Array<string>}
+ */
+const REFUNDABLE_PAYMENT_STATUSES = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * Validates the shape of a refund request before any database work
+ * @param {Object} body - Parsed request body
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response|null} Validation error response, or null when the request is valid
+ */
+const validateRefundRequest = ({ amount, items, note, reason, restock }, endpoint) => {
+  const validation = validateRequiredFields({ reason }, API_REQUIRED_FIELDS.ORDER_REFUND, endpoint);
+  if (!validation.isValid) return validation.response;
+
+  const invalidField = [
+    !Object.values(REFUND_REASONS).includes(reason) && "reason",
+    items !== undefined &&
+      !(Array.isArray(items) && items.every(item => typeof item?.sku === "string")) &&
+      "items",
+    amount !== undefined && !(typeof amount === "number" && amount > 0) && "amount",
+    restock !== undefined && typeof restock !== "boolean" && "restock",
+  ].find(Boolean);
+
+  if (invalidField) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT(invalidField),
+      { field: invalidField, reasons: Object.values(REFUND_REASONS) },
+      { endpoint }
+    );
+  }
+
+  if (note !== undefined && String(note).length > API_VALIDATION_LIMITS.MAX_REFUND_NOTE_LENGTH) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.TOO_LONG(
+        "note",
+        API_VALIDATION_LIMITS.MAX_REFUND_NOTE_LENGTH
+      ),
+      { maxLength: API_VALIDATION_LIMITS.MAX_REFUND_NOTE_LENGTH },
+      { endpoint }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Builds the conflict response for orders with nothing the provider or gift cards can refund
+ * @param {Object} order - Order document
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Conflict response
+ */
+const createNotRefundableResponse = (order, endpoint) =>
+  createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.ORDER_NOT_REFUNDABLE,
+    `Order ${order.orderNumber} payment is ${order.paymentStatus}`,
+    { endpoint, paymentProvider: order.paymentProvider },
+    HTTP_STATUS.CONFLICT
+  );
+
+/**
+ * Maps refund errors onto API responses and logs unexpected failures
+ * @param {Error} error - Error thrown while refunding
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Error response with the matching status
+ */
+const createRefundErrorResponse = (error, endpoint) => {
+  if (error.status === HTTP_STATUS.UNPROCESSABLE_ENTITY) {
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.INVALID_REFUND,
+      error.message,
+      { endpoint, ...error.details },
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  errorHandler.handleError(error, ERROR_TYPES.PAYMENT_ERROR, {
+    source: ERROR_SOURCE,
+    action: "refund-order",
+    endpoint,
+  });
+
+  return createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.REFUND_FAILED,
+    error.message,
+    { endpoint, ...error.details },
+    error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR
+  );
+};
+
+/**
+ * POST /api/orders/[orderNumber]/refunds - Refund all or part of a paid order
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and refund details
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.orderNumber - Order number shown to the customer
+ * @returns {Promise<Response>} JSON response with the updated order
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {AuthorizationError} When the user is not an administrator
+ * @throws {ValidationError} When the reason, items, amount, or note are malformed
+ * @throws {NotFoundError} When the order does not exist
+ * @throws {ConflictError} When the order has no captured payment left to refund
+ * @throws {PaymentError} When the payment provider rejects the refund
+ *
+ * @typedef {Object} OrderRefundRequest
+ * @property {string} reason - REFUND_REASONS value
+ * @property {Array<Object>} [items] - Lines to refund as { sku, quantity }; refunds their price plus tax share
+ * @property {number} [amount] - Amount to refund instead of the calculated line amounts
+ * @property {boolean} [restock=true] - Whether refunded units go back into stock
+ * @property {string} [note] - Free-text note stored with the refund
+ *
+ * @example
+ * // Refund one returned jacket
+ * POST /api/orders/UE-2026-004821/refunds
+ * Cookie: appSession=<Auth0 session>
+ * { "reason": "returned", "items": [{ "sku": "DJ-001-M-BLU", "quantity": 1 }] }
+ * // Returns: { data: { paymentStatus: "partially_refunded", refundedAmount: 96.29, refunds: [...] } }
+ *
+ * @example
+ * // Refund everything that has not been refunded yet
+ * POST /api/orders/UE-2026-004821/refunds
+ * { "reason": "requested_by_customer" }
+ * // Returns: { data: { status: "refunded", paymentStatus: "refunded", ... } }
+ */
+export async function POST(request, { params }) {
+  const { orderNumber } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.orders}/${orderNumber}/refunds`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Refunding an order requires a signed-in administrator",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const invalidResponse = validateRefundRequest(body, endpoint);
+    if (invalidResponse) return invalidResponse;
+
+    await dbConnect();
+    const GiftCard = (await import("@lib/mongodb/models/gift-card")).default;
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const user = await User.findById(userId);
+    if (!user?.isAdmin()) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ADMIN_REQUIRED,
+        "Refunds can only be issued by administrators",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) return createNotFoundResponse("Order", orderNumber, { endpoint });
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      return createNotRefundableResponse(order, endpoint);
+    }
+
+    const { amount, lines } = calculateRefund(order, body);
+    const { giftCardAmount, providerAmount } = splitRefund(order, amount);
+
+    const provider = getPaymentProvider();
+    const canRefundProvider =
+      order.stripePaymentIntentId &&
+      (!order.paymentProvider || order.paymentProvider === provider.name);
+    if (providerAmount > 0 && !canRefundProvider) {
+      return createNotRefundableResponse(order, endpoint);
+    }
+
+    // Keyed by refund count, so retrying after a failed save returns the same provider refund
+    const refundKey = `refund-${orderNumber}-${order.refunds.length + 1}`;
+    const providerRefund =
+      providerAmount > 0
+        ? await provider.refund(order.stripePaymentIntentId, {
+            amount: providerAmount,
+            reason: body.reason,
+            idempotencyKey: refundKey,
+          })
+        : null;
+    await creditGiftCards(GiftCard, order.giftCardPayments, giftCardAmount, orderNumber);
+
+    // Cancelling an order already returned its stock
+    const restocked = body.restock !== false && order.status !== ORDER_STATUS.CANCELLED;
+
+    await order.recordRefund({
+      refundId: providerRefund?.id || refundKey,
+      amount,
+      reason: body.reason,
+      note: typeof body.note === "string" ? body.note.trim() || undefined : undefined,
+      lines: lines.map(line => ({
+        itemId: line.itemId,
+        sku: line.sku,
+        quantity: line.quantity,
+        amount: line.amount,
+        restocked,
+      })),
+      actor: { type: ORDER_STATUS_ACTORS.ADMIN, id: userId },
+    });
+
+    // Restock only once the refund is recorded, so a retried request cannot return units twice
+    if (restocked) {
+      await restoreOrderStock(
+        Product,
+        lines.map(line => ({
+          product: line.product,
+          variant: { sku: line.sku },
+          quantity: line.quantity,
+        }))
+      );
+    }
+
+    return createSuccessResponse(
+      transformOrder(order),
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ORDER_REFUNDED },
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    return createRefundErrorResponse(error, endpoint);
+  }
+}
+
+/**
+ * OPTIONS /api/orders/[orderNumber]/refunds - CORS preflight handler for order refunds endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Order detail API endpoint for the account area and order status changes
+ * Looks up one of the signed-in customer's orders by order number with product snapshots populated
+ * Moves orders through the status state machine: admins follow ORDER_STATUS_TRANSITIONS, customers may only cancel
+ * orders they have not paid for, since paid orders need a refund through the refunds endpoint
+ * Cancelling returns taken stock or releases the holds of an unpaid order, gives back its promo code uses, and
+ * gift card balances too when the rest of the order was never charged
+ * Orders belonging to other customers are reported as not found rather than forbidden
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  ORDER_STATUS,
+  ORDER_STATUS_ACTORS,
+  PAYMENT_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  creditGiftCards,
+  getRequestUserId,
+  releasePromotions,
+  restoreOrderStock,
+  transformOrder,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+const ERROR_SOURCE = "order-detail-api";
+
+/**
+ * Payment states in which no money has been taken for the order yet
+ * @type {Array<string>}
+ */
+const UNPAID_PAYMENT_STATUSES = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED];
+/**
+ * GET /api/orders/[orderNumber] - Retrieve one of the signed-in customer's orders
+ * @param {Request} request - Next.js API request object with Auth0 session cookie
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.orderNumber - Order number shown to the customer
+ * @returns {Promise<Response>} JSON response with the order and product snapshots
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {NotFoundError} When the order does not exist or belongs to another customer
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} OrderLineProduct
+ * @property {string} name - Product name
+ * @property {string} slug - Product slug
+ * @property {string} category - Product category
+ * @property {string|null} image - Primary product image URL
+ *
+ * @example
+ * // Order detail for the account area
+ * GET /api/orders/UE-2026-004821
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { orderNumber, status, items: [{ product: { name, slug, image }, ... }], total } }
+ */
+export async function GET(request, { params }) {
+  const { orderNumber } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.orders}/${orderNumber}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Order details require a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    await dbConnect();
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    // Registers the Product model so items.product can be populated
+    await import("@lib/mongodb/models/product");
+
+    const order = await Order.findOne({ orderNumber, user: userId })
+      .populate("items.product", "name slug category images")
+      .lean();
+
+    if (!order) return createNotFoundResponse("Order", orderNumber, { endpoint });
+
+    return createSuccessResponse(transformOrder(order), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.ORDERS_RETRIEVED,
+    });
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "get-order",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ORDERS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * Checks whether the requesting customer may make a status change on their own order
+ * @param {Object} order - Order document owned by the customer
+ * @param {string} status - Requested ORDER_STATUS value
+ * @returns {boolean} True for cancellations of unpaid orders that have not started fulfilment
+ */
+const canCustomerChangeStatus = (order, status) =>
+  status === ORDER_STATUS.CANCELLED &&
+  CUSTOMER_CANCELLABLE_STATUSES.includes(order.status) &&
+  UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+/**
+ * Puts a cancelled order's stock back on sale
+ * Stock is only taken once the order is paid; until then it is held, so an unpaid order just releases its holds
+ * Units already refunded were dealt with by the refund, so only the rest of each line is returned
+ * @param {Object} models - InventoryReservation and Product mongoose models
+ * @param {Object} order - Cancelled order document
+ * @returns {Promise<void>}
+ */
+const releaseOrderStock = async ({ InventoryReservation, Product }, order) => {
+  if (!order.stockCommittedAt) {
+    await InventoryReservation.releaseForOrder(order._id);
+    return;
+  }
+
+  const lines = order.items
+    .map(item => ({
+      product: item.product,
+      variant: { sku: item.variant?.sku },
+      quantity: item.quantity - (item.refundedQuantity || 0),
+    }))
+    .filter(line => line.quantity > 0);
+  await restoreOrderStock(Product, lines);
+};
+
+/**
+ * Gives gift card balances back for a cancelled order that was never paid
+ * Paid orders keep their gift card payments until an administrator refunds them through the refunds endpoint
+ * @param {Object} GiftCard - GiftCard mongoose model
+ * @param {Object} order - Cancelled order document
+ * @returns {Promise<void>}
+ */
+const releaseUnpaidGiftCards = async (GiftCard, order) => {
+  const isUnpaid = UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus);
+  if (!isUnpaid || !order.giftCardPayments.length) return;
+
+  await creditGiftCards(GiftCard, order.giftCardPayments, order.giftCardAmount, order.orderNumber);
+  await order.save();
+};
+
+/**
+ * PATCH /api/orders/[orderNumber] - Move an order to a new status
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and the requested status
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.orderNumber - Order number shown to the customer
+ * @returns {Promise<Response>} JSON response with the updated order
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {ValidationError} When status is missing or not an ORDER_STATUS value
+ * @throws {AuthorizationError} When a customer requests anything other than cancelling an unpaid pending or on-hold order
+ * @throws {NotFoundError} When the order does not exist or belongs to another customer
+ * @throws {ConflictError} When ORDER_STATUS_TRANSITIONS does not allow the move
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @typedef {Object} OrderStatusUpdateData
+ * @property {string} status - Requested ORDER_STATUS value
+ * @property {string} [reason] - Why the status is changing (stored on statusHistory)
+ *
+ * @example
+ * // Admin marks an order as shipped
+ * PATCH /api/orders/UE-2026-004821
+ * Cookie: appSession=<Auth0 session>
+ * { "status": "shipped", "reason": "Handed to carrier" }
+ * // Returns: { data: { orderNumber, status: "shipped", statusHistory: [...], ... } }
+ *
+ * @example
+ * // Error response for an illegal move
+ * {
+ *   "success": false,
+ *   "error": "Invalid order status change",
+ *   "message": "Cannot change order status from shipped to pending"
+ * }
+ */
+export async function PATCH(request, { params }) {
+  const { orderNumber } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.orders}/${orderNumber}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Changing an order requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { reason, status } = await request.json().catch(() => ({}));
+    const validation = validateRequiredFields(
+      { status },
+      API_REQUIRED_FIELDS.ORDER_STATUS_UPDATE,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (!Object.values(ORDER_STATUS).includes(status)) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("status"),
+        { status, allowed: Object.values(ORDER_STATUS) },
+        { endpoint }
+      );
+    }
+
+    await dbConnect();
+    const GiftCard = (await import("@lib/mongodb/models/gift-card")).default;
+    const InventoryReservation = (await import("@lib/mongodb/models/inventory-reservation"))
+      .default;
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+    const Promotion = (await import("@lib/mongodb/models/promotion")).default;
+    const PromotionRedemption = (await import("@lib/mongodb/models/promotion-redemption")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const user = await User.findById(userId);
+    const isAdmin = Boolean(user?.isAdmin());
+    const order = await Order.findOne(isAdmin ? { orderNumber } : { orderNumber, user: userId });
+
+    if (!order) return createNotFoundResponse("Order", orderNumber, { endpoint });
+
+    if (!isAdmin && !canCustomerChangeStatus(order, status)) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ORDER_CANCEL_ONLY,
+        `Cannot change order status from ${order.status} to ${status}`,
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    await order.transitionStatus(status, {
+      actor: {
+        type: isAdmin ? ORDER_STATUS_ACTORS.ADMIN : ORDER_STATUS_ACTORS.CUSTOMER,
+        id: userId,
+      },
+      reason: typeof reason === "string" ? reason.trim() : undefined,
+    });
+
+    // Stock, gift card balances, and promo code uses are taken from an order before it ships, so a cancelled
+    // order hands them back
+    if (status === ORDER_STATUS.CANCELLED) {
+      await releaseOrderStock({ InventoryReservation, Product }, order);
+      await releaseUnpaidGiftCards(GiftCard, order);
+      await releasePromotions(
+        Promotion,
+        order.discounts.filter(discount => discount.promotion)
+      );
+      await PromotionRedemption.releaseForOrder(order._id);
+    }
+
+    return createSuccessResponse(transformOrder(order), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.ORDER_UPDATED,
+    });
+  } catch (error) {
+    if (error.status === HTTP_STATUS.CONFLICT) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.INVALID_STATUS_TRANSITION,
+        error.message,
+        { endpoint },
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "update-order-status",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ORDER_UPDATE_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/orders/[orderNumber] - CORS preflight handler for order detail endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
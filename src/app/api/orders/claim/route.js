@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Guest order claiming API endpoint for customers who create an account after checking out as a guest
+ * Moves the guest orders placed with the account's email address into the account's order history
+ * Only accounts with a verified email address may claim, so an unverified sign-up cannot take over someone's orders
+ */
+
+import { API_ENDPOINTS, API_RESPONSE_MESSAGES, ERROR_TYPES, HTTP_STATUS } from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  getRequestUserId,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "order-claim-api";
+
+/**
+ * POST /api/orders/claim - Add the guest orders placed with the customer's email to their account
+ * @param {Request} request - Next.js API request object with Auth0 session cookie
+ * @returns {Promise<Response>} JSON response with the order numbers that were claimed
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {AuthorizationError} When the account's email address has not been verified
+ * @throws {NotFoundError} When the user does not exist
+ * @throws {DatabaseError} When MongoDB connection or writes fail
+ *
+ * @typedef {Object} OrderClaimResponse
+ * @property {Array<string>} orderNumbers - Order numbers added to the account, empty when there was nothing to claim
+ *
+ * @example
+ * // Claim guest orders after signing up with the same email
+ * POST /api/orders/claim
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { orderNumbers: ["UE-2026-004821"] } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.orderClaim}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Claiming guest orders requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    await dbConnect();
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const user = await User.findById(userId).select("email emailVerified").lean();
+    if (!user) return createNotFoundResponse("User", userId, { endpoint });
+
+    if (!user.emailVerified) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.EMAIL_NOT_VERIFIED,
+        "Guest orders can only be claimed by an account with a verified email address",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const orders = await Order.claimGuestOrders(userId, user.email);
+    if (orders.length) {
+      await User.updateOne(
+        { _id: userId },
+        { $addToSet: { orders: { $each: orders.map(order => order._id) } } }
+      );
+    }
+
+    return createSuccessResponse(
+      { orderNumbers: orders.map(order => order.orderNumber) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ORDERS_CLAIMED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "claim-orders",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ORDERS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/orders/claim - CORS preflight handler for order claim endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Guest order lookup API endpoint for reopening an order without an account
+ * Opens an order from the signed link sent with guest orders, or from the contact email and order number
+ * A wrong email and an unknown order number get the same response, so the endpoint never confirms which orders exist
+ * Lookups are rate limited per client by RATE_LIMIT, so order numbers cannot be tried against an email in bulk
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  HTTP_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler, isValidOrderNumber } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createOrderLookupUrl,
+  createSuccessResponse,
+  getRateLimitResponse,
+  normalizeLookupEmail,
+  transformOrder,
+  validateRequiredFields,
+  verifyOrderLookupSignature,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "order-lookup-api";
+
+/**
+ * Loads an order by order number and contact email with product snapshots populated
+ * @param {string} orderNumber - Order number shown to the customer
+ * @param {string} email - Contact email the order was placed with
+ * @returns {Promise<Object|null>} Lean order, or null when no order matches both
+ */
+const findOrderByContact = async (orderNumber, email) => {
+  await dbConnect();
+  const Order = (await import("@lib/mongodb/models/order")).default;
+  // Registers the Product model so items.product can be populated
+  await import("@lib/mongodb/models/product");
+
+  return Order.findOne({ orderNumber, contactEmail: normalizeLookupEmail(email) })
+    .populate("items.product", "name slug category images")
+    .lean();
+};
+
+/**
+ * Builds the response for a lookup that matched no order
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Not found response that does not say which detail was wrong
+ */
+const createLookupFailedResponse = endpoint =>
+  createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.ORDER_LOOKUP_FAILED,
+    "Check the email address and order number from your confirmation",
+    { endpoint },
+    HTTP_STATUS.NOT_FOUND
+  );
+
+/**
+ * Logs an unexpected lookup failure and builds the error response
+ * @param {Error} error - Error thrown during the lookup
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @param {string} action - Action name for error logging
+ * @returns {Response} Error response
+ */
+const handleLookupError = (error, endpoint, action) => {
+  errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+    source: ERROR_SOURCE,
+    action,
+    endpoint,
+  });
+
+  return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ORDERS_FAILED, error.message, {
+    endpoint,
+  });
+};
+
+/**
+ * GET /api/orders/lookup - Open an order from a signed order link
+ * @param {Request} request - Next.js API request object with the link's query parameters
+ * @returns {Promise<Response>} JSON response with the order
+ * @throws {AuthorizationError} When the signature does not match or the link has expired
+ * @throws {RateLimitError} When the client has made more than RATE_LIMIT.maxRequests lookups in the window
+ * @throws {NotFoundError} When the order no longer matches the link
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} OrderLinkQuery
+ * @property {string} orderNumber - Order number
+ * @property {string} email - Contact email
+ * @property {string} expires - Expiry as a Unix timestamp in seconds
+ * @property {string} signature - HMAC-SHA256 signature from createOrderLookupUrl
+ *
+ * @example
+ * // Open the link from the order confirmation
+ * GET /api/orders/lookup?orderNumber=UE-2026-004821&email=sam%40example.com&expires=1763000000&signature=9f2c...
+ * // Returns: { data: { orderNumber, status, contactEmail, items: [...], total, ... } }
+ */
+export async function GET(request) {
+  const endpoint = `/api/${API_ENDPOINTS.orderLookup}`;
+
+  try {
+    const rateLimitResponse = getRateLimitResponse(request, endpoint);
+    if (rateLimitResponse) return rateLimitResponse;
+
+    const params = Object.fromEntries(new URL(request.url).searchParams);
+
+    if (!verifyOrderLookupSignature(params)) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ORDER_LINK_INVALID,
+        "Look the order up with your email address and order number instead",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const order = await findOrderByContact(params.orderNumber, params.email);
+    if (!order) return createLookupFailedResponse(endpoint);
+
+    return createSuccessResponse(transformOrder(order), {
+      endpoint,
+      message: API_RESPONSE_MESSAGES.SUCCESS.ORDER_FOUND,
+    });
+  } catch (error) {
+    return handleLookupError(error, endpoint, "open-order-link");
+  }
+}
+
+/**
+ * POST /api/orders/lookup - Look an order up by contact email and order number
+ * @param {Request} request - Next.js API request object with the email and order number
+ * @returns {Promise<Response>} JSON response with the order and a fresh signed order link
+ * @throws {ValidationError} When the email or order number is missing
+ * @throws {RateLimitError} When the client has made more than RATE_LIMIT.maxRequests lookups in the window
+ * @throws {NotFoundError} When no order matches both the email and the order number
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} OrderLookupRequest
+ * @property {string} email - Contact email the order was placed with
+ * @property {string} orderNumber - Order number from the confirmation
+ *
+ * @example
+ * // Look up a guest order
+ * POST /api/orders/lookup
+ * { "email": "sam@example.com", "orderNumber": "UE-2026-004821" }
+ * // Returns: { data: { orderNumber, status, items: [...], total, ..., lookupUrl: "https://.../orders/lookup?..." } }
+ *
+ * @example
+ * // Error response when the details do not match an order
+ * {
+ *   "success": false,
+ *   "error": "We couldn't find an order with those details",
+ *   "message": "Check the email address and order number from your confirmation"
+ * }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.orderLookup}`;
+
+  try {
+    const rateLimitResponse = getRateLimitResponse(request, endpoint);
+    if (rateLimitResponse) return rateLimitResponse;
+
+    const { email, orderNumber } = await request.json().catch(() => ({}));
+    const validation = validateRequiredFields(
+      { email, orderNumber },
+      API_REQUIRED_FIELDS.ORDER_LOOKUP,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    // Values that are not order numbers cannot match, so they skip the database
+    if (typeof email !== "string" || !isValidOrderNumber(orderNumber)) {
+      return createLookupFailedResponse(endpoint);
+    }
+
+    const order = await findOrderByContact(orderNumber.trim(), email);
+    if (!order) return createLookupFailedResponse(endpoint);
+
+    return createSuccessResponse(
+      { ...transformOrder(order), lookupUrl: createOrderLookupUrl(order) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ORDER_FOUND }
+    );
+  } catch (error) {
+    return handleLookupError(error, endpoint, "lookup-order");
+  }
+}
+
+/**
+ * OPTIONS /api/orders/lookup - CORS preflight handler for order lookup endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,621 @@
+/**
+ * @fileoverview Orders API endpoint for order history and placing orders from checkout
+ * Lists the signed-in customer's orders newest first, paginated over the { user, createdAt } index
+ * Recomputes every price and total from the product catalog instead of trusting client amounts
+ * Accepts guest orders from the guest cart session when FEATURES.GUEST_CHECKOUT is on, keyed by a contact email
+ * Applies the promo codes on the customer's server cart, redeeming each one against its usage limits
+ * Takes gift card balances as tender before the payment step; an order they fully cover is paid straight away
+ * Holds variant stock until payment, releasing the customer's abandoned holds; the hold is taken from stock once paid
+ * Links the order to the customer and empties their server cart
+ * Returns a signed order lookup link with guest orders so they can be reopened without an account
+ * Numbers orders from the yearly order counter, retrying under the next number if a save collides
+ * Emits an order.created webhook event once the order is stored
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  FEATURES,
+  HTTP_STATUS,
+  MAX_CART_ITEMS,
+  MAX_QUANTITY_PER_ITEM,
+  MIN_CHECKOUT_AMOUNT,
+  ORDERS_PER_PAGE,
+  WEBHOOK_EVENTS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import {
+  errorHandler,
+  formatCurrency,
+  getDeliveryEstimate,
+  isShippingMethodAvailable,
+  isValidEmail,
+  validateAddress,
+} from "@modules/core/utils";
+import {
+  buildPagination,
+  buildPaginationMeta,
+  calculateDiscounts,
+  calculateOrderTotals,
+  countCustomerRedemptions,
+  createCorsResponse,
+  createErrorResponse,
+  createOrderLookupUrl,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  debitGiftCards,
+  emitWebhookEvent,
+  findShippingMethod,
+  getCartIdentity,
+  getPromotionIssue,
+  getRedemptionCustomers,
+  getRequestUserId,
+  isValidObjectId,
+  normalizeLookupEmail,
+  planGiftCardPayments,
+  redeemPromotions,
+  releasePromotions,
+  resolveGiftCards,
+  resolveGiftLines,
+  resolveOrderLines,
+  toOrderAddress,
+  transformOrder,
+  validatePagination,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "orders-api";
+
+/**
+ * Checks that a client order line references a variant with an allowed quantity
+ * @param {Object} item - Client line with productId, sku, and quantity
+ * @returns {boolean} True if the line is well formed
+ */
+const isValidOrderItem = item => {
+  const quantity = Number.parseInt(item?.quantity, 10);
+  return (
+    isValidObjectId(item?.productId) &&
+    typeof item.sku === "string" &&
+    quantity >= 1 &&
+    quantity <= MAX_QUANTITY_PER_ITEM
+  );
+};
+
+/**
+ * Checks whether the request may place an order: signed-in customers always can, guests only with
+ * FEATURES.GUEST_CHECKOUT on and a guest cart session to order from
+ * @param {Object} identity - Identity from getCartIdentity
+ * @returns {boolean} True if the request may place an order
+ */
+const canPlaceOrder = ({ sessionId, userId }) =>
+  Boolean(userId || (FEATURES.GUEST_CHECKOUT.enabled && sessionId));
+
+/**
+ * Builds the ownership fields stored on a new order
+ * Guest orders keep the guest cart session so the payment step can find them again
+ * @param {Object} identity - Identity from getCartIdentity
+ * @param {string} [contactEmail] - Contact email from the request body
+ * @returns {Object} user, contactEmail, and guestSessionId order fields
+ */
+const getOrderOwner = ({ sessionId, userId }, contactEmail) => ({
+  user: userId || undefined,
+  contactEmail: contactEmail ? normalizeLookupEmail(contactEmail) : undefined,
+  guestSessionId: userId ? undefined : sessionId,
+});
+
+/**
+ * Checks that optional gift card references are a list of plausible reference strings
+ * @param {*} giftCardReferences - Gift card references from the request body
+ * @returns {boolean} True if the references are absent or well formed
+ */
+const isValidGiftCardReferences = giftCardReferences =>
+  giftCardReferences === undefined ||
+  (Array.isArray(giftCardReferences) &&
+    giftCardReferences.every(
+      reference =>
+        typeof reference === "string" &&
+        reference.trim() &&
+        reference.length <= API_VALIDATION_LIMITS.MAX_GIFT_CARD_REFERENCE_LENGTH
+    ));
+
+/**
+ * Validates the shape of an order request before any database work
+ * @param {Object} body - Parsed request body
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @param {boolean} isGuest - Whether a guest is placing the order, which makes the contact email required
+ * @returns {Response|null} Validation error response, or null when the request is valid
+ */
+const validateOrderRequest = (
+  { contactEmail, giftCardReferences, items, shippingAddress, shippingMethod },
+  endpoint,
+  isGuest
+) => {
+  const validation = validateRequiredFields(
+    { items, shippingAddress, shippingMethod },
+    API_REQUIRED_FIELDS.ORDER_CREATE,
+    endpoint
+  );
+  if (!validation.isValid) return validation.response;
+
+  if (!Array.isArray(items) || !items.length || items.length > MAX_CART_ITEMS) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.LIMIT_EXCEEDED(MAX_CART_ITEMS),
+      { itemCount: Array.isArray(items) ? items.length : 0 },
+      { endpoint }
+    );
+  }
+
+  if (!items.every(isValidOrderItem)) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("items"),
+      { maxQuantity: MAX_QUANTITY_PER_ITEM },
+      { endpoint }
+    );
+  }
+
+  const addressErrors = validateAddress(shippingAddress);
+  if (Object.keys(addressErrors).length) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("shippingAddress"),
+      addressErrors,
+      { endpoint }
+    );
+  }
+
+  const method = findShippingMethod(shippingMethod);
+  if (!method || !isShippingMethodAvailable(method, shippingAddress.country)) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("shippingMethod"),
+      { shippingMethod, country: shippingAddress.country },
+      { endpoint }
+    );
+  }
+
+  if (isGuest && !contactEmail) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.REQUIRED_FIELD("contactEmail"),
+      { missingFields: ["contactEmail"] },
+      { endpoint }
+    );
+  }
+
+  if (contactEmail !== undefined && !isValidEmail(contactEmail)) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("contactEmail"),
+      { contactEmail },
+      { endpoint }
+    );
+  }
+
+  if (!isValidGiftCardReferences(giftCardReferences)) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("giftCardReferences"),
+      { maxLength: API_VALIDATION_LIMITS.MAX_GIFT_CARD_REFERENCE_LENGTH },
+      { endpoint }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Prices the promo codes on the customer's server cart against the order lines
+ * Codes that no longer qualify are dropped, as the cart summary already stopped showing them, but a code
+ * the customer has already used up rejects the order so the total they saw never silently changes
+ * @param {Object} models - Cart, Order, Product, and User mongoose models
+ * @param {Object} customer - Cart identity from getCartIdentity plus the order's contact email
+ * @param {Array<Object>} lines - Priced order lines from resolveOrderLines
+ * @param {Object} shippingMethod - Entry from SHIPPING_METHODS
+ * @param {Object} shippingAddress - Checkout shipping address, which decides the tax rate
+ * @returns {Promise<Object>} Discount lines, the promotions behind them, free gift lines, order totals, and the
+ *   rejected code if any
+ */
+const priceOrderPromotions = async (
+  { Cart, Order, Product, User },
+  { email, sessionId, userId },
+  lines,
+  shippingMethod,
+  shippingAddress
+) => {
+  const cart = FEATURES.PROMO_CODES.enabled
+    ? await Cart.findByIdentity({ sessionId, userId }).populate("promotions")
+    : null;
+  const promotions = (cart?.promotions || []).filter(promotion => promotion?.code);
+  const customerRedemptions = await countCustomerRedemptions(
+    { Order, User },
+    { email, userId },
+    promotions
+  );
+
+  const usedUp = promotions.find(
+    promotion =>
+      !getPromotionIssue(promotion, lines) &&
+      getPromotionIssue(promotion, lines, {
+        customerRedemptions: customerRedemptions[promotion._id.toString()],
+      })
+  );
+  if (usedUp) {
+    return { rejected: { code: usedUp.code, message: "You have already used this promo code" } };
+  }
+
+  const { shipping } = calculateOrderTotals(lines, shippingMethod);
+  const discounts = calculateDiscounts(promotions, lines, { customerRedemptions, shipping });
+
+  return {
+    discounts,
+    promotions: promotions.filter(promotion =>
+      discounts.some(discount => discount.promotion === promotion._id.toString())
+    ),
+    giftLines: await resolveGiftLines(Product, discounts),
+    totals: calculateOrderTotals(lines, shippingMethod, discounts, shippingAddress),
+    rejected: null,
+  };
+};
+
+/**
+ * Adds a placed order to the customer's history and empties the cart it was placed from
+ * Guest orders join an account's history only once they are claimed
+ * @param {Object} models - Cart and User mongoose models
+ * @param {Object} identity - Identity from getCartIdentity
+ * @param {Object} order - Created order document
+ * @returns {Promise<void>}
+ */
+const linkOrderToCustomer = async ({ Cart, User }, { sessionId, userId }, order) => {
+  const emptyCart = { $set: { items: [], promotions: [] } };
+
+  if (!userId) {
+    await Cart.updateOne({ sessionId }, emptyCart);
+    return;
+  }
+
+  await Promise.all([
+    User.updateOne({ _id: userId }, { $push: { orders: order._id } }),
+    Cart.updateOne({ user: userId }, emptyCart),
+  ]);
+};
+
+/**
+ * Maps order errors raised by the order helpers onto API responses
+ * @param {Error} error - Error thrown while placing the order
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Error response with the matching status
+ */
+const createOrderErrorResponse = (error, endpoint) => {
+  if (error.details?.giftCard) {
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.GIFT_CARD_INVALID,
+      error.message,
+      { endpoint, giftCard: error.details.giftCard },
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  if (error.details?.promoCode) {
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.PROMO_CODE_INVALID,
+      error.message,
+      { endpoint, code: error.details.promoCode },
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  if (error.status === HTTP_STATUS.UNPROCESSABLE_ENTITY) {
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.ITEM_UNAVAILABLE,
+      error.message,
+      { endpoint, ...error.details },
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  if (error.status === HTTP_STATUS.CONFLICT) {
+    return createErrorResponse(
+      API_RESPONSE_MESSAGES.ERROR.INSUFFICIENT_STOCK,
+      error.message,
+      { endpoint, ...error.details },
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+    source: ERROR_SOURCE,
+    action: "create-order",
+    endpoint,
+  });
+
+  return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ORDER_FAILED, error.message, {
+    endpoint,
+  });
+};
+
+/**
+ * GET /api/orders - List the signed-in customer's orders, newest first
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and pagination params
+ * @returns {Promise<Response>} JSON response with a page of orders and pagination metadata
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {ValidationError} When the page size exceeds MAX_ORDERS_PER_REQUEST
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} OrderListQuery
+ * @property {number} [page=1] - Page number (1-based)
+ * @property {number} [limit=ORDERS_PER_PAGE] - Orders per page
+ *
+ * @typedef {Object} OrderListResponse
+ * @property {Array<Object>} orders - Orders from transformOrder (without product snapshots)
+ * @property {Object} pagination - Page, limit, total, totalPages, and navigation flags
+ *
+ * @example
+ * // Second page of order history
+ * GET /api/orders?page=2&limit=10
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { orders: [{ orderNumber, status, total, itemCount, createdAt, ... }], pagination } }
+ */
+export async function GET(request) {
+  const endpoint = `/api/${API_ENDPOINTS.orders}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Order history requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const rawLimit = Number.parseInt(searchParams.get("limit"), 10) || ORDERS_PER_PAGE;
+    const rawPage = Number.parseInt(searchParams.get("page"), 10) || 1;
+    const maxLimit = API_VALIDATION_LIMITS.MAX_ORDERS_PER_REQUEST;
+
+    const paginationValidation = validatePagination({
+      limit: rawLimit,
+      page: rawPage,
+      maxLimit,
+      endpoint,
+    });
+    if (!paginationValidation.isValid) return paginationValidation.response;
+
+    await dbConnect();
+    const Order = (await import("@lib/mongodb/models/order")).default;
+
+    const pagination = buildPagination({ page: rawPage, limit: rawLimit, maxLimit });
+    const [orders, total] = await Promise.all([
+      Order.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      Order.countDocuments({ user: userId }),
+    ]);
+
+    return createSuccessResponse(
+      {
+        orders: orders.map(transformOrder),
+        pagination: buildPaginationMeta(pagination.page, pagination.limit, total),
+      },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ORDERS_RETRIEVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "list-orders",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ORDERS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * POST /api/orders - Place an order for the signed-in customer or a guest
+ * @param {Request} request - Next.js API request object with Auth0 session or guest cart cookie and order details
+ * @returns {Promise<Response>} JSON response with the created order
+ * @throws {AuthenticationError} When the request has neither a signed-in user nor, with guest checkout on,
+ * a guest cart session
+ * @throws {ValidationError} When items, address, or contact email are invalid, a guest leaves out the contact email,
+ * the shipping method does not serve the destination, or the total is below MIN_CHECKOUT_AMOUNT
+ * @throws {AuthorizationError} When gift cards are used while FEATURES.GIFT_CARDS is disabled
+ * @throws {UnprocessableEntityError} When a product or variant is no longer available, a promo code is used up,
+ * or a gift card is unknown or has no balance left
+ * @throws {ConflictError} When a variant no longer has enough stock once other checkouts' holds are counted
+ * @throws {DatabaseError} When MongoDB connection or writes fail
+ *
+ * @typedef {Object} CreateOrderData
+ * @property {Array<Object>} items - Lines to order (prices are ignored and recomputed)
+ * @property {string} items[].productId - Product ID
+ * @property {string} items[].sku - Variant SKU
+ * @property {number} items[].quantity - Quantity to order
+ * @property {Object} shippingAddress - Checkout shipping address (addressLine1, postalCode, ...); its country and state set the tax rate
+ * @property {string} shippingMethod - SHIPPING_METHODS identifier
+ * @property {string} [contactEmail] - Email for order updates; required for guests, who look the order up with it
+ * @property {Array<string>} [giftCardReferences] - References from the gift card balance check to pay with, used in
+ *   order until the total is covered
+ *
+ * @example
+ * // Place an order
+ * POST /api/orders
+ * Cookie: appSession=<Auth0 session>
+ * {
+ *   "items": [{ "productId": "507f1f77bcf86cd799439011", "sku": "DJ-001-M-BLU", "quantity": 2 }],
+ *   "shippingAddress": { "firstName": "Sam", "lastName": "Lee", "addressLine1": "1 Main St", ... },
+ *   "shippingMethod": "standard"
+ * }
+ * // Returns: { data: { id, orderNumber, items, subtotal, discount, discounts, shipping, tax, taxes, total, amountDue, ... } }
+ *
+ * @example
+ * // Pay part of the order with a gift card; amountDue is left for the payment step
+ * POST /api/orders
+ * { "items": [...], "shippingAddress": {...}, "shippingMethod": "standard", "giftCardReferences": ["6661b2c3d4e5f60123456789.H4NC.1763000000.kX9..."] }
+ * // Returns: { data: { total: 171.18, giftCardAmount: 50, amountDue: 121.18, giftCardPayments: [{ last4: "H4NC", amount: 50 }] } }
+ *
+ * @example
+ * // Guest checkout from the guest cart session; the response carries a signed order lookup link
+ * POST /api/orders
+ * Cookie: urban_echo_cart_session=...
+ * { "items": [...], "shippingAddress": {...}, "shippingMethod": "standard", "contactEmail": "sam@example.com" }
+ * // Returns: { data: { orderNumber, contactEmail: "sam@example.com", ..., lookupUrl: "https://.../orders/lookup?..." } }
+ *
+ * @example
+ * // Error response when a variant sold out during checkout
+ * {
+ *   "success": false,
+ *   "error": "One or more items no longer have enough stock",
+ *   "message": "Insufficient stock",
+ *   "meta": { "sku": "DJ-001-M-BLU" }
+ * }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.orders}`;
+
+  try {
+    const identity = await getCartIdentity(request);
+    const isGuest = !identity.userId;
+
+    if (!canPlaceOrder(identity)) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Placing an order requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const invalidResponse = validateOrderRequest(body, endpoint, isGuest);
+    if (invalidResponse) return invalidResponse;
+
+    const owner = getOrderOwner(identity, body.contactEmail);
+
+    const giftCardReferences = body.giftCardReferences || [];
+    if (giftCardReferences.length && !FEATURES.GIFT_CARDS.enabled) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.GIFT_CARDS_DISABLED,
+        "Gift cards are currently disabled",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    await dbConnect();
+    const Cart = (await import("@lib/mongodb/models/cart")).default;
+    const GiftCard = (await import("@lib/mongodb/models/gift-card")).default;
+    const InventoryReservation = (await import("@lib/mongodb/models/inventory-reservation"))
+      .default;
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+    const Promotion = (await import("@lib/mongodb/models/promotion")).default;
+    const PromotionRedemption = (await import("@lib/mongodb/models/promotion-redemption")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const lines = await resolveOrderLines(Product, body.items);
+    const { discounts, giftLines, promotions, rejected, totals } = await priceOrderPromotions(
+      { Cart, Order, Product, User },
+      { ...identity, email: owner.contactEmail },
+      lines,
+      findShippingMethod(body.shippingMethod),
+      body.shippingAddress
+    );
+
+    if (rejected) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.PROMO_CODE_INVALID,
+        rejected.message,
+        { endpoint, code: rejected.code },
+        HTTP_STATUS.UNPROCESSABLE_ENTITY
+      );
+    }
+
+    if (totals.total < MIN_CHECKOUT_AMOUNT) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.MIN_ORDER_AMOUNT(formatCurrency(MIN_CHECKOUT_AMOUNT)),
+        { total: totals.total, minimum: MIN_CHECKOUT_AMOUNT },
+        { endpoint }
+      );
+    }
+
+    const giftCardPlan = planGiftCardPayments(
+      await resolveGiftCards(GiftCard, giftCardReferences),
+      totals.total
+    );
+    const holder = InventoryReservation.getHolder(identity);
+    const customers = await getRedemptionCustomers(User, {
+      email: owner.contactEmail,
+      userId: identity.userId,
+    });
+
+    let order;
+    let isRedeemed = false;
+    try {
+      await redeemPromotions(Promotion, discounts);
+      isRedeemed = true;
+
+      // The order is stored first so gift card ledger entries carry the number it was saved under
+      order = await Order.createWithOrderNumber({
+        ...owner,
+        items: [...lines, ...giftLines],
+        shippingAddress: toOrderAddress(body.shippingAddress),
+        shippingMethod: body.shippingMethod,
+        estimatedDelivery: getDeliveryEstimate(findShippingMethod(body.shippingMethod)),
+        discounts,
+        ...totals,
+        giftCardPayments: giftCardPlan.payments,
+        giftCardAmount: giftCardPlan.giftCardAmount,
+        amountDue: giftCardPlan.amountDue,
+      });
+      // Starting a new checkout abandons the customer's earlier unpaid ones, so their holds are not counted against it
+      await InventoryReservation.releaseAbandoned(holder, order._id);
+      // Stock is held rather than taken until the order is paid; holdForOrder backs out on its own shortfall
+      await InventoryReservation.holdForOrder(order, holder);
+      // The per-customer limit is claimed per slot under a unique index, so concurrent checkouts cannot both pass
+      await PromotionRedemption.releaseAbandoned(customers, order._id);
+      await PromotionRedemption.claimForOrder(order, promotions, customers);
+      await debitGiftCards(GiftCard, giftCardPlan.payments, order.orderNumber);
+    } catch (error) {
+      // debitGiftCards credits back its own partial debits, so only the order itself is left to undo
+      if (order) {
+        await Order.deleteOne({ _id: order._id });
+        await InventoryReservation.releaseForOrder(order._id);
+        await PromotionRedemption.releaseForOrder(order._id);
+      }
+      if (isRedeemed) await releasePromotions(Promotion, discounts);
+      throw error;
+    }
+
+    await linkOrderToCustomer({ Cart, User }, identity, order);
+
+    await emitWebhookEvent(WEBHOOK_EVENTS.ORDER_CREATED, {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      total: order.total,
+    });
+
+    // Gift cards covered everything, so there is nothing left for the payment step to charge
+    if (order.amountDue === 0) await order.recordGiftCardPayment();
+
+    return createSuccessResponse(
+      isGuest
+        ? { ...transformOrder(order), lookupUrl: createOrderLookupUrl(order) }
+        : transformOrder(order),
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ORDER_CREATED },
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    return createOrderErrorResponse(error, endpoint);
+  }
+}
+
+/**
+ * OPTIONS /api/orders - CORS preflight handler for orders endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -2,6 +2,7 @@
  * @fileoverview Individual product details API endpoint for complete product information
  * Handles fetching comprehensive product information by ID or slug with full product details
  * Supports both ObjectId and slug-based lookups with variants, reviews, inventory, and SEO data
+ * Each variant carries the units it can still sell once active checkout holds are taken off its stock
  */
 
 import { API_REQUIRED_FIELDS, ERROR_TYPES } from "@config/constants";
@@ -32,13 +33,13 @@ const ERROR_SOURCE = "product-detail-api";
  * @property {string} id - Product identifier (ObjectId or slug)
  *
  * @typedef {Object} ProductVariant
- * @property {string} id - Variant ID
- * @property {string} name - Variant name (size, color, etc.)
- * @property {string} value - Variant value (Small, Blue, etc.)
- * @property {number} priceModifier - Price adjustment for this variant
- * @property {number} stockQuantity - Stock for this specific variant
+ * @property {string} size - Variant size
+ * @property {string} color - Variant color
  * @property {string} sku - Stock keeping unit
- * @property {boolean} isDefault - Whether this is the default variant
+ * @property {number} inventory - Units on hand
+ * @property {number} [price] - Variant price when it differs from the product price
+ * @property {number} available - Units new orders can still take (stock on hand less active checkout holds)
+ * @property {string} stockStatus - PRODUCT_STATUS value: in_stock, low_stock, or out_of_stock
  *
  * @typedef {Object} ProductImage
  * @property {string} id - Image ID
@@ -153,13 +154,12 @@ const ERROR_SOURCE = "product-detail-api";
  *     ],
  *     "variants": [
  *       {
- *         "id": "size-small",
- *         "name": "Size",
- *         "value": "Small",
- *         "priceModifier": 0,
- *         "stockQuantity": 5,
- *         "sku": "DJ-001-S",
- *         "isDefault": false
+ *         "size": "S",
+ *         "color": "blue",
+ *         "sku": "DJ-001-S-BLU",
+ *         "inventory": 5,
+ *         "available": 3,
+ *         "stockStatus": "low_stock"
  *       }
  *     ],
  *     "category": {
@@ -267,7 +267,12 @@ export async function GET(request, { params }) {
       });
     }
 
-    const transformedProduct = transformProductForDetail(product);
+    const InventoryReservation = (await import("@lib/mongodb/models/inventory-reservation"))
+      .default;
+    const heldQuantities = await InventoryReservation.getHeldQuantities(
+      (product.variants || []).map(variant => variant.sku)
+    );
+    const transformedProduct = transformProductForDetail(product, heldQuantities);
 
     return createSuccessResponse(transformedProduct, {
       endpoint: `/api/products/${id}`,
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Helpful vote API endpoint for published reviews
+ * Each signed-in customer counts once per review and cannot vote on their own; repeat votes succeed without
+ * being counted so the product page can treat the button as a one-way toggle
+ */
+
+import {
+  API_ENDPOINTS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  REVIEW_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  getRequestUserId,
+  isValidObjectId,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "review-helpful-api";
+
+/**
+ * POST /api/reviews/[reviewId]/helpful - Mark a published review as helpful
+ * @param {Request} request - Next.js API request object with Auth0 session cookie
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.reviewId - Review ID
+ * @returns {Promise<Response>} JSON response with the review's helpful count and whether this vote was counted
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {NotFoundError} When the review does not exist or is not published
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @example
+ * POST /api/reviews/6661b2c3d4e5f60123456789/helpful
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { id: "6661b2c3d4e5f60123456789", helpfulCount: 13, counted: true } }
+ */
+export async function POST(request, { params }) {
+  const { reviewId } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.reviews}/${reviewId}/helpful`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Voting on reviews requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    if (!isValidObjectId(reviewId)) {
+      return createNotFoundResponse("Review", reviewId, { endpoint });
+    }
+
+    await dbConnect();
+    const Review = (await import("@lib/mongodb/models/review")).default;
+
+    const counted = await Review.markHelpful(reviewId, userId);
+    const review = await Review.findOne(
+      { _id: reviewId, status: REVIEW_STATUS.APPROVED },
+      "helpfulCount"
+    ).lean();
+    if (!review) return createNotFoundResponse("Review", reviewId, { endpoint });
+
+    return createSuccessResponse(
+      { id: reviewId, helpfulCount: review.helpfulCount, counted },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.REVIEW_MARKED_HELPFUL }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "mark-helpful",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.REVIEWS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/reviews/[reviewId]/helpful - CORS preflight handler for helpful vote endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Review detail API endpoint for moderating and deleting a single review
+ * Administrators approve or reject reviews from the moderation queue; authors and administrators may delete one
+ * Both keep Product.averageRating and reviewCount in step whenever an approved review is affected
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  REVIEW_STATUS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getRequestUserId,
+  isValidObjectId,
+  transformReview,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "review-detail-api";
+
+/**
+ * Statuses an administrator can move a review to
+ * @type {Array<string>}
+ */
+const MODERATION_DECISIONS = [REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED];
+
+/**
+ * Loads the signed-in user and the review being changed
+ * @param {Request} request - Incoming API request
+ * @param {string} reviewId - Review ID
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Promise<Object>} The user and review, or an error response when either cannot be used
+ */
+const loadReview = async (request, reviewId, endpoint) => {
+  const userId = await getRequestUserId(request);
+
+  if (!userId) {
+    return {
+      response: createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Changing a review requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      ),
+    };
+  }
+
+  if (!isValidObjectId(reviewId)) {
+    return { response: createNotFoundResponse("Review", reviewId, { endpoint }) };
+  }
+
+  await dbConnect();
+  const Review = (await import("@lib/mongodb/models/review")).default;
+  const User = (await import("@lib/mongodb/models/user")).default;
+
+  const [user, review] = await Promise.all([User.findById(userId), Review.findById(reviewId)]);
+  if (!review) return { response: createNotFoundResponse("Review", reviewId, { endpoint }) };
+  return { user, review };
+};
+
+/**
+ * Validates a moderation decision
+ * @param {Object} body - Parsed request body
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response|null} Validation error response, or null when the decision is valid
+ */
+const validateModerationRequest = (body, endpoint) => {
+  const validation = validateRequiredFields(
+    { status: body.status },
+    API_REQUIRED_FIELDS.REVIEW_MODERATE,
+    endpoint
+  );
+  if (!validation.isValid) return validation.response;
+
+  if (!MODERATION_DECISIONS.includes(body.status)) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("status"),
+      { field: "status", allowedValues: MODERATION_DECISIONS },
+      { endpoint }
+    );
+  }
+
+  const { note } = body;
+  if (
+    note !== undefined &&
+    (typeof note !== "string" || note.length > API_VALIDATION_LIMITS.MAX_MODERATION_NOTE_LENGTH)
+  ) {
+    return createValidationErrorResponse(
+      API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT("note"),
+      { field: "note", maxLength: API_VALIDATION_LIMITS.MAX_MODERATION_NOTE_LENGTH },
+      { endpoint }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * PATCH /api/reviews/[reviewId] - Approve or reject a review
+ * Approving publishes the review and adds it to the product rating; rejecting a published review takes it back out
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and the decision
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.reviewId - Review ID
+ * @returns {Promise<Response>} JSON response with the moderated review
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {AuthorizationError} When the user is not an administrator
+ * @throws {ValidationError} When the status is not approved or rejected or the note is too long
+ * @throws {NotFoundError} When the review does not exist
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @typedef {Object} ModerationDecision
+ * @property {string} status - "approved" or "rejected"
+ * @property {string} [note] - Reason kept with the decision, up to MAX_MODERATION_NOTE_LENGTH characters
+ *
+ * @example
+ * // Reject a review from the queue
+ * PATCH /api/reviews/6661b2c3d4e5f60123456789
+ * Cookie: appSession=<Auth0 session>
+ * { "status": "rejected", "note": "Contains a phone number" }
+ * // Returns: { data: { review: { id, status: "rejected", moderation: { moderatedBy, moderatedAt, note }, ... } } }
+ */
+export async function PATCH(request, { params }) {
+  const { reviewId } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.reviews}/${reviewId}`;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { response, review, user } = await loadReview(request, reviewId, endpoint);
+    if (response) return response;
+
+    if (!user?.isAdmin()) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ADMIN_REQUIRED,
+        "Reviews can only be moderated by administrators",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const invalidResponse = validateModerationRequest(body || {}, endpoint);
+    if (invalidResponse) return invalidResponse;
+
+    await review.moderate(body.status, { moderatedBy: user._id, note: body.note?.trim() });
+
+    return createSuccessResponse(
+      { review: transformReview(review, { includeModeration: true }) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.REVIEW_MODERATED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "moderate-review",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.REVIEWS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * DELETE /api/reviews/[reviewId] - Delete a review
+ * Authors may delete their own reviews (to write a new one, for example); administrators may delete any review
+ * @param {Request} request - Next.js API request object with Auth0 session cookie
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.reviewId - Review ID
+ * @returns {Promise<Response>} JSON response with the deleted review ID
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {AuthorizationError} When the user neither wrote the review nor is an administrator
+ * @throws {NotFoundError} When the review does not exist
+ * @throws {DatabaseError} When MongoDB connection or delete fails
+ *
+ * @example
+ * DELETE /api/reviews/6661b2c3d4e5f60123456789
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { id: "6661b2c3d4e5f60123456789" } }
+ */
+export async function DELETE(request, { params }) {
+  const { reviewId } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.reviews}/${reviewId}`;
+
+  try {
+    const { response, review, user } = await loadReview(request, reviewId, endpoint);
+    if (response) return response;
+
+    const isAuthor = Boolean(user) && review.user.equals(user._id);
+    if (!isAuthor && !user?.isAdmin()) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.REVIEW_NOT_ALLOWED,
+        "This review belongs to another customer",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    await review.deleteAndRecompute();
+
+    return createSuccessResponse(
+      { id: reviewId },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.REVIEW_DELETED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "delete-review",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.REVIEWS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/reviews/[reviewId] - CORS preflight handler for review detail endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Product review listing API endpoint for the product page
+ * Lists a product's approved reviews newest, highest rated, or most helpful first, alongside the rating summary
+ * kept on the product and a count of reviews for each star
+ */
+
+import {
+  API_ENDPOINTS,
+  API_RESPONSE_MESSAGES,
+  API_SORT_OPTIONS,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  FEATURES,
+  HTTP_STATUS,
+  REVIEW_STATUS,
+  REVIEWS_PER_PAGE,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  buildPagination,
+  buildPaginationMeta,
+  buildReviewSort,
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  isValidObjectId,
+  transformReview,
+  validatePagination,
+  validateSort,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "product-reviews-api";
+
+/**
+ * GET /api/reviews/product/[productId] - List a product's approved reviews with its rating summary
+ * @param {Request} request - Next.js API request object with sort and pagination params
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.productId - Product ID
+ * @returns {Promise<Response>} JSON response with a page of reviews, the rating summary, and pagination
+ * @throws {AuthorizationError} When reviews are disabled
+ * @throws {ValidationError} When the sort is unknown or the page size exceeds MAX_REVIEWS_PER_REQUEST
+ * @throws {NotFoundError} When the product does not exist or is not for sale
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} ProductReviewsQuery
+ * @property {string} [sort=newest] - API_SORT_OPTIONS.REVIEWS value (newest, highest, helpful)
+ * @property {number} [page=1] - Page number (1-based)
+ * @property {number} [limit=REVIEWS_PER_PAGE] - Reviews per page
+ *
+ * @example
+ * // Most helpful reviews first
+ * GET /api/reviews/product/665f0a1b2c3d4e5f60123456?sort=helpful
+ * // Returns: { data: { reviews: [{ id, rating: 4, title, body, authorName: "Sam D.", verifiedPurchase: true,
+ * //   helpfulCount: 12, createdAt }], summary: { averageRating: 4.3, reviewCount: 18,
+ * //   distribution: { 1: 0, 2: 1, 3: 2, 4: 5, 5: 10 } }, pagination } }
+ */
+export async function GET(request, { params }) {
+  const { productId } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.productReviews}/${productId}`;
+
+  try {
+    if (!FEATURES.PRODUCT_REVIEWS.enabled) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.REVIEWS_DISABLED,
+        "Product reviews are currently disabled",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    if (!isValidObjectId(productId)) {
+      return createNotFoundResponse("Product", productId, { endpoint });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const sort = searchParams.get("sort") || "newest";
+    const rawLimit = Number.parseInt(searchParams.get("limit"), 10) || REVIEWS_PER_PAGE;
+    const rawPage = Number.parseInt(searchParams.get("page"), 10) || 1;
+    const maxLimit = API_VALIDATION_LIMITS.MAX_REVIEWS_PER_REQUEST;
+
+    const sortValidation = validateSort(sort, API_SORT_OPTIONS.REVIEWS, endpoint);
+    if (!sortValidation.isValid) return sortValidation.response;
+
+    const paginationValidation = validatePagination({
+      limit: rawLimit,
+      page: rawPage,
+      maxLimit,
+      endpoint,
+    });
+    if (!paginationValidation.isValid) return paginationValidation.response;
+
+    await dbConnect();
+    const Product = (await import("@lib/mongodb/models/product")).default;
+    const Review = (await import("@lib/mongodb/models/review")).default;
+
+    const product = await Product.findOne(
+      { _id: productId, isActive: true },
+      "averageRating reviewCount"
+    ).lean();
+    if (!product) return createNotFoundResponse("Product", productId, { endpoint });
+
+    const filter = { product: productId, status: REVIEW_STATUS.APPROVED };
+    const pagination = buildPagination({ page: rawPage, limit: rawLimit, maxLimit });
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .sort(buildReviewSort(sort))
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      Review.countDocuments(filter),
+      Review.getRatingDistribution(productId),
+    ]);
+
+    return createSuccessResponse(
+      {
+        reviews: reviews.map(review => transformReview(review)),
+        summary: {
+          averageRating: product.averageRating || 0,
+          reviewCount: product.reviewCount || 0,
+          distribution,
+        },
+        pagination: buildPaginationMeta(pagination.page, pagination.limit, total),
+      },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.REVIEWS_RETRIEVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "list-product-reviews",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.REVIEWS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/reviews/product/[productId] - CORS preflight handler for product review listing endpoint
+ * @returns {Response} CORS headers configured for GET-only operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("GET_ONLY");
+}
@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Review API endpoint for submitting product reviews and for the administrator moderation queue
+ * Signed-in customers review a product once; with FEATURES.PRODUCT_REVIEWS.moderateReviews on the review waits
+ * in the queue until an administrator approves it, otherwise it is published and counted in the product rating
+ * straight away. requireVerifiedPurchase limits reviews to customers with a paid order containing the product
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  API_VALIDATION_LIMITS,
+  ERROR_TYPES,
+  FEATURES,
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  REVIEW_STATUS,
+  REVIEWS_PER_PAGE,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  buildPagination,
+  buildPaginationMeta,
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getRequestUserId,
+  getReviewAuthorName,
+  isValidObjectId,
+  pickReviewFields,
+  transformReview,
+  validatePagination,
+  validateRequiredFields,
+  validateReviewFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "reviews-api";
+
+/**
+ * MongoDB duplicate key error code, raised when a customer reviews the same product twice at once
+ * @type {number}
+ */
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Builds the response for a customer who has already reviewed the product
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} Conflict response
+ */
+const createDuplicateReviewResponse = endpoint =>
+  createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.REVIEW_ALREADY_EXISTS,
+    "Delete your existing review to write a new one",
+    { endpoint },
+    HTTP_STATUS.CONFLICT
+  );
+
+/**
+ * Checks that a customer may review a product and whether they bought it
+ * @param {Object} models - Order, Product, and Review mongoose models
+ * @param {string} productId - Reviewed product ID
+ * @param {string} userId - Reviewing customer ID
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Promise<Object>} { verifiedPurchase }, or { response } when the review cannot be written
+ */
+const checkReviewEligibility = async ({ Order, Product, Review }, productId, userId, endpoint) => {
+  if (!(await Product.exists({ _id: productId, isActive: true }))) {
+    return { response: createNotFoundResponse("Product", productId, { endpoint }) };
+  }
+
+  const [purchase, existingReview] = await Promise.all([
+    Order.exists({
+      user: userId,
+      "items.product": productId,
+      paymentStatus: { $in: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED] },
+    }),
+    Review.exists({ product: productId, user: userId }),
+  ]);
+
+  if (FEATURES.PRODUCT_REVIEWS.requireVerifiedPurchase && !purchase) {
+    return {
+      response: createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.VERIFIED_PURCHASE_REQUIRED,
+        "No paid order for this product was found on your account",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      ),
+    };
+  }
+
+  if (existingReview) return { response: createDuplicateReviewResponse(endpoint) };
+  return { verifiedPurchase: Boolean(purchase) };
+};
+
+/**
+ * POST /api/reviews - Submit a review of a product
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and review details
+ * @returns {Promise<Response>} JSON response with the review and whether it is published or awaiting moderation
+ * @throws {AuthorizationError} When reviews are disabled or a verified purchase is required and missing
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {ValidationError} When the rating, title, or text break the review limits
+ * @throws {NotFoundError} When the product does not exist or is not for sale
+ * @throws {ConflictError} When the customer has already reviewed the product
+ * @throws {DatabaseError} When MongoDB connection or writes fail
+ *
+ * @typedef {Object} ReviewSubmission
+ * @property {string} productId - Reviewed product ID
+ * @property {number} rating - Whole-star rating from 1 to RATING_SCALE
+ * @property {string} [title] - Headline, up to MAX_REVIEW_TITLE_LENGTH characters
+ * @property {string} body - Review text, MIN_REVIEW_LENGTH to REVIEW_CHAR_LIMIT characters
+ *
+ * @example
+ * // Review a jacket
+ * POST /api/reviews
+ * Cookie: appSession=<Auth0 session>
+ * { "productId": "665f0a...", "rating": 5, "title": "Warm and sharp", "body": "Fits true to size and ..." }
+ * // Returns: { data: { review: { id, rating: 5, authorName: "Sam D.", verifiedPurchase: true,
+ * //   status: "pending", ... } }, meta: { message: "Thanks! Your review will appear once it has been checked" } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.reviews}`;
+
+  try {
+    if (!FEATURES.PRODUCT_REVIEWS.enabled) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.REVIEWS_DISABLED,
+        "Product reviews are currently disabled",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Writing a review requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const validation = validateRequiredFields(
+      { productId: body.productId, rating: body.rating, body: body.body },
+      API_REQUIRED_FIELDS.REVIEW_CREATE,
+      endpoint
+    );
+    if (!validation.isValid) return validation.response;
+
+    if (!isValidObjectId(body.productId)) {
+      return createNotFoundResponse("Product", body.productId, { endpoint });
+    }
+
+    const fields = pickReviewFields(body);
+    const errors = validateReviewFields(fields);
+    if (Object.keys(errors).length) {
+      return createValidationErrorResponse(API_RESPONSE_MESSAGES.ERROR.VALIDATION_FAILED, errors, {
+        endpoint,
+      });
+    }
+
+    await dbConnect();
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    const Product = (await import("@lib/mongodb/models/product")).default;
+    const Review = (await import("@lib/mongodb/models/review")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "Writing a review requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { response, verifiedPurchase } = await checkReviewEligibility(
+      { Order, Product, Review },
+      body.productId,
+      userId,
+      endpoint
+    );
+    if (response) return response;
+
+    const review = await Review.submit(
+      {
+        ...fields,
+        product: body.productId,
+        user: user._id,
+        authorName: getReviewAuthorName(user),
+        verifiedPurchase,
+      },
+      { moderate: FEATURES.PRODUCT_REVIEWS.moderateReviews }
+    );
+
+    const message =
+      review.status === REVIEW_STATUS.APPROVED
+        ? API_RESPONSE_MESSAGES.SUCCESS.REVIEW_PUBLISHED
+        : API_RESPONSE_MESSAGES.SUCCESS.REVIEW_SUBMITTED;
+
+    return createSuccessResponse(
+      { review: transformReview(review, { includeModeration: true }) },
+      { endpoint, message },
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) return createDuplicateReviewResponse(endpoint);
+
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "submit-review",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.REVIEWS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * GET /api/reviews - List reviews by moderation status for administrators, oldest first
+ * Defaults to the pending queue; approved and rejected reviews can be listed to revisit earlier decisions
+ * @param {Request} request - Next.js API request object with Auth0 session cookie, status, and pagination params
+ * @returns {Promise<Response>} JSON response with a page of reviews, their moderation details, and pagination
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {AuthorizationError} When the user is not an administrator
+ * @throws {ValidationError} When the status is unknown or the page size exceeds MAX_REVIEWS_PER_REQUEST
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} ModerationQueueQuery
+ * @property {string} [status=pending] - REVIEW_STATUS value
+ * @property {string} [productId] - Only list reviews of this product
+ * @property {number} [page=1] - Page number (1-based)
+ * @property {number} [limit=REVIEWS_PER_PAGE] - Reviews per page
+ *
+ * @example
+ * // Next reviews waiting on a decision
+ * GET /api/reviews?status=pending
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { reviews: [{ id, productName: "Denim Jacket", rating: 2, body, status: "pending",
+ * //   userId, ... }], pagination } }
+ */
+export async function GET(request) {
+  const endpoint = `/api/${API_ENDPOINTS.reviews}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+
+    if (!userId) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "The moderation queue requires a signed-in administrator",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get("status") || REVIEW_STATUS.PENDING;
+    const productId = searchParams.get("productId");
+
+    const invalidField = [
+      !Object.values(REVIEW_STATUS).includes(status) && "status",
+      productId && !isValidObjectId(productId) && "productId",
+    ].find(Boolean);
+
+    if (invalidField) {
+      return createValidationErrorResponse(
+        API_RESPONSE_MESSAGES.VALIDATION.INVALID_FORMAT(invalidField),
+        { field: invalidField, statuses: Object.values(REVIEW_STATUS) },
+        { endpoint }
+      );
+    }
+
+    const rawLimit = Number.parseInt(searchParams.get("limit"), 10) || REVIEWS_PER_PAGE;
+    const rawPage = Number.parseInt(searchParams.get("page"), 10) || 1;
+    const maxLimit = API_VALIDATION_LIMITS.MAX_REVIEWS_PER_REQUEST;
+
+    const paginationValidation = validatePagination({
+      limit: rawLimit,
+      page: rawPage,
+      maxLimit,
+      endpoint,
+    });
+    if (!paginationValidation.isValid) return paginationValidation.response;
+
+    await dbConnect();
+    const Review = (await import("@lib/mongodb/models/review")).default;
+    const User = (await import("@lib/mongodb/models/user")).default;
+
+    const user = await User.findById(userId);
+    if (!user?.isAdmin()) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ADMIN_REQUIRED,
+        "The moderation queue is only available to administrators",
+        { endpoint },
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const filter = { status, ...(productId && { product: productId }) };
+    const pagination = buildPagination({ page: rawPage, limit: rawLimit, maxLimit });
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate("product", "name slug")
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+
+    return createSuccessResponse(
+      {
+        reviews: reviews.map(review => ({
+          ...transformReview(review, { includeModeration: true }),
+          productName: review.product?.name,
+        })),
+        pagination: buildPaginationMeta(pagination.page, pagination.limit, total),
+      },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.REVIEWS_RETRIEVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "list-moderation-queue",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.REVIEWS_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/reviews - CORS preflight handler for reviews endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
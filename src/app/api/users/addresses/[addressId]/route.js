@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Address book entry API endpoint for editing and deleting one of the signed-in customer's addresses
+ * Updates are validated as a whole address, so changing the country re-checks the postal code against it
+ * Making an address the default, changing its type, or deleting it hands the default over so each type keeps one
+ */
+
+import { API_ENDPOINTS, API_RESPONSE_MESSAGES, ERROR_TYPES, HTTP_STATUS } from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getRequestUserId,
+  isValidObjectId,
+  normalizeDefaultAddresses,
+  pickAddressFields,
+  transformAddress,
+  transformAddressBook,
+  validateAddressFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "address-detail-api";
+
+/**
+ * Loads the signed-in customer and the address being changed
+ * @param {Request} request - Incoming API request
+ * @param {string} addressId - Address subdocument ID
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Promise<Object>} The user and address, or an error response when either cannot be used
+ */
+const loadAddress = async (request, addressId, endpoint) => {
+  const userId = await getRequestUserId(request);
+
+  if (!userId) {
+    return {
+      response: createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+        "The address book requires a signed-in user",
+        { endpoint },
+        HTTP_STATUS.UNAUTHORIZED
+      ),
+    };
+  }
+
+  if (!isValidObjectId(addressId)) {
+    return { response: createNotFoundResponse("Address", addressId, { endpoint }) };
+  }
+
+  await dbConnect();
+  const User = (await import("@lib/mongodb/models/user")).default;
+  const user = await User.findById(userId).select("addresses");
+  const address = user?.addresses.id(addressId);
+
+  if (!address) return { response: createNotFoundResponse("Address", addressId, { endpoint }) };
+  return { user, address };
+};
+
+/**
+ * PATCH /api/users/addresses/[addressId] - Update a saved address or make it the default for its type
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and the fields to change
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.addressId - Address ID
+ * @returns {Promise<Response>} JSON response with the updated address and address book
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {ValidationError} When the updated address is invalid for its country
+ * @throws {NotFoundError} When the address does not exist in the customer's address book
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @example
+ * // Make a saved address the default shipping address
+ * PATCH /api/users/addresses/6660a1b2c3d4e5f601234567
+ * Cookie: appSession=<Auth0 session>
+ * { "isDefault": true }
+ * // Returns: { data: { address: { id, isDefault: true, ... }, addresses: [...] } }
+ */
+export async function PATCH(request, { params }) {
+  const { addressId } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.addresses}/${addressId}`;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { address, response, user } = await loadAddress(request, addressId, endpoint);
+    if (response) return response;
+
+    const fields = pickAddressFields(body || {});
+    const errors = validateAddressFields({ ...transformAddress(address), ...fields });
+    if (Object.keys(errors).length) {
+      return createValidationErrorResponse(API_RESPONSE_MESSAGES.ERROR.INVALID_ADDRESS, errors, {
+        endpoint,
+      });
+    }
+
+    address.set(fields);
+    normalizeDefaultAddresses(user.addresses, address);
+    await user.save();
+
+    return createSuccessResponse(
+      { address: transformAddress(address), addresses: transformAddressBook(user.addresses) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ADDRESS_SAVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "update-address",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ADDRESSES_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * DELETE /api/users/addresses/[addressId] - Remove a saved address
+ * @param {Request} request - Next.js API request object with Auth0 session cookie
+ * @param {Object} context - Route context with parameters
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.addressId - Address ID
+ * @returns {Promise<Response>} JSON response with the remaining address book
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {NotFoundError} When the address does not exist in the customer's address book
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @example
+ * DELETE /api/users/addresses/6660a1b2c3d4e5f601234567
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { addresses: [...] } }
+ */
+export async function DELETE(request, { params }) {
+  const { addressId } = await params;
+  const endpoint = `/api/${API_ENDPOINTS.addresses}/${addressId}`;
+
+  try {
+    const { address, response, user } = await loadAddress(request, addressId, endpoint);
+    if (response) return response;
+
+    address.deleteOne();
+    normalizeDefaultAddresses(user.addresses);
+    await user.save();
+
+    return createSuccessResponse(
+      { addresses: transformAddressBook(user.addresses) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ADDRESS_DELETED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "delete-address",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ADDRESSES_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/users/addresses/[addressId] - CORS preflight handler for address book entry endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
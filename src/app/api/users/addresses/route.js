@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Address book API endpoint for listing and saving the signed-in customer's addresses
+ * Validates each address against its country, caps the book at MAX_ADDRESSES, and keeps one default per type
+ * The first address saved for a type becomes its default; "both" addresses serve as shipping and billing addresses
+ */
+
+import {
+  API_ENDPOINTS,
+  API_REQUIRED_FIELDS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  MAX_ADDRESSES,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getRequestUserId,
+  normalizeDefaultAddresses,
+  pickAddressFields,
+  transformAddress,
+  transformAddressBook,
+  validateAddressFields,
+  validateRequiredFields,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "addresses-api";
+
+/**
+ * Creates the response for requests made without a signed-in user
+ * @param {string} endpoint - Endpoint path for response metadata
+ * @returns {Response} 401 error response
+ */
+const createSignInRequiredResponse = endpoint =>
+  createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.AUTHENTICATION_REQUIRED,
+    "The address book requires a signed-in user",
+    { endpoint },
+    HTTP_STATUS.UNAUTHORIZED
+  );
+
+/**
+ * GET /api/users/addresses - List the signed-in customer's saved addresses
+ * @param {Request} request - Next.js API request object with Auth0 session cookie
+ * @returns {Promise<Response>} JSON response with the saved addresses, defaults first
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {NotFoundError} When the user no longer exists
+ * @throws {DatabaseError} When MongoDB connection or query fails
+ *
+ * @typedef {Object} SavedAddress
+ * @property {string} id - Address ID
+ * @property {string} type - ADDRESS_TYPES value (shipping, billing, or both)
+ * @property {string} firstName - Recipient first name (may be empty)
+ * @property {string} lastName - Recipient last name (may be empty)
+ * @property {string} addressLine1 - Street address
+ * @property {string} addressLine2 - Apartment, suite, or unit (may be empty)
+ * @property {string} city - City
+ * @property {string} state - State or province (may be empty)
+ * @property {string} postalCode - ZIP or postal code
+ * @property {string} country - SUPPORTED_COUNTRIES code
+ * @property {string} phoneNumber - Recipient phone number (may be empty)
+ * @property {boolean} isDefault - Whether this is the default address for its type
+ *
+ * @example
+ * GET /api/users/addresses
+ * Cookie: appSession=<Auth0 session>
+ * // Returns: { data: { addresses: [{ id, type: "shipping", addressLine1: "1 Main St", isDefault: true, ... }] } }
+ */
+export async function GET(request) {
+  const endpoint = `/api/${API_ENDPOINTS.addresses}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+    if (!userId) return createSignInRequiredResponse(endpoint);
+
+    await dbConnect();
+    const User = (await import("@lib/mongodb/models/user")).default;
+    const user = await User.findById(userId).select("addresses").lean();
+
+    if (!user) return createNotFoundResponse("User", userId, { endpoint });
+
+    return createSuccessResponse(
+      { addresses: transformAddressBook(user.addresses) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ADDRESSES_RETRIEVED }
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "get-addresses",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ADDRESSES_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * POST /api/users/addresses - Save a new address to the signed-in customer's address book
+ * @param {Request} request - Next.js API request object with Auth0 session cookie and the address
+ * @returns {Promise<Response>} JSON response with the saved address and the updated address book
+ * @throws {AuthenticationError} When no signed-in user is associated with the request
+ * @throws {ValidationError} When fields are missing or invalid for the address country
+ * @throws {NotFoundError} When the user no longer exists
+ * @throws {ConflictError} When the address book already holds MAX_ADDRESSES addresses
+ * @throws {DatabaseError} When MongoDB connection or update fails
+ *
+ * @typedef {Object} AddressCreateData
+ * @property {string} type - ADDRESS_TYPES value
+ * @property {string} [firstName] - Recipient first name
+ * @property {string} [lastName] - Recipient last name
+ * @property {string} addressLine1 - Street address
+ * @property {string} [addressLine2] - Apartment, suite, or unit
+ * @property {string} city - City
+ * @property {string} [state] - State or province, required where the country uses one in addresses
+ * @property {string} postalCode - ZIP or postal code, checked against the country's format
+ * @property {string} country - SUPPORTED_COUNTRIES code
+ * @property {string} [phoneNumber] - Recipient phone number, checked against the country's number length
+ * @property {boolean} [isDefault=false] - Make this the default address for its type
+ *
+ * @example
+ * POST /api/users/addresses
+ * Cookie: appSession=<Auth0 session>
+ * { "type": "both", "firstName": "Sam", "lastName": "Lee", "addressLine1": "1 Main St", "city": "Austin", "state": "TX", "postalCode": "78701", "country": "US", "isDefault": true }
+ * // Returns: { data: { address: { id, type: "both", isDefault: true, ... }, addresses: [...] } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.addresses}`;
+
+  try {
+    const userId = await getRequestUserId(request);
+    if (!userId) return createSignInRequiredResponse(endpoint);
+
+    const body = await request.json().catch(() => ({}));
+    const fields = pickAddressFields(body || {});
+    const validation = validateRequiredFields(fields, API_REQUIRED_FIELDS.ADDRESS_CREATE, endpoint);
+    if (!validation.isValid) return validation.response;
+
+    const errors = validateAddressFields(fields);
+    if (Object.keys(errors).length) {
+      return createValidationErrorResponse(API_RESPONSE_MESSAGES.ERROR.INVALID_ADDRESS, errors, {
+        endpoint,
+      });
+    }
+
+    await dbConnect();
+    const User = (await import("@lib/mongodb/models/user")).default;
+    const user = await User.findById(userId).select("addresses");
+
+    if (!user) return createNotFoundResponse("User", userId, { endpoint });
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return createErrorResponse(
+        API_RESPONSE_MESSAGES.ERROR.ADDRESS_LIMIT_REACHED(MAX_ADDRESSES),
+        "Delete an address before adding another",
+        { endpoint, maxAddresses: MAX_ADDRESSES },
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    user.addresses.push({ ...fields, isDefault: Boolean(fields.isDefault) });
+    const address = user.addresses.at(-1);
+    normalizeDefaultAddresses(user.addresses, address);
+    await user.save();
+
+    return createSuccessResponse(
+      { address: transformAddress(address), addresses: transformAddressBook(user.addresses) },
+      { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.ADDRESS_SAVED },
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "create-address",
+      endpoint,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.ADDRESSES_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/users/addresses - CORS preflight handler for address book endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
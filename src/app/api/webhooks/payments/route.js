@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Payment webhook receiver for the configured payment provider
+ * Verifies the provider signature against the raw body before trusting anything in the event
+ * Claims each provider event id once, so redelivered events are acknowledged without being applied again
+ * Applies payment.succeeded and payment.failed to the matching order's paymentStatus and status
+ */
+
+import {
+  API_ENDPOINTS,
+  API_RESPONSE_MESSAGES,
+  ERROR_TYPES,
+  HTTP_STATUS,
+  REQUEST_HEADERS,
+} from "@config/constants";
+import dbConnect from "@lib/mongodb/client";
+import { getPaymentProvider } from "@lib/payments";
+import { errorHandler } from "@modules/core/utils";
+import {
+  createCorsResponse,
+  createErrorResponse,
+  createSuccessResponse,
+} from "@modules/core/utils/api";
+
+const ERROR_SOURCE = "payment-webhooks-api";
+
+/**
+ * Finds the order a payment intent belongs to
+ * @param {Object} Order - Order model
+ * @param {PaymentIntent} intent - Normalized payment intent from the event
+ * @returns {Promise<Object|null>} Order document, or null when no order matches
+ */
+const findIntentOrder = async (Order, intent) => {
+  const order = await Order.findOne({ stripePaymentIntentId: intent.id });
+  if (order || !intent.metadata?.orderNumber) return order;
+
+  // The intent id is saved after creation, so fall back to the order number attached as metadata
+  return Order.findOne({ orderNumber: intent.metadata.orderNumber });
+};
+
+/**
+ * POST /api/webhooks/payments - Receive a payment provider event
+ * @param {Request} request - Next.js API request object with the raw event body and signature header
+ * @returns {Promise<Response>} JSON acknowledgement; any 2xx stops the provider from retrying
+ * @throws {ValidationError} When the signature header is missing, stale, or does not match the body (400)
+ * @throws {DatabaseError} When the event cannot be applied; the claim is released so the provider's retry is handled
+ *
+ * @typedef {Object} PaymentWebhookAcknowledgement
+ * @property {boolean} received - Always true for accepted deliveries
+ * @property {string} eventId - Provider event id
+ * @property {boolean} [duplicate] - True when the event was already processed
+ * @property {boolean} [ignored] - True when the event type or order is not handled
+ * @property {string} [orderNumber] - Order the event was applied to
+ * @property {string} [paymentStatus] - Order paymentStatus after the event
+ * @property {string} [status] - Order status after the event
+ *
+ * @example
+ * // Stripe delivery for a successful payment
+ * POST /api/webhooks/payments
+ * Stripe-Signature: t=1760000000,v1=5257a869e7...
+ * { "id": "evt_1Q...", "type": "payment_intent.succeeded", "data": { "object": { "id": "pi_3Q...", ... } } }
+ * // Returns: { data: { received: true, eventId: "evt_1Q...", orderNumber, paymentStatus: "paid", status: "processing" } }
+ *
+ * @example
+ * // Redelivery of the same event
+ * // Returns: { data: { received: true, eventId: "evt_1Q...", duplicate: true } }
+ */
+export async function POST(request) {
+  const endpoint = `/api/${API_ENDPOINTS.paymentWebhooks}`;
+  const payload = await request.text();
+
+  let provider;
+  let event;
+  try {
+    provider = getPaymentProvider();
+    event = provider.parseWebhook(payload, request.headers.get(REQUEST_HEADERS.paymentSignature));
+  } catch (error) {
+    const isSignatureError = error.status === HTTP_STATUS.BAD_REQUEST;
+
+    errorHandler.handleError(
+      error,
+      isSignatureError ? ERROR_TYPES.AUTHENTICATION_ERROR : ERROR_TYPES.API_ERROR,
+      { source: ERROR_SOURCE, action: "verify-webhook-signature", endpoint }
+    );
+
+    return createErrorResponse(
+      isSignatureError
+        ? API_RESPONSE_MESSAGES.ERROR.INVALID_WEBHOOK_SIGNATURE
+        : API_RESPONSE_MESSAGES.ERROR.WEBHOOK_FAILED,
+      error.message,
+      { endpoint },
+      error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+
+  const meta = { endpoint, message: API_RESPONSE_MESSAGES.SUCCESS.WEBHOOK_RECEIVED };
+  if (!event.type || !event.intent) {
+    return createSuccessResponse({ received: true, eventId: event.id, ignored: true }, meta);
+  }
+
+  try {
+    await dbConnect();
+    const Order = (await import("@lib/mongodb/models/order")).default;
+    const WebhookEvent = (await import("@lib/mongodb/models/webhook-event")).default;
+
+    if (!(await WebhookEvent.claim(provider.name, event))) {
+      return createSuccessResponse({ received: true, eventId: event.id, duplicate: true }, meta);
+    }
+
+    try {
+      const order = await findIntentOrder(Order, event.intent);
+
+      if (!order) {
+        await WebhookEvent.markProcessed(provider.name, event.id);
+        return createSuccessResponse({ received: true, eventId: event.id, ignored: true }, meta);
+      }
+
+      await order.applyPaymentIntent(event.intent, { eventId: event.id });
+      await WebhookEvent.markProcessed(provider.name, event.id, {
+        orderNumber: order.orderNumber,
+      });
+
+      return createSuccessResponse(
+        {
+          received: true,
+          eventId: event.id,
+          orderNumber: order.orderNumber,
+          paymentStatus: order.paymentStatus,
+          status: order.status,
+        },
+        meta
+      );
+    } catch (error) {
+      await WebhookEvent.release(provider.name, event.id);
+      throw error;
+    }
+  } catch (error) {
+    errorHandler.handleError(error, ERROR_TYPES.DATABASE_ERROR, {
+      source: ERROR_SOURCE,
+      action: "process-payment-webhook",
+      endpoint,
+      eventId: event.id,
+    });
+
+    return createErrorResponse(API_RESPONSE_MESSAGES.ERROR.WEBHOOK_FAILED, error.message, {
+      endpoint,
+    });
+  }
+}
+
+/**
+ * OPTIONS /api/webhooks/payments - CORS preflight handler for payment webhook endpoint
+ * @returns {Response} CORS headers configured for read-write operations
+ */
+export async function OPTIONS() {
+  return createCorsResponse("READ_WRITE");
+}
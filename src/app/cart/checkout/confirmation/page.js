@@ -0,0 +1,7 @@
+import { CHECKOUT_STEPS } from "@config/constants";
+import CheckoutPage from "@design-system/pages/CheckoutPage";
+
+function Confirmation() {
+  return <CheckoutPage step={CHECKOUT_STEPS.CONFIRMATION} />;
+}
+export default Confirmation;
@@ -1,4 +1,8 @@
+import { redirect } from "next/navigation";
+
+import { ROUTES } from "@config/constants";
+
 function Checkout() {
-  return <div>Checkout</div>;
+  redirect(ROUTES.CHECKOUT_SHIPPING);
 }
 export default Checkout;
@@ -1,4 +1,7 @@
+import { CHECKOUT_STEPS } from "@config/constants";
+import CheckoutPage from "@design-system/pages/CheckoutPage";
+
 function Payment() {
-  return <div>Payment</div>;
+  return <CheckoutPage step={CHECKOUT_STEPS.PAYMENT} />;
 }
 export default Payment;
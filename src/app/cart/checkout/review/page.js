@@ -0,0 +1,7 @@
+import { CHECKOUT_STEPS } from "@config/constants";
+import CheckoutPage from "@design-system/pages/CheckoutPage";
+
+function Review() {
+  return <CheckoutPage step={CHECKOUT_STEPS.REVIEW} />;
+}
+export default Review;
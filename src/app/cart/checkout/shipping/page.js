@@ -1,4 +1,7 @@
+import { CHECKOUT_STEPS } from "@config/constants";
+import CheckoutPage from "@design-system/pages/CheckoutPage";
+
 function Shipping() {
-  return <div>Shipping</div>;
+  return <CheckoutPage step={CHECKOUT_STEPS.SHIPPING} />;
 }
 export default Shipping;
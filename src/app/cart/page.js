@@ -1,4 +1,6 @@
+import CartPage from "@design-system/pages/CartPage";
+
 function Cart() {
-  return <div>Cart</div>;
+  return <CartPage />;
 }
 export default Cart;
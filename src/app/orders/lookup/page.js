@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Guest order lookup route
+ * Path: src/app/orders/lookup/page.js
+ * Example: /orders/lookup or a signed link /orders/lookup?orderNumber=...&email=...&expires=...&signature=...
+ */
+
+import PropTypes from "prop-types";
+
+import OrderLookupPage from "@design-system/pages/OrderLookupPage";
+
+/**
+ * Order lookup route - passes the signed link parameters from the URL to OrderLookupPage
+ * @param {Object} props - Component props
+ * @param {Promise<Object>} props.searchParams - URL query parameters extracted by Next.js (must be awaited)
+ */
+export default async function OrderLookup({ searchParams }) {
+  const { email, expires, orderNumber, signature } = await searchParams;
+
+  return <OrderLookupPage linkParams={{ email, expires, orderNumber, signature }} />;
+}
+
+OrderLookup.propTypes = {
+  searchParams: PropTypes.object.isRequired,
+};
@@ -111,6 +111,8 @@ export const API_ENDPOINTS = {
   cartShipping: "cart/shipping",
   cartTaxes: "cart/taxes",
   cartPromo: "cart/promo",
+  cartMerge: "cart/merge",
+  cartValidate: "cart/validate",
 
   // Checkout endpoints
   checkout: "checkout",
@@ -120,9 +122,14 @@ export const API_ENDPOINTS = {
 
   // Order endpoints
   orders: "orders",
+  orderLookup: "orders/lookup",
+  orderClaim: "orders/claim",
   orderStatus: "orders/status",
   orderTracking: "orders/tracking",
 
+  // Gift card endpoints
+  giftCardBalance: "gift-cards/balance",
+
   // Review endpoints
   reviews: "reviews",
   productReviews: "reviews/product",
@@ -150,6 +157,11 @@ export const API_ENDPOINTS = {
 
   // Inventory endpoints
   inventory: "inventory",
+  inventoryAdjustments: "inventory/adjustments",
+  restockSubscriptions: "inventory/subscriptions",
+
+  // Webhook endpoints
+  paymentWebhooks: "webhooks/payments",
 
   // Search endpoints
   search: "search",
@@ -167,6 +179,8 @@ export const API_TIMEOUT = 30000; // 30 seconds
  * @constant {Object} RATE_LIMIT
  * @property {number} maxRequests - Maximum requests allowed per time window
  * @property {number} timeWindow - Time window duration in milliseconds
+ * @property {number} trustedProxies - Proxies in front of the app that each append the address they received the
+ *   request from to X-Forwarded-For (1 for a single load balancer or the hosting platform's edge)
  *
  * @example
  * // Check rate limit configuration
@@ -181,6 +195,7 @@ export const API_TIMEOUT = 30000; // 30 seconds
 export const RATE_LIMIT = {
   maxRequests: 100,
   timeWindow: 60 * 1000, // 1 minute
+  trustedProxies: 1,
 };
 
 /**
@@ -250,6 +265,7 @@ export const HTTP_STATUS = {
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  PAYMENT_REQUIRED: 402,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   METHOD_NOT_ALLOWED: 405,
@@ -258,6 +274,7 @@ export const HTTP_STATUS = {
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   NOT_IMPLEMENTED: 501,
+  BAD_GATEWAY: 502,
   SERVICE_UNAVAILABLE: 503,
 };
 
@@ -309,6 +326,8 @@ export const REQUEST_HEADERS = {
   accept: "Accept",
   cacheControl: "Cache-Control",
   contentLanguage: "Content-Language",
+  webhookSignature: "X-Webhook-Signature",
+  paymentSignature: "Stripe-Signature",
 };
 
 /**
@@ -354,13 +373,18 @@ export const WEBHOOK_EVENTS = {
   ORDER_CANCELLED: "order.cancelled",
   PAYMENT_SUCCEEDED: "payment.succeeded",
   PAYMENT_FAILED: "payment.failed",
+  GIFT_CARD_ISSUED: "gift_card.issued",
   PRODUCT_CREATED: "product.created",
   PRODUCT_UPDATED: "product.updated",
   PRODUCT_DELETED: "product.deleted",
   INVENTORY_LOW: "inventory.low",
+  INVENTORY_RESTOCKED: "inventory.restocked",
   USER_REGISTERED: "user.registered",
 };
 
+/** @constant {number} Days a received provider webhook event id is kept for duplicate detection */
+export const WEBHOOK_EVENT_RETENTION_DAYS = 30;
+
 /**
  * CORS configuration templates for different API access patterns
  * @constant {Object} API_CORS_CONFIGS - CORS configuration presets
@@ -80,6 +80,29 @@ export const API_VALIDATION_LIMITS = {
   MAX_RELATED_PRODUCTS: 20,
   MAX_SEARCH_RESULTS: 100,
 
+  // Order endpoints
+  MAX_ORDERS_PER_REQUEST: 50,
+  MAX_REFUND_NOTE_LENGTH: 500,
+
+  // Inventory endpoints
+  MAX_INVENTORY_SKUS: 50,
+  MAX_INVENTORY_ADJUSTMENTS_PER_REQUEST: 100,
+  MAX_INVENTORY_NOTE_LENGTH: 500,
+
+  // Review endpoints
+  MAX_REVIEWS_PER_REQUEST: 50,
+  MAX_MODERATION_NOTE_LENGTH: 500,
+
+  // Cart endpoints
+  MAX_PROMO_CODE_LENGTH: 32,
+
+  // Gift card endpoints
+  MAX_GIFT_CARD_CODE_LENGTH: 32,
+  MAX_GIFT_CARD_REFERENCE_LENGTH: 128,
+
+  // Address endpoints
+  MAX_ADDRESS_FIELD_LENGTH: 100,
+
   // Content limits
   MAX_SEARCH_QUERY_LENGTH: 200,
   MIN_SEARCH_QUERY_LENGTH: 1,
@@ -137,6 +160,7 @@ export const API_SORT_OPTIONS = {
   FEATURED: ["rating", "newest", "popularity", "price-low", "price-high"],
   NEW_ARRIVALS: ["newest", "oldest", "price-low", "price-high", "rating"],
   BEST_SELLERS: ["popularity", "rating", "newest", "price-low", "price-high"],
+  REVIEWS: ["newest", "highest", "helpful"],
 };
 
 // =================================================================
@@ -217,6 +241,38 @@ export const API_RESPONSE_MESSAGES = {
     DATA_RETRIEVED: "Data retrieved successfully",
     NEWSLETTER_SUBSCRIBED: "Successfully subscribed to newsletter!",
     CONTENT_FETCHED: "Content retrieved successfully",
+    CART_RETRIEVED: "Cart retrieved successfully",
+    CART_UPDATED: "Cart updated successfully",
+    CART_MERGED: "Guest cart merged into account cart",
+    CART_VALIDATED: "Cart validated successfully",
+    ORDER_CREATED: "Order placed successfully",
+    ORDERS_RETRIEVED: "Orders retrieved successfully",
+    ORDER_FOUND: "Order found",
+    ORDERS_CLAIMED: "Guest orders added to your account",
+    ORDER_UPDATED: "Order updated successfully",
+    PAYMENT_INTENT_CREATED: "Payment started",
+    PAYMENT_CONFIRMED: "Payment processed",
+    WEBHOOK_RECEIVED: "Webhook received",
+    ORDER_REFUNDED: "Refund issued successfully",
+    PROMO_APPLIED: "Promo code applied",
+    PROMO_REMOVED: "Promo code removed",
+    GIFT_CARD_BALANCE_RETRIEVED: "Gift card balance retrieved",
+    TAXES_CALCULATED: "Taxes calculated",
+    SHIPPING_METHODS_RETRIEVED: "Shipping methods retrieved",
+    ADDRESSES_RETRIEVED: "Addresses retrieved successfully",
+    ADDRESS_SAVED: "Address saved",
+    ADDRESS_DELETED: "Address deleted",
+    INVENTORY_RETRIEVED: "Inventory retrieved successfully",
+    INVENTORY_ADJUSTED: "Inventory adjusted",
+    INVENTORY_ADJUSTMENTS_RETRIEVED: "Inventory adjustments retrieved successfully",
+    RESTOCK_SUBSCRIBED: "We'll email you when this item is back in stock",
+    RESTOCK_UNSUBSCRIBED: "Back-in-stock alert removed",
+    REVIEWS_RETRIEVED: "Reviews retrieved successfully",
+    REVIEW_SUBMITTED: "Thanks! Your review will appear once it has been checked",
+    REVIEW_PUBLISHED: "Thanks! Your review has been published",
+    REVIEW_MODERATED: "Review updated",
+    REVIEW_DELETED: "Review deleted",
+    REVIEW_MARKED_HELPFUL: "Thanks for your feedback",
   },
 
   ERROR: {
@@ -227,6 +283,49 @@ export const API_RESPONSE_MESSAGES = {
     NEWSLETTER_FAILED: "Failed to subscribe to newsletter",
     INVALID_EMAIL: "Please enter a valid email address",
     RATE_LIMIT_EXCEEDED: "Rate limit exceeded. Please try again later",
+    CART_FAILED: "Failed to update cart",
+    AUTHENTICATION_REQUIRED: "Sign in to continue",
+    QUANTITY_LIMIT_EXCEEDED: max => `Cannot add more than ${max} of the same item`,
+    ORDER_FAILED: "Failed to place order",
+    ORDERS_FAILED: "Failed to fetch orders",
+    ORDER_UPDATE_FAILED: "Failed to update order",
+    INVALID_STATUS_TRANSITION: "Invalid order status change",
+    ORDER_CANCEL_ONLY: "Customers can only cancel their own pending orders",
+    ORDER_LOOKUP_FAILED: "We couldn't find an order with those details",
+    ORDER_LINK_INVALID: "This order link is invalid or has expired",
+    EMAIL_NOT_VERIFIED: "Verify your email address to continue",
+    ITEM_UNAVAILABLE: "One or more items are no longer available",
+    INSUFFICIENT_STOCK: "One or more items no longer have enough stock",
+    PAYMENT_FAILED: "Payment could not be processed",
+    PAYMENT_DECLINED: "Your payment was declined",
+    ORDER_ALREADY_PAID: "This order has already been paid",
+    ORDER_NOT_PAYABLE: "This order can no longer be paid",
+    INVALID_WEBHOOK_SIGNATURE: "Invalid webhook signature",
+    WEBHOOK_FAILED: "Failed to process webhook",
+    ADMIN_REQUIRED: "Only administrators can perform this action",
+    REFUND_FAILED: "Failed to issue refund",
+    ORDER_NOT_REFUNDABLE: "This order has no payment left to refund",
+    INVALID_REFUND: "Invalid refund request",
+    PROMO_CODES_DISABLED: "Promo codes are not available right now",
+    PROMO_CODE_INVALID: "This promo code cannot be used",
+    PROMO_LIMIT_REACHED: max => `Only ${max} promo codes can be used per order`,
+    GIFT_CARDS_DISABLED: "Gift cards are not available right now",
+    GIFT_CARD_INVALID: "This gift card cannot be used",
+    GIFT_CARD_FAILED: "Failed to check gift card",
+    SHIPPING_METHODS_FAILED: "Failed to load shipping methods",
+    ADDRESSES_FAILED: "Failed to update addresses",
+    ADDRESS_LIMIT_REACHED: max => `You can save up to ${max} addresses`,
+    INVALID_ADDRESS: "This address cannot be saved",
+    INVENTORY_FAILED: "Failed to update inventory",
+    INVALID_INVENTORY_ADJUSTMENT: "Stock cannot go below zero",
+    RESTOCK_ALERTS_DISABLED: "Back-in-stock alerts are not available right now",
+    RESTOCK_SUBSCRIPTION_FAILED: "Failed to update back-in-stock alert",
+    VARIANT_IN_STOCK: "This item is in stock and can be ordered now",
+    REVIEWS_DISABLED: "Reviews are not available right now",
+    REVIEWS_FAILED: "Failed to update reviews",
+    REVIEW_ALREADY_EXISTS: "You have already reviewed this product",
+    VERIFIED_PURCHASE_REQUIRED: "Only customers who bought this product can review it",
+    REVIEW_NOT_ALLOWED: "You can only delete your own reviews",
   },
 
   VALIDATION: {
@@ -237,6 +336,7 @@ export const API_RESPONSE_MESSAGES = {
     LIMIT_EXCEEDED: max => `Limit cannot exceed ${max} items per request`,
     INVALID_PRICE_RANGE: "Minimum price cannot be greater than maximum price",
     INVALID_SORT: allowed => `Sort must be one of: ${allowed.join(", ")}`,
+    MIN_ORDER_AMOUNT: min => `Order total must be at least ${min}`,
   },
 };
 
@@ -366,6 +466,24 @@ export const API_REQUIRED_FIELDS = {
   PRODUCT_DETAIL: ["id"],
   RELATED_PRODUCTS: ["productId"],
   CONTENT_UPDATE: ["title"],
+  CART_ITEM_ADD: ["productId", "sku"],
+  CART_ITEM_UPDATE: ["lineId", "quantity"],
+  CART_VALIDATE: ["items"],
+  ORDER_CREATE: ["items", "shippingAddress", "shippingMethod"],
+  ORDER_LOOKUP: ["email", "orderNumber"],
+  ORDER_STATUS_UPDATE: ["status"],
+  PAYMENT_INTENT_CREATE: ["orderNumber", "paymentMethod"],
+  PAYMENT_CONFIRM: ["orderNumber"],
+  ORDER_REFUND: ["reason"],
+  CART_PROMO_APPLY: ["code"],
+  GIFT_CARD_BALANCE: ["code"],
+  CART_TAXES: ["country"],
+  ADDRESS_CREATE: ["type", "addressLine1", "city", "postalCode", "country"],
+  INVENTORY_READ: ["sku"],
+  INVENTORY_ADJUSTMENT: ["productId", "sku", "reason"],
+  RESTOCK_SUBSCRIPTION: ["sku", "email"],
+  REVIEW_CREATE: ["productId", "rating", "body"],
+  REVIEW_MODERATE: ["status"],
 };
 
 /**
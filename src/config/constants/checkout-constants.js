@@ -4,6 +4,8 @@
  * Supports multi-step checkout flow, payment processing, shipping calculations, and order status management
  */
 
+import { ROUTES } from "@config/routes";
+
 // =================================================================
 // CART CONFIGURATION
 // =================================================================
@@ -13,10 +15,40 @@
  * @constant {number} MAX_CART_ITEMS - Maximum items allowed in cart
  * @constant {string} CART_STORAGE_KEY - Local storage key for cart persistence
  * @constant {number} CART_EXPIRY - Cart expiration time in milliseconds
+ * @constant {number} CART_STORAGE_VERSION - Persisted cart schema version used for rehydrate migrations
+ * @constant {string} CART_SESSION_COOKIE - Cookie identifying an anonymous server-side cart
  */
 export const MAX_CART_ITEMS = 50;
 export const CART_STORAGE_KEY = "urban_echo_cart";
 export const CART_EXPIRY = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+export const CART_STORAGE_VERSION = 1; // v1: lines keyed by variant SKU instead of product ID
+export const CART_SESSION_COOKIE = "urban_echo_cart_session";
+
+/**
+ * Cart line validation warnings returned when lines are re-checked against the catalog
+ * Blocking warnings must be resolved before checkout can continue
+ * @constant {Object} CART_LINE_WARNINGS - Warning types for revalidated cart lines
+ * @constant {Array<string>} BLOCKING_CART_LINE_WARNINGS - Warning types that prevent checkout
+ *
+ * @example
+ * // Disable checkout when any line has a blocking warning
+ * const canCheckout = Object.values(lineWarnings)
+ *   .flat()
+ *   .every(warning => !BLOCKING_CART_LINE_WARNINGS.includes(warning.type));
+ */
+export const CART_LINE_WARNINGS = {
+  PRICE_CHANGED: "price_changed",
+  LOW_STOCK: "low_stock",
+  INSUFFICIENT_STOCK: "insufficient_stock",
+  OUT_OF_STOCK: "out_of_stock",
+  UNAVAILABLE: "unavailable",
+};
+
+export const BLOCKING_CART_LINE_WARNINGS = [
+  CART_LINE_WARNINGS.INSUFFICIENT_STOCK,
+  CART_LINE_WARNINGS.OUT_OF_STOCK,
+  CART_LINE_WARNINGS.UNAVAILABLE,
+];
 
 // =================================================================
 // CHECKOUT WORKFLOW
@@ -68,6 +100,37 @@ export const CHECKOUT_STEP_ORDER = [
   CHECKOUT_STEPS.CONFIRMATION,
 ];
 
+/**
+ * Checkout progress persistence configuration
+ * Progress is kept in sessionStorage so a reload resumes the current step without outliving the tab
+ * @constant {string} CHECKOUT_STORAGE_KEY - Session storage key for checkout progress
+ */
+export const CHECKOUT_STORAGE_KEY = "urban_echo_checkout";
+
+/**
+ * Customer-facing labels for each checkout step used by step tabs and breadcrumbs
+ * @constant {Object} CHECKOUT_STEP_LABELS - Display label keyed by checkout step
+ */
+export const CHECKOUT_STEP_LABELS = {
+  [CHECKOUT_STEPS.CART]: "Shopping Cart",
+  [CHECKOUT_STEPS.SHIPPING]: "Shipping Details",
+  [CHECKOUT_STEPS.PAYMENT]: "Payment Options",
+  [CHECKOUT_STEPS.REVIEW]: "Review Order",
+  [CHECKOUT_STEPS.CONFIRMATION]: "Order Confirmation",
+};
+
+/**
+ * Page route for each checkout step used for step navigation and out-of-order redirects
+ * @constant {Object} CHECKOUT_STEP_ROUTES - Route path keyed by checkout step
+ */
+export const CHECKOUT_STEP_ROUTES = {
+  [CHECKOUT_STEPS.CART]: ROUTES.CART,
+  [CHECKOUT_STEPS.SHIPPING]: ROUTES.CHECKOUT_SHIPPING,
+  [CHECKOUT_STEPS.PAYMENT]: ROUTES.CHECKOUT_PAYMENT,
+  [CHECKOUT_STEPS.REVIEW]: ROUTES.CHECKOUT_REVIEW,
+  [CHECKOUT_STEPS.CONFIRMATION]: ROUTES.CHECKOUT_CONFIRMATION,
+};
+
 // =================================================================
 // SHIPPING CONFIGURATION
 // =================================================================
@@ -88,6 +151,8 @@ export const INTERNATIONAL_SHIPPING_COST = 29.99;
 
 /**
  * Available shipping methods with pricing and delivery timeframes
+ * Delivery windows are in business days; international methods are offered only outside DEFAULT_COUNTRY,
+ * and domestic methods only inside it
  * @constant {Array<Object>} SHIPPING_METHODS - Complete shipping options configuration
  *
  * @example
@@ -126,6 +191,9 @@ export const SHIPPING_METHODS = [
     description: "5-7 business days",
     cost: STANDARD_SHIPPING_COST,
     freeThreshold: FREE_SHIPPING_THRESHOLD,
+    minDays: 5,
+    maxDays: 7,
+    isInternational: false,
   },
   {
     id: "express",
@@ -133,6 +201,9 @@ export const SHIPPING_METHODS = [
     description: "2-3 business days",
     cost: EXPRESS_SHIPPING_COST,
     freeThreshold: null,
+    minDays: 2,
+    maxDays: 3,
+    isInternational: false,
   },
   {
     id: "nextDay",
@@ -140,6 +211,9 @@ export const SHIPPING_METHODS = [
     description: "Next business day",
     cost: NEXT_DAY_SHIPPING_COST,
     freeThreshold: null,
+    minDays: 1,
+    maxDays: 1,
+    isInternational: false,
   },
   {
     id: "international",
@@ -147,6 +221,9 @@ export const SHIPPING_METHODS = [
     description: "7-14 business days",
     cost: INTERNATIONAL_SHIPPING_COST,
     freeThreshold: null,
+    minDays: 7,
+    maxDays: 14,
+    isInternational: true,
   },
 ];
 
@@ -159,9 +236,85 @@ export const SHIPPING_METHODS = [
  * @constant {number} DEFAULT_TAX_RATE - Default tax percentage
  * @constant {Array<string>} TAX_EXEMPTION_CATEGORIES - Product categories exempt from tax
  */
-export const DEFAULT_TAX_RATE = 0.07; // 7% tax rate
+export const DEFAULT_TAX_RATE = 0.07; // 7% tax rate, used until a shipping address is known
 export const TAX_EXEMPTION_CATEGORIES = ["clothing", "essentials"];
 
+/**
+ * Combined state and province sales tax rates, used instead of the country rate in TAX_FORMATS
+ * when the shipping address has a listed region; local district taxes are not included
+ * @constant {Object} REGIONAL_TAX_RATES - Tax rates keyed by country code, then state or province code
+ */
+export const REGIONAL_TAX_RATES = {
+  US: {
+    AL: 0.04,
+    AK: 0,
+    AZ: 0.056,
+    AR: 0.065,
+    CA: 0.0725,
+    CO: 0.029,
+    CT: 0.0635,
+    DE: 0,
+    DC: 0.06,
+    FL: 0.06,
+    GA: 0.04,
+    HI: 0.04,
+    ID: 0.06,
+    IL: 0.0625,
+    IN: 0.07,
+    IA: 0.06,
+    KS: 0.065,
+    KY: 0.06,
+    LA: 0.05,
+    ME: 0.055,
+    MD: 0.06,
+    MA: 0.0625,
+    MI: 0.06,
+    MN: 0.06875,
+    MS: 0.07,
+    MO: 0.04225,
+    MT: 0,
+    NE: 0.055,
+    NV: 0.0685,
+    NH: 0,
+    NJ: 0.06625,
+    NM: 0.04875,
+    NY: 0.04,
+    NC: 0.0475,
+    ND: 0.05,
+    OH: 0.0575,
+    OK: 0.045,
+    OR: 0,
+    PA: 0.06,
+    RI: 0.07,
+    SC: 0.06,
+    SD: 0.042,
+    TN: 0.07,
+    TX: 0.0625,
+    UT: 0.061,
+    VT: 0.06,
+    VA: 0.053,
+    WA: 0.065,
+    WV: 0.06,
+    WI: 0.05,
+    WY: 0.04,
+  },
+  CA: {
+    AB: 0.05,
+    BC: 0.12,
+    MB: 0.12,
+    NB: 0.15,
+    NL: 0.15,
+    NS: 0.14,
+    NT: 0.05,
+    NU: 0.05,
+    ON: 0.13,
+    PE: 0.15,
+    QC: 0.14975,
+    SK: 0.11,
+    YT: 0.05,
+  },
+};
+
 // =================================================================
 // PAYMENT CONFIGURATION
 // =================================================================
@@ -177,6 +330,55 @@ export const PAYMENT_METHODS = {
   GOOGLE_PAY: "google_pay",
 };
 
+/**
+ * Payment states recorded on an order, independent of its fulfilment status
+ * @constant {Object} PAYMENT_STATUS - Order payment states
+ */
+export const PAYMENT_STATUS = {
+  PENDING: "pending",
+  PAID: "paid",
+  FAILED: "failed",
+  PARTIALLY_REFUNDED: "partially_refunded",
+  REFUNDED: "refunded",
+};
+
+/**
+ * Reasons recorded with a refund; provider-recognized reasons are passed through to the payment provider
+ * @constant {Object} REFUND_REASONS - Refund reason codes
+ */
+export const REFUND_REASONS = {
+  REQUESTED_BY_CUSTOMER: "requested_by_customer",
+  RETURNED: "returned",
+  DAMAGED: "damaged",
+  WRONG_ITEM: "wrong_item",
+  DUPLICATE: "duplicate",
+  FRAUDULENT: "fraudulent",
+  OTHER: "other",
+};
+
+/**
+ * Payment provider identifiers selectable with the PAYMENT_PROVIDER environment variable
+ * The mock provider runs in-process so checkout works offline in development and tests
+ * @constant {Object} PAYMENT_PROVIDERS - Available payment provider implementations
+ */
+export const PAYMENT_PROVIDERS = {
+  STRIPE: "stripe",
+  MOCK: "mock",
+};
+
+/**
+ * Payment intent lifecycle states shared by every payment provider (mirrors Stripe's naming)
+ * @constant {Object} PAYMENT_INTENT_STATUS - Normalized payment intent states
+ */
+export const PAYMENT_INTENT_STATUS = {
+  REQUIRES_PAYMENT_METHOD: "requires_payment_method",
+  REQUIRES_CONFIRMATION: "requires_confirmation",
+  REQUIRES_ACTION: "requires_action",
+  PROCESSING: "processing",
+  SUCCEEDED: "succeeded",
+  CANCELED: "canceled",
+};
+
 /**
  * Credit card type validation and formatting patterns
  * @constant {Object} CREDIT_CARD_TYPES - Credit card brand configurations
@@ -275,6 +477,74 @@ export const ORDER_STATUS = {
   FAILED: "failed",
 };
 
+/**
+ * Allowed order status transitions; any move not listed here is rejected by Order.transitionStatus
+ * Orders only move forward through fulfilment, so e.g. a shipped order can never return to pending
+ * @constant {Object} ORDER_STATUS_TRANSITIONS - Next statuses keyed by current ORDER_STATUS value
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.BACKORDERED,
+    ORDER_STATUS.CANCELLED,
+    ORDER_STATUS.FAILED,
+  ],
+  [ORDER_STATUS.PROCESSING]: [
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.BACKORDERED,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.BACKORDERED]: [
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.ON_HOLD,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.ON_HOLD]: [ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.COMPLETED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.COMPLETED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.FAILED]: [ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+/**
+ * Statuses from which customers may cancel their own orders (admins follow ORDER_STATUS_TRANSITIONS)
+ * Customers can only cancel while the order is unpaid; paid orders are cancelled through a refund
+ * @constant {Array<string>} CUSTOMER_CANCELLABLE_STATUSES - Statuses open to customer cancellation
+ */
+export const CUSTOMER_CANCELLABLE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.ON_HOLD];
+
+/**
+ * Who caused an order status change, recorded on each statusHistory entry
+ * @constant {Object} ORDER_STATUS_ACTORS - Actor types for order status changes
+ */
+export const ORDER_STATUS_ACTORS = {
+  CUSTOMER: "customer",
+  ADMIN: "admin",
+  SYSTEM: "system",
+  PAYMENT_PROVIDER: "payment_provider",
+};
+
+/**
+ * Customer-facing labels for order statuses, used by order history status badges
+ * @constant {Object} ORDER_STATUS_LABELS - Display label keyed by ORDER_STATUS value
+ */
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: "Pending",
+  [ORDER_STATUS.PROCESSING]: "Processing",
+  [ORDER_STATUS.SHIPPED]: "Shipped",
+  [ORDER_STATUS.DELIVERED]: "Delivered",
+  [ORDER_STATUS.CANCELLED]: "Cancelled",
+  [ORDER_STATUS.REFUNDED]: "Refunded",
+  [ORDER_STATUS.ON_HOLD]: "On Hold",
+  [ORDER_STATUS.BACKORDERED]: "Backordered",
+  [ORDER_STATUS.COMPLETED]: "Completed",
+  [ORDER_STATUS.FAILED]: "Failed",
+};
+
 // =================================================================
 // PROMOTIONS AND DISCOUNTS
 // =================================================================
@@ -291,6 +561,30 @@ export const PROMO_CODE_TYPES = {
   GIFT: "gift",
 };
 
+// =================================================================
+// GIFT CARDS
+// =================================================================
+
+/**
+ * Gift card ledger entry types
+ * @constant {Object} GIFT_CARD_TRANSACTION_TYPES - Issued on purchase, debited when spent, credited on refund or cancellation
+ */
+export const GIFT_CARD_TRANSACTION_TYPES = {
+  ISSUE: "issue",
+  DEBIT: "debit",
+  CREDIT: "credit",
+};
+
+/**
+ * Gift card code and redemption settings
+ * @constant {number} GIFT_CARD_CODE_LENGTH - Characters in a generated code, excluding separators
+ * @constant {number} MAX_GIFT_CARDS_PER_ORDER - Gift cards that can pay towards a single order
+ * @constant {number} GIFT_CARD_REFERENCE_EXPIRY - How long the reference issued by a balance check can pay for an order (milliseconds)
+ */
+export const GIFT_CARD_CODE_LENGTH = 16;
+export const MAX_GIFT_CARDS_PER_ORDER = 3;
+export const GIFT_CARD_REFERENCE_EXPIRY = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
+
 // =================================================================
 // ORDER PROCESSING CONFIGURATION
 // =================================================================
@@ -299,14 +593,38 @@ export const PROMO_CODE_TYPES = {
  * Order confirmation and communication settings
  * @constant {number} ORDER_EMAIL_DELAY - Delay before sending confirmation email (milliseconds)
  * @constant {string} ORDER_NUMBER_PREFIX - Prefix for order number generation
+ * @constant {number} ORDER_NUMBER_SEQUENCE_DIGITS - Minimum digits of the yearly sequence in an order number (zero padded)
+ * @constant {number} ORDER_NUMBER_MAX_ATTEMPTS - Order numbers to try before giving up when drawn numbers are already taken
+ * @constant {number} ORDER_LOOKUP_LINK_EXPIRY - How long a signed guest order link stays valid (milliseconds)
+ * @constant {number} INVENTORY_HOLD_DURATION - How long stock stays held for an order awaiting payment (milliseconds)
  */
 export const ORDER_EMAIL_DELAY = 5 * 60 * 1000; // 5 minutes in milliseconds
 export const ORDER_NUMBER_PREFIX = "UE-";
+export const ORDER_NUMBER_SEQUENCE_DIGITS = 6;
+export const ORDER_NUMBER_MAX_ATTEMPTS = 5;
+export const ORDER_LOOKUP_LINK_EXPIRY = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+export const INVENTORY_HOLD_DURATION = 15 * 60 * 1000; // 15 minutes in milliseconds
 
 // =================================================================
 // ADDRESS AND SHIPPING VALIDATION
 // =================================================================
 
+/**
+ * Field names shared by order addresses, address book entries, and the checkout and address forms
+ * @constant {Array<string>} ADDRESS_FIELD_NAMES - Address components in display order
+ */
+export const ADDRESS_FIELD_NAMES = [
+  "firstName",
+  "lastName",
+  "addressLine1",
+  "addressLine2",
+  "city",
+  "state",
+  "postalCode",
+  "country",
+  "phoneNumber",
+];
+
 /**
  * Required address fields for shipping validation
  * @constant {Array<string>} REQUIRED_ADDRESS_FIELDS - Mandatory address components
@@ -346,6 +664,8 @@ export const SUPPORTED_COUNTRIES = [
  * Product quantity and order value constraints
  * @constant {number} MAX_QUANTITY_PER_ITEM - Maximum quantity per product in cart
  * @constant {number} MIN_CHECKOUT_AMOUNT - Minimum order value for checkout
+ * @constant {number} ORDERS_PER_PAGE - Orders shown per page in the account order history
  */
 export const MAX_QUANTITY_PER_ITEM = 10;
 export const MIN_CHECKOUT_AMOUNT = 1.0; // Minimum order value
+export const ORDERS_PER_PAGE = 10;
@@ -270,10 +270,13 @@ export const TIMEZONE_STORAGE_KEY = "urban_echo_timezone";
 
 /**
  * Address format templates by country for proper address display
+ * Lines whose placeholders are all empty are dropped; {county} and {prefecture} read the address state
  * @constant {Object} ADDRESS_FORMATS - Country-specific address formatting templates
  */
 export const ADDRESS_FORMATS = {
   US: "{firstName} {lastName}\n{addressLine1}\n{addressLine2}\n{city}, {state} {postalCode}\n{country}",
+  CA: "{firstName} {lastName}\n{addressLine1}\n{addressLine2}\n{city} {state} {postalCode}\n{country}",
+  AU: "{firstName} {lastName}\n{addressLine1}\n{addressLine2}\n{city} {state} {postalCode}\n{country}",
   GB: "{firstName} {lastName}\n{addressLine1}\n{addressLine2}\n{city}\n{county}\n{postalCode}\n{country}",
   FR: "{firstName} {lastName}\n{addressLine1}\n{addressLine2}\n{postalCode} {city}\n{country}",
   DE: "{firstName} {lastName}\n{addressLine1}\n{addressLine2}\n{postalCode} {city}\n{country}",
@@ -291,6 +294,7 @@ export const TAX_FORMATS = {
   DE: { name: "MwSt", included: true, rate: 0.19 },
   FR: { name: "TVA", included: true, rate: 0.2 },
   JP: { name: "Consumption Tax", included: true, rate: 0.1 },
+  AU: { name: "GST", included: true, rate: 0.1 },
 };
 
 /**
@@ -299,12 +303,75 @@ export const TAX_FORMATS = {
  */
 export const PHONE_NUMBER_FORMATS = {
   US: "+1 (###) ###-####",
+  CA: "+1 (###) ###-####",
+  AU: "+61 # #### ####",
   GB: "+44 ## #### ####",
   FR: "+33 # ## ## ## ##",
   DE: "+49 ### #######",
   JP: "+81 ## #### ####",
 };
 
+/**
+ * Address validation rules by country for postal codes, regions, and phone numbers
+ * Phone digit ranges count the national number without the calling code or trunk prefix 0
+ * @constant {Object} ADDRESS_VALIDATION_RULES - Country-specific address validation rules
+ *
+ * @example
+ * // Check a Canadian postal code
+ * ADDRESS_VALIDATION_RULES.CA.postalCode.test("K1A 0B1"); // true
+ */
+export const ADDRESS_VALIDATION_RULES = {
+  US: {
+    postalCode: /^\d{5}(-\d{4})?$/,
+    postalCodeLabel: "ZIP code",
+    requiresRegion: true,
+    callingCode: "1",
+    phoneDigits: [10, 10],
+  },
+  CA: {
+    postalCode: /^[a-ceghj-npr-tvxy]\d[a-ceghj-npr-tv-z] ?\d[a-ceghj-npr-tv-z]\d$/i,
+    postalCodeLabel: "postal code",
+    requiresRegion: true,
+    callingCode: "1",
+    phoneDigits: [10, 10],
+  },
+  GB: {
+    postalCode: /^[a-z]{1,2}\d[\da-z]? ?\d[a-z]{2}$/i,
+    postalCodeLabel: "postcode",
+    requiresRegion: false,
+    callingCode: "44",
+    phoneDigits: [9, 10],
+  },
+  AU: {
+    postalCode: /^\d{4}$/,
+    postalCodeLabel: "postcode",
+    requiresRegion: true,
+    callingCode: "61",
+    phoneDigits: [9, 9],
+  },
+  DE: {
+    postalCode: /^\d{5}$/,
+    postalCodeLabel: "postal code",
+    requiresRegion: false,
+    callingCode: "49",
+    phoneDigits: [6, 11],
+  },
+  FR: {
+    postalCode: /^\d{5}$/,
+    postalCodeLabel: "postal code",
+    requiresRegion: false,
+    callingCode: "33",
+    phoneDigits: [9, 9],
+  },
+  JP: {
+    postalCode: /^\d{3}-?\d{4}$/,
+    postalCodeLabel: "postal code",
+    requiresRegion: true,
+    callingCode: "81",
+    phoneDigits: [9, 10],
+  },
+};
+
 /**
  * Region-specific feature enablement for localized functionality
  * @constant {Object} REGION_FEATURES - Feature toggles by region
@@ -326,6 +326,16 @@ export const EMAIL_TEMPLATES = {
   REVIEW_REQUEST: "review-request",
 };
 
+/**
+ * Mail transport identifiers selectable with the MAIL_TRANSPORT environment variable
+ * The console transport logs messages instead of sending them, so notifications work offline in development
+ * @constant {Object} MAIL_TRANSPORTS - Available mail transport implementations
+ */
+export const MAIL_TRANSPORTS = {
+  HTTP: "http",
+  CONSOLE: "console",
+};
+
 /**
  * Push notification service configuration for web push functionality
  * @constant {Object} PUSH_NOTIFICATION_SETTINGS - Push notification service settings
@@ -281,7 +281,7 @@ export const SHOE_SIZES_EU = [
 /**
  * Product availability and inventory status definitions
  * @constant {Object} PRODUCT_STATUS - Available product status options
- * @constant {number} LOW_STOCK_THRESHOLD - Inventory threshold for low stock warnings
+ * @constant {number} LOW_STOCK_THRESHOLD - Inventory threshold for low stock warnings; a variant falling to it emits inventory.low
  *
  * @example
  * // Product status badge component
@@ -316,6 +316,31 @@ export const PRODUCT_STATUS = {
 
 export const LOW_STOCK_THRESHOLD = 5;
 
+/**
+ * Product types that change how a product is fulfilled
+ * Gift card products issue a gift card for each unit once the order is paid
+ * @constant {Object} PRODUCT_TYPES - Available product types
+ */
+export const PRODUCT_TYPES = {
+  STANDARD: "standard",
+  GIFT_CARD: "gift_card",
+};
+
+/**
+ * Administrator stock adjustments and their ledger
+ * @constant {Object} INVENTORY_ADJUSTMENT_REASONS - Reasons recorded with each adjustment
+ * @constant {number} INVENTORY_ADJUSTMENTS_PER_PAGE - Ledger entries returned per page by default
+ */
+export const INVENTORY_ADJUSTMENT_REASONS = {
+  RESTOCK: "restock",
+  RECOUNT: "recount",
+  RETURNED: "returned",
+  DAMAGED: "damaged",
+  LOST: "lost",
+  CORRECTION: "correction",
+};
+export const INVENTORY_ADJUSTMENTS_PER_PAGE = 20;
+
 // =================================================================
 // REVIEW AND RATING SYSTEM
 // =================================================================
@@ -325,6 +350,9 @@ export const LOW_STOCK_THRESHOLD = 5;
  * @constant {number} RATING_SCALE - Maximum rating value (5-star system)
  * @constant {number} REVIEW_CHAR_LIMIT - Maximum characters allowed in reviews
  * @constant {number} MIN_REVIEW_LENGTH - Minimum characters required for reviews
+ * @constant {number} MAX_REVIEW_TITLE_LENGTH - Maximum characters allowed in a review headline
+ * @constant {Object} REVIEW_STATUS - Moderation states; only approved reviews are shown and counted in ratings
+ * @constant {number} REVIEWS_PER_PAGE - Reviews returned per page by default
  *
  * @example
  * // Star rating component
@@ -352,6 +380,13 @@ export const LOW_STOCK_THRESHOLD = 5;
 export const RATING_SCALE = 5; // 5-star rating system
 export const REVIEW_CHAR_LIMIT = 1000;
 export const MIN_REVIEW_LENGTH = 10;
+export const MAX_REVIEW_TITLE_LENGTH = 100;
+export const REVIEW_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+export const REVIEWS_PER_PAGE = 10;
 
 // =================================================================
 // PRODUCT ASSETS AND WISHLIST
@@ -187,6 +187,7 @@ export const RECOVERY_ATTEMPT_TIMEOUT = 30 * 60 * 1000; // 30 minutes
  * @constant {number} MAX_ADDRESSES - Maximum addresses per user account
  * @constant {number} MAX_PAYMENT_METHODS - Maximum saved payment methods per user
  * @constant {Object} ADDRESS_TYPES - Available address type classifications
+ * @constant {Object} ADDRESS_TYPE_LABELS - Customer-facing label keyed by address type
  * @constant {Array<string>} REQUIRED_PROFILE_FIELDS - Mandatory profile fields
  * @constant {Array<string>} OPTIONAL_PROFILE_FIELDS - Optional profile fields
  * @constant {Array<string>} EDITABLE_PROFILE_FIELDS - User-editable profile fields
@@ -221,6 +222,11 @@ export const ADDRESS_TYPES = {
   BILLING: "billing",
   BOTH: "both",
 };
+export const ADDRESS_TYPE_LABELS = {
+  [ADDRESS_TYPES.SHIPPING]: "Shipping",
+  [ADDRESS_TYPES.BILLING]: "Billing",
+  [ADDRESS_TYPES.BOTH]: "Shipping & Billing",
+};
 
 export const REQUIRED_PROFILE_FIELDS = ["firstName", "lastName", "email"];
 export const OPTIONAL_PROFILE_FIELDS = ["phoneNumber", "birthDate", "gender"];
@@ -15,6 +15,28 @@ export const getEnvironment = () => {
     strapiUrl: process.env.NEXT_PUBLIC_STRAPI_URL,
     strapiToken: process.env.NEXT_STRAPI_API_TOKEN,
 
+    // Payments
+    paymentProvider: process.env.PAYMENT_PROVIDER,
+    stripePublishableKey: process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY,
+    stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+    stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+
+    // Outbound webhooks
+    webhookUrl: process.env.WEBHOOK_URL,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+
+    // Transactional mail
+    mailTransport: process.env.MAIL_TRANSPORT,
+    mailApiUrl: process.env.MAIL_API_URL,
+    mailApiKey: process.env.MAIL_API_KEY,
+    mailFrom: process.env.MAIL_FROM || "Urban Echo <hello@shopurbanecho.com>",
+
+    // Gift card references issued at checkout
+    giftCardSecret: process.env.GIFT_CARD_SECRET,
+
+    // Guest order lookup links
+    orderLookupSecret: process.env.ORDER_LOOKUP_SECRET,
+
     // Feature flags
     enableAnalytics: process.env.NEXT_PUBLIC_ENABLE_ANALYTICS === "true",
     enableAuth: process.env.NEXT_PUBLIC_ENABLE_AUTH === "true",
@@ -60,10 +60,16 @@ export const ROUTES = {
   ACCOUNT: "/account",
   ADDRESSES: "/account/addresses",
   ORDERS: "/account/orders",
+  ORDER_LOOKUP: "/orders/lookup",
   SETTINGS: "/account/settings",
   WISHLIST: "/account/wishlist",
   CAREERS: "/careers",
   CART: "/cart",
+  CHECKOUT: "/cart/checkout",
+  CHECKOUT_SHIPPING: "/cart/checkout/shipping",
+  CHECKOUT_PAYMENT: "/cart/checkout/payment",
+  CHECKOUT_REVIEW: "/cart/checkout/review",
+  CHECKOUT_CONFIRMATION: "/cart/checkout/confirmation",
   CONTACT: "/contact",
   FAQS: "/faqs",
   LOGOUT: "/logout",
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Presentational component for the account address book
+ * Lists saved addresses with their type and default badge, with edit, delete, and make-default actions
+ * Covers signed-out, loading, error, and empty states and shows the add/edit form in place
+ */
+
+import PropTypes from "prop-types";
+
+import Loading from "@design-system/feedback/Loading";
+import Breadcrumbs from "@design-system/navigation/Breadcrumbs";
+
+/**
+ * View component for rendering the address book page
+ * @component
+ * @param {React.ComponentType} AddressForm - Address form component
+ * @param {React.ComponentType} Button - Button component for address actions
+ * @param {Array<Object>} addressTypes - Address type options with value and label
+ * @param {Array<Object>} addresses - Formatted saved addresses
+ * @param {Array<Object>} breadcrumbItems - Breadcrumb navigation items for the account area
+ * @param {boolean} canAddAddress - Whether another address can be saved
+ * @param {Array<Object>} countries - Countries available for addresses
+ * @param {string|null} editingId - Address being edited, "new" while adding, or null
+ * @param {string|null} error - Message when the address book could not be loaded or changed
+ * @param {Object} formErrors - Address form validation errors
+ * @param {Object} formValues - Address form values
+ * @param {Function} handleAddAddress - Handler that opens an empty address form
+ * @param {Function} handleCancelEdit - Handler that closes the address form
+ * @param {Function} handleDeleteAddress - Handler that removes an address
+ * @param {Function} handleEditAddress - Handler that opens the form for a saved address
+ * @param {Function} handleFormChange - Handler for address form field changes
+ * @param {Function} handleFormSubmit - Handler that validates and saves the address form
+ * @param {Function} handleSetDefault - Handler that makes an address the default for its type
+ * @param {boolean} isAuthenticated - Whether a customer is signed in
+ * @param {boolean} isLoading - Whether the address book is loading
+ * @param {boolean} isReady - Whether the Auth0 session has been read on the client
+ * @param {boolean} isSaving - Whether an address change is being saved
+ * @param {number} maxAddresses - Maximum number of saved addresses
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered address book page
+ */
+const AddressesPageView = ({
+  AddressForm,
+  Button,
+  addressTypes,
+  addresses,
+  breadcrumbItems,
+  canAddAddress,
+  countries,
+  editingId,
+  error,
+  formErrors,
+  formValues,
+  handleAddAddress,
+  handleCancelEdit,
+  handleDeleteAddress,
+  handleEditAddress,
+  handleFormChange,
+  handleFormSubmit,
+  handleSetDefault,
+  isAuthenticated,
+  isLoading,
+  isReady,
+  isSaving,
+  maxAddresses,
+  styles,
+}) => {
+  if (!isReady || (isAuthenticated && isLoading)) {
+    return <Loading message="Loading your addresses..." variant="page" />;
+  }
+
+  const renderForm = () => (
+    <AddressForm
+      Button={Button}
+      addressTypes={addressTypes}
+      countries={countries}
+      formErrors={formErrors}
+      formValues={formValues}
+      handleCancelEdit={handleCancelEdit}
+      handleFormChange={handleFormChange}
+      handleFormSubmit={handleFormSubmit}
+      isNew={editingId === "new"}
+      isSaving={isSaving}
+      styles={styles}
+    />
+  );
+
+  const renderContent = () => {
+    if (!isAuthenticated) {
+      return <p className={styles.message}>Sign in to manage your saved addresses.</p>;
+    }
+
+    return (
+      <>
+        {error && (
+          <p className={styles.error} role="alert">
+            {error}
+          </p>
+        )}
+
+        {!addresses.length && editingId !== "new" && (
+          <p className={styles.message}>You haven&apos;t saved any addresses yet.</p>
+        )}
+
+        <ul aria-busy={isSaving} className={styles["address-list"]}>
+          {addresses.map(address => (
+            <li key={address.id} className={styles.address}>
+              {editingId === address.id ? (
+                renderForm()
+              ) : (
+                <>
+                  <div className={styles["address-header"]}>
+                    <span className={styles["address-type"]}>{address.typeLabel}</span>
+                    {address.isDefault && <span className={styles.badge}>Default</span>}
+                  </div>
+                  <address className={styles["address-lines"]}>
+                    {address.lines.map(line => (
+                      <span key={line}>{line}</span>
+                    ))}
+                  </address>
+                  <div className={styles["address-actions"]}>
+                    <Button
+                      disabled={isSaving}
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleEditAddress(address.id)}>
+                      Edit
+                    </Button>
+                    {!address.isDefault && (
+                      <Button
+                        disabled={isSaving}
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleSetDefault(address.id)}>
+                        Make Default
+                      </Button>
+                    )}
+                    <Button
+                      disabled={isSaving}
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => handleDeleteAddress(address.id)}>
+                      Delete
+                    </Button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {editingId === "new" && renderForm()}
+
+        {!editingId &&
+          (canAddAddress ? (
+            <Button variant="primary" onClick={handleAddAddress}>
+              Add Address
+            </Button>
+          ) : (
+            <p className={styles.message}>
+              You can save up to {maxAddresses} addresses. Delete one to add another.
+            </p>
+          ))}
+      </>
+    );
+  };
+
+  return (
+    <div className={styles["addresses-page"]}>
+      <section className={styles.header}>
+        <Breadcrumbs className="breadcrumbs--dark" items={breadcrumbItems} />
+        <h1 className={styles.title}>Addresses</h1>
+      </section>
+
+      <section className={styles.content}>{renderContent()}</section>
+    </div>
+  );
+};
+
+export default AddressesPageView;
+
+AddressesPageView.displayName = "AddressesPageView";
+AddressesPageView.propTypes = {
+  AddressForm: PropTypes.elementType.isRequired,
+  Button: PropTypes.elementType.isRequired,
+  addressTypes: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      value: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  addresses: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      isDefault: PropTypes.bool.isRequired,
+      lines: PropTypes.arrayOf(PropTypes.string).isRequired,
+      typeLabel: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  breadcrumbItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      path: PropTypes.string,
+    })
+  ).isRequired,
+  canAddAddress: PropTypes.bool.isRequired,
+  countries: PropTypes.arrayOf(
+    PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  editingId: PropTypes.string,
+  error: PropTypes.string,
+  formErrors: PropTypes.objectOf(PropTypes.string).isRequired,
+  formValues: PropTypes.object.isRequired,
+  handleAddAddress: PropTypes.func.isRequired,
+  handleCancelEdit: PropTypes.func.isRequired,
+  handleDeleteAddress: PropTypes.func.isRequired,
+  handleEditAddress: PropTypes.func.isRequired,
+  handleFormChange: PropTypes.func.isRequired,
+  handleFormSubmit: PropTypes.func.isRequired,
+  handleSetDefault: PropTypes.func.isRequired,
+  isAuthenticated: PropTypes.bool.isRequired,
+  isLoading: PropTypes.bool.isRequired,
+  isReady: PropTypes.bool.isRequired,
+  isSaving: PropTypes.bool.isRequired,
+  maxAddresses: PropTypes.number.isRequired,
+  styles: PropTypes.object.isRequired,
+};
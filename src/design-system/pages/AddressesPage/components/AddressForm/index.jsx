@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Address form for adding and editing address book entries
+ * Collects the address type, recipient, street address, country, phone number, and whether it is the default for its type
+ */
+
+import PropTypes from "prop-types";
+
+const ADDRESS_FIELDS = [
+  { name: "firstName", label: "First Name", autoComplete: "given-name" },
+  { name: "lastName", label: "Last Name", autoComplete: "family-name" },
+  { name: "addressLine1", label: "Address", autoComplete: "address-line1", wide: true },
+  { name: "addressLine2", label: "Address 2", autoComplete: "address-line2", wide: true },
+  { name: "city", label: "City", autoComplete: "address-level2" },
+  { name: "state", label: "State / Province", autoComplete: "address-level1" },
+  { name: "postalCode", label: "Zip/Postal Code", autoComplete: "postal-code" },
+  { name: "phoneNumber", label: "Phone Number", type: "tel", autoComplete: "tel" },
+];
+
+/**
+ * Address book form with type, address fields, country selection, and default toggle
+ * @component
+ * @param {React.ComponentType} Button - Button component for form actions
+ * @param {Array<Object>} addressTypes - Address type options with value and label
+ * @param {Array<Object>} countries - Countries available for addresses
+ * @param {Object} formErrors - Validation errors keyed by field name
+ * @param {Object} formValues - Form values keyed by field name
+ * @param {Function} handleCancelEdit - Handler that closes the form
+ * @param {Function} handleFormChange - Handler for form field changes
+ * @param {Function} handleFormSubmit - Handler that validates and saves the address
+ * @param {boolean} isNew - Whether the form adds a new address rather than editing one
+ * @param {boolean} isSaving - Whether the address is being saved
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered address form
+ */
+const AddressForm = ({
+  Button,
+  addressTypes,
+  countries,
+  formErrors,
+  formValues,
+  handleCancelEdit,
+  handleFormChange,
+  handleFormSubmit,
+  isNew,
+  isSaving,
+  styles,
+}) => (
+  <form noValidate className={styles.form} onSubmit={handleFormSubmit}>
+    <h2 className={styles["form-title"]}>{isNew ? "Add Address" : "Edit Address"}</h2>
+
+    <div className={styles["field-grid"]}>
+      <label className={`${styles.field} ${styles["field-wide"]}`}>
+        <span className={styles["field-label"]}>Use For</span>
+        <select
+          className={styles.input}
+          name="type"
+          value={formValues.type}
+          onChange={e => handleFormChange("type", e.target.value)}>
+          {addressTypes.map(type => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {ADDRESS_FIELDS.map(field => (
+        <label
+          key={field.name}
+          className={`${styles.field} ${field.wide ? styles["field-wide"] : ""}`}>
+          <span className={styles["field-label"]}>{field.label}</span>
+          <input
+            aria-invalid={Boolean(formErrors[field.name])}
+            autoComplete={field.autoComplete}
+            className={styles.input}
+            name={field.name}
+            type={field.type || "text"}
+            value={formValues[field.name]}
+            onChange={e => handleFormChange(field.name, e.target.value)}
+          />
+          {formErrors[field.name] && (
+            <span className={styles["field-error"]}>{formErrors[field.name]}</span>
+          )}
+        </label>
+      ))}
+
+      <label className={styles.field}>
+        <span className={styles["field-label"]}>Country</span>
+        <select
+          autoComplete="country"
+          className={styles.input}
+          name="country"
+          value={formValues.country}
+          onChange={e => handleFormChange("country", e.target.value)}>
+          {countries.map(country => (
+            <option key={country.code} value={country.code}>
+              {country.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className={`${styles.checkbox} ${styles["field-wide"]}`}>
+        <input
+          checked={formValues.isDefault}
+          name="isDefault"
+          type="checkbox"
+          onChange={e => handleFormChange("isDefault", e.target.checked)}
+        />
+        <span>Use as my default address</span>
+      </label>
+    </div>
+
+    <div className={styles.actions}>
+      <Button disabled={isSaving} type="submit" variant="primary">
+        {isSaving ? "Saving..." : "Save Address"}
+      </Button>
+      <Button disabled={isSaving} variant="outline" onClick={handleCancelEdit}>
+        Cancel
+      </Button>
+    </div>
+  </form>
+);
+
+export default AddressForm;
+
+AddressForm.displayName = "AddressForm";
+AddressForm.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  addressTypes: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      value: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  countries: PropTypes.arrayOf(
+    PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  formErrors: PropTypes.objectOf(PropTypes.string).isRequired,
+  formValues: PropTypes.shape({
+    addressLine1: PropTypes.string.isRequired,
+    addressLine2: PropTypes.string.isRequired,
+    city: PropTypes.string.isRequired,
+    country: PropTypes.string.isRequired,
+    firstName: PropTypes.string.isRequired,
+    isDefault: PropTypes.bool.isRequired,
+    lastName: PropTypes.string.isRequired,
+    phoneNumber: PropTypes.string.isRequired,
+    postalCode: PropTypes.string.isRequired,
+    state: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+  }).isRequired,
+  handleCancelEdit: PropTypes.func.isRequired,
+  handleFormChange: PropTypes.func.isRequired,
+  handleFormSubmit: PropTypes.func.isRequired,
+  isNew: PropTypes.bool.isRequired,
+  isSaving: PropTypes.bool.isRequired,
+  styles: PropTypes.object.isRequired,
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Addresses page component for the account address book
+ * Connects the useAddressesPage hook with the AddressesPageView presentation component
+ * Supplies the address form and Button component to the view
+ */
+
+"use client";
+import { Button } from "@design-system/buttons";
+
+import AddressesPageView from "./AddressesPageView";
+import AddressForm from "./components/AddressForm";
+import useAddressesPage from "./useAddressesPage";
+
+import styles from "./AddressesPage.module.scss";
+
+/**
+ * Container component for the address book with add, edit, delete, and default actions
+ * @component
+ * @returns {JSX.Element} Rendered address book page
+ */
+const AddressesPage = () => {
+  const {
+    addressTypes,
+    addresses,
+    breadcrumbItems,
+    canAddAddress,
+    countries,
+    editingId,
+    error,
+    formErrors,
+    formValues,
+    handleAddAddress,
+    handleCancelEdit,
+    handleDeleteAddress,
+    handleEditAddress,
+    handleFormChange,
+    handleFormSubmit,
+    handleSetDefault,
+    isAuthenticated,
+    isLoading,
+    isReady,
+    isSaving,
+    maxAddresses,
+  } = useAddressesPage();
+
+  return (
+    <AddressesPageView
+      AddressForm={AddressForm}
+      Button={Button}
+      addressTypes={addressTypes}
+      addresses={addresses}
+      breadcrumbItems={breadcrumbItems}
+      canAddAddress={canAddAddress}
+      countries={countries}
+      editingId={editingId}
+      error={error}
+      formErrors={formErrors}
+      formValues={formValues}
+      handleAddAddress={handleAddAddress}
+      handleCancelEdit={handleCancelEdit}
+      handleDeleteAddress={handleDeleteAddress}
+      handleEditAddress={handleEditAddress}
+      handleFormChange={handleFormChange}
+      handleFormSubmit={handleFormSubmit}
+      handleSetDefault={handleSetDefault}
+      isAuthenticated={isAuthenticated}
+      isLoading={isLoading}
+      isReady={isReady}
+      isSaving={isSaving}
+      maxAddresses={maxAddresses}
+      styles={styles}
+    />
+  );
+};
+
+export default AddressesPage;
+
+AddressesPage.displayName = "AddressesPage";
+AddressesPage.View = AddressesPageView;
+AddressesPage.useAddressesPage = useAddressesPage;
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Custom hook for the account address book page
+ * Fetches the signed-in customer's saved addresses with React Query and manages the add/edit form
+ * Saves, deletes, and default changes replace the cached address book with the one the server returns
+ */
+
+import { useMemo, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+
+import {
+  ADDRESS_TYPE_LABELS,
+  ADDRESS_TYPES,
+  CACHE_DURATION,
+  DEFAULT_COUNTRY,
+  MAX_ADDRESSES,
+  SUPPORTED_COUNTRIES,
+} from "@config/constants";
+import { queryKeys } from "@modules/core/providers";
+import { addressService } from "@modules/core/services";
+import { useAuthState, useSessionLoaded } from "@modules/core/stores";
+import {
+  formatAddress,
+  formatPhoneNumber,
+  generateAccountBreadcrumbs,
+  getAddressRules,
+  isValidPhoneNumber,
+  isValidPostalCode,
+} from "@modules/core/utils";
+
+const EMPTY_ADDRESS_FORM = {
+  type: ADDRESS_TYPES.SHIPPING,
+  firstName: "",
+  lastName: "",
+  addressLine1: "",
+  addressLine2: "",
+  city: "",
+  state: "",
+  postalCode: "",
+  country: DEFAULT_COUNTRY,
+  phoneNumber: "",
+  isDefault: false,
+};
+
+const NEW_ADDRESS_ID = "new";
+
+/**
+ * Validates the address form against the rules of the selected country before it is sent to the server
+ * @param {Object} values - Address form values
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+const validateAddressForm = values => {
+  const errors = {};
+  const rules = getAddressRules(values.country);
+  const requiredFields = [
+    "addressLine1",
+    "city",
+    "postalCode",
+    ...(rules.requiresRegion ? ["state"] : []),
+  ];
+
+  requiredFields.forEach(field => {
+    if (!values[field].trim()) errors[field] = "This field is required";
+  });
+
+  if (values.postalCode.trim() && !isValidPostalCode(values.postalCode, values.country)) {
+    errors.postalCode = `Enter a valid ${rules.postalCodeLabel}`;
+  }
+  if (values.phoneNumber.trim() && !isValidPhoneNumber(values.phoneNumber, values.country)) {
+    errors.phoneNumber = "Enter a valid phone number";
+  }
+
+  return errors;
+};
+
+/**
+ * Hook for managing the address book page including the address form and address actions
+ * @hook
+ * @returns {Object} Address book state and handlers
+ * @returns {Array<Object>} returns.breadcrumbItems - Breadcrumb navigation items for the account area
+ * @returns {boolean} returns.isReady - Whether the Auth0 session has been read on the client
+ * @returns {boolean} returns.isAuthenticated - Whether a customer is signed in
+ * @returns {boolean} returns.isLoading - Whether the address book is loading
+ * @returns {string|null} returns.error - Message when the address book could not be loaded or changed
+ * @returns {Array<Object>} returns.addresses - Addresses with id, typeLabel, lines, and isDefault
+ * @returns {boolean} returns.canAddAddress - Whether the book is below MAX_ADDRESSES
+ * @returns {number} returns.maxAddresses - Maximum number of saved addresses
+ * @returns {string|null} returns.editingId - Address being edited, "new" while adding, or null
+ * @returns {Object} returns.formValues - Address form values
+ * @returns {Object} returns.formErrors - Address form validation errors
+ * @returns {boolean} returns.isSaving - Whether an address change is being saved
+ * @returns {Array<Object>} returns.addressTypes - Address type options with value and label
+ * @returns {Array<Object>} returns.countries - Countries available for addresses
+ * @returns {Function} returns.handleAddAddress - Handler that opens an empty address form
+ * @returns {Function} returns.handleEditAddress - Handler that opens the form for a saved address
+ * @returns {Function} returns.handleCancelEdit - Handler that closes the address form
+ * @returns {Function} returns.handleFormChange - Handler for address form field changes
+ * @returns {Function} returns.handleFormSubmit - Handler that validates and saves the address form
+ * @returns {Function} returns.handleSetDefault - Handler that makes an address the default for its type
+ * @returns {Function} returns.handleDeleteAddress - Handler that removes an address
+ */
+const useAddressesPage = () => {
+  const isAuthenticated = useAuthState();
+  const isReady = useSessionLoaded();
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [formValues, setFormValues] = useState(EMPTY_ADDRESS_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const { data, error, isLoading } = useQuery({
+    queryKey: queryKeys.user.addresses(),
+    queryFn: addressService.getAddresses,
+    enabled: isReady && isAuthenticated,
+    staleTime: CACHE_DURATION.short,
+    retry: 1,
+  });
+
+  const savedAddresses = useMemo(() => data?.addresses || [], [data]);
+
+  const addresses = useMemo(
+    () =>
+      savedAddresses.map(address => ({
+        id: address.id,
+        typeLabel: ADDRESS_TYPE_LABELS[address.type],
+        lines: [
+          ...formatAddress(address),
+          formatPhoneNumber(address.phoneNumber, address.country),
+        ].filter(Boolean),
+        isDefault: address.isDefault,
+      })),
+    [savedAddresses]
+  );
+
+  const addressTypes = useMemo(
+    () =>
+      Object.values(ADDRESS_TYPES).map(type => ({ value: type, label: ADDRESS_TYPE_LABELS[type] })),
+    []
+  );
+
+  const breadcrumbItems = useMemo(() => generateAccountBreadcrumbs("addresses"), []);
+
+  /**
+   * Runs an address book request and caches the address book it returns
+   * @param {Function} request - Service call resolving to { addresses }
+   * @returns {Promise<boolean>} True when the change was saved
+   */
+  const saveChange = async request => {
+    setIsSaving(true);
+    setSaveError(null);
+
+    try {
+      const result = await request();
+      queryClient.setQueryData(queryKeys.user.addresses(), { addresses: result.addresses });
+      return true;
+    } catch (requestError) {
+      setSaveError(requestError.message || "We couldn't update your addresses. Please try again.");
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddAddress = () => {
+    setEditingId(NEW_ADDRESS_ID);
+    setFormValues({ ...EMPTY_ADDRESS_FORM, isDefault: !savedAddresses.length });
+    setFormErrors({});
+  };
+
+  const handleEditAddress = addressId => {
+    const address = savedAddresses.find(saved => saved.id === addressId);
+    if (!address) return;
+
+    setEditingId(addressId);
+    setFormValues(
+      Object.fromEntries(Object.keys(EMPTY_ADDRESS_FORM).map(field => [field, address[field]]))
+    );
+    setFormErrors({});
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setFormErrors({});
+  };
+
+  const handleFormChange = (field, value) => {
+    setFormValues(previous => ({ ...previous, [field]: value }));
+    setFormErrors(previous => ({ ...previous, [field]: undefined }));
+  };
+
+  const handleFormSubmit = async event => {
+    event.preventDefault();
+    const errors = validateAddressForm(formValues);
+    setFormErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    const isSaved = await saveChange(() =>
+      editingId === NEW_ADDRESS_ID
+        ? addressService.createAddress(formValues)
+        : addressService.updateAddress(editingId, formValues)
+    );
+    if (isSaved) setEditingId(null);
+  };
+
+  const handleSetDefault = addressId => {
+    saveChange(() => addressService.setDefaultAddress(addressId));
+  };
+
+  const handleDeleteAddress = addressId => {
+    if (editingId === addressId) setEditingId(null);
+    saveChange(() => addressService.deleteAddress(addressId));
+  };
+
+  return {
+    breadcrumbItems,
+    isReady,
+    isAuthenticated,
+    isLoading,
+    error: saveError || error?.message || null,
+    addresses,
+    canAddAddress: savedAddresses.length < MAX_ADDRESSES,
+    maxAddresses: MAX_ADDRESSES,
+    editingId,
+    formValues,
+    formErrors,
+    isSaving,
+    addressTypes,
+    countries: SUPPORTED_COUNTRIES,
+    handleAddAddress,
+    handleEditAddress,
+    handleCancelEdit,
+    handleFormChange,
+    handleFormSubmit,
+    handleSetDefault,
+    handleDeleteAddress,
+  };
+};
+
+export default useAddressesPage;
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Presentational component for the shopping cart with line editing and order summary
+ * Renders cart lines with quantity steppers and stock warnings, free shipping progress, promo codes, and checkout actions
+ * Falls back to an empty cart state with new arrival recommendations when the cart has no lines
+ */
+
+import PropTypes from "prop-types";
+
+import { ROUTES } from "@config/constants";
+import Loading from "@design-system/feedback/Loading";
+import Breadcrumbs from "@design-system/navigation/Breadcrumbs";
+import { formatCurrency, getImageUrl } from "@modules/core/utils";
+
+/**
+ * View component for rendering the cart page with line items, summary panel, and checkout entry
+ * @component
+ * @param {React.ComponentType} Button - Button component for interactive elements
+ * @param {React.ComponentType} Image - Next.js Image component for optimized product images
+ * @param {React.ComponentType} Link - Next.js Link component for product and shop navigation
+ * @param {React.ComponentType} NewArrivals - New arrivals product display for the empty cart state
+ * @param {Array<Object>} breadcrumbItems - Breadcrumb navigation items for the cart step
+ * @param {string} freeShippingMessage - Customer-facing free shipping progress message
+ * @param {Function} handleApplyPromoCode - Submit handler that applies the entered promo code
+ * @param {Function} handleCheckout - Handler that revalidates the cart and starts checkout
+ * @param {Function} handlePromoCodeChange - Handler for promo code input changes
+ * @param {Function} handleQuantityChange - Handler for setting a line quantity
+ * @param {Function} handleRemoveItem - Handler for removing a line from the cart
+ * @param {Function} handleRemovePromoCode - Handler for removing an applied promo code
+ * @param {boolean} hasBlockingIssues - Whether any line must be fixed before checkout
+ * @param {boolean} isLoading - Loading state indicator for cart validation
+ * @param {boolean} isPromoEnabled - Whether promo codes can be entered
+ * @param {boolean} isReady - Whether the persisted cart has been read on the client
+ * @param {Array<Object>} items - Cart lines with lineId, name, price, size, color, and quantity
+ * @param {Object} lineWarnings - Validation warnings keyed by lineId
+ * @param {number} maxQuantity - Maximum quantity allowed per cart line
+ * @param {string} promoCode - Promo code input value
+ * @param {Array<string>} promoCodes - Promo codes applied to the cart
+ * @param {string|null} promoError - Reason the last promo code was refused
+ * @param {Object} styles - CSS module styles object for component styling
+ * @param {Object} summary - Derived cart totals and formatted amounts
+ * @returns {JSX.Element} Rendered cart page with line items and order summary
+ */
+const CartPageView = ({
+  Button,
+  Image,
+  Link,
+  NewArrivals,
+  breadcrumbItems,
+  freeShippingMessage,
+  handleApplyPromoCode,
+  handleCheckout,
+  handlePromoCodeChange,
+  handleQuantityChange,
+  handleRemoveItem,
+  handleRemovePromoCode,
+  hasBlockingIssues,
+  isLoading,
+  isPromoEnabled,
+  isReady,
+  items,
+  lineWarnings,
+  maxQuantity,
+  promoCode,
+  promoCodes,
+  promoError,
+  styles,
+  summary,
+}) => {
+  if (!isReady) return <Loading message="Loading your cart..." variant="page" />;
+
+  const summaryRowClass = styles["summary-row"];
+
+  if (!summary.hasItems)
+    return (
+      <div className={styles["cart-page"]}>
+        <section className={styles.empty}>
+          <h1 className={styles.title}>Your cart is empty</h1>
+          <p className={styles.subtitle}>Looks like you haven&apos;t added anything yet.</p>
+          <Link className={styles["continue-link"]} href={ROUTES.SHOP}>
+            Continue Shopping
+          </Link>
+        </section>
+        <NewArrivals />
+      </div>
+    );
+
+  return (
+    <div className={styles["cart-page"]}>
+      <section className={styles.header}>
+        <Breadcrumbs className="breadcrumbs--dark" items={breadcrumbItems} />
+        <h1 className={styles.title}>Shopping Cart</h1>
+        <p className={styles.subtitle}>
+          {summary.totalItems} {summary.totalItems === 1 ? "item" : "items"}
+        </p>
+      </section>
+
+      <div className={styles.layout}>
+        <section aria-label="Cart items" className={styles.lines}>
+          <div className={styles["shipping-progress"]}>
+            <p className={styles["shipping-message"]}>{freeShippingMessage}</p>
+            <div
+              aria-label="Free shipping progress"
+              aria-valuemax={100}
+              aria-valuemin={0}
+              aria-valuenow={Math.round(summary.freeShippingProgress)}
+              className={styles["progress-track"]}
+              role="progressbar">
+              <div
+                className={styles["progress-bar"]}
+                style={{ width: `${summary.freeShippingProgress}%` }}
+              />
+            </div>
+          </div>
+
+          <ul className={styles["line-list"]}>
+            {items.map(item => {
+              const warnings = lineWarnings[item.lineId] || [];
+              const productImage = getImageUrl(item.image);
+              const isPlaceholder = productImage?.includes("placehold.co");
+
+              return (
+                <li key={item.lineId} className={styles.line}>
+                  <div className={styles["line-image"]}>
+                    <Image
+                      fill
+                      alt={item.name}
+                      sizes="120px"
+                      src={productImage}
+                      unoptimized={isPlaceholder}
+                    />
+                  </div>
+
+                  <div className={styles["line-details"]}>
+                    <Link
+                      className={styles["line-name"]}
+                      href={`${ROUTES.SHOP}/${item.category || "all"}/${item.slug || "product"}/${item.productId}`}>
+                      {item.name}
+                    </Link>
+                    <p className={styles["line-variant"]}>
+                      {[item.color, item.size].filter(Boolean).join(" / ")}
+                    </p>
+                    {warnings.map(warning => (
+                      <p key={warning.type} className={styles["line-warning"]}>
+                        {warning.message}
+                      </p>
+                    ))}
+                    <button
+                      className={styles["remove-button"]}
+                      onClick={() => handleRemoveItem(item.lineId)}>
+                      Remove
+                    </button>
+                  </div>
+
+                  <div className={styles["line-actions"]}>
+                    <span className={styles["line-price"]}>{formatCurrency(item.price)}</span>
+                    <div className={styles.stepper}>
+                      <button
+                        aria-label={`Decrease quantity of ${item.name}`}
+                        className={styles["stepper-button"]}
+                        onClick={() => handleQuantityChange(item.lineId, item.quantity - 1)}>
+                        −
+                      </button>
+                      <span aria-live="polite" className={styles["stepper-value"]}>
+                        {item.quantity}
+                      </span>
+                      <button
+                        aria-label={`Increase quantity of ${item.name}`}
+                        className={styles["stepper-button"]}
+                        disabled={item.quantity >= maxQuantity}
+                        onClick={() => handleQuantityChange(item.lineId, item.quantity + 1)}>
+                        +
+                      </button>
+                    </div>
+                    <span className={styles["line-total"]}>
+                      {formatCurrency(item.price * item.quantity)}
+                    </span>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+
+        <aside aria-label="Order summary" className={styles.summary}>
+          <h2 className={styles["summary-title"]}>Order Summary</h2>
+          <dl className={styles["summary-rows"]}>
+            <div className={summaryRowClass}>
+              <dt>Subtotal</dt>
+              <dd>{summary.formattedSubtotal}</dd>
+            </div>
+            {summary.discounts
+              .filter(line => !line.freeShipping)
+              .map(line => (
+                <div key={line.code} className={summaryRowClass}>
+                  <dt>{line.gift ? `Free gift (${line.code})` : `Discount (${line.code})`}</dt>
+                  <dd>{line.gift ? "Included" : `-${formatCurrency(line.amount)}`}</dd>
+                </div>
+              ))}
+            <div className={summaryRowClass}>
+              <dt>Shipping</dt>
+              <dd>{summary.shipping === 0 ? "Free" : summary.formattedShipping}</dd>
+            </div>
+            <div className={summaryRowClass}>
+              <dt>{summary.taxLabel}</dt>
+              <dd>{summary.formattedTax}</dd>
+            </div>
+            <div className={`${summaryRowClass} ${styles["summary-total"]}`}>
+              <dt>Total</dt>
+              <dd>{summary.formattedTotal}</dd>
+            </div>
+          </dl>
+
+          {isPromoEnabled && (
+            <div className={styles.promo}>
+              <form className={styles["promo-form"]} onSubmit={handleApplyPromoCode}>
+                <label className={styles["promo-label"]} htmlFor="cart-promo-code">
+                  Promo code
+                </label>
+                <input
+                  aria-describedby={promoError ? "cart-promo-error" : undefined}
+                  aria-invalid={Boolean(promoError)}
+                  autoComplete="off"
+                  className={styles["promo-input"]}
+                  id="cart-promo-code"
+                  value={promoCode}
+                  onChange={event => handlePromoCodeChange(event.target.value)}
+                />
+                <Button
+                  disabled={isLoading || !promoCode.trim()}
+                  size="sm"
+                  type="submit"
+                  variant="secondary">
+                  Apply
+                </Button>
+              </form>
+              {promoError && (
+                <p className={styles["summary-warning"]} id="cart-promo-error" role="alert">
+                  {promoError}
+                </p>
+              )}
+              {promoCodes.length > 0 && (
+                <ul className={styles["promo-codes"]}>
+                  {promoCodes.map(code => (
+                    <li key={code} className={styles["promo-code"]}>
+                      <span>
+                        {code}
+                        {!summary.discounts.some(line => line.code === code) &&
+                          " - your cart doesn't qualify yet"}
+                      </span>
+                      <button
+                        aria-label={`Remove promo code ${code}`}
+                        className={styles["remove-button"]}
+                        onClick={() => handleRemovePromoCode(code)}>
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {hasBlockingIssues && (
+            <p className={styles["summary-warning"]}>
+              Some items need your attention before you can check out.
+            </p>
+          )}
+
+          <Button
+            className={styles["checkout-button"]}
+            disabled={isLoading || hasBlockingIssues}
+            size="lg"
+            variant="primary"
+            onClick={handleCheckout}>
+            {isLoading ? "Checking cart..." : "Proceed to Checkout"}
+          </Button>
+          <Link className={styles["continue-link"]} href={ROUTES.SHOP}>
+            Continue Shopping
+          </Link>
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default CartPageView;
+
+CartPageView.displayName = "CartPageView";
+CartPageView.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  Image: PropTypes.elementType.isRequired,
+  Link: PropTypes.elementType.isRequired,
+  NewArrivals: PropTypes.elementType.isRequired,
+  breadcrumbItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      path: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  freeShippingMessage: PropTypes.string.isRequired,
+  handleApplyPromoCode: PropTypes.func.isRequired,
+  handleCheckout: PropTypes.func.isRequired,
+  handlePromoCodeChange: PropTypes.func.isRequired,
+  handleQuantityChange: PropTypes.func.isRequired,
+  handleRemoveItem: PropTypes.func.isRequired,
+  handleRemovePromoCode: PropTypes.func.isRequired,
+  hasBlockingIssues: PropTypes.bool.isRequired,
+  isLoading: PropTypes.bool.isRequired,
+  isPromoEnabled: PropTypes.bool.isRequired,
+  isReady: PropTypes.bool.isRequired,
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      category: PropTypes.string,
+      color: PropTypes.string,
+      image: PropTypes.string,
+      lineId: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      productId: PropTypes.string,
+      quantity: PropTypes.number.isRequired,
+      size: PropTypes.string,
+      slug: PropTypes.string,
+    })
+  ).isRequired,
+  lineWarnings: PropTypes.objectOf(
+    PropTypes.arrayOf(
+      PropTypes.shape({
+        message: PropTypes.string.isRequired,
+        type: PropTypes.string.isRequired,
+      })
+    )
+  ).isRequired,
+  maxQuantity: PropTypes.number.isRequired,
+  promoCode: PropTypes.string.isRequired,
+  promoCodes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  promoError: PropTypes.string,
+  styles: PropTypes.object.isRequired,
+  summary: PropTypes.shape({
+    discounts: PropTypes.arrayOf(
+      PropTypes.shape({
+        amount: PropTypes.number.isRequired,
+        code: PropTypes.string.isRequired,
+        freeShipping: PropTypes.bool,
+        gift: PropTypes.object,
+      })
+    ).isRequired,
+    formattedShipping: PropTypes.string.isRequired,
+    formattedSubtotal: PropTypes.string.isRequired,
+    formattedTax: PropTypes.string.isRequired,
+    formattedTotal: PropTypes.string.isRequired,
+    freeShippingProgress: PropTypes.number.isRequired,
+    hasItems: PropTypes.bool.isRequired,
+    shipping: PropTypes.number.isRequired,
+    taxLabel: PropTypes.string.isRequired,
+    totalItems: PropTypes.number.isRequired,
+  }).isRequired,
+};
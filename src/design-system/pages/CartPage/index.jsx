@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Cart page component for reviewing, editing, and checking out the shopping cart
+ * Connects the useCartPage hook with the CartPageView presentation component
+ * Integrates with Next.js Image optimization and Link routing plus new arrival recommendations for empty carts
+ */
+
+"use client";
+import Image from "next/image";
+import Link from "next/link";
+
+import { Button } from "@design-system/buttons";
+import NewArrivals from "@design-system/data-display/NewArrivals";
+
+import CartPageView from "./CartPageView";
+import useCartPage from "./useCartPage";
+
+import styles from "./CartPage.module.scss";
+
+/**
+ * Container component for the cart page with line editing, order summary, and checkout entry
+ * @component
+ * @returns {JSX.Element} Rendered cart page with line items, summary panel, or empty cart recommendations
+ */
+const CartPage = () => {
+  const {
+    breadcrumbItems,
+    freeShippingMessage,
+    handleApplyPromoCode,
+    handleCheckout,
+    handlePromoCodeChange,
+    handleQuantityChange,
+    handleRemoveItem,
+    handleRemovePromoCode,
+    hasBlockingIssues,
+    isLoading,
+    isPromoEnabled,
+    isReady,
+    items,
+    lineWarnings,
+    maxQuantity,
+    promoCode,
+    promoCodes,
+    promoError,
+    summary,
+  } = useCartPage();
+
+  return (
+    <CartPageView
+      Button={Button}
+      Image={Image}
+      Link={Link}
+      NewArrivals={NewArrivals}
+      breadcrumbItems={breadcrumbItems}
+      freeShippingMessage={freeShippingMessage}
+      handleApplyPromoCode={handleApplyPromoCode}
+      handleCheckout={handleCheckout}
+      handlePromoCodeChange={handlePromoCodeChange}
+      handleQuantityChange={handleQuantityChange}
+      handleRemoveItem={handleRemoveItem}
+      handleRemovePromoCode={handleRemovePromoCode}
+      hasBlockingIssues={hasBlockingIssues}
+      isLoading={isLoading}
+      isPromoEnabled={isPromoEnabled}
+      isReady={isReady}
+      items={items}
+      lineWarnings={lineWarnings}
+      maxQuantity={maxQuantity}
+      promoCode={promoCode}
+      promoCodes={promoCodes}
+      promoError={promoError}
+      styles={styles}
+      summary={summary}
+    />
+  );
+};
+
+export default CartPage;
+
+CartPage.displayName = "CartPage";
+CartPage.View = CartPageView;
+CartPage.useCartPage = useCartPage;
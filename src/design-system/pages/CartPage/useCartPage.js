@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Custom hook for managing cart page state, line editing, and checkout entry
+ * Reads lines and derived totals from the persisted cart store and revalidates them against the catalog
+ * Provides quantity, removal, promo code, and checkout handlers plus free shipping progress for the CartPageView component
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useRouter } from "next/navigation";
+
+import {
+  CHECKOUT_STEP_ROUTES,
+  CHECKOUT_STEPS,
+  FEATURES,
+  FREE_SHIPPING_THRESHOLD,
+  MAX_QUANTITY_PER_ITEM,
+} from "@config/constants";
+import {
+  useCartActions,
+  useCartItems,
+  useCartLoading,
+  useCartPromoCodes,
+  useCartSummary,
+  useCartValidation,
+  useCheckoutActions,
+  useCheckoutStore,
+} from "@modules/core/stores";
+import { formatCurrency, generateCheckoutBreadcrumbs } from "@modules/core/utils";
+
+/**
+ * Hook for managing cart page state including line edits, validation warnings, and checkout navigation
+ * @hook
+ * @returns {Object} Cart page state management and interaction handlers
+ * @returns {Array<Object>} returns.items - Cart lines with lineId, name, price, size, color, and quantity
+ * @returns {Object} returns.summary - Derived cart totals and formatted amounts from getCartSummary
+ * @returns {Object} returns.lineWarnings - Validation warnings keyed by lineId from the latest cart check
+ * @returns {boolean} returns.hasBlockingIssues - Whether any line must be fixed before checkout
+ * @returns {Array<Object>} returns.breadcrumbItems - Breadcrumb navigation items for the cart step
+ * @returns {string} returns.freeShippingMessage - Customer-facing free shipping progress message
+ * @returns {number} returns.maxQuantity - Maximum quantity allowed per cart line
+ * @returns {boolean} returns.isReady - Whether the persisted cart has been read on the client
+ * @returns {boolean} returns.isLoading - Loading state indicator for cart validation
+ * @returns {boolean} returns.isPromoEnabled - Whether promo codes can be entered
+ * @returns {string} returns.promoCode - Promo code input value
+ * @returns {Array<string>} returns.promoCodes - Promo codes applied to the cart
+ * @returns {string|null} returns.promoError - Reason the last promo code was refused
+ * @returns {Function} returns.handleQuantityChange - Handler for setting a line quantity
+ * @returns {Function} returns.handleRemoveItem - Handler for removing a line from the cart
+ * @returns {Function} returns.handleCheckout - Handler that revalidates the cart and advances to the shipping step
+ * @returns {Function} returns.handlePromoCodeChange - Handler for promo code input changes
+ * @returns {Function} returns.handleApplyPromoCode - Submit handler that applies the entered promo code
+ * @returns {Function} returns.handleRemovePromoCode - Handler for removing an applied promo code
+ */
+const useCartPage = () => {
+  const router = useRouter();
+  const items = useCartItems();
+  const summary = useCartSummary();
+  const validation = useCartValidation();
+  const isLoading = useCartLoading();
+  const promoCodes = useCartPromoCodes();
+  const { applyPromoCode, removeItem, removePromoCode, updateQuantity, validateCart } =
+    useCartActions();
+  const { completeStep, resetCheckout } = useCheckoutActions();
+  const [isReady, setIsReady] = useState(false);
+  const [promoCode, setPromoCode] = useState("");
+  const [promoError, setPromoError] = useState(null);
+
+  // The cart is restored from localStorage, so render it only after mount to avoid hydration mismatches
+  useEffect(() => {
+    setIsReady(true);
+  }, []);
+
+  // Re-price lines and check stock whenever the cart has changed since the last check
+  useEffect(() => {
+    if (isReady && summary.hasItems && !validation) validateCart();
+  }, [isReady, summary.hasItems, validation, validateCart]);
+
+  const breadcrumbItems = useMemo(() => generateCheckoutBreadcrumbs("cart"), []);
+
+  const lineWarnings = useMemo(() => {
+    if (!validation?.lines) return {};
+    return Object.fromEntries(
+      Object.entries(validation.lines).map(([lineId, line]) => [lineId, line.warnings])
+    );
+  }, [validation]);
+
+  const hasBlockingIssues = validation ? !validation.isValid : false;
+
+  const freeShippingMessage = summary.isFreeShippingEligible
+    ? "Your order qualifies for free shipping"
+    : `Add ${formatCurrency(summary.amountToFreeShipping)} more for free shipping on orders over ${formatCurrency(FREE_SHIPPING_THRESHOLD)}`;
+
+  const handleQuantityChange = (lineId, quantity) => {
+    const nextQuantity = Math.min(Number.parseInt(quantity, 10) || 0, MAX_QUANTITY_PER_ITEM);
+    updateQuantity(lineId, nextQuantity);
+  };
+
+  const handleRemoveItem = lineId => {
+    removeItem(lineId);
+  };
+
+  const handlePromoCodeChange = value => {
+    setPromoCode(value);
+    setPromoError(null);
+  };
+
+  const handleApplyPromoCode = async event => {
+    event.preventDefault();
+    if (!promoCode.trim()) return;
+
+    try {
+      await applyPromoCode(promoCode);
+      setPromoCode("");
+    } catch (error) {
+      setPromoError(error.message || "This promo code cannot be used");
+    }
+  };
+
+  const handleRemovePromoCode = code => {
+    removePromoCode(code);
+  };
+
+  const handleCheckout = async () => {
+    const isValid = await validateCart();
+    if (!isValid) return;
+
+    // A confirmed order from a previous checkout in this tab starts a fresh checkout
+    if (useCheckoutStore.getState().order) resetCheckout();
+    const nextStep = completeStep(CHECKOUT_STEPS.CART);
+    if (nextStep) router.push(CHECKOUT_STEP_ROUTES[nextStep]);
+  };
+
+  return {
+    items,
+    summary,
+    lineWarnings,
+    hasBlockingIssues,
+    breadcrumbItems,
+    freeShippingMessage,
+    maxQuantity: MAX_QUANTITY_PER_ITEM,
+    isReady,
+    isLoading,
+    isPromoEnabled: FEATURES.PROMO_CODES.enabled,
+    promoCode,
+    promoCodes,
+    promoError,
+    handleQuantityChange,
+    handleRemoveItem,
+    handleCheckout,
+    handlePromoCodeChange,
+    handleApplyPromoCode,
+    handleRemovePromoCode,
+  };
+};
+
+export default useCartPage;
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Presentational component for checkout step pages with step tabs and order summary
+ * Renders the step navigation, the form or panel for the active step, and the order summary sidebar
+ */
+
+import PropTypes from "prop-types";
+
+import { CHECKOUT_STEPS } from "@config/constants";
+import Loading from "@design-system/feedback/Loading";
+import Breadcrumbs from "@design-system/navigation/Breadcrumbs";
+
+/**
+ * View component for rendering a checkout step with tabs, step content, and order summary
+ * @component
+ * @param {React.ComponentType} Button - Button component for interactive elements
+ * @param {React.ComponentType} ConfirmationStep - Confirmation panel component
+ * @param {React.ComponentType} Image - Next.js Image component for product thumbnails
+ * @param {React.ComponentType} Link - Next.js Link component for step navigation
+ * @param {React.ComponentType} OrderSummary - Order summary sidebar component
+ * @param {React.ComponentType} PaymentStep - Payment form component
+ * @param {React.ComponentType} ReviewStep - Order review component
+ * @param {React.ComponentType} ShippingStep - Shipping form component
+ * @param {Array<Object>} breadcrumbItems - Breadcrumb navigation items for the current step
+ * @param {Object} cardElementRef - Ref for the container the Stripe.js card element mounts into
+ * @param {Array<Object>} countries - Countries available for shipping
+ * @param {Object} details - Saved checkout details (address, payment summary, gift cards, order)
+ * @param {string} giftCardCode - Gift card code input value
+ * @param {string|null} giftCardError - Reason the last gift card was refused
+ * @param {Function} handleApplyGiftCard - Submit handler that checks and applies the entered gift card
+ * @param {Function} handleBack - Handler for returning to the previous step
+ * @param {Function} handleGiftCardCodeChange - Handler for gift card code input changes
+ * @param {Function} handlePaymentChange - Handler for payment form field changes
+ * @param {Function} handlePaymentSubmit - Handler that completes the payment step
+ * @param {Function} handlePlaceOrder - Handler that completes the review step
+ * @param {Function} handleRemoveGiftCard - Handler for removing an applied gift card
+ * @param {Function} handleSavedAddressSelect - Handler that fills the shipping form from a saved address
+ * @param {Function} handleShippingChange - Handler for shipping form field changes
+ * @param {Function} handleShippingMethodChange - Handler for shipping method selection
+ * @param {Function} handleShippingSubmit - Handler that completes the shipping step
+ * @param {boolean} isCardElementEnabled - Whether the card is entered in the Stripe.js card element
+ * @param {boolean} isCheckingGiftCard - Whether a gift card balance is being checked
+ * @param {boolean} isGiftCardEnabled - Whether gift cards can be applied
+ * @param {boolean} isPlacingOrder - Whether an order is being submitted
+ * @param {boolean} isReady - Whether the step is reachable and persisted state has loaded
+ * @param {boolean} isSavingPayment - Whether the card is being saved with Stripe
+ * @param {Array<Object>} items - Cart lines shown in the order summary
+ * @param {string|null} orderError - Message shown when the order could not be placed
+ * @param {Object} paymentErrors - Payment form validation errors
+ * @param {Object} paymentValues - Payment form values
+ * @param {Array<Object>} savedAddresses - Saved shipping addresses offered on the shipping step
+ * @param {string} selectedAddressId - Saved address filling the shipping form, or "" for a new address
+ * @param {Object} shippingErrors - Shipping form validation errors
+ * @param {string} shippingMethod - Selected shipping method identifier
+ * @param {Array<Object>} shippingMethods - Shipping methods for the destination with costs and delivery estimates
+ * @param {Object} shippingValues - Shipping form values
+ * @param {string} step - Checkout step rendered by the page
+ * @param {Array<Object>} steps - Step tabs with label, path, and progress flags
+ * @param {Object} styles - CSS module styles object for component styling
+ * @param {Object} totals - Order totals with formatted amounts
+ * @returns {JSX.Element} Rendered checkout step page
+ */
+const CheckoutPageView = ({
+  Button,
+  ConfirmationStep,
+  Image,
+  Link,
+  OrderSummary,
+  PaymentStep,
+  ReviewStep,
+  ShippingStep,
+  breadcrumbItems,
+  cardElementRef,
+  countries,
+  details,
+  giftCardCode,
+  giftCardError,
+  handleApplyGiftCard,
+  handleBack,
+  handleGiftCardCodeChange,
+  handlePaymentChange,
+  handlePaymentSubmit,
+  handlePlaceOrder,
+  handleRemoveGiftCard,
+  handleSavedAddressSelect,
+  handleShippingChange,
+  handleShippingMethodChange,
+  handleShippingSubmit,
+  isCardElementEnabled,
+  isCheckingGiftCard,
+  isGiftCardEnabled,
+  isPlacingOrder,
+  isReady,
+  isSavingPayment,
+  items,
+  orderError,
+  paymentErrors,
+  paymentValues,
+  savedAddresses,
+  selectedAddressId,
+  shippingErrors,
+  shippingMethod,
+  shippingMethods,
+  shippingValues,
+  step,
+  steps,
+  styles,
+  totals,
+}) => {
+  if (!isReady) return <Loading message="Loading checkout..." variant="page" />;
+
+  return (
+    <div className={styles["checkout-page"]}>
+      <section className={styles.header}>
+        <Breadcrumbs className="breadcrumbs--dark" items={breadcrumbItems} />
+      </section>
+
+      {step !== CHECKOUT_STEPS.CONFIRMATION && (
+        <nav aria-label="Checkout steps" className={styles.steps}>
+          {steps.map((item, index) => {
+            const label = `${index + 1}. ${item.label}`;
+            const className = `${styles.step} ${item.isActive ? styles["step-active"] : ""}`;
+
+            return item.isComplete || item.isActive ? (
+              <Link
+                key={item.step}
+                aria-current={item.isActive ? "step" : undefined}
+                className={className}
+                href={item.path}>
+                {label}
+              </Link>
+            ) : (
+              <span key={item.step} className={`${className} ${styles["step-locked"]}`}>
+                {label}
+              </span>
+            );
+          })}
+        </nav>
+      )}
+
+      <div className={styles.layout}>
+        <div className={styles.content}>
+          {step === CHECKOUT_STEPS.SHIPPING && (
+            <ShippingStep
+              Button={Button}
+              countries={countries}
+              handleBack={handleBack}
+              handleSavedAddressSelect={handleSavedAddressSelect}
+              handleShippingChange={handleShippingChange}
+              handleShippingMethodChange={handleShippingMethodChange}
+              handleShippingSubmit={handleShippingSubmit}
+              savedAddresses={savedAddresses}
+              selectedAddressId={selectedAddressId}
+              shippingErrors={shippingErrors}
+              shippingMethod={shippingMethod}
+              shippingMethods={shippingMethods}
+              shippingValues={shippingValues}
+              styles={styles}
+            />
+          )}
+
+          {step === CHECKOUT_STEPS.PAYMENT && (
+            <PaymentStep
+              Button={Button}
+              cardElementRef={cardElementRef}
+              handleBack={handleBack}
+              handlePaymentChange={handlePaymentChange}
+              handlePaymentSubmit={handlePaymentSubmit}
+              isCardElementEnabled={isCardElementEnabled}
+              isSavingPayment={isSavingPayment}
+              paymentErrors={paymentErrors}
+              paymentValues={paymentValues}
+              styles={styles}
+            />
+          )}
+
+          {step === CHECKOUT_STEPS.REVIEW && (
+            <ReviewStep
+              Button={Button}
+              Link={Link}
+              details={details}
+              giftCardCode={giftCardCode}
+              giftCardError={giftCardError}
+              handleApplyGiftCard={handleApplyGiftCard}
+              handleBack={handleBack}
+              handleGiftCardCodeChange={handleGiftCardCodeChange}
+              handlePlaceOrder={handlePlaceOrder}
+              handleRemoveGiftCard={handleRemoveGiftCard}
+              isCheckingGiftCard={isCheckingGiftCard}
+              isGiftCardEnabled={isGiftCardEnabled}
+              isPlacingOrder={isPlacingOrder}
+              orderError={orderError}
+              shippingMethod={shippingMethod}
+              shippingMethods={shippingMethods}
+              styles={styles}
+            />
+          )}
+
+          {step === CHECKOUT_STEPS.CONFIRMATION && details.order && (
+            <ConfirmationStep Link={Link} order={details.order} styles={styles} />
+          )}
+        </div>
+
+        <OrderSummary Image={Image} items={items} styles={styles} totals={totals} />
+      </div>
+    </div>
+  );
+};
+
+export default CheckoutPageView;
+
+CheckoutPageView.displayName = "CheckoutPageView";
+CheckoutPageView.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  ConfirmationStep: PropTypes.elementType.isRequired,
+  Image: PropTypes.elementType.isRequired,
+  Link: PropTypes.elementType.isRequired,
+  OrderSummary: PropTypes.elementType.isRequired,
+  PaymentStep: PropTypes.elementType.isRequired,
+  ReviewStep: PropTypes.elementType.isRequired,
+  ShippingStep: PropTypes.elementType.isRequired,
+  breadcrumbItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      path: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  cardElementRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+  countries: PropTypes.arrayOf(PropTypes.object).isRequired,
+  details: PropTypes.shape({
+    completedSteps: PropTypes.arrayOf(PropTypes.string).isRequired,
+    contactEmail: PropTypes.string,
+    giftCards: PropTypes.arrayOf(PropTypes.object).isRequired,
+    order: PropTypes.object,
+    paymentMethod: PropTypes.object,
+    shippingAddress: PropTypes.object,
+    shippingMethod: PropTypes.string,
+  }).isRequired,
+  giftCardCode: PropTypes.string.isRequired,
+  giftCardError: PropTypes.string,
+  handleApplyGiftCard: PropTypes.func.isRequired,
+  handleBack: PropTypes.func.isRequired,
+  handleGiftCardCodeChange: PropTypes.func.isRequired,
+  handlePaymentChange: PropTypes.func.isRequired,
+  handlePaymentSubmit: PropTypes.func.isRequired,
+  handlePlaceOrder: PropTypes.func.isRequired,
+  handleRemoveGiftCard: PropTypes.func.isRequired,
+  handleSavedAddressSelect: PropTypes.func.isRequired,
+  handleShippingChange: PropTypes.func.isRequired,
+  handleShippingMethodChange: PropTypes.func.isRequired,
+  handleShippingSubmit: PropTypes.func.isRequired,
+  isCardElementEnabled: PropTypes.bool.isRequired,
+  isCheckingGiftCard: PropTypes.bool.isRequired,
+  isGiftCardEnabled: PropTypes.bool.isRequired,
+  isPlacingOrder: PropTypes.bool.isRequired,
+  isReady: PropTypes.bool.isRequired,
+  isSavingPayment: PropTypes.bool.isRequired,
+  items: PropTypes.arrayOf(PropTypes.object).isRequired,
+  orderError: PropTypes.string,
+  paymentErrors: PropTypes.objectOf(PropTypes.string).isRequired,
+  paymentValues: PropTypes.objectOf(PropTypes.string).isRequired,
+  savedAddresses: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      isDefault: PropTypes.bool.isRequired,
+      label: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  selectedAddressId: PropTypes.string.isRequired,
+  shippingErrors: PropTypes.objectOf(PropTypes.string).isRequired,
+  shippingMethod: PropTypes.string.isRequired,
+  shippingMethods: PropTypes.arrayOf(PropTypes.object).isRequired,
+  shippingValues: PropTypes.objectOf(PropTypes.string).isRequired,
+  step: PropTypes.oneOf(Object.values(CHECKOUT_STEPS)).isRequired,
+  steps: PropTypes.arrayOf(
+    PropTypes.shape({
+      isActive: PropTypes.bool.isRequired,
+      isComplete: PropTypes.bool.isRequired,
+      label: PropTypes.string.isRequired,
+      path: PropTypes.string.isRequired,
+      step: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  styles: PropTypes.object.isRequired,
+  totals: PropTypes.shape({
+    formattedAmountDue: PropTypes.string,
+    formattedDiscount: PropTypes.string,
+    formattedGiftCardAmount: PropTypes.string,
+    formattedShipping: PropTypes.string.isRequired,
+    formattedSubtotal: PropTypes.string.isRequired,
+    formattedTax: PropTypes.string.isRequired,
+    formattedTotal: PropTypes.string.isRequired,
+    taxLabel: PropTypes.string,
+  }).isRequired,
+};
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Read-only shipping address block used on the review and confirmation steps
+ * Lays the address out in the order its country writes addresses and formats the phone number to match
+ */
+
+import PropTypes from "prop-types";
+
+import { formatAddress, formatPhoneNumber } from "@modules/core/utils";
+
+/**
+ * Renders a shipping address as stacked lines using the address format of its country
+ * @component
+ * @param {Object} address - Shipping address saved on the shipping step, or the address stored on the order
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element|null} Rendered address, or null when no address is saved
+ */
+const AddressSummary = ({ address, styles }) => {
+  if (!address) return null;
+
+  return (
+    <address className={styles.address}>
+      {formatAddress(address).map(line => (
+        <span key={line}>{line}</span>
+      ))}
+      {address.phoneNumber && (
+        <span>{formatPhoneNumber(address.phoneNumber, address.country)}</span>
+      )}
+    </address>
+  );
+};
+
+export default AddressSummary;
+
+AddressSummary.displayName = "AddressSummary";
+AddressSummary.propTypes = {
+  address: PropTypes.shape({
+    addressLine1: PropTypes.string.isRequired,
+    addressLine2: PropTypes.string,
+    city: PropTypes.string.isRequired,
+    country: PropTypes.string.isRequired,
+    firstName: PropTypes.string,
+    lastName: PropTypes.string,
+    phoneNumber: PropTypes.string,
+    postalCode: PropTypes.string.isRequired,
+    state: PropTypes.string,
+  }),
+  styles: PropTypes.object.isRequired,
+};
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Confirmation step shown after an order has been placed
+ */
+
+import PropTypes from "prop-types";
+
+import { ROUTES } from "@config/constants";
+import AddressSummary from "@design-system/pages/CheckoutPage/components/AddressSummary";
+import { formatDate } from "@modules/core/utils";
+
+/**
+ * Order confirmation with order reference, contact email, and shipping address
+ * Guests get a link back to the order, signed when the server issued one, since they have no order history
+ * @component
+ * @param {React.ComponentType} Link - Next.js Link component for shop navigation
+ * @param {Object} order - Placed order saved on the review step
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered order confirmation
+ */
+const ConfirmationStep = ({ Link, order, styles }) => (
+  <section className={styles.form}>
+    <h2 className={styles["section-title"]}>Thank you for your order!</h2>
+    {order.orderNumber && (
+      <p className={styles["order-number"]}>Order number: {order.orderNumber}</p>
+    )}
+    <p>
+      Placed on {formatDate(order.placedAt, { dateStyle: "long" })}. A confirmation will be sent to{" "}
+      {order.contactEmail}.
+    </p>
+
+    <div className={styles["review-block"]}>
+      <h3>Shipping to</h3>
+      <AddressSummary address={order.shippingAddress} styles={styles} />
+    </div>
+
+    {order.isGuest && (
+      <p>
+        Keep your order number handy to{" "}
+        <Link href={order.lookupUrl || ROUTES.ORDER_LOOKUP}>check on this order</Link> at any time,
+        or create an account with {order.contactEmail} to add it to your order history.
+      </p>
+    )}
+
+    <Link className={styles["continue-link"]} href={ROUTES.SHOP}>
+      Continue Shopping
+    </Link>
+  </section>
+);
+
+export default ConfirmationStep;
+
+ConfirmationStep.displayName = "ConfirmationStep";
+ConfirmationStep.propTypes = {
+  Link: PropTypes.elementType.isRequired,
+  order: PropTypes.shape({
+    contactEmail: PropTypes.string,
+    isGuest: PropTypes.bool,
+    lookupUrl: PropTypes.string,
+    orderNumber: PropTypes.string,
+    placedAt: PropTypes.string.isRequired,
+    shippingAddress: PropTypes.object,
+  }).isRequired,
+  styles: PropTypes.object.isRequired,
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Order summary panel shown beside every checkout step
+ * Lists cart lines with images and the subtotal, promo discount, shipping, taxes, and total for the current selections,
+ * followed by the gift card amount and what is left to pay when gift cards are applied
+ */
+
+import PropTypes from "prop-types";
+
+import { formatCurrency, getImageUrl } from "@modules/core/utils";
+
+/**
+ * Order summary with line items and totals
+ * @component
+ * @param {React.ComponentType} Image - Next.js Image component for product thumbnails
+ * @param {Array<Object>} items - Cart lines to summarize
+ * @param {Object} styles - CSS module styles object for component styling
+ * @param {Object} totals - Subtotal, discount, shipping, tax, total, gift card amount, and amount due with formatted amounts
+ * @returns {JSX.Element} Rendered order summary panel
+ */
+const OrderSummary = ({ Image, items, styles, totals }) => {
+  const summaryRowClass = styles["summary-row"];
+
+  return (
+    <aside aria-label="Order summary" className={styles.summary}>
+      <h2 className={styles["section-title"]}>Summary</h2>
+
+      <ul className={styles["summary-lines"]}>
+        {items.map(item => {
+          const productImage = getImageUrl(item.image);
+
+          return (
+            <li key={item.lineId} className={styles["summary-line"]}>
+              <div className={styles["summary-image"]}>
+                <Image
+                  fill
+                  alt={item.name}
+                  sizes="80px"
+                  src={productImage}
+                  unoptimized={productImage?.includes("placehold.co")}
+                />
+              </div>
+              <div>
+                <p className={styles["summary-name"]}>{item.name}</p>
+                <p className={styles["summary-meta"]}>
+                  {[item.color, item.size].filter(Boolean).join(" / ")} × {item.quantity}
+                </p>
+                <p className={styles["summary-price"]}>
+                  {formatCurrency(item.price * item.quantity)}
+                </p>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <dl className={styles["summary-rows"]}>
+        <div className={summaryRowClass}>
+          <dt>Subtotal</dt>
+          <dd>{totals.formattedSubtotal}</dd>
+        </div>
+        {totals.formattedDiscount && (
+          <div className={summaryRowClass}>
+            <dt>Discount</dt>
+            <dd>-{totals.formattedDiscount}</dd>
+          </div>
+        )}
+        <div className={summaryRowClass}>
+          <dt>Shipping</dt>
+          <dd>{totals.formattedShipping}</dd>
+        </div>
+        <div className={summaryRowClass}>
+          <dt>{totals.taxLabel || "Taxes"}</dt>
+          <dd>{totals.formattedTax}</dd>
+        </div>
+        <div className={`${summaryRowClass} ${styles["summary-total"]}`}>
+          <dt>Total</dt>
+          <dd>{totals.formattedTotal}</dd>
+        </div>
+        {totals.formattedGiftCardAmount && (
+          <>
+            <div className={summaryRowClass}>
+              <dt>Gift cards</dt>
+              <dd>-{totals.formattedGiftCardAmount}</dd>
+            </div>
+            <div className={`${summaryRowClass} ${styles["summary-total"]}`}>
+              <dt>Amount due</dt>
+              <dd>{totals.formattedAmountDue}</dd>
+            </div>
+          </>
+        )}
+      </dl>
+    </aside>
+  );
+};
+
+export default OrderSummary;
+
+OrderSummary.displayName = "OrderSummary";
+OrderSummary.propTypes = {
+  Image: PropTypes.elementType.isRequired,
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      color: PropTypes.string,
+      image: PropTypes.string,
+      lineId: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      quantity: PropTypes.number.isRequired,
+      size: PropTypes.string,
+    })
+  ).isRequired,
+  styles: PropTypes.object.isRequired,
+  totals: PropTypes.shape({
+    formattedAmountDue: PropTypes.string,
+    formattedDiscount: PropTypes.string,
+    formattedGiftCardAmount: PropTypes.string,
+    formattedShipping: PropTypes.string.isRequired,
+    formattedSubtotal: PropTypes.string.isRequired,
+    formattedTax: PropTypes.string.isRequired,
+    formattedTotal: PropTypes.string.isRequired,
+    taxLabel: PropTypes.string,
+  }).isRequired,
+};
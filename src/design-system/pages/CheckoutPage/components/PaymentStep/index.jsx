@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Payment step form for the checkout flow
+ * Collects card details for validation; only a brand and last-four summary is kept after submission
+ * With Stripe.js enabled the card is entered in a Stripe-hosted card element and only the cardholder name is a form field
+ */
+
+import PropTypes from "prop-types";
+
+const CARD_FIELDS = [
+  {
+    name: "cardNumber",
+    label: "Card Number",
+    autoComplete: "cc-number",
+    inputMode: "numeric",
+    wide: true,
+  },
+  { name: "cardholderName", label: "Cardholder Name", autoComplete: "cc-name", wide: true },
+  {
+    name: "expiry",
+    label: "Expiration Date",
+    autoComplete: "cc-exp",
+    placeholder: "MM / YY",
+  },
+  { name: "cvc", label: "CVC / CVC2", autoComplete: "cc-csc", inputMode: "numeric" },
+];
+
+/**
+ * Payment step form with card number, cardholder, expiry, and security code fields
+ * @component
+ * @param {React.ComponentType} Button - Button component for form actions
+ * @param {Object} cardElementRef - Ref for the container the Stripe.js card element mounts into
+ * @param {Function} handleBack - Handler for returning to the shipping step
+ * @param {Function} handlePaymentChange - Handler for form field changes
+ * @param {Function} handlePaymentSubmit - Handler that validates and completes the step
+ * @param {boolean} isCardElementEnabled - Whether the card is entered in the Stripe.js card element
+ * @param {boolean} isSavingPayment - Whether the card is being saved with Stripe
+ * @param {Object} paymentErrors - Validation errors keyed by field name, with card for card element errors
+ * @param {Object} paymentValues - Form values keyed by field name
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered payment form
+ */
+const PaymentStep = ({
+  Button,
+  cardElementRef,
+  handleBack,
+  handlePaymentChange,
+  handlePaymentSubmit,
+  isCardElementEnabled,
+  isSavingPayment,
+  paymentErrors,
+  paymentValues,
+  styles,
+}) => {
+  const fields = isCardElementEnabled
+    ? CARD_FIELDS.filter(field => field.name === "cardholderName")
+    : CARD_FIELDS;
+
+  return (
+    <form noValidate className={styles.form} onSubmit={handlePaymentSubmit}>
+      <h2 className={styles["section-title"]}>Payment Details</h2>
+
+      <div className={styles["field-grid"]}>
+        {fields.map(field => (
+          <label
+            key={field.name}
+            className={`${styles.field} ${field.wide ? styles["field-wide"] : ""}`}>
+            <span className={styles["field-label"]}>{field.label}</span>
+            <input
+              aria-invalid={Boolean(paymentErrors[field.name])}
+              autoComplete={field.autoComplete}
+              className={styles.input}
+              inputMode={field.inputMode}
+              name={field.name}
+              placeholder={field.placeholder}
+              type="text"
+              value={paymentValues[field.name]}
+              onChange={e => handlePaymentChange(field.name, e.target.value)}
+            />
+            {paymentErrors[field.name] && (
+              <span className={styles["field-error"]}>{paymentErrors[field.name]}</span>
+            )}
+          </label>
+        ))}
+
+        {isCardElementEnabled && (
+          <div className={`${styles.field} ${styles["field-wide"]}`}>
+            <span className={styles["field-label"]}>Card Details</span>
+            <div ref={cardElementRef} className={styles.input} />
+          </div>
+        )}
+
+        {paymentErrors.card && (
+          <span className={`${styles["field-error"]} ${styles["field-wide"]}`}>
+            {paymentErrors.card}
+          </span>
+        )}
+      </div>
+
+      <div className={styles.actions}>
+        <Button disabled={isSavingPayment} type="submit" variant="primary">
+          {isSavingPayment ? "Saving Card..." : "Continue to Review"}
+        </Button>
+        <Button variant="outline" onClick={handleBack}>
+          Back
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default PaymentStep;
+
+PaymentStep.displayName = "PaymentStep";
+PaymentStep.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  cardElementRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+  handleBack: PropTypes.func.isRequired,
+  handlePaymentChange: PropTypes.func.isRequired,
+  handlePaymentSubmit: PropTypes.func.isRequired,
+  isCardElementEnabled: PropTypes.bool.isRequired,
+  isSavingPayment: PropTypes.bool.isRequired,
+  paymentErrors: PropTypes.objectOf(PropTypes.string).isRequired,
+  paymentValues: PropTypes.objectOf(PropTypes.string).isRequired,
+  styles: PropTypes.object.isRequired,
+};
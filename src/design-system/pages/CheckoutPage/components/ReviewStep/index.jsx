@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Review step for the checkout flow
+ * Shows the saved contact, shipping, and payment choices with edit links before the order is placed
+ * Lets the customer apply gift cards, whose balances are taken before the card payment is charged
+ */
+
+import PropTypes from "prop-types";
+
+import { CHECKOUT_STEP_ROUTES, CHECKOUT_STEPS } from "@config/constants";
+import AddressSummary from "@design-system/pages/CheckoutPage/components/AddressSummary";
+import { formatCurrency } from "@modules/core/utils";
+
+/**
+ * Review step with saved checkout details and the place order action
+ * @component
+ * @param {React.ComponentType} Button - Button component for form actions
+ * @param {React.ComponentType} Link - Next.js Link component for edit links
+ * @param {Object} details - Saved checkout details (contactEmail, shippingAddress, paymentMethod, giftCards)
+ * @param {string} giftCardCode - Gift card code input value
+ * @param {string|null} giftCardError - Reason the last gift card was refused
+ * @param {Function} handleApplyGiftCard - Submit handler that checks and applies the entered gift card
+ * @param {Function} handleBack - Handler for returning to the payment step
+ * @param {Function} handleGiftCardCodeChange - Handler for gift card code input changes
+ * @param {Function} handlePlaceOrder - Handler that places the order
+ * @param {Function} handleRemoveGiftCard - Handler for removing an applied gift card
+ * @param {boolean} isCheckingGiftCard - Whether a gift card balance is being checked
+ * @param {boolean} isGiftCardEnabled - Whether gift cards can be applied
+ * @param {boolean} isPlacingOrder - Whether an order is being submitted
+ * @param {string|null} orderError - Message shown when the order could not be placed
+ * @param {string} shippingMethod - Selected shipping method identifier
+ * @param {Array<Object>} shippingMethods - Shipping methods for the destination with costs and delivery estimates
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered order review
+ */
+const ReviewStep = ({
+  Button,
+  Link,
+  details,
+  giftCardCode,
+  giftCardError,
+  handleApplyGiftCard,
+  handleBack,
+  handleGiftCardCodeChange,
+  handlePlaceOrder,
+  handleRemoveGiftCard,
+  isCheckingGiftCard,
+  isGiftCardEnabled,
+  isPlacingOrder,
+  orderError,
+  shippingMethod,
+  shippingMethods,
+  styles,
+}) => {
+  const method = shippingMethods.find(item => item.id === shippingMethod);
+
+  return (
+    <section className={styles.form}>
+      <h2 className={styles["section-title"]}>Review Your Order</h2>
+
+      <div className={styles["review-block"]}>
+        <div className={styles["review-heading"]}>
+          <h3>Shipping</h3>
+          <Link href={CHECKOUT_STEP_ROUTES[CHECKOUT_STEPS.SHIPPING]}>Edit</Link>
+        </div>
+        <p>{details.contactEmail}</p>
+        <AddressSummary address={details.shippingAddress} styles={styles} />
+        {method && (
+          <>
+            <p>
+              {method.name} ({method.description}) - {method.formattedCost}
+            </p>
+            <p>{method.formattedDelivery}</p>
+          </>
+        )}
+      </div>
+
+      <div className={styles["review-block"]}>
+        <div className={styles["review-heading"]}>
+          <h3>Payment</h3>
+          <Link href={CHECKOUT_STEP_ROUTES[CHECKOUT_STEPS.PAYMENT]}>Edit</Link>
+        </div>
+        {details.paymentMethod && (
+          <p>
+            {details.paymentMethod.brand} ending in {details.paymentMethod.last4} (expires{" "}
+            {details.paymentMethod.expiry})
+          </p>
+        )}
+      </div>
+
+      {isGiftCardEnabled && (
+        <div className={styles["review-block"]}>
+          <h3>Gift Cards</h3>
+          <form className={styles["gift-card-form"]} onSubmit={handleApplyGiftCard}>
+            <label className={styles["field-label"]} htmlFor="checkout-gift-card">
+              Gift card code
+            </label>
+            <input
+              aria-describedby={giftCardError ? "checkout-gift-card-error" : undefined}
+              aria-invalid={Boolean(giftCardError)}
+              autoComplete="off"
+              className={styles.input}
+              id="checkout-gift-card"
+              value={giftCardCode}
+              onChange={event => handleGiftCardCodeChange(event.target.value)}
+            />
+            <Button
+              disabled={isCheckingGiftCard || isPlacingOrder || !giftCardCode.trim()}
+              size="sm"
+              type="submit"
+              variant="secondary">
+              {isCheckingGiftCard ? "Checking..." : "Apply"}
+            </Button>
+          </form>
+          {giftCardError && (
+            <p className={styles["field-error"]} id="checkout-gift-card-error" role="alert">
+              {giftCardError}
+            </p>
+          )}
+          {details.giftCards.length > 0 && (
+            <ul className={styles["gift-cards"]}>
+              {details.giftCards.map(giftCard => (
+                <li key={giftCard.last4} className={styles["gift-card"]}>
+                  <span>
+                    Gift card ending in {giftCard.last4} ({formatCurrency(giftCard.balance)}{" "}
+                    available)
+                  </span>
+                  <Button
+                    aria-label={`Remove gift card ending in ${giftCard.last4}`}
+                    disabled={isPlacingOrder}
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleRemoveGiftCard(giftCard.last4)}>
+                    Remove
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {orderError && (
+        <p className={styles["field-error"]} role="alert">
+          {orderError}
+        </p>
+      )}
+
+      <div className={styles.actions}>
+        <Button disabled={isPlacingOrder} variant="primary" onClick={handlePlaceOrder}>
+          {isPlacingOrder ? "Placing Order..." : "Place Order"}
+        </Button>
+        <Button variant="outline" onClick={handleBack}>
+          Back
+        </Button>
+      </div>
+    </section>
+  );
+};
+
+export default ReviewStep;
+
+ReviewStep.displayName = "ReviewStep";
+ReviewStep.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  Link: PropTypes.elementType.isRequired,
+  details: PropTypes.shape({
+    contactEmail: PropTypes.string,
+    giftCards: PropTypes.arrayOf(
+      PropTypes.shape({
+        balance: PropTypes.number.isRequired,
+        last4: PropTypes.string.isRequired,
+      })
+    ).isRequired,
+    paymentMethod: PropTypes.shape({
+      brand: PropTypes.string.isRequired,
+      expiry: PropTypes.string.isRequired,
+      last4: PropTypes.string.isRequired,
+    }),
+    shippingAddress: PropTypes.object,
+  }).isRequired,
+  giftCardCode: PropTypes.string.isRequired,
+  giftCardError: PropTypes.string,
+  handleApplyGiftCard: PropTypes.func.isRequired,
+  handleBack: PropTypes.func.isRequired,
+  handleGiftCardCodeChange: PropTypes.func.isRequired,
+  handlePlaceOrder: PropTypes.func.isRequired,
+  handleRemoveGiftCard: PropTypes.func.isRequired,
+  isCheckingGiftCard: PropTypes.bool.isRequired,
+  isGiftCardEnabled: PropTypes.bool.isRequired,
+  isPlacingOrder: PropTypes.bool.isRequired,
+  orderError: PropTypes.string,
+  shippingMethod: PropTypes.string.isRequired,
+  shippingMethods: PropTypes.arrayOf(
+    PropTypes.shape({
+      description: PropTypes.string.isRequired,
+      formattedCost: PropTypes.string.isRequired,
+      formattedDelivery: PropTypes.string.isRequired,
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  styles: PropTypes.object.isRequired,
+};
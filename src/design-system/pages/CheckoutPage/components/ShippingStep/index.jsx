@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Shipping step form for the checkout flow
+ * Collects the contact email, shipping address, and shipping method before payment
+ * Signed-in customers can fill the address from their address book
+ */
+
+import PropTypes from "prop-types";
+
+const ADDRESS_FIELDS = [
+  { name: "email", label: "Email", type: "email", autoComplete: "email", wide: true },
+  { name: "firstName", label: "First Name", autoComplete: "given-name" },
+  { name: "lastName", label: "Last Name", autoComplete: "family-name" },
+  { name: "addressLine1", label: "Address", autoComplete: "address-line1", wide: true },
+  { name: "addressLine2", label: "Address 2", autoComplete: "address-line2", wide: true },
+  { name: "city", label: "City", autoComplete: "address-level2" },
+  { name: "state", label: "State / Province", autoComplete: "address-level1" },
+  { name: "postalCode", label: "Zip/Postal Code", autoComplete: "postal-code" },
+  { name: "phoneNumber", label: "Phone Number", type: "tel", autoComplete: "tel" },
+];
+
+/**
+ * Shipping step form with address fields, country selection, and shipping method options
+ * @component
+ * @param {React.ComponentType} Button - Button component for form actions
+ * @param {Array<Object>} countries - Countries available for shipping
+ * @param {Function} handleBack - Handler for returning to the cart
+ * @param {Function} handleSavedAddressSelect - Handler that fills the form from a saved address
+ * @param {Function} handleShippingChange - Handler for form field changes
+ * @param {Function} handleShippingMethodChange - Handler for shipping method selection
+ * @param {Function} handleShippingSubmit - Handler that validates and completes the step
+ * @param {Array<Object>} savedAddresses - Saved shipping addresses with id, label, and isDefault
+ * @param {string} selectedAddressId - Saved address filling the form, or "" for a new address
+ * @param {Object} shippingErrors - Validation errors keyed by field name
+ * @param {string} shippingMethod - Selected shipping method identifier
+ * @param {Array<Object>} shippingMethods - Shipping methods for the destination with costs and delivery estimates
+ * @param {Object} shippingValues - Form values keyed by field name
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered shipping form
+ */
+const ShippingStep = ({
+  Button,
+  countries,
+  handleBack,
+  handleSavedAddressSelect,
+  handleShippingChange,
+  handleShippingMethodChange,
+  handleShippingSubmit,
+  savedAddresses,
+  selectedAddressId,
+  shippingErrors,
+  shippingMethod,
+  shippingMethods,
+  shippingValues,
+  styles,
+}) => (
+  <form noValidate className={styles.form} onSubmit={handleShippingSubmit}>
+    <h2 className={styles["section-title"]}>Shipping Details</h2>
+
+    {savedAddresses.length > 0 && (
+      <label className={styles.field}>
+        <span className={styles["field-label"]}>Saved Addresses</span>
+        <select
+          className={styles.input}
+          name="savedAddress"
+          value={selectedAddressId}
+          onChange={e => handleSavedAddressSelect(e.target.value)}>
+          <option value="">Enter a new address</option>
+          {savedAddresses.map(address => (
+            <option key={address.id} value={address.id}>
+              {address.isDefault ? `${address.label} (Default)` : address.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    )}
+
+    <div className={styles["field-grid"]}>
+      {ADDRESS_FIELDS.map(field => (
+        <label
+          key={field.name}
+          className={`${styles.field} ${field.wide ? styles["field-wide"] : ""}`}>
+          <span className={styles["field-label"]}>{field.label}</span>
+          <input
+            aria-invalid={Boolean(shippingErrors[field.name])}
+            autoComplete={field.autoComplete}
+            className={styles.input}
+            name={field.name}
+            type={field.type || "text"}
+            value={shippingValues[field.name]}
+            onChange={e => handleShippingChange(field.name, e.target.value)}
+          />
+          {shippingErrors[field.name] && (
+            <span className={styles["field-error"]}>{shippingErrors[field.name]}</span>
+          )}
+        </label>
+      ))}
+
+      <label className={styles.field}>
+        <span className={styles["field-label"]}>Country</span>
+        <select
+          autoComplete="country"
+          className={styles.input}
+          name="country"
+          value={shippingValues.country}
+          onChange={e => handleShippingChange("country", e.target.value)}>
+          {countries.map(country => (
+            <option key={country.code} value={country.code}>
+              {country.name}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+
+    <fieldset className={styles["method-list"]}>
+      <legend className={styles["field-label"]}>Shipping Method</legend>
+      {shippingMethods.map(method => (
+        <label
+          key={method.id}
+          className={`${styles.method} ${method.id === shippingMethod ? styles["method-active"] : ""}`}>
+          <input
+            checked={method.id === shippingMethod}
+            name="shippingMethod"
+            type="radio"
+            value={method.id}
+            onChange={() => handleShippingMethodChange(method.id)}
+          />
+          <span className={styles["method-name"]}>
+            {method.name} - {method.formattedCost}
+          </span>
+          <span className={styles["method-description"]}>
+            {method.description} · {method.formattedDelivery}
+          </span>
+        </label>
+      ))}
+    </fieldset>
+
+    <div className={styles.actions}>
+      <Button type="submit" variant="primary">
+        Next
+      </Button>
+      <Button variant="outline" onClick={handleBack}>
+        Back
+      </Button>
+    </div>
+  </form>
+);
+
+export default ShippingStep;
+
+ShippingStep.displayName = "ShippingStep";
+ShippingStep.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  countries: PropTypes.arrayOf(
+    PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  handleBack: PropTypes.func.isRequired,
+  handleSavedAddressSelect: PropTypes.func.isRequired,
+  handleShippingChange: PropTypes.func.isRequired,
+  handleShippingMethodChange: PropTypes.func.isRequired,
+  handleShippingSubmit: PropTypes.func.isRequired,
+  savedAddresses: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      isDefault: PropTypes.bool.isRequired,
+      label: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  selectedAddressId: PropTypes.string.isRequired,
+  shippingErrors: PropTypes.objectOf(PropTypes.string).isRequired,
+  shippingMethod: PropTypes.string.isRequired,
+  shippingMethods: PropTypes.arrayOf(
+    PropTypes.shape({
+      description: PropTypes.string.isRequired,
+      formattedCost: PropTypes.string.isRequired,
+      formattedDelivery: PropTypes.string.isRequired,
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  shippingValues: PropTypes.objectOf(PropTypes.string).isRequired,
+  styles: PropTypes.object.isRequired,
+};
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Checkout page component rendering one step of the multi-step checkout flow
+ * Connects the useCheckoutPage hook with the CheckoutPageView presentation component
+ * Supplies step panels, the order summary, and Next.js Image and Link components to the view
+ */
+
+"use client";
+import Image from "next/image";
+import Link from "next/link";
+import PropTypes from "prop-types";
+
+import { CHECKOUT_STEPS } from "@config/constants";
+import { Button } from "@design-system/buttons";
+
+import CheckoutPageView from "./CheckoutPageView";
+import ConfirmationStep from "./components/ConfirmationStep";
+import OrderSummary from "./components/OrderSummary";
+import PaymentStep from "./components/PaymentStep";
+import ReviewStep from "./components/ReviewStep";
+import ShippingStep from "./components/ShippingStep";
+import useCheckoutPage from "./useCheckoutPage";
+
+import styles from "./CheckoutPage.module.scss";
+
+/**
+ * Container component for a checkout step with navigation guards, forms, and order summary
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.step - Checkout step to render (shipping, payment, review, confirmation)
+ * @returns {JSX.Element} Rendered checkout step page
+ */
+const CheckoutPage = ({ step }) => {
+  const {
+    breadcrumbItems,
+    cardElementRef,
+    countries,
+    details,
+    giftCardCode,
+    giftCardError,
+    handleApplyGiftCard,
+    handleBack,
+    handleGiftCardCodeChange,
+    handlePaymentChange,
+    handlePaymentSubmit,
+    handlePlaceOrder,
+    handleRemoveGiftCard,
+    handleSavedAddressSelect,
+    handleShippingChange,
+    handleShippingMethodChange,
+    handleShippingSubmit,
+    isCardElementEnabled,
+    isCheckingGiftCard,
+    isGiftCardEnabled,
+    isPlacingOrder,
+    isReady,
+    isSavingPayment,
+    items,
+    orderError,
+    paymentErrors,
+    paymentValues,
+    savedAddresses,
+    selectedAddressId,
+    shippingErrors,
+    shippingMethod,
+    shippingMethods,
+    shippingValues,
+    steps,
+    totals,
+  } = useCheckoutPage(step);
+
+  return (
+    <CheckoutPageView
+      Button={Button}
+      ConfirmationStep={ConfirmationStep}
+      Image={Image}
+      Link={Link}
+      OrderSummary={OrderSummary}
+      PaymentStep={PaymentStep}
+      ReviewStep={ReviewStep}
+      ShippingStep={ShippingStep}
+      breadcrumbItems={breadcrumbItems}
+      cardElementRef={cardElementRef}
+      countries={countries}
+      details={details}
+      giftCardCode={giftCardCode}
+      giftCardError={giftCardError}
+      handleApplyGiftCard={handleApplyGiftCard}
+      handleBack={handleBack}
+      handleGiftCardCodeChange={handleGiftCardCodeChange}
+      handlePaymentChange={handlePaymentChange}
+      handlePaymentSubmit={handlePaymentSubmit}
+      handlePlaceOrder={handlePlaceOrder}
+      handleRemoveGiftCard={handleRemoveGiftCard}
+      handleSavedAddressSelect={handleSavedAddressSelect}
+      handleShippingChange={handleShippingChange}
+      handleShippingMethodChange={handleShippingMethodChange}
+      handleShippingSubmit={handleShippingSubmit}
+      isCardElementEnabled={isCardElementEnabled}
+      isCheckingGiftCard={isCheckingGiftCard}
+      isGiftCardEnabled={isGiftCardEnabled}
+      isPlacingOrder={isPlacingOrder}
+      isReady={isReady}
+      isSavingPayment={isSavingPayment}
+      items={items}
+      orderError={orderError}
+      paymentErrors={paymentErrors}
+      paymentValues={paymentValues}
+      savedAddresses={savedAddresses}
+      selectedAddressId={selectedAddressId}
+      shippingErrors={shippingErrors}
+      shippingMethod={shippingMethod}
+      shippingMethods={shippingMethods}
+      shippingValues={shippingValues}
+      step={step}
+      steps={steps}
+      styles={styles}
+      totals={totals}
+    />
+  );
+};
+
+export default CheckoutPage;
+
+CheckoutPage.displayName = "CheckoutPage";
+CheckoutPage.View = CheckoutPageView;
+CheckoutPage.useCheckoutPage = useCheckoutPage;
+CheckoutPage.propTypes = {
+  step: PropTypes.oneOf([
+    CHECKOUT_STEPS.SHIPPING,
+    CHECKOUT_STEPS.PAYMENT,
+    CHECKOUT_STEPS.REVIEW,
+    CHECKOUT_STEPS.CONFIRMATION,
+  ]).isRequired,
+};
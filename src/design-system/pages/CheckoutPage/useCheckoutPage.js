@@ -0,0 +1,758 @@
+/**
+ * @fileoverview Custom hook for managing a checkout step page on top of the checkout state machine
+ * Guards out-of-order navigation by redirecting to the furthest reachable step, and back to the cart when it is empty
+ * Manages shipping and payment form state, validation, shipping method totals, taxes for the shipping address, gift cards, and order placement
+ * Offers signed-in customers their saved shipping addresses, starting a new checkout from their default one
+ * Collects cards in a Stripe.js card element when a publishable key is configured, keeping only the PaymentMethod id
+ * Completes 3D Secure with Stripe.js and only confirms orders whose payment succeeded
+ */
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { useQuery } from "@tanstack/react-query";
+
+import {
+  ADDRESS_FIELD_NAMES,
+  ADDRESS_TYPES,
+  CACHE_DURATION,
+  CHECKOUT_STEP_LABELS,
+  CHECKOUT_STEP_ORDER,
+  CHECKOUT_STEP_ROUTES,
+  CHECKOUT_STEPS,
+  CREDIT_CARD_TYPES,
+  DEFAULT_COUNTRY,
+  FEATURES,
+  MAX_GIFT_CARDS_PER_ORDER,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_METHODS,
+  ROUTES,
+  SUPPORTED_COUNTRIES,
+} from "@config/constants";
+import { queryKeys } from "@modules/core/providers";
+import {
+  addressService,
+  giftCardService,
+  orderService,
+  paymentService,
+  shippingService,
+} from "@modules/core/services";
+import {
+  canAccessCheckoutStep,
+  getFurthestCheckoutStep,
+  useAuthState,
+  useCartActions,
+  useCartItems,
+  useCartSummary,
+  useCheckoutActions,
+  useCheckoutDetails,
+  useSessionLoaded,
+} from "@modules/core/stores";
+import {
+  calculateShippingCost,
+  errorHandler,
+  formatCurrency,
+  formatDate,
+  formatTaxLabel,
+  generateCheckoutBreadcrumbs,
+  getAvailableShippingMethods,
+  getDeliveryEstimate,
+  getStripe,
+  isStripeEnabled,
+  isValidCreditCard,
+  isValidEmail,
+  validateAddress,
+} from "@modules/core/utils";
+
+const EMPTY_SHIPPING_FORM = {
+  email: "",
+  firstName: "",
+  lastName: "",
+  addressLine1: "",
+  addressLine2: "",
+  city: "",
+  state: "",
+  postalCode: "",
+  country: DEFAULT_COUNTRY,
+  phoneNumber: "",
+};
+
+// Recipient fields a saved address may leave empty, keeping what the customer already typed
+const ADDRESS_CONTACT_FIELDS = ["firstName", "lastName", "phoneNumber"];
+
+const EMPTY_PAYMENT_FORM = {
+  cardNumber: "",
+  cardholderName: "",
+  expiry: "",
+  cvc: "",
+};
+
+/**
+ * Validates the shipping form against the address rules of the selected country and the contact email
+ * @param {Object} values - Shipping form values
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+const validateShippingForm = values => {
+  const errors = validateAddress(values);
+
+  if (!isValidEmail(values.email)) errors.email = "Enter a valid email address";
+
+  return errors;
+};
+
+/**
+ * Validates card details entered on the payment step
+ * @param {Object} values - Payment form values
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+const validatePaymentForm = values => {
+  const errors = {};
+  const [month, year] = values.expiry.split("/").map(part => Number.parseInt(part, 10));
+  const expiresAt = new Date(2000 + year, month);
+
+  if (!isValidCreditCard(values.cardNumber)) errors.cardNumber = "Enter a valid card number";
+  if (!values.cardholderName.trim()) errors.cardholderName = "This field is required";
+  if (!(month >= 1 && month <= 12) || Number.isNaN(year) || expiresAt <= new Date()) {
+    errors.expiry = "Enter a valid expiration date (MM/YY)";
+  }
+  if (!/^\d{3,4}$/.test(values.cvc)) errors.cvc = "Enter the 3 or 4 digit security code";
+
+  return errors;
+};
+
+/**
+ * Validates the payment step when the card itself is entered in the Stripe.js card element
+ * @param {Object} values - Payment form values
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+const validateCardholderName = values =>
+  values.cardholderName.trim() ? {} : { cardholderName: "This field is required" };
+
+/**
+ * Detects the card brand from the card number prefix
+ * @param {string} cardNumber - Card number as entered
+ * @returns {string} Card brand name, or "Card" when unknown
+ */
+const getCardBrand = cardNumber => {
+  const digits = cardNumber.replaceAll(/\D/g, "");
+  const match = Object.values(CREDIT_CARD_TYPES).find(type => type.pattern.test(digits));
+  return match?.name || "Card";
+};
+
+/**
+ * Summarizes card details typed into the checkout form, used with the offline mock provider
+ * @param {Object} values - Payment form values
+ * @returns {Object} Payment method with type, brand, last4, cardholderName, and expiry
+ */
+const toCardSummary = values => ({
+  type: PAYMENT_METHODS.CREDIT_CARD,
+  brand: getCardBrand(values.cardNumber),
+  last4: values.cardNumber.replaceAll(/\D/g, "").slice(-4),
+  cardholderName: values.cardholderName.trim(),
+  expiry: values.expiry,
+});
+
+/**
+ * Turns the card in the Stripe.js card element into a Stripe PaymentMethod
+ * @async
+ * @param {Object} card - Mounted Stripe.js card element
+ * @param {string} cardholderName - Name on the card
+ * @returns {Promise<Object>} Payment method with the PaymentMethod id, type, brand, last4, cardholderName, and expiry
+ * @throws {Error} When Stripe.js has not loaded or Stripe rejects the card details
+ */
+const createCardPaymentMethod = async (card, cardholderName) => {
+  const stripe = await getStripe();
+  if (!stripe || !card) throw new Error("Card payments are unavailable right now");
+
+  const { error, paymentMethod } = await stripe.createPaymentMethod({
+    type: "card",
+    card,
+    billing_details: { name: cardholderName },
+  });
+  if (error) throw new Error(error.message);
+
+  const { brand, exp_month: month, exp_year: year, last4 } = paymentMethod.card;
+  return {
+    id: paymentMethod.id,
+    type: PAYMENT_METHODS.CREDIT_CARD,
+    brand: CREDIT_CARD_TYPES[brand.toUpperCase()]?.name || "Card",
+    last4,
+    cardholderName,
+    expiry: `${String(month).padStart(2, "0")}/${String(year).slice(-2)}`,
+  };
+};
+
+/**
+ * Pays for a placed order, completing 3D Secure with Stripe.js when the bank asks for it
+ * @async
+ * @param {string} orderNumber - Order to pay
+ * @param {Object} paymentMethod - Payment method saved on the payment step
+ * @returns {Promise<void>} Resolves once the payment has succeeded
+ * @throws {Error} When the payment is declined, authentication fails, or the payment has not succeeded
+ */
+const payWithAuthentication = async (orderNumber, paymentMethod) => {
+  let { payment } = await paymentService.payForOrder({ orderNumber, paymentMethod });
+
+  if (payment.status === PAYMENT_INTENT_STATUS.REQUIRES_ACTION) {
+    const stripe = await getStripe();
+    if (!stripe)
+      throw new Error("Your bank needs to verify this payment. Please try another card.");
+
+    const { error } = await stripe.handleNextAction({ clientSecret: payment.clientSecret });
+    if (error) throw new Error(error.message);
+
+    // Confirming again records the authenticated outcome on the order
+    ({ payment } = await paymentService.confirmPayment({
+      orderNumber,
+      paymentMethodId: paymentMethod.id,
+    }));
+  }
+
+  if (payment.status !== PAYMENT_INTENT_STATUS.SUCCEEDED) {
+    throw new Error("Your payment was not completed. Please try again.");
+  }
+};
+
+/**
+ * Builds a key identifying what an order was placed for, so a payment retry only reuses a matching order
+ * @param {Array<Object>} items - Cart lines
+ * @param {Array<Object>} discounts - Promo code discount lines from the cart summary
+ * @param {Object} details - Checkout details with shippingAddress, shippingMethod, and giftCards
+ * @returns {string} Key derived from line SKUs and quantities, promo codes, the address, the shipping method, and gift cards
+ */
+const getCheckoutKey = (items, discounts, { giftCards, shippingAddress, shippingMethod }) =>
+  JSON.stringify({
+    lines: items.map(({ quantity, sku }) => `${sku}:${quantity}`),
+    promoCodes: discounts.map(line => line.code),
+    shippingAddress,
+    shippingMethod,
+    giftCards: giftCards.map(card => card.last4),
+  });
+
+/**
+ * Fills the shipping form from a saved address book entry
+ * @param {Object} address - Saved address with the ADDRESS_FIELD_NAMES fields
+ * @param {Object} values - Current shipping form values
+ * @returns {Object} Shipping form values with the saved address applied
+ */
+const toShippingFormAddress = (address, values) =>
+  ADDRESS_FIELD_NAMES.reduce(
+    (filled, field) =>
+      address[field] || !ADDRESS_CONTACT_FIELDS.includes(field)
+        ? { ...filled, [field]: address[field] || "" }
+        : filled,
+    values
+  );
+
+/**
+ * Quotes shipping methods locally from the cart lines, used until the shipping API has answered for a destination
+ * @param {string} country - Destination country code
+ * @param {Array<Object>} items - Cart lines
+ * @param {boolean} hasFreeShippingPromo - Whether a free shipping promo code applies
+ * @returns {Array<Object>} Methods with id, name, description, cost, and estimatedDelivery
+ */
+const quoteShippingLocally = (country, items, hasFreeShippingPromo) =>
+  getAvailableShippingMethods(country).map(method => ({
+    id: method.id,
+    name: method.name,
+    description: method.description,
+    cost: calculateShippingCost(method, items, { hasFreeShippingPromo }),
+    estimatedDelivery: getDeliveryEstimate(method),
+  }));
+
+/**
+ * Formats a delivery estimate for display
+ * @param {Object} estimate - Earliest and latest delivery days (YYYY-MM-DD)
+ * @returns {string} Delivery window, e.g. "Arrives Mon, Oct 26 - Wed, Oct 28"
+ */
+const formatDeliveryEstimate = ({ earliest, latest }) => {
+  // Parsed as local midnight so the calendar day does not shift with the time zone
+  const formatDay = day =>
+    formatDate(`${day}T00:00:00`, { weekday: "short", month: "short", day: "numeric" });
+
+  if (earliest === latest) return `Arrives ${formatDay(earliest)}`;
+  return `Arrives ${formatDay(earliest)} - ${formatDay(latest)}`;
+};
+
+/**
+ * Hook for managing a checkout step page including navigation guards, step forms, and order totals
+ * @hook
+ * @param {string} step - Checkout step rendered by the page (shipping, payment, review, confirmation)
+ * @returns {Object} Checkout page state management and interaction handlers
+ * @returns {string} returns.step - Checkout step rendered by the page
+ * @returns {Array<Object>} returns.steps - Step tabs with step, label, path, isActive, and isComplete
+ * @returns {Array<Object>} returns.breadcrumbItems - Breadcrumb navigation items for the current step
+ * @returns {boolean} returns.isReady - Whether the step is reachable and persisted state has loaded
+ * @returns {Array<Object>} returns.items - Cart lines shown in the order summary
+ * @returns {Object} returns.totals - Subtotal, shipping, tax with its label, total, gift card amount, and amount due with formatted amounts
+ * @returns {Array<Object>} returns.shippingMethods - Shipping methods for the destination with costs and delivery estimates
+ * @returns {string} returns.shippingMethod - Selected shipping method identifier
+ * @returns {Array<Object>} returns.countries - Countries available for shipping
+ * @returns {Object} returns.shippingValues - Shipping form values
+ * @returns {Object} returns.shippingErrors - Shipping form validation errors
+ * @returns {Array<Object>} returns.savedAddresses - Saved shipping addresses with id, label, and isDefault
+ * @returns {string} returns.selectedAddressId - Saved address filling the form, or "" for a new address
+ * @returns {Object} returns.paymentValues - Payment form values
+ * @returns {Object} returns.paymentErrors - Payment form validation errors, with card for Stripe.js card errors
+ * @returns {boolean} returns.isCardElementEnabled - Whether the card is entered in the Stripe.js card element
+ * @returns {boolean} returns.isSavingPayment - Whether the card is being turned into a Stripe PaymentMethod
+ * @returns {Object} returns.cardElementRef - Ref for the container the Stripe.js card element mounts into
+ * @returns {Object} returns.details - Saved checkout details (address, payment summary, order)
+ * @returns {boolean} returns.isPlacingOrder - Whether an order is being submitted
+ * @returns {string|null} returns.orderError - Message shown when the order could not be placed
+ * @returns {boolean} returns.isGiftCardEnabled - Whether gift cards can be applied
+ * @returns {string} returns.giftCardCode - Gift card code input value
+ * @returns {string|null} returns.giftCardError - Reason the last gift card was refused
+ * @returns {boolean} returns.isCheckingGiftCard - Whether a gift card balance is being checked
+ * @returns {Function} returns.handleShippingChange - Handler for shipping form field changes
+ * @returns {Function} returns.handleSavedAddressSelect - Handler that fills the shipping form from a saved address
+ * @returns {Function} returns.handleShippingMethodChange - Handler for shipping method selection
+ * @returns {Function} returns.handleShippingSubmit - Handler that validates and completes the shipping step
+ * @returns {Function} returns.handlePaymentChange - Handler for payment form field changes
+ * @returns {Function} returns.handlePaymentSubmit - Handler that validates and completes the payment step
+ * @returns {Function} returns.handleGiftCardCodeChange - Handler for gift card code input changes
+ * @returns {Function} returns.handleApplyGiftCard - Submit handler that checks and applies the entered gift card
+ * @returns {Function} returns.handleRemoveGiftCard - Handler for removing an applied gift card
+ * @returns {Function} returns.handlePlaceOrder - Handler that places and pays for the order, then shows confirmation
+ * @returns {Function} returns.handleBack - Handler for returning to the previous step
+ */
+const useCheckoutPage = step => {
+  const router = useRouter();
+  const items = useCartItems();
+  const cartSummary = useCartSummary();
+  const details = useCheckoutDetails();
+  const isAuthenticated = useAuthState();
+  const isSessionLoaded = useSessionLoaded();
+  const { calculateTaxes, resetCart } = useCartActions();
+  const { addGiftCard, completeStep, goToStep, removeGiftCard, setShippingMethod, setUnpaidOrder } =
+    useCheckoutActions();
+  const [hasMounted, setHasMounted] = useState(false);
+  const [shippingValues, setShippingValues] = useState(EMPTY_SHIPPING_FORM);
+  const [shippingErrors, setShippingErrors] = useState({});
+  const [paymentValues, setPaymentValues] = useState(EMPTY_PAYMENT_FORM);
+  const [paymentErrors, setPaymentErrors] = useState({});
+  const [isSavingPayment, setIsSavingPayment] = useState(false);
+  const [isPlacingOrder, setIsPlacingOrder] = useState(false);
+  const [orderError, setOrderError] = useState(null);
+  const [giftCardCode, setGiftCardCode] = useState("");
+  const [giftCardError, setGiftCardError] = useState(null);
+  const [isCheckingGiftCard, setIsCheckingGiftCard] = useState(false);
+  const [shippingQuote, setShippingQuote] = useState(null);
+  // null until the customer picks, so the default address is only applied to an untouched form
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  const cardElementRef = useRef(null);
+  const cardRef = useRef(null);
+  const isCardElementEnabled = isStripeEnabled();
+  const destination = shippingValues.country;
+
+  // A placed order locks checkout on its confirmation until a new checkout is started from the cart
+  const hasOrder = Boolean(details.order);
+  const isAllowed = hasOrder
+    ? step === CHECKOUT_STEPS.CONFIRMATION
+    : cartSummary.hasItems && canAccessCheckoutStep(details.completedSteps, step);
+  const isReady = hasMounted && isAllowed;
+
+  // Checkout progress is restored from sessionStorage, so guard and prefill only after mount
+  useEffect(() => {
+    setHasMounted(true);
+  }, []);
+
+  useEffect(() => {
+    if (!hasMounted) return;
+
+    if (hasOrder) {
+      if (step !== CHECKOUT_STEPS.CONFIRMATION) {
+        router.replace(CHECKOUT_STEP_ROUTES[CHECKOUT_STEPS.CONFIRMATION]);
+      }
+    } else if (!cartSummary.hasItems) {
+      router.replace(ROUTES.CART);
+    } else if (!goToStep(step)) {
+      router.replace(CHECKOUT_STEP_ROUTES[getFurthestCheckoutStep(details.completedSteps)]);
+    }
+  }, [hasMounted, step, cartSummary.hasItems, hasOrder, details.completedSteps, goToStep, router]);
+
+  useEffect(() => {
+    if (!hasMounted || !details.shippingAddress) return;
+    setShippingValues({
+      ...EMPTY_SHIPPING_FORM,
+      ...details.shippingAddress,
+      email: details.contactEmail,
+    });
+    // Prefill once from saved progress; later edits stay local until the step is submitted
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasMounted]);
+
+  // The card element lives in a Stripe iframe, so it is mounted once the payment form has rendered
+  useEffect(() => {
+    if (!isReady || step !== CHECKOUT_STEPS.PAYMENT || !isCardElementEnabled) return undefined;
+
+    let isCurrent = true;
+    getStripe()
+      .then(stripe => {
+        if (!isCurrent || !cardElementRef.current) return;
+        cardRef.current = stripe.elements().create("card");
+        cardRef.current.mount(cardElementRef.current);
+      })
+      .catch(error => {
+        errorHandler.handleError(error, "NETWORK_ERROR", {
+          source: "checkout-page",
+          action: "loadStripe",
+        });
+        if (isCurrent) setPaymentErrors({ card: "Card payments are unavailable right now" });
+      });
+
+    return () => {
+      isCurrent = false;
+      cardRef.current?.destroy();
+      cardRef.current = null;
+    };
+  }, [isReady, step, isCardElementEnabled]);
+
+  const { data: addressBook } = useQuery({
+    queryKey: queryKeys.user.addresses(),
+    queryFn: addressService.getAddresses,
+    enabled: isSessionLoaded && isAuthenticated && !hasOrder,
+    staleTime: CACHE_DURATION.short,
+    retry: 1,
+  });
+
+  const shippingAddresses = useMemo(
+    () =>
+      (addressBook?.addresses || []).filter(address =>
+        [ADDRESS_TYPES.SHIPPING, ADDRESS_TYPES.BOTH].includes(address.type)
+      ),
+    [addressBook]
+  );
+  const defaultShippingAddress = shippingAddresses.find(address => address.isDefault);
+
+  // A new checkout starts from the default shipping address unless the customer has already typed one
+  useEffect(() => {
+    if (hasOrder || details.shippingAddress || selectedAddressId !== null) return;
+    if (!defaultShippingAddress) return;
+
+    setSelectedAddressId(defaultShippingAddress.id);
+    setShippingValues(previous =>
+      previous.addressLine1 ? previous : toShippingFormAddress(defaultShippingAddress, previous)
+    );
+  }, [hasOrder, details.shippingAddress, selectedAddressId, defaultShippingAddress]);
+
+  const savedAddresses = useMemo(
+    () =>
+      shippingAddresses.map(address => ({
+        id: address.id,
+        label: [address.addressLine1, address.city, address.country].filter(Boolean).join(", "),
+        isDefault: address.isDefault,
+      })),
+    [shippingAddresses]
+  );
+
+  const steps = useMemo(
+    () =>
+      CHECKOUT_STEP_ORDER.filter(item => item !== CHECKOUT_STEPS.CONFIRMATION).map(item => ({
+        step: item,
+        label: CHECKOUT_STEP_LABELS[item],
+        path: CHECKOUT_STEP_ROUTES[item],
+        isActive: item === step,
+        isComplete: details.completedSteps.includes(item),
+      })),
+    [step, details.completedSteps]
+  );
+
+  const breadcrumbItems = useMemo(() => generateCheckoutBreadcrumbs(step), [step]);
+
+  // Re-quote whenever the destination or anything that affects shipping costs changes
+  useEffect(() => {
+    if (!hasMounted || hasOrder || !destination) return undefined;
+
+    let isCurrent = true;
+    shippingService
+      .getShippingMethods(destination)
+      .then(quote => {
+        if (isCurrent) setShippingQuote(quote);
+      })
+      .catch(error => {
+        errorHandler.handleError(error, "NETWORK_ERROR", {
+          source: "checkout-page",
+          action: "getShippingMethods",
+          country: destination,
+        });
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [hasMounted, hasOrder, destination, cartSummary.subtotal, cartSummary.hasFreeShippingPromo]);
+
+  const shippingMethods = useMemo(() => {
+    const methods =
+      shippingQuote?.country === destination
+        ? shippingQuote.methods
+        : quoteShippingLocally(destination, items, cartSummary.hasFreeShippingPromo);
+
+    return methods.map(method => ({
+      ...method,
+      formattedCost: method.cost === 0 ? "Free" : formatCurrency(method.cost),
+      formattedDelivery: formatDeliveryEstimate(method.estimatedDelivery),
+    }));
+  }, [shippingQuote, destination, items, cartSummary.hasFreeShippingPromo]);
+
+  // A destination change can rule out the selected method, so fall back to the first one offered
+  useEffect(() => {
+    if (hasOrder || !shippingMethods.length) return;
+    if (!shippingMethods.some(method => method.id === details.shippingMethod)) {
+      setShippingMethod(shippingMethods[0].id);
+    }
+  }, [hasOrder, shippingMethods, details.shippingMethod, setShippingMethod]);
+
+  const totals = useMemo(() => {
+    const method =
+      shippingMethods.find(item => item.id === details.shippingMethod) || shippingMethods[0];
+    // Tax already included in prices is shown in the summary but not charged again
+    const tax = cartSummary.isTaxIncluded ? 0 : cartSummary.tax;
+    const total = cartSummary.subtotal - cartSummary.discount + tax + method.cost;
+    // The server re-reads balances when the order is placed; this is the amount the cards are expected to cover
+    const giftCardAmount = Math.min(
+      details.giftCards.reduce((sum, card) => sum + card.balance, 0),
+      total
+    );
+
+    return {
+      subtotal: cartSummary.subtotal,
+      discount: cartSummary.discount,
+      shipping: method.cost,
+      tax: cartSummary.tax,
+      taxLabel: cartSummary.taxLabel,
+      total,
+      giftCardAmount,
+      amountDue: total - giftCardAmount,
+      formattedSubtotal: cartSummary.formattedSubtotal,
+      formattedDiscount: cartSummary.discount > 0 ? cartSummary.formattedDiscount : null,
+      formattedShipping: method.formattedCost,
+      formattedTax: cartSummary.formattedTax,
+      formattedTotal: formatCurrency(total),
+      formattedGiftCardAmount: giftCardAmount > 0 ? formatCurrency(giftCardAmount) : null,
+      formattedAmountDue: formatCurrency(total - giftCardAmount),
+    };
+  }, [cartSummary, details.giftCards, details.shippingMethod, shippingMethods]);
+
+  const navigateTo = nextStep => {
+    if (nextStep) router.push(CHECKOUT_STEP_ROUTES[nextStep]);
+  };
+
+  const handleShippingChange = (field, value) => {
+    setShippingValues(previous => ({ ...previous, [field]: value }));
+    if (ADDRESS_FIELD_NAMES.includes(field)) setSelectedAddressId("");
+  };
+
+  const handleSavedAddressSelect = addressId => {
+    const address = shippingAddresses.find(saved => saved.id === addressId);
+    setSelectedAddressId(address ? addressId : "");
+    if (!address) return;
+
+    setShippingValues(previous => toShippingFormAddress(address, previous));
+    setShippingErrors(previous =>
+      Object.fromEntries(
+        Object.entries(previous).filter(([field]) => !ADDRESS_FIELD_NAMES.includes(field))
+      )
+    );
+  };
+
+  const handleShippingMethodChange = methodId => {
+    setShippingMethod(methodId);
+  };
+
+  const handleShippingSubmit = event => {
+    event.preventDefault();
+    const errors = validateShippingForm(shippingValues);
+    setShippingErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const { email, ...shippingAddress } = shippingValues;
+    calculateTaxes(shippingAddress);
+    navigateTo(completeStep(CHECKOUT_STEPS.SHIPPING, { contactEmail: email, shippingAddress }));
+  };
+
+  const handlePaymentChange = (field, value) => {
+    setPaymentValues(previous => ({ ...previous, [field]: value }));
+  };
+
+  const handlePaymentSubmit = async event => {
+    event.preventDefault();
+    if (isSavingPayment) return;
+
+    const errors = isCardElementEnabled
+      ? validateCardholderName(paymentValues)
+      : validatePaymentForm(paymentValues);
+    setPaymentErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    // With Stripe.js the card number never reaches the store; only the mock provider sees a typed-in summary
+    let paymentMethod;
+    setIsSavingPayment(true);
+    try {
+      paymentMethod = isCardElementEnabled
+        ? await createCardPaymentMethod(cardRef.current, paymentValues.cardholderName.trim())
+        : toCardSummary(paymentValues);
+    } catch (error) {
+      setPaymentErrors({ card: error.message || "This card cannot be used" });
+      return;
+    } finally {
+      setIsSavingPayment(false);
+    }
+
+    setPaymentValues(EMPTY_PAYMENT_FORM);
+    navigateTo(completeStep(CHECKOUT_STEPS.PAYMENT, { paymentMethod }));
+  };
+
+  const handleGiftCardCodeChange = value => {
+    setGiftCardCode(value);
+    setGiftCardError(null);
+  };
+
+  const handleApplyGiftCard = async event => {
+    event.preventDefault();
+    if (!giftCardCode.trim()) return;
+
+    setIsCheckingGiftCard(true);
+    setGiftCardError(null);
+    try {
+      const giftCard = await giftCardService.checkGiftCardBalance(giftCardCode);
+
+      if (!(giftCard.balance > 0)) {
+        setGiftCardError("This gift card has no balance left");
+      } else if (addGiftCard(giftCard)) {
+        setGiftCardCode("");
+      } else {
+        setGiftCardError(`Only ${MAX_GIFT_CARDS_PER_ORDER} gift cards can be used per order`);
+      }
+    } catch (error) {
+      setGiftCardError(error.message || "This gift card cannot be used");
+    } finally {
+      setIsCheckingGiftCard(false);
+    }
+  };
+
+  const handleRemoveGiftCard = last4 => {
+    removeGiftCard(last4);
+  };
+
+  const handlePlaceOrder = async () => {
+    setIsPlacingOrder(true);
+    setOrderError(null);
+
+    // A declined payment keeps the placed order, so a retry with the same cart and address pays for it
+    const checkoutKey = getCheckoutKey(items, cartSummary.discounts, details);
+    let placedOrder =
+      details.unpaidOrder?.checkoutKey === checkoutKey ? details.unpaidOrder.order : null;
+    try {
+      if (!placedOrder) {
+        placedOrder = await orderService.createOrder({
+          contactEmail: details.contactEmail,
+          items,
+          shippingAddress: details.shippingAddress,
+          shippingMethod: details.shippingMethod,
+          giftCardReferences: details.giftCards.map(card => card.reference),
+        });
+        setUnpaidOrder({ checkoutKey, order: placedOrder });
+      }
+
+      // An order covered entirely by gift cards is already paid
+      if (placedOrder.amountDue > 0) {
+        await payWithAuthentication(placedOrder.orderNumber, details.paymentMethod);
+      }
+    } catch (error) {
+      setOrderError(error.message || "We couldn't place your order. Please try again.");
+      setIsPlacingOrder(false);
+      return;
+    }
+
+    // Keep the cart lines for display, but show the totals the server actually charged
+    const order = {
+      orderNumber: placedOrder.orderNumber,
+      items,
+      totals: {
+        subtotal: placedOrder.subtotal,
+        discount: placedOrder.discount,
+        shipping: placedOrder.shipping,
+        tax: placedOrder.tax,
+        taxLabel: formatTaxLabel(placedOrder.taxes),
+        total: placedOrder.total,
+        giftCardAmount: placedOrder.giftCardAmount,
+        amountDue: placedOrder.amountDue,
+        formattedSubtotal: formatCurrency(placedOrder.subtotal),
+        formattedDiscount: placedOrder.discount > 0 ? formatCurrency(placedOrder.discount) : null,
+        formattedShipping:
+          placedOrder.shipping === 0 ? "Free" : formatCurrency(placedOrder.shipping),
+        formattedTax: formatCurrency(placedOrder.tax),
+        formattedTotal: formatCurrency(placedOrder.total),
+        formattedGiftCardAmount:
+          placedOrder.giftCardAmount > 0 ? formatCurrency(placedOrder.giftCardAmount) : null,
+        formattedAmountDue: formatCurrency(placedOrder.amountDue),
+      },
+      contactEmail: details.contactEmail,
+      isGuest: !isAuthenticated,
+      lookupUrl: placedOrder.lookupUrl || null,
+      shippingAddress: details.shippingAddress,
+      shippingMethod: details.shippingMethod,
+      paymentMethod: details.paymentMethod,
+      placedAt: placedOrder.createdAt,
+    };
+
+    const nextStep = completeStep(CHECKOUT_STEPS.REVIEW, {
+      order,
+      unpaidOrder: null,
+      giftCards: [],
+    });
+    setIsPlacingOrder(false);
+    if (!nextStep) return;
+
+    navigateTo(nextStep);
+    // The orders API already emptied the server cart, so only the local copy needs clearing
+    resetCart();
+  };
+
+  const handleBack = () => {
+    const index = CHECKOUT_STEP_ORDER.indexOf(step);
+    router.push(CHECKOUT_STEP_ROUTES[CHECKOUT_STEP_ORDER[Math.max(index - 1, 0)]]);
+  };
+
+  return {
+    step,
+    steps,
+    breadcrumbItems,
+    isReady,
+    items: hasOrder ? details.order.items : items,
+    totals: hasOrder ? details.order.totals : totals,
+    shippingMethods,
+    shippingMethod: details.shippingMethod,
+    countries: SUPPORTED_COUNTRIES,
+    shippingValues,
+    shippingErrors,
+    savedAddresses,
+    selectedAddressId: selectedAddressId || "",
+    paymentValues,
+    paymentErrors,
+    isCardElementEnabled,
+    isSavingPayment,
+    cardElementRef,
+    details,
+    isPlacingOrder,
+    orderError,
+    isGiftCardEnabled: FEATURES.GIFT_CARDS.enabled,
+    giftCardCode,
+    giftCardError,
+    isCheckingGiftCard,
+    handleShippingChange,
+    handleSavedAddressSelect,
+    handleShippingMethodChange,
+    handleShippingSubmit,
+    handlePaymentChange,
+    handlePaymentSubmit,
+    handleGiftCardCodeChange,
+    handleApplyGiftCard,
+    handleRemoveGiftCard,
+    handlePlaceOrder,
+    handleBack,
+  };
+};
+
+export default useCheckoutPage;
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Presentational component for a single order in the account area
+ * Shows the order status, line items with product snapshots, shipping details, and totals
+ * Covers signed-out, loading, and not-found states with a link back to the order history
+ */
+
+import PropTypes from "prop-types";
+
+import { ORDER_STATUS, ROUTES } from "@config/constants";
+import Loading from "@design-system/feedback/Loading";
+import Breadcrumbs from "@design-system/navigation/Breadcrumbs";
+import { getImageUrl } from "@modules/core/utils";
+
+/**
+ * View component for rendering the order detail page
+ * @component
+ * @param {React.ComponentType} Image - Next.js Image component for product thumbnails
+ * @param {React.ComponentType} Link - Next.js Link component for product and order history navigation
+ * @param {React.ComponentType} OrderStatusBadge - Status badge component for order statuses
+ * @param {Array<Object>} breadcrumbItems - Breadcrumb navigation items ending at the order
+ * @param {string|null} error - Error message when the order could not be loaded
+ * @param {boolean} isAuthenticated - Whether a customer is signed in
+ * @param {boolean} isLoading - Whether the order is loading
+ * @param {boolean} isReady - Whether the Auth0 session has been read on the client
+ * @param {Object|null} order - Formatted order with lines, address, and totals
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered order detail page
+ */
+const OrderDetailPageView = ({
+  Image,
+  Link,
+  OrderStatusBadge,
+  breadcrumbItems,
+  error,
+  isAuthenticated,
+  isLoading,
+  isReady,
+  order,
+  styles,
+}) => {
+  if (!isReady || (isAuthenticated && isLoading)) {
+    return <Loading message="Loading your order..." variant="page" />;
+  }
+
+  const renderMessage = message => (
+    <section className={styles.content}>
+      <p className={styles.message}>{message}</p>
+      <Link className={styles["back-link"]} href={ROUTES.ORDERS}>
+        Back to My Orders
+      </Link>
+    </section>
+  );
+
+  const renderContent = () => {
+    if (!isAuthenticated) return renderMessage("Sign in to see this order.");
+    if (error || !order) return renderMessage(error || "We couldn't find this order.");
+
+    const totalsRowClass = styles["totals-row"];
+
+    return (
+      <div className={styles.layout}>
+        <section aria-label="Order items" className={styles.content}>
+          <ul className={styles.lines}>
+            {order.items.map(item => {
+              const productImage = getImageUrl(item.image);
+
+              return (
+                <li key={item.sku} className={styles.line}>
+                  <div className={styles["line-image"]}>
+                    <Image
+                      fill
+                      alt={item.name}
+                      sizes="80px"
+                      src={productImage}
+                      unoptimized={productImage?.includes("placehold.co")}
+                    />
+                  </div>
+                  <div>
+                    {item.href ? (
+                      <Link className={styles["line-name"]} href={item.href}>
+                        {item.name}
+                      </Link>
+                    ) : (
+                      <span className={styles["line-name"]}>{item.name}</span>
+                    )}
+                    <p className={styles["line-meta"]}>
+                      {item.variant} · {item.quantity} × {item.formattedPrice}
+                    </p>
+                  </div>
+                  <span className={styles["line-total"]}>{item.formattedTotal}</span>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+
+        <aside aria-label="Order details" className={styles.content}>
+          <h2 className={styles["section-title"]}>Shipping</h2>
+          <address className={styles.address}>
+            {order.shippingAddressLines.map(line => (
+              <span key={line}>{line}</span>
+            ))}
+          </address>
+          {order.shippingMethodName && <p className={styles.meta}>{order.shippingMethodName}</p>}
+          {order.trackingNumber && (
+            <p className={styles.meta}>Tracking number: {order.trackingNumber}</p>
+          )}
+
+          <dl className={styles.totals}>
+            <div className={totalsRowClass}>
+              <dt>Subtotal</dt>
+              <dd>{order.formattedSubtotal}</dd>
+            </div>
+            {order.formattedDiscount && (
+              <div className={totalsRowClass}>
+                <dt>Discount ({order.promoCodes.join(", ")})</dt>
+                <dd>-{order.formattedDiscount}</dd>
+              </div>
+            )}
+            <div className={totalsRowClass}>
+              <dt>Shipping</dt>
+              <dd>{order.formattedShipping}</dd>
+            </div>
+            <div className={totalsRowClass}>
+              <dt>{order.taxLabel}</dt>
+              <dd>{order.formattedTax}</dd>
+            </div>
+            <div className={`${totalsRowClass} ${styles["totals-total"]}`}>
+              <dt>Total</dt>
+              <dd>{order.formattedTotal}</dd>
+            </div>
+            {order.formattedGiftCardAmount && (
+              <div className={totalsRowClass}>
+                <dt>Paid with gift cards (ending in {order.giftCards.join(", ")})</dt>
+                <dd>-{order.formattedGiftCardAmount}</dd>
+              </div>
+            )}
+            {order.formattedRefunded && (
+              <div className={totalsRowClass}>
+                <dt>Refunded</dt>
+                <dd>-{order.formattedRefunded}</dd>
+              </div>
+            )}
+          </dl>
+        </aside>
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles["order-detail-page"]}>
+      <section className={styles.header}>
+        <Breadcrumbs className="breadcrumbs--dark" items={breadcrumbItems} />
+        <div className={styles["title-row"]}>
+          <h1 className={styles.title}>Order {order?.orderNumber}</h1>
+          {order && <OrderStatusBadge status={order.status} styles={styles} />}
+        </div>
+        {order && <p className={styles.subtitle}>Placed on {order.formattedDate}</p>}
+      </section>
+
+      {renderContent()}
+    </div>
+  );
+};
+
+export default OrderDetailPageView;
+
+OrderDetailPageView.displayName = "OrderDetailPageView";
+OrderDetailPageView.propTypes = {
+  Image: PropTypes.elementType.isRequired,
+  Link: PropTypes.elementType.isRequired,
+  OrderStatusBadge: PropTypes.elementType.isRequired,
+  breadcrumbItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      path: PropTypes.string,
+    })
+  ).isRequired,
+  error: PropTypes.string,
+  isAuthenticated: PropTypes.bool.isRequired,
+  isLoading: PropTypes.bool.isRequired,
+  isReady: PropTypes.bool.isRequired,
+  order: PropTypes.shape({
+    formattedDate: PropTypes.string.isRequired,
+    formattedDiscount: PropTypes.string,
+    formattedGiftCardAmount: PropTypes.string,
+    formattedRefunded: PropTypes.string,
+    formattedShipping: PropTypes.string.isRequired,
+    formattedSubtotal: PropTypes.string.isRequired,
+    formattedTax: PropTypes.string.isRequired,
+    formattedTotal: PropTypes.string.isRequired,
+    giftCards: PropTypes.arrayOf(PropTypes.string).isRequired,
+    items: PropTypes.arrayOf(
+      PropTypes.shape({
+        formattedPrice: PropTypes.string.isRequired,
+        formattedTotal: PropTypes.string.isRequired,
+        href: PropTypes.string,
+        image: PropTypes.string,
+        name: PropTypes.string.isRequired,
+        quantity: PropTypes.number.isRequired,
+        sku: PropTypes.string.isRequired,
+        variant: PropTypes.string.isRequired,
+      })
+    ).isRequired,
+    orderNumber: PropTypes.string.isRequired,
+    promoCodes: PropTypes.arrayOf(PropTypes.string).isRequired,
+    shippingAddressLines: PropTypes.arrayOf(PropTypes.string).isRequired,
+    shippingMethodName: PropTypes.string,
+    status: PropTypes.oneOf(Object.values(ORDER_STATUS)).isRequired,
+    taxLabel: PropTypes.string.isRequired,
+    trackingNumber: PropTypes.string,
+  }),
+  styles: PropTypes.object.isRequired,
+};
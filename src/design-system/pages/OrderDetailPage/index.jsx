@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Order detail page component for a single order in the account area
+ * Connects the useOrderDetailPage hook with the OrderDetailPageView presentation component
+ * Reuses the order history status badge and supplies Next.js Image and Link components to the view
+ */
+
+"use client";
+import Image from "next/image";
+import Link from "next/link";
+import PropTypes from "prop-types";
+
+import OrderStatusBadge from "@design-system/pages/OrdersPage/components/OrderStatusBadge";
+
+import OrderDetailPageView from "./OrderDetailPageView";
+import useOrderDetailPage from "./useOrderDetailPage";
+
+import styles from "./OrderDetailPage.module.scss";
+
+/**
+ * Container component for the order detail page
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.orderNumber - Order number from the route
+ * @returns {JSX.Element} Rendered order detail page
+ */
+const OrderDetailPage = ({ orderNumber }) => {
+  const { breadcrumbItems, error, isAuthenticated, isLoading, isReady, order } =
+    useOrderDetailPage(orderNumber);
+
+  return (
+    <OrderDetailPageView
+      Image={Image}
+      Link={Link}
+      OrderStatusBadge={OrderStatusBadge}
+      breadcrumbItems={breadcrumbItems}
+      error={error}
+      isAuthenticated={isAuthenticated}
+      isLoading={isLoading}
+      isReady={isReady}
+      order={order}
+      styles={styles}
+    />
+  );
+};
+
+export default OrderDetailPage;
+
+OrderDetailPage.displayName = "OrderDetailPage";
+OrderDetailPage.View = OrderDetailPageView;
+OrderDetailPage.useOrderDetailPage = useOrderDetailPage;
+OrderDetailPage.propTypes = {
+  orderNumber: PropTypes.string.isRequired,
+};
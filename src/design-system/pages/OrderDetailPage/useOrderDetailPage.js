@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Custom hook for the account order detail page
+ * Fetches one of the signed-in customer's orders by order number with React Query
+ * Formats line items from product snapshots, the shipping address, and totals for OrderDetailPageView
+ */
+
+import { useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+
+import { CACHE_DURATION, ROUTES, SHIPPING_METHODS } from "@config/constants";
+import { queryKeys } from "@modules/core/providers";
+import { getOrder } from "@modules/core/services";
+import { useAuthState, useSessionLoaded } from "@modules/core/stores";
+import {
+  formatAddress,
+  formatCurrency,
+  formatDate,
+  formatTaxLabel,
+  generateAccountBreadcrumbs,
+} from "@modules/core/utils";
+
+/**
+ * Formats an order from the order detail API for display
+ * Shared with the guest order lookup page, which shows the same order summary
+ * @function formatOrder
+ * @param {Object} order - Order from GET /api/orders/[orderNumber] or the order lookup API
+ * @returns {Object} Order with display-ready lines, address lines in its country's format, shipping method name, and formatted amounts
+ */
+export const formatOrder = order => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  trackingNumber: order.trackingNumber,
+  formattedDate: formatDate(order.createdAt, { year: "numeric", month: "long", day: "numeric" }),
+  shippingAddressLines: formatAddress(order.shippingAddress),
+  shippingMethodName:
+    SHIPPING_METHODS.find(method => method.id === order.shippingMethod)?.name || null,
+  items: order.items.map(item => ({
+    sku: item.sku,
+    name: item.product?.name || "Product no longer available",
+    image: item.product?.image || null,
+    href: item.product
+      ? `${ROUTES.SHOP}/${item.product.category || "all"}/${item.product.slug}/${item.productId}`
+      : null,
+    variant: [item.color, item.size].filter(Boolean).join(" / "),
+    quantity: item.quantity,
+    formattedPrice: formatCurrency(item.price),
+    formattedTotal: formatCurrency(item.total),
+  })),
+  formattedSubtotal: formatCurrency(order.subtotal),
+  formattedDiscount: order.discount > 0 ? formatCurrency(order.discount) : null,
+  promoCodes: (order.discounts || []).map(discount => discount.code),
+  formattedShipping: order.shipping === 0 ? "Free" : formatCurrency(order.shipping),
+  formattedTax: formatCurrency(order.tax),
+  taxLabel: formatTaxLabel(order.taxes),
+  formattedTotal: formatCurrency(order.total),
+  formattedGiftCardAmount: order.giftCardAmount > 0 ? formatCurrency(order.giftCardAmount) : null,
+  giftCards: (order.giftCardPayments || []).map(payment => payment.last4),
+  formattedRefunded: order.refundedAmount > 0 ? formatCurrency(order.refundedAmount) : null,
+});
+
+/**
+ * Hook for managing the order detail page
+ * @hook
+ * @param {string} orderNumber - Order number from the route
+ * @returns {Object} Order detail state
+ * @returns {Array<Object>} returns.breadcrumbItems - Breadcrumb navigation items ending at the order
+ * @returns {boolean} returns.isReady - Whether the Auth0 session has been read on the client
+ * @returns {boolean} returns.isAuthenticated - Whether a customer is signed in
+ * @returns {boolean} returns.isLoading - Whether the order is loading
+ * @returns {string|null} returns.error - Error message when the order could not be loaded
+ * @returns {Object|null} returns.order - Formatted order with lines, address, and totals
+ */
+const useOrderDetailPage = orderNumber => {
+  const isAuthenticated = useAuthState();
+  const isReady = useSessionLoaded();
+
+  const { data, error, isLoading } = useQuery({
+    queryKey: queryKeys.user.order(orderNumber),
+    queryFn: () => getOrder(orderNumber),
+    enabled: isReady && isAuthenticated && Boolean(orderNumber),
+    staleTime: CACHE_DURATION.short,
+    retry: 1,
+  });
+
+  const order = useMemo(() => (data ? formatOrder(data) : null), [data]);
+
+  const breadcrumbItems = useMemo(
+    () => [...generateAccountBreadcrumbs("orders"), { label: orderNumber }],
+    [orderNumber]
+  );
+
+  return {
+    breadcrumbItems,
+    isReady,
+    isAuthenticated,
+    isLoading,
+    error: error?.message || null,
+    order,
+  };
+};
+
+export default useOrderDetailPage;
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Presentational component for the guest order lookup page
+ * Shows the email and order number form, or the found order's status, line items, shipping address, and totals
+ * Covers loading and not-found states and points guests at creating an account to keep their order history
+ */
+
+import PropTypes from "prop-types";
+
+import { ORDER_STATUS, ROUTES } from "@config/constants";
+import Loading from "@design-system/feedback/Loading";
+import Breadcrumbs from "@design-system/navigation/Breadcrumbs";
+
+const LOOKUP_FIELDS = [
+  { name: "email", label: "Email Address", type: "email", autoComplete: "email" },
+  { name: "orderNumber", label: "Order Number", autoComplete: "off" },
+];
+
+/**
+ * View component for rendering the order lookup page
+ * @component
+ * @param {React.ComponentType} Button - Button component for form actions
+ * @param {React.ComponentType} Link - Next.js Link component for product and shop navigation
+ * @param {React.ComponentType} OrderStatusBadge - Status badge component for order statuses
+ * @param {Array<Object>} breadcrumbItems - Breadcrumb navigation items for the page
+ * @param {string|null} error - Error message when the order could not be found
+ * @param {Object} formErrors - Validation errors keyed by field name
+ * @param {Object} formValues - Lookup form values
+ * @param {Function} handleFormChange - Handler for form field changes
+ * @param {Function} handleFormSubmit - Handler that validates the form and looks the order up
+ * @param {Function} handleLookupAnother - Handler that clears the order to look up another
+ * @param {boolean} isLoading - Whether the order from a signed link is loading
+ * @param {boolean} isSubmitting - Whether the lookup form is being sent
+ * @param {Object|null} order - Formatted order with lines, address, and totals
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered order lookup page
+ */
+const OrderLookupPageView = ({
+  Button,
+  Link,
+  OrderStatusBadge,
+  breadcrumbItems,
+  error,
+  formErrors,
+  formValues,
+  handleFormChange,
+  handleFormSubmit,
+  handleLookupAnother,
+  isLoading,
+  isSubmitting,
+  order,
+  styles,
+}) => {
+  if (isLoading) {
+    return <Loading message="Finding your order..." variant="page" />;
+  }
+
+  const renderForm = () => (
+    <form noValidate className={styles.content} onSubmit={handleFormSubmit}>
+      <p className={styles.message}>
+        Enter the email address you checked out with and the order number from your confirmation.
+      </p>
+      {error && (
+        <p className={styles.error} role="alert">
+          {error}
+        </p>
+      )}
+
+      {LOOKUP_FIELDS.map(field => (
+        <label key={field.name} className={styles.field}>
+          <span className={styles["field-label"]}>{field.label}</span>
+          <input
+            aria-invalid={Boolean(formErrors[field.name])}
+            autoComplete={field.autoComplete}
+            className={styles.input}
+            name={field.name}
+            type={field.type || "text"}
+            value={formValues[field.name]}
+            onChange={e => handleFormChange(field.name, e.target.value)}
+          />
+          {formErrors[field.name] && (
+            <span className={styles["field-error"]}>{formErrors[field.name]}</span>
+          )}
+        </label>
+      ))}
+
+      <Button disabled={isSubmitting} type="submit" variant="primary">
+        {isSubmitting ? "Finding order..." : "Find Order"}
+      </Button>
+    </form>
+  );
+
+  const renderOrder = () => {
+    const totalsRowClass = styles["totals-row"];
+
+    return (
+      <section aria-label="Order details" className={styles.content}>
+        <div className={styles["title-row"]}>
+          <h2 className={styles["section-title"]}>Order {order.orderNumber}</h2>
+          <OrderStatusBadge status={order.status} styles={styles} />
+        </div>
+        <p className={styles.meta}>Placed on {order.formattedDate}</p>
+
+        <ul className={styles.lines}>
+          {order.items.map(item => (
+            <li key={item.sku} className={styles.line}>
+              <div>
+                {item.href ? (
+                  <Link className={styles["line-name"]} href={item.href}>
+                    {item.name}
+                  </Link>
+                ) : (
+                  <span className={styles["line-name"]}>{item.name}</span>
+                )}
+                <p className={styles.meta}>
+                  {item.variant} · {item.quantity} × {item.formattedPrice}
+                </p>
+              </div>
+              <span className={styles["line-total"]}>{item.formattedTotal}</span>
+            </li>
+          ))}
+        </ul>
+
+        <h3 className={styles["section-title"]}>Shipping</h3>
+        <address className={styles.address}>
+          {order.shippingAddressLines.map(line => (
+            <span key={line}>{line}</span>
+          ))}
+        </address>
+        {order.shippingMethodName && <p className={styles.meta}>{order.shippingMethodName}</p>}
+        {order.trackingNumber && (
+          <p className={styles.meta}>Tracking number: {order.trackingNumber}</p>
+        )}
+
+        <dl className={styles.totals}>
+          <div className={totalsRowClass}>
+            <dt>Subtotal</dt>
+            <dd>{order.formattedSubtotal}</dd>
+          </div>
+          {order.formattedDiscount && (
+            <div className={totalsRowClass}>
+              <dt>Discount ({order.promoCodes.join(", ")})</dt>
+              <dd>-{order.formattedDiscount}</dd>
+            </div>
+          )}
+          <div className={totalsRowClass}>
+            <dt>Shipping</dt>
+            <dd>{order.formattedShipping}</dd>
+          </div>
+          <div className={totalsRowClass}>
+            <dt>{order.taxLabel}</dt>
+            <dd>{order.formattedTax}</dd>
+          </div>
+          <div className={`${totalsRowClass} ${styles["totals-total"]}`}>
+            <dt>Total</dt>
+            <dd>{order.formattedTotal}</dd>
+          </div>
+        </dl>
+
+        <p className={styles.message}>
+          Create an account with the same email address to keep all your orders in one place.
+        </p>
+        <div className={styles.actions}>
+          <Button variant="outline" onClick={handleLookupAnother}>
+            Look Up Another Order
+          </Button>
+          <Link className={styles["shop-link"]} href={ROUTES.SHOP}>
+            Continue Shopping
+          </Link>
+        </div>
+      </section>
+    );
+  };
+
+  return (
+    <div className={styles["order-lookup-page"]}>
+      <section className={styles.header}>
+        <Breadcrumbs className="breadcrumbs--dark" items={breadcrumbItems} />
+        <h1 className={styles.title}>Find Your Order</h1>
+      </section>
+
+      {order ? renderOrder() : renderForm()}
+    </div>
+  );
+};
+
+export default OrderLookupPageView;
+
+OrderLookupPageView.displayName = "OrderLookupPageView";
+OrderLookupPageView.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  Link: PropTypes.elementType.isRequired,
+  OrderStatusBadge: PropTypes.elementType.isRequired,
+  breadcrumbItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      path: PropTypes.string,
+    })
+  ).isRequired,
+  error: PropTypes.string,
+  formErrors: PropTypes.object.isRequired,
+  formValues: PropTypes.shape({
+    email: PropTypes.string.isRequired,
+    orderNumber: PropTypes.string.isRequired,
+  }).isRequired,
+  handleFormChange: PropTypes.func.isRequired,
+  handleFormSubmit: PropTypes.func.isRequired,
+  handleLookupAnother: PropTypes.func.isRequired,
+  isLoading: PropTypes.bool.isRequired,
+  isSubmitting: PropTypes.bool.isRequired,
+  order: PropTypes.shape({
+    formattedDate: PropTypes.string.isRequired,
+    formattedDiscount: PropTypes.string,
+    formattedShipping: PropTypes.string.isRequired,
+    formattedSubtotal: PropTypes.string.isRequired,
+    formattedTax: PropTypes.string.isRequired,
+    formattedTotal: PropTypes.string.isRequired,
+    items: PropTypes.arrayOf(
+      PropTypes.shape({
+        formattedPrice: PropTypes.string.isRequired,
+        formattedTotal: PropTypes.string.isRequired,
+        href: PropTypes.string,
+        name: PropTypes.string.isRequired,
+        quantity: PropTypes.number.isRequired,
+        sku: PropTypes.string.isRequired,
+        variant: PropTypes.string.isRequired,
+      })
+    ).isRequired,
+    orderNumber: PropTypes.string.isRequired,
+    promoCodes: PropTypes.arrayOf(PropTypes.string).isRequired,
+    shippingAddressLines: PropTypes.arrayOf(PropTypes.string).isRequired,
+    shippingMethodName: PropTypes.string,
+    status: PropTypes.oneOf(Object.values(ORDER_STATUS)).isRequired,
+    taxLabel: PropTypes.string.isRequired,
+    trackingNumber: PropTypes.string,
+  }),
+  styles: PropTypes.object.isRequired,
+};
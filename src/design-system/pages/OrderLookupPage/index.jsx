@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Order lookup page component for guests reopening an order without an account
+ * Connects the useOrderLookupPage hook with the OrderLookupPageView presentation component
+ * Reuses the order history status badge and supplies the Button and Next.js Link components to the view
+ */
+
+"use client";
+import Link from "next/link";
+import PropTypes from "prop-types";
+
+import { Button } from "@design-system/buttons";
+import OrderStatusBadge from "@design-system/pages/OrdersPage/components/OrderStatusBadge";
+
+import OrderLookupPageView from "./OrderLookupPageView";
+import useOrderLookupPage from "./useOrderLookupPage";
+
+import styles from "./OrderLookupPage.module.scss";
+
+/**
+ * Container component for the order lookup page
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} [props.linkParams] - Query parameters of a signed order link
+ * @returns {JSX.Element} Rendered order lookup page
+ */
+const OrderLookupPage = ({ linkParams }) => {
+  const {
+    breadcrumbItems,
+    error,
+    formErrors,
+    formValues,
+    handleFormChange,
+    handleFormSubmit,
+    handleLookupAnother,
+    isLoading,
+    isSubmitting,
+    order,
+  } = useOrderLookupPage(linkParams);
+
+  return (
+    <OrderLookupPageView
+      Button={Button}
+      Link={Link}
+      OrderStatusBadge={OrderStatusBadge}
+      breadcrumbItems={breadcrumbItems}
+      error={error}
+      formErrors={formErrors}
+      formValues={formValues}
+      handleFormChange={handleFormChange}
+      handleFormSubmit={handleFormSubmit}
+      handleLookupAnother={handleLookupAnother}
+      isLoading={isLoading}
+      isSubmitting={isSubmitting}
+      order={order}
+      styles={styles}
+    />
+  );
+};
+
+export default OrderLookupPage;
+
+OrderLookupPage.displayName = "OrderLookupPage";
+OrderLookupPage.View = OrderLookupPageView;
+OrderLookupPage.useOrderLookupPage = useOrderLookupPage;
+OrderLookupPage.propTypes = {
+  linkParams: PropTypes.shape({
+    email: PropTypes.string,
+    expires: PropTypes.string,
+    orderNumber: PropTypes.string,
+    signature: PropTypes.string,
+  }),
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Custom hook for the guest order lookup page
+ * Opens the order from a signed order link when the page is visited with one, using React Query
+ * Otherwise looks the order up from the contact email and order number entered in the form
+ * Formats the found order with the order detail formatter for OrderLookupPageView
+ */
+
+import { useMemo, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+
+import { CACHE_DURATION } from "@config/constants";
+import { formatOrder } from "@design-system/pages/OrderDetailPage/useOrderDetailPage";
+import { queryKeys } from "@modules/core/providers";
+import { getOrderFromLink, lookupOrder } from "@modules/core/services";
+import { isValidEmail, isValidOrderNumber } from "@modules/core/utils";
+
+const EMPTY_LOOKUP_FORM = { email: "", orderNumber: "" };
+
+/**
+ * Validates the lookup form before it is sent
+ * @param {Object} values - Form values with email and orderNumber
+ * @returns {Object} Error messages keyed by field name, empty when the form is valid
+ */
+const validateLookupForm = ({ email, orderNumber }) => {
+  const errors = {};
+  if (!isValidEmail(email.trim())) errors.email = "Enter the email address you checked out with";
+  if (!isValidOrderNumber(orderNumber)) {
+    errors.orderNumber = "Enter the order number from your confirmation, e.g. UE-2026-004821";
+  }
+  return errors;
+};
+
+/**
+ * Hook for managing the order lookup page
+ * @hook
+ * @param {Object} [linkParams={}] - Query parameters of a signed order link
+ * @returns {Object} Order lookup state and handlers
+ * @returns {Array<Object>} returns.breadcrumbItems - Breadcrumb navigation items for the page
+ * @returns {Object} returns.formValues - Lookup form values
+ * @returns {Object} returns.formErrors - Validation errors keyed by field name
+ * @returns {boolean} returns.isLoading - Whether the order from a signed link is loading
+ * @returns {boolean} returns.isSubmitting - Whether the lookup form is being sent
+ * @returns {string|null} returns.error - Error message when the order could not be found
+ * @returns {Object|null} returns.order - Formatted order with lines, address, and totals
+ * @returns {Function} returns.handleFormChange - Handler for form field changes
+ * @returns {Function} returns.handleFormSubmit - Handler that validates the form and looks the order up
+ * @returns {Function} returns.handleLookupAnother - Handler that clears the order to look up another
+ */
+const useOrderLookupPage = (linkParams = {}) => {
+  const [formValues, setFormValues] = useState(EMPTY_LOOKUP_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [foundOrder, setFoundOrder] = useState(null);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [lookupError, setLookupError] = useState(null);
+  const [isLinkDismissed, setIsLinkDismissed] = useState(false);
+
+  const hasLink = Boolean(linkParams.signature && linkParams.orderNumber) && !isLinkDismissed;
+
+  const { data, error, isLoading } = useQuery({
+    queryKey: queryKeys.orders.lookup(linkParams),
+    queryFn: () => getOrderFromLink(linkParams),
+    enabled: hasLink,
+    staleTime: CACHE_DURATION.short,
+    retry: false,
+  });
+
+  const linkOrder = hasLink ? data : null;
+  const order = useMemo(
+    () => (foundOrder || linkOrder ? formatOrder(foundOrder || linkOrder) : null),
+    [foundOrder, linkOrder]
+  );
+
+  const breadcrumbItems = useMemo(() => [{ label: "Order Lookup" }], []);
+
+  const handleFormChange = (field, value) => {
+    setFormValues(previous => ({ ...previous, [field]: value }));
+    setFormErrors(previous => ({ ...previous, [field]: undefined }));
+  };
+
+  const handleFormSubmit = async event => {
+    event.preventDefault();
+    const errors = validateLookupForm(formValues);
+    setFormErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setIsLookingUp(true);
+    setLookupError(null);
+    try {
+      setFoundOrder(
+        await lookupOrder({
+          email: formValues.email.trim(),
+          orderNumber: formValues.orderNumber.trim(),
+        })
+      );
+    } catch (requestError) {
+      setLookupError(requestError.message || "We couldn't find an order with those details.");
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  const handleLookupAnother = () => {
+    setFoundOrder(null);
+    setIsLinkDismissed(true);
+    setFormValues(EMPTY_LOOKUP_FORM);
+  };
+
+  return {
+    breadcrumbItems,
+    formValues,
+    formErrors,
+    isLoading: hasLink && isLoading,
+    isSubmitting: isLookingUp,
+    error: lookupError || (hasLink && error?.message) || null,
+    order,
+    handleFormChange,
+    handleFormSubmit,
+    handleLookupAnother,
+  };
+};
+
+export default useOrderLookupPage;
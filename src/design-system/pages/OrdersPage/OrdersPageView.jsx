@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Presentational component for the account order history
+ * Lists orders with number, date, item count, total, and a status badge linking to each order's detail view
+ * Covers signed-out, loading, error, and empty states plus previous/next pagination
+ * Offers to add guest orders placed with the customer's email address to their history
+ */
+
+import PropTypes from "prop-types";
+
+import { ORDER_STATUS, ROUTES } from "@config/constants";
+import Loading from "@design-system/feedback/Loading";
+import Breadcrumbs from "@design-system/navigation/Breadcrumbs";
+
+/**
+ * View component for rendering the order history page
+ * @component
+ * @param {React.ComponentType} Button - Button component for pagination controls
+ * @param {React.ComponentType} Link - Next.js Link component for order and shop navigation
+ * @param {React.ComponentType} OrderStatusBadge - Status badge component for order statuses
+ * @param {Array<Object>} breadcrumbItems - Breadcrumb navigation items for the account area
+ * @param {string|null} claimMessage - Outcome of the last guest order claim
+ * @param {string|null} error - Error message when orders could not be loaded
+ * @param {Function} handleClaimOrders - Handler that adds matching guest orders to the account
+ * @param {Function} handlePageChange - Handler for moving to another page of orders
+ * @param {boolean} isAuthenticated - Whether a customer is signed in
+ * @param {boolean} isClaiming - Whether guest orders are being claimed
+ * @param {boolean} isFetching - Whether a page of orders is being fetched
+ * @param {boolean} isLoading - Whether the first page of orders is loading
+ * @param {boolean} isReady - Whether the Auth0 session has been read on the client
+ * @param {Array<Object>} orders - Formatted orders for the current page
+ * @param {Object} pagination - Current page, total pages, and navigation flags
+ * @param {Object} styles - CSS module styles object for component styling
+ * @returns {JSX.Element} Rendered order history page
+ */
+const OrdersPageView = ({
+  Button,
+  Link,
+  OrderStatusBadge,
+  breadcrumbItems,
+  claimMessage,
+  error,
+  handleClaimOrders,
+  handlePageChange,
+  isAuthenticated,
+  isClaiming,
+  isFetching,
+  isLoading,
+  isReady,
+  orders,
+  pagination,
+  styles,
+}) => {
+  if (!isReady || (isAuthenticated && isLoading)) {
+    return <Loading message="Loading your orders..." variant="page" />;
+  }
+
+  const renderContent = () => {
+    if (!isAuthenticated) {
+      return <p className={styles.message}>Sign in to see your order history.</p>;
+    }
+
+    if (error) {
+      return (
+        <p className={styles.message} role="alert">
+          {error}
+        </p>
+      );
+    }
+
+    if (!orders.length) {
+      return (
+        <div className={styles.empty}>
+          <p className={styles.message}>You haven&apos;t placed any orders yet.</p>
+          <Link className={styles["shop-link"]} href={ROUTES.SHOP}>
+            Start Shopping
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <ul aria-busy={isFetching} className={styles["order-list"]}>
+          {orders.map(order => (
+            <li key={order.orderNumber}>
+              <Link className={styles.order} href={order.href}>
+                <span className={styles["order-number"]}>{order.orderNumber}</span>
+                <OrderStatusBadge status={order.status} styles={styles} />
+                <span className={styles["order-meta"]}>
+                  Placed {order.formattedDate} · {order.itemCount}{" "}
+                  {order.itemCount === 1 ? "item" : "items"}
+                </span>
+                <span className={styles["order-total"]}>{order.formattedTotal}</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+
+        {pagination.totalPages > 1 && (
+          <nav aria-label="Order history pages" className={styles.pagination}>
+            <Button
+              disabled={!pagination.hasPrevPage || isFetching}
+              variant="outline"
+              onClick={() => handlePageChange(pagination.page - 1)}>
+              Previous
+            </Button>
+            <span>
+              Page {pagination.page} of {pagination.totalPages}
+            </span>
+            <Button
+              disabled={!pagination.hasNextPage || isFetching}
+              variant="outline"
+              onClick={() => handlePageChange(pagination.page + 1)}>
+              Next
+            </Button>
+          </nav>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className={styles["orders-page"]}>
+      <section className={styles.header}>
+        <Breadcrumbs className="breadcrumbs--dark" items={breadcrumbItems} />
+        <h1 className={styles.title}>My Orders</h1>
+      </section>
+
+      <section className={styles.content}>{renderContent()}</section>
+
+      {isAuthenticated && (
+        <section className={styles.claim}>
+          <p className={styles.message}>
+            Checked out as a guest? Add the orders you placed with your verified email address to
+            your order history.
+          </p>
+          <Button disabled={isClaiming} variant="outline" onClick={handleClaimOrders}>
+            {isClaiming ? "Finding orders..." : "Find Guest Orders"}
+          </Button>
+          {claimMessage && (
+            <p className={styles.message} role="status">
+              {claimMessage}
+            </p>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default OrdersPageView;
+
+OrdersPageView.displayName = "OrdersPageView";
+OrdersPageView.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  Link: PropTypes.elementType.isRequired,
+  OrderStatusBadge: PropTypes.elementType.isRequired,
+  breadcrumbItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      path: PropTypes.string,
+    })
+  ).isRequired,
+  claimMessage: PropTypes.string,
+  error: PropTypes.string,
+  handleClaimOrders: PropTypes.func.isRequired,
+  handlePageChange: PropTypes.func.isRequired,
+  isAuthenticated: PropTypes.bool.isRequired,
+  isClaiming: PropTypes.bool.isRequired,
+  isFetching: PropTypes.bool.isRequired,
+  isLoading: PropTypes.bool.isRequired,
+  isReady: PropTypes.bool.isRequired,
+  orders: PropTypes.arrayOf(
+    PropTypes.shape({
+      formattedDate: PropTypes.string.isRequired,
+      formattedTotal: PropTypes.string.isRequired,
+      href: PropTypes.string.isRequired,
+      itemCount: PropTypes.number.isRequired,
+      orderNumber: PropTypes.string.isRequired,
+      status: PropTypes.oneOf(Object.values(ORDER_STATUS)).isRequired,
+    })
+  ).isRequired,
+  pagination: PropTypes.shape({
+    hasNextPage: PropTypes.bool.isRequired,
+    hasPrevPage: PropTypes.bool.isRequired,
+    page: PropTypes.number.isRequired,
+    totalPages: PropTypes.number.isRequired,
+  }).isRequired,
+  styles: PropTypes.object.isRequired,
+};
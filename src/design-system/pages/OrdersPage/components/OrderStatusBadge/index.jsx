@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Status badge for orders in the account area
+ * Shows the customer-facing label for an ORDER_STATUS value with a status-specific color
+ */
+
+import PropTypes from "prop-types";
+
+import { ORDER_STATUS, ORDER_STATUS_LABELS } from "@config/constants";
+
+/**
+ * Order status badge
+ * @component
+ * @param {string} status - ORDER_STATUS value
+ * @param {Object} styles - CSS module styles object with badge and badge-{status} classes
+ * @returns {JSX.Element} Rendered status badge
+ */
+const OrderStatusBadge = ({ status, styles }) => (
+  <span className={`${styles.badge} ${styles[`badge-${status}`] || ""}`}>
+    {ORDER_STATUS_LABELS[status] || status}
+  </span>
+);
+
+export default OrderStatusBadge;
+
+OrderStatusBadge.displayName = "OrderStatusBadge";
+OrderStatusBadge.propTypes = {
+  status: PropTypes.oneOf(Object.values(ORDER_STATUS)).isRequired,
+  styles: PropTypes.object.isRequired,
+};
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Orders page component for the account order history
+ * Connects the useOrdersPage hook with the OrdersPageView presentation component
+ * Supplies the order status badge and Next.js Link component to the view
+ */
+
+"use client";
+import Link from "next/link";
+
+import { Button } from "@design-system/buttons";
+
+import OrderStatusBadge from "./components/OrderStatusBadge";
+import OrdersPageView from "./OrdersPageView";
+import useOrdersPage from "./useOrdersPage";
+
+import styles from "./OrdersPage.module.scss";
+
+/**
+ * Container component for the order history with pagination and status badges
+ * @component
+ * @returns {JSX.Element} Rendered order history page
+ */
+const OrdersPage = () => {
+  const {
+    breadcrumbItems,
+    claimMessage,
+    error,
+    handleClaimOrders,
+    handlePageChange,
+    isAuthenticated,
+    isClaiming,
+    isFetching,
+    isLoading,
+    isReady,
+    orders,
+    pagination,
+  } = useOrdersPage();
+
+  return (
+    <OrdersPageView
+      Button={Button}
+      Link={Link}
+      OrderStatusBadge={OrderStatusBadge}
+      breadcrumbItems={breadcrumbItems}
+      claimMessage={claimMessage}
+      error={error}
+      handleClaimOrders={handleClaimOrders}
+      handlePageChange={handlePageChange}
+      isAuthenticated={isAuthenticated}
+      isClaiming={isClaiming}
+      isFetching={isFetching}
+      isLoading={isLoading}
+      isReady={isReady}
+      orders={orders}
+      pagination={pagination}
+      styles={styles}
+    />
+  );
+};
+
+export default OrdersPage;
+
+OrdersPage.displayName = "OrdersPage";
+OrdersPage.View = OrdersPageView;
+OrdersPage.useOrdersPage = useOrdersPage;
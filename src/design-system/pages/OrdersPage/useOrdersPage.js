@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Custom hook for the account order history page
+ * Fetches the signed-in customer's orders one page at a time with React Query
+ * Formats dates, totals, and detail links for the OrdersPageView component
+ * Lets customers add the guest orders placed with their verified email address to their history
+ */
+
+import { useMemo, useState } from "react";
+import { keepPreviousData, useQuery, useQueryClient } from "@tanstack/react-query";
+
+import { CACHE_DURATION, ORDERS_PER_PAGE, ROUTES } from "@config/constants";
+import { queryKeys } from "@modules/core/providers";
+import { claimGuestOrders, getOrders } from "@modules/core/services";
+import { useAuthState, useSessionLoaded } from "@modules/core/stores";
+import { formatCurrency, formatDate, generateAccountBreadcrumbs } from "@modules/core/utils";
+
+/**
+ * Builds the account detail route for an order
+ * @param {string} orderNumber - Order number shown to the customer
+ * @returns {string} Order detail path
+ */
+const getOrderDetailPath = orderNumber => `${ROUTES.ORDERS}/${encodeURIComponent(orderNumber)}`;
+
+/**
+ * Hook for managing the order history page including pagination and order formatting
+ * @hook
+ * @returns {Object} Order history state and handlers
+ * @returns {Array<Object>} returns.breadcrumbItems - Breadcrumb navigation items for the account area
+ * @returns {boolean} returns.isReady - Whether the Auth0 session has been read on the client
+ * @returns {boolean} returns.isAuthenticated - Whether a customer is signed in
+ * @returns {boolean} returns.isLoading - Whether the first page of orders is loading
+ * @returns {boolean} returns.isFetching - Whether any page of orders is being fetched
+ * @returns {string|null} returns.error - Error message when orders could not be loaded
+ * @returns {Array<Object>} returns.orders - Orders with orderNumber, href, status, itemCount, and formatted date and total
+ * @returns {Object} returns.pagination - Page, totalPages, hasPrevPage, and hasNextPage
+ * @returns {Function} returns.handlePageChange - Handler for moving to another page of orders
+ * @returns {boolean} returns.isClaiming - Whether guest orders are being claimed
+ * @returns {string|null} returns.claimMessage - Outcome of the last guest order claim
+ * @returns {Function} returns.handleClaimOrders - Handler that adds matching guest orders to the account
+ */
+const useOrdersPage = () => {
+  const isAuthenticated = useAuthState();
+  const isReady = useSessionLoaded();
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(1);
+  const [isClaiming, setIsClaiming] = useState(false);
+  const [claimMessage, setClaimMessage] = useState(null);
+
+  const { data, error, isFetching, isLoading } = useQuery({
+    queryKey: [...queryKeys.user.orders(), { page }],
+    queryFn: () => getOrders({ page, limit: ORDERS_PER_PAGE }),
+    enabled: isReady && isAuthenticated,
+    staleTime: CACHE_DURATION.short,
+    placeholderData: keepPreviousData,
+    retry: 1,
+  });
+
+  const orders = useMemo(
+    () =>
+      (data?.orders || []).map(order => ({
+        orderNumber: order.orderNumber,
+        href: getOrderDetailPath(order.orderNumber),
+        status: order.status,
+        itemCount: order.itemCount,
+        formattedDate: formatDate(order.createdAt, {
+          year: "numeric",
+          month: "short",
+          day: "numeric",
+        }),
+        formattedTotal: formatCurrency(order.total),
+      })),
+    [data]
+  );
+
+  const breadcrumbItems = useMemo(() => generateAccountBreadcrumbs("orders"), []);
+
+  const handlePageChange = nextPage => {
+    setPage(Math.max(1, nextPage));
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const handleClaimOrders = async () => {
+    setIsClaiming(true);
+    setClaimMessage(null);
+
+    try {
+      const { orderNumbers } = await claimGuestOrders();
+      setClaimMessage(
+        orderNumbers.length
+          ? `Added ${orderNumbers.length} guest ${orderNumbers.length === 1 ? "order" : "orders"} to your account.`
+          : "We didn't find any guest orders placed with your email address."
+      );
+      if (orderNumbers.length) {
+        await queryClient.invalidateQueries({ queryKey: queryKeys.user.orders() });
+      }
+    } catch (claimError) {
+      setClaimMessage(claimError.message || "We couldn't add your guest orders. Please try again.");
+    } finally {
+      setIsClaiming(false);
+    }
+  };
+
+  return {
+    breadcrumbItems,
+    isReady,
+    isAuthenticated,
+    isLoading,
+    isFetching,
+    error: error?.message || null,
+    orders,
+    pagination: {
+      page,
+      totalPages: data?.pagination?.totalPages || 1,
+      hasPrevPage: Boolean(data?.pagination?.hasPrevPage),
+      hasNextPage: Boolean(data?.pagination?.hasNextPage),
+    },
+    handlePageChange,
+    isClaiming,
+    claimMessage,
+    handleClaimOrders,
+  };
+};
+
+export default useOrdersPage;
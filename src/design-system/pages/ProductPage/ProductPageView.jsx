@@ -3,6 +3,9 @@
  * Handles the visual presentation of product details, image gallery, variants, related products, and navigation breadcrumbs
  * Provides responsive layout with product information, reviews, purchase options, and hierarchical navigation - Updated to match wireframe
  * Now uses unified image handling system with conditional optimization
+ * Size and color options are crossed out when no units are left for them alongside the other selection
+ * A sold-out selection offers a "Notify me" form that subscribes the customer to a back-in-stock email
+ * Reviews can be sorted and paged, and show the verified purchase badge and helpful votes
  */
 
 import PropTypes from "prop-types";
@@ -10,6 +13,208 @@ import PropTypes from "prop-types";
 import Breadcrumbs from "@design-system/navigation/Breadcrumbs";
 import { getImageUrl } from "@modules/core/utils";
 
+/**
+ * Option buttons for one variant dimension, crossing out options that are sold out
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.label - Dimension label (Size, Color)
+ * @param {Array<string>} props.options - Available option values
+ * @param {string} props.selected - Selected option value
+ * @param {Array<string>} props.unavailable - Option values with no units left
+ * @param {Function} props.onSelect - Called with the chosen option value
+ * @param {Object} props.styles - CSS module styles
+ * @returns {JSX.Element|null} Option group, or null without options
+ */
+const VariantOptions = ({ label, onSelect, options, selected, styles, unavailable }) => {
+  if (!options.length) return null;
+
+  return (
+    <div aria-label={label} className={styles["option-selection"]} role="group">
+      <span className={styles["selection-label"]}>{label}</span>
+      <div className={styles["options"]}>
+        {options.map(option => {
+          const isUnavailable = unavailable.includes(option);
+
+          return (
+            <button
+              key={option}
+              aria-label={isUnavailable ? `${option} (sold out)` : option}
+              aria-pressed={selected === option}
+              className={`${styles["option"]} ${selected === option ? styles["selected"] : ""} ${
+                isUnavailable ? styles["unavailable"] : ""
+              }`}
+              type="button"
+              onClick={() => onSelect(option)}>
+              {option}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+VariantOptions.propTypes = {
+  label: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  options: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selected: PropTypes.string,
+  styles: PropTypes.object.isRequired,
+  unavailable: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+/**
+ * Review list orders offered on the product page, matching API_SORT_OPTIONS.REVIEWS
+ * @type {Array<Object>}
+ */
+const REVIEW_SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "highest", label: "Highest rated" },
+  { value: "helpful", label: "Most helpful" },
+];
+
+/**
+ * Single published review with its author, rating, and helpful vote button
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.hasVoted - Whether the customer has already marked the review helpful
+ * @param {Function} props.onHelpful - Called with the review ID when the helpful button is pressed
+ * @param {Function} props.renderStars - Star rating renderer
+ * @param {Object} props.review - Review from the product reviews API
+ * @param {Object} props.styles - CSS module styles
+ * @returns {JSX.Element} Review card
+ */
+const ReviewItem = ({ hasVoted, onHelpful, renderStars, review, styles }) => (
+  <article className={styles.review}>
+    <div className={styles["review-header"]}>
+      <div className={styles.reviewer}>
+        <div className={styles.avatar}>{review.authorName[0].toUpperCase()}</div>
+        <div className={styles["reviewer-info"]}>
+          <span className={styles["reviewer-name"]}>{review.authorName}</span>
+          <span className={styles["reviewer-date"]}>
+            {new Date(review.createdAt).toLocaleDateString()}
+            {review.verifiedPurchase && (
+              <span className={styles["verified-purchase"]}> · Verified purchase</span>
+            )}
+          </span>
+        </div>
+      </div>
+      <div aria-label={`${review.rating} out of 5 stars`} className={styles["review-rating"]}>
+        {renderStars(review.rating).map((star, starIndex) => (
+          <span key={starIndex} className={`${styles.star} ${star.isFilled ? styles.filled : ""}`}>
+            ★
+          </span>
+        ))}
+      </div>
+    </div>
+    {review.title && <h3 className={styles["review-title"]}>{review.title}</h3>}
+    <p className={styles["review-text"]}>{review.body}</p>
+    <button
+      aria-pressed={hasVoted}
+      className={styles["review-helpful"]}
+      disabled={hasVoted}
+      type="button"
+      onClick={() => onHelpful(review.id)}>
+      Helpful ({review.helpfulCount})
+    </button>
+  </article>
+);
+
+ReviewItem.propTypes = {
+  hasVoted: PropTypes.bool,
+  onHelpful: PropTypes.func.isRequired,
+  renderStars: PropTypes.func.isRequired,
+  review: PropTypes.shape({
+    authorName: PropTypes.string.isRequired,
+    body: PropTypes.string.isRequired,
+    createdAt: PropTypes.string.isRequired,
+    helpfulCount: PropTypes.number,
+    id: PropTypes.string.isRequired,
+    rating: PropTypes.number.isRequired,
+    title: PropTypes.string,
+    verifiedPurchase: PropTypes.bool,
+  }).isRequired,
+  styles: PropTypes.object.isRequired,
+};
+
+/**
+ * Back-in-stock form for a sold-out variant; signed-in customers are emailed at their account address
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ComponentType} props.Button - Button component for form submission
+ * @param {string} props.accountEmail - Signed-in customer's email, empty for guests
+ * @param {string} props.email - Email entered by a guest
+ * @param {string} props.error - Validation or request error
+ * @param {boolean} props.isSubmitting - Whether the subscription is being saved
+ * @param {boolean} props.isSubscribed - Whether the customer is already waiting on this variant
+ * @param {Function} props.onEmailChange - Handler for email input changes
+ * @param {Function} props.onSubmit - Handler for form submission
+ * @param {Object} props.styles - CSS module styles
+ * @param {string} props.variantName - Size and color of the sold-out variant
+ * @returns {JSX.Element} Restock alert form, or the confirmation once subscribed
+ */
+const RestockAlert = ({
+  Button,
+  accountEmail,
+  email,
+  error,
+  isSubmitting,
+  isSubscribed,
+  onEmailChange,
+  onSubmit,
+  styles,
+  variantName,
+}) => {
+  if (isSubscribed) {
+    return (
+      <p className={styles["restock-confirmation"]} role="status">
+        We&apos;ll email {accountEmail || email.trim()} when {variantName} is back in stock.
+      </p>
+    );
+  }
+
+  return (
+    <form className={styles["restock-alert"]} onSubmit={onSubmit}>
+      <span className={styles["selection-label"]}>Notify me when {variantName} is back</span>
+      <div className={styles["restock-fields"]}>
+        {!accountEmail && (
+          <input
+            aria-label="Email address"
+            autoComplete="email"
+            className={styles["restock-input"]}
+            placeholder="Email address"
+            type="email"
+            value={email}
+            onChange={onEmailChange}
+          />
+        )}
+        <Button disabled={isSubmitting} type="submit" variant="outline">
+          {isSubmitting ? "Saving..." : "Notify Me"}
+        </Button>
+      </div>
+      {accountEmail && <p className={styles["restock-hint"]}>We&apos;ll email {accountEmail}</p>}
+      {error && (
+        <p className={styles["restock-error"]} role="alert">
+          {error}
+        </p>
+      )}
+    </form>
+  );
+};
+
+RestockAlert.propTypes = {
+  Button: PropTypes.elementType.isRequired,
+  accountEmail: PropTypes.string,
+  email: PropTypes.string.isRequired,
+  error: PropTypes.string,
+  isSubmitting: PropTypes.bool,
+  isSubscribed: PropTypes.bool,
+  onEmailChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  styles: PropTypes.object.isRequired,
+  variantName: PropTypes.string.isRequired,
+};
+
 /**
  * View component for rendering complete product page interface with breadcrumb navigation matching wireframe design
  * @component
@@ -18,28 +223,53 @@ const ProductPageView = ({
   Button,
   Image,
   Link,
+  accountEmail,
+  availableColors,
   availableSizes,
   averageRating,
   breadcrumbItems,
   canAddToCart,
+  canNotifyWhenAvailable,
   currentImageUrl,
   currentPrice,
   discountPercentage,
   handleAddToCart,
   handleCloseSuccessMessage,
+  handleColorSelect,
+  handleQuantityChange,
+  handleRestockEmailChange,
+  handleRestockSubmit,
+  handleReviewHelpful,
+  handleReviewPageChange,
+  handleReviewSortChange,
   handleSizeSelect,
   handleWishlistToggle,
+  helpfulReviewIds,
   isOnSale,
+  isRestockSubmitting,
+  isRestockSubscribed,
+  isSelectedVariantSoldOut,
   isWishlisted,
+  lowStockMessage,
+  maxQuantity,
   originalPrice,
   product,
+  quantity,
   relatedProducts,
   renderStars,
+  restockEmail,
+  restockError,
+  reviewError,
+  reviewPagination,
+  reviewSort,
   reviews,
+  selectedColor,
   selectedSize,
   showSuccessMessage,
   styles,
   successMessage,
+  unavailableColors,
+  unavailableSizes,
 }) => {
   if (!product) return null;
 
@@ -118,20 +348,54 @@ const ProductPageView = ({
               <p>{product.description}</p>
             </div>
 
-            <div className={styles["model-selection"]}>
-              <select
-                className={styles["model-dropdown"]}
-                value={selectedSize || ""}
-                onChange={e => handleSizeSelect(e.target.value)}>
-                <option value="">Select Model</option>
-                {availableSizes.map(size => (
-                  <option key={size} value={size}>
-                    {size}
-                  </option>
-                ))}
-              </select>
+            <VariantOptions
+              label="Size"
+              options={availableSizes}
+              selected={selectedSize}
+              styles={styles}
+              unavailable={unavailableSizes}
+              onSelect={handleSizeSelect}
+            />
+
+            <VariantOptions
+              label="Color"
+              options={availableColors}
+              selected={selectedColor}
+              styles={styles}
+              unavailable={unavailableColors}
+              onSelect={handleColorSelect}
+            />
+
+            <div className={styles["quantity-selection"]}>
+              <span className={styles["selection-label"]}>Quantity</span>
+              <div className={styles["quantity-control"]}>
+                <button
+                  aria-label="Decrease quantity"
+                  className={styles["quantity-button"]}
+                  disabled={quantity <= 1}
+                  type="button"
+                  onClick={() => handleQuantityChange(quantity - 1)}>
+                  −
+                </button>
+                <span aria-live="polite" className={styles["quantity-value"]}>
+                  {quantity}
+                </span>
+                <button
+                  aria-label="Increase quantity"
+                  className={styles["quantity-button"]}
+                  disabled={quantity >= maxQuantity}
+                  type="button"
+                  onClick={() => handleQuantityChange(quantity + 1)}>
+                  +
+                </button>
+              </div>
             </div>
 
+            {lowStockMessage && <p className={styles["low-stock"]}>{lowStockMessage}</p>}
+            {!isSelectedVariantSoldOut && maxQuantity === 0 && (
+              <p className={styles["low-stock"]}>All available units are already in your cart</p>
+            )}
+
             <div className={styles["actions"]}>
               <Button
                 className={styles["add-to-cart-button"]}
@@ -150,6 +414,25 @@ const ProductPageView = ({
             </div>
 
             {!product.inStock && <p className={styles["out-of-stock"]}>Out of Stock</p>}
+            {product.inStock && isSelectedVariantSoldOut && (
+              <p className={styles["out-of-stock"]}>
+                {selectedSize} / {selectedColor} is sold out
+              </p>
+            )}
+            {canNotifyWhenAvailable && (
+              <RestockAlert
+                Button={Button}
+                accountEmail={accountEmail}
+                email={restockEmail}
+                error={restockError}
+                isSubmitting={isRestockSubmitting}
+                isSubscribed={isRestockSubscribed}
+                styles={styles}
+                variantName={`${selectedSize} / ${selectedColor}`}
+                onEmailChange={handleRestockEmailChange}
+                onSubmit={handleRestockSubmit}
+              />
+            )}
           </div>
         </div>
 
@@ -189,38 +472,56 @@ const ProductPageView = ({
 
         {reviews.length > 0 && (
           <section className={styles["reviews-section"]}>
-            <h2 className={styles["section-title"]}>Reviews</h2>
+            <div className={styles["reviews-header"]}>
+              <h2 className={styles["section-title"]}>Reviews</h2>
+              <select
+                aria-label="Sort reviews"
+                className={styles["reviews-sort"]}
+                value={reviewSort}
+                onChange={handleReviewSortChange}>
+                {REVIEW_SORT_OPTIONS.map(({ label, value }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {reviewError && (
+              <p className={styles["reviews-error"]} role="alert">
+                {reviewError}
+              </p>
+            )}
             <div className={styles["reviews-list"]}>
-              {reviews.map((review, index) => (
-                <div key={index} className={styles.review}>
-                  <div className={styles["review-header"]}>
-                    <div className={styles.reviewer}>
-                      <div className={styles.avatar}>
-                        {review.author?.[0]?.toUpperCase() || "U"}
-                      </div>
-                      <div className={styles["reviewer-info"]}>
-                        <span className={styles["reviewer-name"]}>
-                          {review.author || "Anonymous"}
-                        </span>
-                        <span className={styles["reviewer-date"]}>
-                          {new Date(review.createdAt).toLocaleDateString()}
-                        </span>
-                      </div>
-                    </div>
-                    <div className={styles["review-rating"]}>
-                      {renderStars(review.rating || 0).map((star, starIndex) => (
-                        <span
-                          key={starIndex}
-                          className={`${styles.star} ${star.isFilled ? styles.filled : ""}`}>
-                          ★
-                        </span>
-                      ))}
-                    </div>
-                  </div>
-                  <p className={styles["review-text"]}>{review.comment}</p>
-                </div>
+              {reviews.map(review => (
+                <ReviewItem
+                  key={review.id}
+                  hasVoted={helpfulReviewIds.includes(review.id)}
+                  renderStars={renderStars}
+                  review={review}
+                  styles={styles}
+                  onHelpful={handleReviewHelpful}
+                />
               ))}
             </div>
+            {reviewPagination?.totalPages > 1 && (
+              <nav aria-label="Review pages" className={styles["reviews-pagination"]}>
+                <Button
+                  disabled={!reviewPagination.hasPrevPage}
+                  variant="outline"
+                  onClick={() => handleReviewPageChange(reviewPagination.page - 1)}>
+                  Previous
+                </Button>
+                <span>
+                  Page {reviewPagination.page} of {reviewPagination.totalPages}
+                </span>
+                <Button
+                  disabled={!reviewPagination.hasNextPage}
+                  variant="outline"
+                  onClick={() => handleReviewPageChange(reviewPagination.page + 1)}>
+                  Next
+                </Button>
+              </nav>
+            )}
           </section>
         )}
       </div>
@@ -232,6 +533,7 @@ ProductPageView.propTypes = {
   Button: PropTypes.elementType.isRequired,
   Image: PropTypes.elementType.isRequired,
   Link: PropTypes.elementType.isRequired,
+  accountEmail: PropTypes.string,
   activeImageIndex: PropTypes.number,
   availableColors: PropTypes.array,
   availableSizes: PropTypes.array,
@@ -243,29 +545,53 @@ ProductPageView.propTypes = {
     })
   ).isRequired,
   canAddToCart: PropTypes.bool,
+  canNotifyWhenAvailable: PropTypes.bool,
   currentImageUrl: PropTypes.string,
   currentPrice: PropTypes.number,
   discountPercentage: PropTypes.number,
   handleAddToCart: PropTypes.func.isRequired,
   handleCloseSuccessMessage: PropTypes.func.isRequired,
-  handleColorSelect: PropTypes.func,
-  handleQuantityChange: PropTypes.func,
+  handleColorSelect: PropTypes.func.isRequired,
+  handleQuantityChange: PropTypes.func.isRequired,
+  handleRestockEmailChange: PropTypes.func.isRequired,
+  handleRestockSubmit: PropTypes.func.isRequired,
+  handleReviewHelpful: PropTypes.func.isRequired,
+  handleReviewPageChange: PropTypes.func.isRequired,
+  handleReviewSortChange: PropTypes.func.isRequired,
   handleSizeSelect: PropTypes.func.isRequired,
   handleWishlistToggle: PropTypes.func.isRequired,
+  helpfulReviewIds: PropTypes.arrayOf(PropTypes.string),
   isOnSale: PropTypes.bool,
+  isRestockSubmitting: PropTypes.bool,
+  isRestockSubscribed: PropTypes.bool,
+  isSelectedVariantSoldOut: PropTypes.bool,
   isWishlisted: PropTypes.bool,
+  lowStockMessage: PropTypes.string,
+  maxQuantity: PropTypes.number,
   originalPrice: PropTypes.number,
   product: PropTypes.object,
   productImages: PropTypes.arrayOf(PropTypes.string),
   quantity: PropTypes.number,
   relatedProducts: PropTypes.array,
   renderStars: PropTypes.func.isRequired,
+  restockEmail: PropTypes.string,
+  restockError: PropTypes.string,
+  reviewError: PropTypes.string,
+  reviewPagination: PropTypes.shape({
+    hasNextPage: PropTypes.bool,
+    hasPrevPage: PropTypes.bool,
+    page: PropTypes.number,
+    totalPages: PropTypes.number,
+  }),
+  reviewSort: PropTypes.string,
   reviews: PropTypes.array,
   selectedColor: PropTypes.string,
   selectedSize: PropTypes.string,
   showSuccessMessage: PropTypes.bool,
   styles: PropTypes.object.isRequired,
   successMessage: PropTypes.string,
+  unavailableColors: PropTypes.arrayOf(PropTypes.string),
+  unavailableSizes: PropTypes.arrayOf(PropTypes.string),
 };
 
 export default ProductPageView;
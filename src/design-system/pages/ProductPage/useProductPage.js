@@ -3,19 +3,70 @@
  * Supports category/slug/id URL structure for SEO-friendly routing
  * Integrates with React Query for data fetching and caching
  * Manages state for product variants, images, cart actions, and wishlist functionality
+ * Tracks per-variant availability to cross out sold-out options, cap quantity, and flag low stock
+ * Lets customers ask for a back-in-stock email on a sold-out variant when notifyWhenAvailable is on
+ * Lists approved reviews page by page in the chosen order and records helpful votes from signed-in customers
  * Provides computed properties and event handlers for the ProductPageView component
  */
 
 import { useMemo, useState } from "react";
 import { useRouter } from "next/navigation";
-import { useQuery } from "@tanstack/react-query";
-
-import { CACHE_DURATION, MAX_QUANTITY_PER_ITEM } from "@config/constants";
+import { keepPreviousData, useQuery, useQueryClient } from "@tanstack/react-query";
+
+import {
+  API_RESPONSE_MESSAGES,
+  CACHE_DURATION,
+  FEATURES,
+  HTTP_STATUS,
+  MAX_QUANTITY_PER_ITEM,
+} from "@config/constants";
 import { queryKeys } from "@modules/core/providers";
-import { useCartActions } from "@modules/core/stores";
-import { renderStars } from "@modules/core/utils";
+import { useCartActions, useCartItems, useUser } from "@modules/core/stores";
+import { isValidEmail, renderStars } from "@modules/core/utils";
 import { generateProductBreadcrumbs } from "@modules/core/utils";
-import { getProduct, getRelatedProducts } from "@modules/products/services";
+import {
+  getProduct,
+  getProductReviews,
+  getRelatedProducts,
+  markReviewHelpful,
+  subscribeToRestock,
+} from "@modules/products/services";
+
+/**
+ * Checks whether a variant still has units available to order
+ * @param {Object} [variant] - Product variant from the detail payload
+ * @returns {boolean} True when the variant can be ordered
+ */
+const isVariantAvailable = variant => (variant?.available ?? 0) > 0;
+
+/**
+ * Counts the units of a variant already in the cart
+ * @param {Array<Object>} cartItems - Cart lines
+ * @param {string} sku - Variant SKU
+ * @returns {number} Units of the SKU across every cart line
+ */
+const getCartQuantity = (cartItems, sku) =>
+  cartItems.reduce((total, item) => (item.sku === sku ? total + item.quantity : total), 0);
+
+/**
+ * Builds the low stock message for a variant from FEATURES.INVENTORY_DISPLAY
+ * @param {Object|null} variant - Selected product variant
+ * @returns {string|null} "Only {count} left!" message, or null when stock is not low or the display is off
+ */
+const getLowStockMessage = variant => {
+  const { enabled, lowStockMessage, lowStockThreshold } = FEATURES.INVENTORY_DISPLAY;
+  if (!enabled || !isVariantAvailable(variant) || variant.available > lowStockThreshold)
+    return null;
+  return lowStockMessage.replace("{count}", variant.available);
+};
+
+/**
+ * Whether customers can ask to be emailed when a sold-out variant is back in stock
+ * @type {boolean}
+ */
+const CAN_NOTIFY_WHEN_AVAILABLE =
+  FEATURES.SIZE_OUT_OF_STOCK_BEHAVIOR.enabled &&
+  FEATURES.SIZE_OUT_OF_STOCK_BEHAVIOR.notifyWhenAvailable;
 
 /**
  * Hook for managing product page state with category/slug/id URL structure
@@ -28,9 +79,11 @@ import { getProduct, getRelatedProducts } from "@modules/products/services";
  */
 const useProductPage = params => {
   const router = useRouter();
+  const queryClient = useQueryClient();
+  const user = useUser();
   const { addItem: addToCart } = useCartActions();
+  const cartItems = useCartItems();
   const { category, productId } = params;
-  const [selectedVariant, setSelectedVariant] = useState(null);
   const [selectedSize, setSelectedSize] = useState("");
   const [selectedColor, setSelectedColor] = useState("");
   const [quantity, setQuantity] = useState(1);
@@ -38,6 +91,14 @@ const useProductPage = params => {
   const [isWishlisted, setIsWishlisted] = useState(false);
   const [showSuccessMessage, setShowSuccessMessage] = useState(false);
   const [successMessage, setSuccessMessage] = useState("");
+  const [restockEmail, setRestockEmail] = useState("");
+  const [restockError, setRestockError] = useState("");
+  const [isRestockSubmitting, setIsRestockSubmitting] = useState(false);
+  const [restockSubscribedSkus, setRestockSubscribedSkus] = useState([]);
+  const [reviewSort, setReviewSort] = useState("newest");
+  const [reviewPage, setReviewPage] = useState(1);
+  const [helpfulReviewIds, setHelpfulReviewIds] = useState([]);
+  const [reviewError, setReviewError] = useState("");
 
   const {
     data: product,
@@ -72,17 +133,37 @@ const useProductPage = params => {
     refetchIntervalInBackground: false,
   });
 
+  // Approved reviews for the chosen order and page
+  const { data: reviewsData } = useQuery({
+    queryKey: queryKeys.reviews.productList(productId, { sort: reviewSort, page: reviewPage }),
+    queryFn: () => getProductReviews(productId, { sort: reviewSort, page: reviewPage }),
+    staleTime: CACHE_DURATION.short,
+    enabled: !!productId && FEATURES.PRODUCT_REVIEWS.enabled,
+    placeholderData: keepPreviousData,
+  });
+
   // Computed values
   const isLoading = productLoading;
   const error = productError?.message || null;
 
+  const availableVariants = useMemo(() => {
+    return product?.variants || [];
+  }, [product]);
+
+  const selectedVariant = useMemo(() => {
+    return (
+      availableVariants.find(v => v.size === selectedSize && v.color === selectedColor) || null
+    );
+  }, [availableVariants, selectedSize, selectedColor]);
+
   const currentPrice = useMemo(() => {
-    if (selectedVariant) return selectedVariant.price;
+    // Variants without their own price sell at the product price
+    if (selectedVariant?.price) return selectedVariant.price;
     return product?.price || 0;
   }, [selectedVariant, product]);
 
   const originalPrice = useMemo(() => {
-    if (selectedVariant) return selectedVariant.originalPrice;
+    if (selectedVariant?.originalPrice) return selectedVariant.originalPrice;
     return product?.originalPrice || 0;
   }, [selectedVariant, product]);
 
@@ -99,9 +180,44 @@ const useProductPage = params => {
     return product?.colors || [];
   }, [product]);
 
-  const availableVariants = useMemo(() => {
-    return product?.variants || [];
-  }, [product]);
+  // Options with no units left alongside the other selection are crossed out
+  const unavailableSizes = useMemo(() => {
+    return availableSizes.filter(
+      size =>
+        !availableVariants.some(
+          v =>
+            v.size === size &&
+            (!selectedColor || v.color === selectedColor) &&
+            isVariantAvailable(v)
+        )
+    );
+  }, [availableSizes, availableVariants, selectedColor]);
+
+  const unavailableColors = useMemo(() => {
+    return availableColors.filter(
+      color =>
+        !availableVariants.some(
+          v =>
+            v.color === color && (!selectedSize || v.size === selectedSize) && isVariantAvailable(v)
+        )
+    );
+  }, [availableColors, availableVariants, selectedSize]);
+
+  // Units already in the cart count against both the stock and the per-item limit
+  const getQuantityCap = variant =>
+    Math.max(
+      0,
+      Math.min(MAX_QUANTITY_PER_ITEM, variant.available ?? 0) -
+        getCartQuantity(cartItems, variant.sku)
+    );
+
+  const maxQuantity = selectedVariant ? getQuantityCap(selectedVariant) : MAX_QUANTITY_PER_ITEM;
+  const isSelectedVariantSoldOut = Boolean(selectedVariant) && !isVariantAvailable(selectedVariant);
+  const lowStockMessage = getLowStockMessage(selectedVariant);
+  const canNotifyWhenAvailable = CAN_NOTIFY_WHEN_AVAILABLE && isSelectedVariantSoldOut;
+  const isRestockSubscribed = restockSubscribedSkus.includes(selectedVariant?.sku);
+  // Signed-in customers are emailed at their account address
+  const accountEmail = user?.email || "";
 
   const productImages = useMemo(() => {
     if (selectedVariant?.images) return selectedVariant.images;
@@ -115,39 +231,96 @@ const useProductPage = params => {
     return productImages[index];
   }, [activeImageIndex, productImages]);
 
-  const averageRating = useMemo(() => {
-    if (!product?.reviewCount) return 0;
-    const calculated = 3.5 + product.reviewCount / 200;
-    return Math.min(5.0, Math.round(calculated * 10) / 10);
-  }, [product]);
+  // Kept on the product and recomputed whenever an approved review changes
+  const averageRating = product?.averageRating || 0;
 
-  const canAddToCart = selectedSize && selectedColor && quantity > 0 && product?.inStock;
+  const canAddToCart = Boolean(selectedVariant) && quantity > 0 && quantity <= maxQuantity;
 
   // Event handlers
-  const updateSelectedVariant = (size, color) => {
-    if (!size || !color || !availableVariants.length) {
-      setSelectedVariant(null);
-      return;
-    }
+  const clampQuantityToVariant = (size, color) => {
     const variant = availableVariants.find(v => v.size === size && v.color === color);
-    setSelectedVariant(variant || null);
+    if (!isVariantAvailable(variant)) return;
+    setQuantity(current => Math.max(1, Math.min(current, getQuantityCap(variant))));
   };
 
   const handleSizeSelect = size => {
     setSelectedSize(size);
-    updateSelectedVariant(size, selectedColor);
+    setRestockError("");
+    clampQuantityToVariant(size, selectedColor);
   };
 
   const handleColorSelect = color => {
     setSelectedColor(color);
-    updateSelectedVariant(selectedSize, color);
+    setRestockError("");
+    clampQuantityToVariant(selectedSize, color);
   };
 
   const handleQuantityChange = newQuantity => {
-    const maxQuantity = product?.stockQuantity || MAX_QUANTITY_PER_ITEM;
     setQuantity(Math.max(1, Math.min(newQuantity, maxQuantity)));
   };
 
+  const handleRestockEmailChange = e => {
+    setRestockEmail(e.target.value);
+    setRestockError("");
+  };
+
+  const handleRestockSubmit = async e => {
+    e.preventDefault();
+    if (!canNotifyWhenAvailable || isRestockSubmitting) return;
+
+    const email = accountEmail || restockEmail.trim();
+    if (!isValidEmail(email)) {
+      setRestockError(API_RESPONSE_MESSAGES.ERROR.INVALID_EMAIL);
+      return;
+    }
+
+    const { sku } = selectedVariant;
+    setIsRestockSubmitting(true);
+    setRestockError("");
+
+    try {
+      await subscribeToRestock(sku, accountEmail ? undefined : email);
+      setRestockSubscribedSkus(current => [...current, sku]);
+    } catch (subscribeError) {
+      setRestockError(subscribeError.message);
+      // The variant came back while the page was open, so reload its availability
+      if (subscribeError.status === HTTP_STATUS.CONFLICT) {
+        queryClient.invalidateQueries({ queryKey: queryKeys.products.detail(productId) });
+      }
+    } finally {
+      setIsRestockSubmitting(false);
+    }
+  };
+
+  const handleReviewSortChange = e => {
+    setReviewSort(e.target.value);
+    setReviewPage(1);
+  };
+
+  const handleReviewPageChange = page => {
+    setReviewPage(page);
+  };
+
+  const handleReviewHelpful = async reviewId => {
+    if (helpfulReviewIds.includes(reviewId)) return;
+
+    if (!user) {
+      setReviewError("Sign in to mark reviews as helpful");
+      return;
+    }
+
+    setHelpfulReviewIds(current => [...current, reviewId]);
+    setReviewError("");
+
+    try {
+      await markReviewHelpful(reviewId);
+      queryClient.invalidateQueries({ queryKey: queryKeys.reviews.product(productId) });
+    } catch (helpfulError) {
+      setHelpfulReviewIds(current => current.filter(id => id !== reviewId));
+      setReviewError(helpfulError.message);
+    }
+  };
+
   const handleImageSelect = index => {
     setActiveImageIndex(index);
   };
@@ -162,6 +335,7 @@ const useProductPage = params => {
 
     const cartItem = {
       id: product.id,
+      sku: selectedVariant?.sku,
       name: product.name,
       price: currentPrice,
       originalPrice: originalPrice,
@@ -174,6 +348,7 @@ const useProductPage = params => {
     };
 
     addToCart(cartItem);
+    setQuantity(1);
     setSuccessMessage(`${product.name} added to cart!`);
     setShowSuccessMessage(true);
 
@@ -209,7 +384,9 @@ const useProductPage = params => {
     // Data
     product,
     relatedProducts: relatedProducts || [],
-    reviews: [],
+    reviews: reviewsData?.reviews || [],
+    reviewSummary: reviewsData?.summary || null,
+    reviewPagination: reviewsData?.pagination || null,
     productImages,
     currentImageUrl,
     breadcrumbItems,
@@ -223,6 +400,9 @@ const useProductPage = params => {
     isWishlisted,
     showSuccessMessage,
     successMessage,
+    reviewSort,
+    reviewError,
+    helpfulReviewIds,
 
     // Computed
     currentPrice,
@@ -231,6 +411,17 @@ const useProductPage = params => {
     discountPercentage,
     availableSizes,
     availableColors,
+    unavailableSizes,
+    unavailableColors,
+    maxQuantity,
+    isSelectedVariantSoldOut,
+    lowStockMessage,
+    canNotifyWhenAvailable,
+    isRestockSubscribed,
+    isRestockSubmitting,
+    restockError,
+    restockEmail,
+    accountEmail,
     canAddToCart,
     isLoading,
     error,
@@ -240,6 +431,11 @@ const useProductPage = params => {
     handleSizeSelect,
     handleColorSelect,
     handleQuantityChange,
+    handleRestockEmailChange,
+    handleRestockSubmit,
+    handleReviewSortChange,
+    handleReviewPageChange,
+    handleReviewHelpful,
     handleImageSelect,
     handleAddToCart,
     handleWishlistToggle,
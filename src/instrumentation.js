@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Next.js instrumentation hook run once when a server process starts
+ * Registers in-process webhook subscribers, such as the back-in-stock notification job, for the Node.js runtime
+ */
+
+/**
+ * Registers server-side background jobs before the first request is handled
+ * @async
+ * @function register
+ * @returns {Promise<void>}
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== "nodejs") return;
+
+  const { registerRestockNotifications } = await import("@lib/jobs/restock-notifications");
+  registerRestockNotifications();
+}
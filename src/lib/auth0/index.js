@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Auth0 session helpers for API routes
+ * Resolves the signed-in customer from the encrypted Auth0 session cookie instead of anything the client sends
+ * Links Auth0 profiles to User documents on login so routes can keep working with MongoDB user IDs
+ */
+
+import { NextResponse } from "next/server";
+import { getSession } from "@auth0/nextjs-auth0";
+
+import { getEnvironment } from "@config/environment";
+import dbConnect from "@lib/mongodb/client";
+
+/**
+ * Reads the Auth0 session user for an API request
+ * @async
+ * @function getSessionUser
+ * @param {Request} request - Incoming API request
+ * @returns {Promise<Object|null>} Session user claims with the linked userId, or null when signed out or auth is off
+ *
+ * @example
+ * const user = await getSessionUser(request);
+ * // Returns: { sub: "auth0|665f...", email: "sam@example.com", userId: "665f1c2e8b3a4d0012345678", ... }
+ */
+export const getSessionUser = async request => {
+  if (!getEnvironment().enableAuth) return null;
+
+  const session = await getSession(request, new NextResponse());
+  return session?.user || null;
+};
+
+/**
+ * Links the Auth0 profile to a User document after login and stores its ID in the session
+ * Passed to handleCallback as afterCallback, so the lookup happens once per login rather than per request
+ * @async
+ * @function linkSessionUser
+ * @param {Request} request - Callback request
+ * @param {Object} session - Auth0 session created by the callback
+ * @returns {Promise<Object>} The session with user.userId set to the MongoDB user ID
+ */
+export const linkSessionUser = async (request, session) => {
+  await dbConnect();
+  const User = (await import("@lib/mongodb/models/user")).default;
+
+  const user = await User.syncFromAuth0(session.user);
+  session.user.userId = user._id.toString();
+  return session;
+};
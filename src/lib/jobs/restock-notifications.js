@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Back-in-stock notification job for restock subscriptions
+ * Listens for inventory.restocked, which the Product model emits when a sold-out variant's stock goes back above zero,
+ * and emails every pending subscriber of that SKU through the configured mail transport
+ * Each subscription is claimed before its email is sent, so overlapping restocks notify a customer once;
+ * an email that fails to send leaves its subscription pending for the next restock
+ */
+
+import {
+  EMAIL_TEMPLATES,
+  ERROR_TYPES,
+  NOTIFICATION_EVENTS,
+  WEBHOOK_EVENTS,
+} from "@config/constants";
+import { getEnvironment } from "@config/environment";
+import { getMailTransport } from "@lib/mail";
+import dbConnect from "@lib/mongodb/client";
+import { errorHandler } from "@modules/core/utils";
+import { onWebhookEvent } from "@modules/core/utils/api/webhooks";
+
+const ERROR_SOURCE = "restock-notifications";
+
+/**
+ * Builds the back-in-stock email for a variant from NOTIFICATION_EVENTS.PRODUCT_RESTOCKED
+ * @param {Object} product - Lean product with _id, name, slug, and category
+ * @param {Object} variant - Restocked variant with sku, size, and color
+ * @param {string} email - Recipient address
+ * @returns {MailMessage} Message ready for the mail transport
+ */
+const buildRestockMessage = (product, variant, email) => {
+  const { siteUrl } = getEnvironment();
+  const event = NOTIFICATION_EVENTS.PRODUCT_RESTOCKED;
+  const productUrl = `${siteUrl}/shop/${product.category}/${product.slug}/${product._id}`;
+  const variantName = [variant.size, variant.color].filter(Boolean).join(" / ");
+  const headline = event.template.replace("{productName}", product.name);
+  const availability = variantName ? `${variantName} is available again. ` : "";
+
+  return {
+    to: email,
+    subject: headline,
+    text: `${headline}\n\n${availability}Shop it before it sells out: ${productUrl}`,
+    template: EMAIL_TEMPLATES.PRODUCT_RESTOCK,
+    data: {
+      title: event.title,
+      productName: product.name,
+      size: variant.size,
+      color: variant.color,
+      sku: variant.sku,
+      productUrl,
+    },
+  };
+};
+
+/**
+ * Emails every pending subscriber of a variant that is back in stock
+ * Variants that sold out again before the job ran are skipped and keep their subscribers
+ * @async
+ * @function sendRestockNotifications
+ * @param {string} sku - Restocked variant SKU
+ * @returns {Promise<Object>} { sent, failed } counts of emails
+ *
+ * @example
+ * const { failed, sent } = await sendRestockNotifications("DJ-001-M-BLU");
+ */
+export const sendRestockNotifications = async sku => {
+  await dbConnect();
+  const Product = (await import("@lib/mongodb/models/product")).default;
+  const RestockSubscription = (await import("@lib/mongodb/models/restock-subscription")).default;
+
+  const product = await Product.findOne(
+    { "variants.sku": sku },
+    "name slug category variants.sku variants.size variants.color variants.inventory"
+  ).lean();
+  const variant = product?.variants.find(candidate => candidate.sku === sku);
+  if (!variant || variant.inventory <= 0) return { sent: 0, failed: 0 };
+
+  const transport = getMailTransport();
+  const subscriptions = await RestockSubscription.findPending(sku);
+  const result = { sent: 0, failed: 0 };
+
+  for (const subscription of subscriptions) {
+    if (!(await RestockSubscription.claimForNotification(subscription._id))) continue;
+
+    try {
+      await transport.send(buildRestockMessage(product, variant, subscription.email));
+      result.sent += 1;
+    } catch (error) {
+      await RestockSubscription.releaseClaim(subscription._id);
+      result.failed += 1;
+      errorHandler.handleError(error, ERROR_TYPES.API_ERROR, {
+        source: ERROR_SOURCE,
+        action: "send-restock-notification",
+        sku,
+        subscriptionId: subscription._id.toString(),
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Subscribes the job to inventory.restocked; safe to call more than once
+ * Called once per server process from instrumentation.js
+ * Emails are sent in the background, so the stock update that restocked the variant does not wait on the mail
+ * transport for every subscriber
+ * @function registerRestockNotifications
+ * @returns {void}
+ */
+export const registerRestockNotifications = () => {
+  if (global.restockNotificationsRegistered) return;
+  global.restockNotificationsRegistered = true;
+
+  onWebhookEvent(WEBHOOK_EVENTS.INVENTORY_RESTOCKED, event => {
+    void sendRestockNotifications(event.data.sku).catch(error => {
+      errorHandler.handleError(error, ERROR_TYPES.API_ERROR, {
+        source: ERROR_SOURCE,
+        action: "send-restock-notifications",
+        sku: event.data.sku,
+      });
+    });
+  });
+};
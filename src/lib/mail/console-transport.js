@@ -0,0 +1,45 @@
+/**
+ * @fileoverview In-process implementation of the MailTransport interface for development and tests
+ * Logs each message instead of delivering it and keeps the most recent ones in a process-wide outbox,
+ * so notification flows can be exercised and inspected without a mail provider
+ */
+
+import { MAIL_TRANSPORTS } from "@config/constants";
+
+/**
+ * Number of sent messages kept in the outbox before the oldest are dropped
+ * @type {number}
+ */
+const OUTBOX_SIZE = 50;
+
+let cached = global.mockMail;
+
+if (!cached) {
+  cached = global.mockMail = { outbox: [] };
+}
+
+/**
+ * Creates the console mail transport
+ * @function createConsoleTransport
+ * @returns {MailTransport} Transport that logs messages and records them in the outbox
+ *
+ * @example
+ * const transport = createConsoleTransport();
+ * await transport.send({ to: "sam@example.com", subject: "Back in stock", text: "..." });
+ * transport.getOutbox(); // [{ id: "mail_console_...", to: "sam@example.com", ... }]
+ */
+export const createConsoleTransport = () => ({
+  name: MAIL_TRANSPORTS.CONSOLE,
+
+  send: async message => {
+    const sent = { id: `mail_console_${crypto.randomUUID()}`, ...message, sentAt: new Date() };
+
+    cached.outbox.push(sent);
+    if (cached.outbox.length > OUTBOX_SIZE) cached.outbox.shift();
+
+    console.log(`✉️ [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { id: sent.id };
+  },
+
+  getOutbox: () => [...cached.outbox],
+});
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview HTTP implementation of the MailTransport interface
+ * Posts each message as JSON to a transactional mail API authenticated with a bearer key,
+ * the request shape accepted by most hosted mail services and relays
+ */
+
+import { MAIL_TRANSPORTS, REQUEST_HEADERS } from "@config/constants";
+
+/**
+ * Creates the HTTP mail transport
+ * @function createHttpTransport
+ * @param {Object} config - Transport configuration
+ * @param {string} config.apiUrl - Mail API endpoint messages are posted to
+ * @param {string} [config.apiKey] - Bearer key sent in the Authorization header
+ * @param {string} config.from - Sender address used when a message does not set one
+ * @returns {MailTransport} Transport that delivers messages through the mail API
+ * @throws {Error} When no API URL is configured
+ */
+export const createHttpTransport = ({ apiKey, apiUrl, from }) => {
+  if (!apiUrl) {
+    throw new Error("Please define MAIL_API_URL to send mail over HTTP");
+  }
+
+  return {
+    name: MAIL_TRANSPORTS.HTTP,
+
+    send: async message => {
+      const headers = { [REQUEST_HEADERS.contentType]: "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(apiUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ from, ...message }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mail delivery failed with status ${response.status}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { id: result.id || result.messageId || null };
+    },
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Mail transport abstraction used by customer notifications
+ * Defines the MailTransport interface and selects the implementation from the MAIL_TRANSPORT environment variable
+ * Falls back to the console transport when no mail API is configured, so notifications run end-to-end offline
+ */
+
+import { MAIL_TRANSPORTS } from "@config/constants";
+import { getEnvironment } from "@config/environment";
+
+import { createConsoleTransport } from "./console-transport";
+import { createHttpTransport } from "./http-transport";
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to - Recipient email address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain-text body
+ * @property {string} [html] - HTML body
+ * @property {string} [template] - EMAIL_TEMPLATES id, for providers that render their own templates
+ * @property {Object} [data] - Template variables
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {string} name - MAIL_TRANSPORTS value
+ * @property {function(MailMessage): Promise<Object>} send - Delivers a message and resolves with { id };
+ *   rejects when the message could not be handed to the provider
+ */
+
+/**
+ * Returns the configured mail transport
+ * @function getMailTransport
+ * @returns {MailTransport} HTTP when MAIL_TRANSPORT is "http" or a mail API URL is set, otherwise the console
+ * @throws {Error} When MAIL_TRANSPORT names an unknown transport, or production would fall back to the console
+ *
+ * @example
+ * await getMailTransport().send({
+ *   to: subscription.email,
+ *   subject: NOTIFICATION_EVENTS.PRODUCT_RESTOCKED.title,
+ *   text: "Denim Jacket is back in stock!",
+ *   template: EMAIL_TEMPLATES.PRODUCT_RESTOCK,
+ * });
+ */
+export const getMailTransport = () => {
+  const { isProduction, mailApiKey, mailApiUrl, mailFrom, mailTransport } = getEnvironment();
+  const name = mailTransport || (mailApiUrl ? MAIL_TRANSPORTS.HTTP : MAIL_TRANSPORTS.CONSOLE);
+
+  switch (name) {
+    case MAIL_TRANSPORTS.HTTP:
+      return createHttpTransport({ apiKey: mailApiKey, apiUrl: mailApiUrl, from: mailFrom });
+    case MAIL_TRANSPORTS.CONSOLE:
+      // The console transport silently drops customer mail, so production must opt in explicitly
+      if (isProduction && !mailTransport) {
+        throw new Error("Please define MAIL_API_URL or MAIL_TRANSPORT in production");
+      }
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unsupported MAIL_TRANSPORT: ${name}`);
+  }
+};
+
+export { createConsoleTransport } from "./console-transport";
+export { createHttpTransport } from "./http-transport";
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Shared address sub-schema for order and address book addresses
+ * Field names match ADDRESS_FIELD_NAMES and REQUIRED_ADDRESS_FIELDS so checkout form values can be stored as they are
+ */
+
+import mongoose from "mongoose";
+
+import { DEFAULT_COUNTRY } from "@config/constants";
+
+/**
+ * Address path definitions, spread into schemas that add their own fields such as the address book type
+ * @typedef {Object} AddressFields
+ * @property {string} firstName - Recipient first name
+ * @property {string} lastName - Recipient last name
+ * @property {string} addressLine1 - Street address
+ * @property {string} addressLine2 - Apartment, suite, or unit
+ * @property {string} city - City
+ * @property {string} state - State, province, county, or prefecture
+ * @property {string} postalCode - ZIP or postal code
+ * @property {string} country - SUPPORTED_COUNTRIES code (default: DEFAULT_COUNTRY)
+ * @property {string} phoneNumber - Recipient phone number
+ */
+export const addressFields = {
+  firstName: String,
+  lastName: String,
+  addressLine1: String,
+  addressLine2: String,
+  city: String,
+  state: String,
+  postalCode: String,
+  country: {
+    type: String,
+    default: DEFAULT_COUNTRY,
+  },
+  phoneNumber: String,
+};
+
+/**
+ * Address sub-schema embedded in orders as the shipping and billing address
+ * @type {mongoose.Schema}
+ */
+const addressSchema = new mongoose.Schema(addressFields, { _id: false });
+
+export default addressSchema;
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Cart model schema for MongoDB with server-side shopping cart persistence
+ * Stores variant-keyed cart lines for authenticated users and anonymous guest sessions
+ * Includes guest cart expiry, line merging for login, applied promotions, and instance methods for line management
+ */
+
+import mongoose from "mongoose";
+
+import { CART_EXPIRY, HTTP_STATUS, MAX_CART_ITEMS, MAX_QUANTITY_PER_ITEM } from "@config/constants";
+
+// Registers the Promotion model so cart promotions can be populated
+import "./promotion";
+
+/**
+ * Creates a limit error that API routes can surface as a 422 response
+ * @param {string} message - Error message
+ * @returns {Error} Error with an HTTP status attached
+ */
+const createLimitError = message => {
+  const error = new Error(message);
+  error.status = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+  return error;
+};
+
+/**
+ * Mongoose schema definition for cart documents keyed by user or guest session
+ * @typedef {Object} CartSchema
+ * @property {ObjectId} user - Reference to the cart owner (authenticated carts only)
+ * @property {string} sessionId - Anonymous session identifier (guest carts only)
+ * @property {Array<Object>} items - Cart lines keyed by variant SKU with product snapshot and quantity
+ * @property {Array<ObjectId>} promotions - Promotions applied with a promo code, in the order they were entered
+ * @property {Object} taxAddress - Country, state, and postal code that cart taxes are calculated for
+ * @property {Date} expiresAt - Expiry for guest carts, removed by the TTL index (unset for user carts)
+ */
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sessionId: {
+      type: String,
+    },
+    items: [
+      {
+        lineId: {
+          type: String,
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        variant: {
+          size: String,
+          color: String,
+          sku: String,
+        },
+        name: String,
+        slug: String,
+        category: String,
+        productType: String,
+        taxCategory: String,
+        freeShipping: Boolean,
+        image: String,
+        price: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+          max: MAX_QUANTITY_PER_ITEM,
+        },
+      },
+    ],
+    promotions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+      },
+    ],
+    taxAddress: {
+      country: String,
+      state: String,
+      postalCode: String,
+    },
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for owner lookups and guest cart expiry
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to find the cart for a user or guest session
+ * @param {Object} identity - Cart owner identity
+ * @param {string} [identity.userId] - Authenticated user ID (takes precedence)
+ * @param {string} [identity.sessionId] - Guest session identifier
+ * @returns {Query} Query resolving to the cart document or null when none exists
+ */
+cartSchema.statics.findByIdentity = function ({ sessionId, userId }) {
+  if (userId) return this.findOne({ user: userId });
+  if (sessionId) return this.findOne({ sessionId });
+  return this.findOne({ _id: null });
+};
+
+/**
+ * Static method to find or create the cart for a user or guest session
+ * Guest carts are created with an expiry so abandoned sessions are cleaned up
+ * @param {Object} identity - Cart owner identity
+ * @param {string} [identity.userId] - Authenticated user ID (takes precedence)
+ * @param {string} [identity.sessionId] - Guest session identifier
+ * @returns {Promise<Object>} Existing or newly created cart document
+ */
+cartSchema.statics.findOrCreateByIdentity = async function ({ sessionId, userId }) {
+  const cart = await this.findByIdentity({ sessionId, userId });
+  if (cart) return cart;
+
+  if (userId) return this.create({ user: userId, items: [] });
+  return this.create({
+    sessionId,
+    items: [],
+    expiresAt: new Date(Date.now() + CART_EXPIRY),
+  });
+};
+
+/**
+ * Instance method to add a line or increase the quantity of an existing line
+ * @param {Object} line - Cart line with lineId, product, variant, snapshot fields and quantity
+ * @returns {Object} Updated cart document (not saved)
+ * @throws {Error} When the cart or per-line quantity limit would be exceeded (status 422)
+ */
+cartSchema.methods.addLine = function (line) {
+  const existing = this.items.find(item => item.lineId === line.lineId);
+
+  if (existing) {
+    const quantity = existing.quantity + line.quantity;
+    if (quantity > MAX_QUANTITY_PER_ITEM) {
+      throw createLimitError(`Cannot add more than ${MAX_QUANTITY_PER_ITEM} of the same item`);
+    }
+    existing.set({ ...line, quantity });
+    return this;
+  }
+
+  if (this.items.length >= MAX_CART_ITEMS) {
+    throw createLimitError(`Cannot add more than ${MAX_CART_ITEMS} different items to cart`);
+  }
+
+  this.items.push(line);
+  return this;
+};
+
+/**
+ * Instance method to merge lines from another cart, capping quantities at the per-line limit
+ * Lines beyond the cart size limit are dropped rather than failing the whole merge
+ * @param {Array<Object>} lines - Lines to merge into this cart
+ * @returns {Object} Updated cart document (not saved)
+ */
+cartSchema.methods.mergeLines = function (lines = []) {
+  lines.forEach(line => {
+    const existing = this.items.find(item => item.lineId === line.lineId);
+
+    if (existing) {
+      existing.quantity = Math.min(existing.quantity + line.quantity, MAX_QUANTITY_PER_ITEM);
+    } else if (this.items.length < MAX_CART_ITEMS) {
+      this.items.push({ ...line, quantity: Math.min(line.quantity, MAX_QUANTITY_PER_ITEM) });
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Instance method to refresh the guest cart expiry window on activity
+ * @returns {Object} Updated cart document (not saved)
+ */
+cartSchema.methods.touch = function () {
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + CART_EXPIRY);
+  }
+  return this;
+};
+
+export default mongoose.models.Cart || mongoose.model("Cart", cartSchema);
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Counter model for named, atomically incremented sequences
+ * Each document is one sequence keyed by name, advanced with a single $inc so concurrent callers never share a value
+ * Backs the yearly order number sequences
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema definition for sequence counters
+ * @typedef {Object} CounterSchema
+ * @property {string} _id - Sequence name, e.g. "order-2026"
+ * @property {number} seq - Last value handed out
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Static method to take the next value of a sequence, creating the sequence on first use
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} Next value, starting at 1
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, lean: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.models.Counter || mongoose.model("Counter", counterSchema);
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Gift card model schema for MongoDB with hashed codes, balances, and a transaction ledger
+ * Codes are only ever stored as SHA-256 hashes; the plain code exists once, when the card is issued
+ * Balances change through atomic updates guarded on the current balance, so concurrent orders cannot overspend a card
+ */
+
+import mongoose from "mongoose";
+import { createHash, randomInt } from "node:crypto";
+
+import {
+  DEFAULT_CURRENCY,
+  GIFT_CARD_CODE_LENGTH,
+  GIFT_CARD_TRANSACTION_TYPES,
+} from "@config/constants";
+
+/**
+ * Characters used in generated codes, leaving out ones that are easy to misread (0/O, 1/I/L)
+ * @type {string}
+ */
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+
+/**
+ * Normalizes a code as typed by a customer, ignoring letter case, spaces, and dashes
+ * @param {string} code - Gift card code in any format
+ * @returns {string} Uppercase code without separators
+ */
+const normalizeCode = code => String(code).toUpperCase().replaceAll(/[\s-]/g, "");
+
+/**
+ * Mongoose schema definition for gift cards
+ * @typedef {Object} GiftCardSchema
+ * @property {string} codeHash - SHA-256 hash of the normalized code (required, unique)
+ * @property {string} last4 - Last four characters of the code for display
+ * @property {number} initialBalance - Face value the card was issued with
+ * @property {number} balance - Amount left to spend
+ * @property {string} currency - Currency the balance is held in
+ * @property {boolean} isActive - Whether the card can be used
+ * @property {ObjectId} purchaser - User who bought the card
+ * @property {ObjectId} purchaseOrder - Order the card was bought in
+ * @property {Array<Object>} ledger - Issue, debit, and credit entries with amount and order number
+ */
+const giftCardSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    last4: {
+      type: String,
+      required: true,
+    },
+    initialBalance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    balance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: DEFAULT_CURRENCY,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    purchaser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    ledger: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: Object.values(GIFT_CARD_TRANSACTION_TYPES),
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        orderNumber: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for order ledger lookups
+giftCardSchema.index({ "ledger.orderNumber": 1 });
+
+/**
+ * Static method to hash a gift card code for storage and lookup
+ * @param {string} code - Gift card code in any letter case, with or without dashes
+ * @returns {string} Hex SHA-256 hash of the normalized code
+ */
+giftCardSchema.statics.hashCode = function (code) {
+  return createHash("sha256").update(normalizeCode(code)).digest("hex");
+};
+
+/**
+ * Static method to generate a random gift card code
+ * @returns {string} Code in groups of four, e.g. "7K3M-QX9P-2WRT-H4NC"
+ */
+giftCardSchema.statics.generateCode = function () {
+  const characters = Array.from(
+    { length: GIFT_CARD_CODE_LENGTH },
+    () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]
+  ).join("");
+
+  return characters.match(/.{1,4}/g).join("-");
+};
+
+/**
+ * Static method to find an active gift card by the code a customer entered
+ * @param {string} code - Gift card code in any format
+ * @returns {Query} Query resolving to the gift card or null
+ */
+giftCardSchema.statics.findByCode = function (code) {
+  return this.findOne({ codeHash: this.hashCode(code), isActive: true });
+};
+
+/**
+ * Static method to issue a new gift card
+ * @param {Object} options - Card details
+ * @param {number} options.amount - Face value
+ * @param {ObjectId|string} [options.purchaser] - User who bought the card
+ * @param {ObjectId|string} [options.purchaseOrder] - Order the card was bought in
+ * @param {string} [options.orderNumber] - Order number recorded on the issue ledger entry
+ * @returns {Promise<Object>} The saved gift card and its plain code, which is not stored anywhere
+ *
+ * @example
+ * const { code, giftCard } = await GiftCard.issue({ amount: 50, purchaser: userId });
+ */
+giftCardSchema.statics.issue = async function ({ amount, orderNumber, purchaseOrder, purchaser }) {
+  const code = this.generateCode();
+  const giftCard = await this.create({
+    codeHash: this.hashCode(code),
+    last4: normalizeCode(code).slice(-4),
+    initialBalance: amount,
+    balance: amount,
+    purchaser,
+    purchaseOrder,
+    ledger: [{ type: GIFT_CARD_TRANSACTION_TYPES.ISSUE, amount, orderNumber }],
+  });
+
+  return { code, giftCard };
+};
+
+/**
+ * Static method to spend part of a gift card's balance on an order
+ * The balance check and decrement are a single update, so two orders cannot spend the same balance
+ * @param {ObjectId|string} giftCardId - Gift card ID
+ * @param {number} amount - Amount to take
+ * @param {string} orderNumber - Order the amount pays towards
+ * @returns {Promise<boolean>} True if the amount was taken, false when the balance is too low
+ */
+giftCardSchema.statics.debit = async function (giftCardId, amount, orderNumber) {
+  const result = await this.updateOne(
+    { _id: giftCardId, isActive: true, balance: { $gte: amount } },
+    {
+      $inc: { balance: -amount },
+      $push: { ledger: { type: GIFT_CARD_TRANSACTION_TYPES.DEBIT, amount, orderNumber } },
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Static method to return an amount to a gift card, e.g. for a refunded or cancelled order
+ * @param {ObjectId|string} giftCardId - Gift card ID
+ * @param {number} amount - Amount to give back
+ * @param {string} orderNumber - Order the amount came from
+ * @returns {Promise<Object>} Update result
+ */
+giftCardSchema.statics.credit = function (giftCardId, amount, orderNumber) {
+  return this.updateOne(
+    { _id: giftCardId },
+    {
+      $inc: { balance: amount },
+      $push: { ledger: { type: GIFT_CARD_TRANSACTION_TYPES.CREDIT, amount, orderNumber } },
+    }
+  );
+};
+
+export default mongoose.models.GiftCard || mongoose.model("GiftCard", giftCardSchema);
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Inventory adjustment model recording every administrator change to a variant's stock
+ * Entries are append-only: each one keeps the counts before and after the change, the reason, and who made it,
+ * so the stock history of a SKU can be audited without replaying orders
+ */
+
+import mongoose from "mongoose";
+
+import { INVENTORY_ADJUSTMENT_REASONS, ORDER_STATUS_ACTORS } from "@config/constants";
+
+/**
+ * Mongoose schema definition for inventory adjustment ledger entries
+ * @typedef {Object} InventoryAdjustmentSchema
+ * @property {ObjectId} product - Product the adjusted variant belongs to
+ * @property {string} sku - Adjusted variant SKU
+ * @property {number} change - Units added (positive) or removed (negative)
+ * @property {number} previousInventory - Units in stock before the adjustment
+ * @property {number} inventory - Units in stock after the adjustment
+ * @property {string} reason - INVENTORY_ADJUSTMENT_REASONS value
+ * @property {string} note - Free-text note from the administrator
+ * @property {Object} actor - Who made the adjustment ({ type, id })
+ */
+const inventoryAdjustmentSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    change: {
+      type: Number,
+      required: true,
+    },
+    previousInventory: {
+      type: Number,
+      required: true,
+    },
+    inventory: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: Object.values(INVENTORY_ADJUSTMENT_REASONS),
+      required: true,
+    },
+    note: String,
+    actor: {
+      type: {
+        type: String,
+        enum: Object.values(ORDER_STATUS_ACTORS),
+        required: true,
+      },
+      id: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for per-SKU and per-product ledger pages, newest first
+inventoryAdjustmentSchema.index({ sku: 1, createdAt: -1 });
+inventoryAdjustmentSchema.index({ product: 1, createdAt: -1 });
+
+export default mongoose.models.InventoryAdjustment ||
+  mongoose.model("InventoryAdjustment", inventoryAdjustmentSchema);
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Inventory reservation model holding variant stock for orders that are waiting on payment
+ * A hold does not touch Product.variants[].inventory; stock available to new checkouts is inventory less active holds
+ * Holds lapse at expiresAt and a TTL index removes them afterwards, so an abandoned checkout frees its stock unaided
+ * Paying for the order converts its holds into inventory decrements; cancelling or abandoning it releases them
+ */
+
+import mongoose from "mongoose";
+
+import { HTTP_STATUS, INVENTORY_HOLD_DURATION } from "@config/constants";
+
+import Product from "./product";
+
+/**
+ * Mongoose schema definition for inventory reservations
+ * @typedef {Object} InventoryReservationSchema
+ * @property {ObjectId} product - Product the held variant belongs to
+ * @property {string} sku - Held variant SKU
+ * @property {number} quantity - Units held
+ * @property {ObjectId} order - Order the units are held for
+ * @property {string} orderNumber - Order number, for support lookups
+ * @property {string} holder - Customer the hold belongs to ("user:<id>" or "session:<id>"), for abandonment
+ * @property {Date} expiresAt - When the hold lapses; the TTL index deletes it shortly after
+ */
+const inventoryReservationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: String,
+    holder: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for active hold sums, per-order release, and automatic expiry
+inventoryReservationSchema.index({ sku: 1, expiresAt: 1 });
+inventoryReservationSchema.index({ order: 1 });
+inventoryReservationSchema.index({ holder: 1 });
+inventoryReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Builds the error raised when a variant cannot cover a hold
+ * @param {string} sku - Variant SKU that ran out
+ * @returns {Error} Error with status 409 and the SKU in details
+ */
+const createInsufficientStockError = sku => {
+  const error = new Error("Insufficient stock");
+  error.status = HTTP_STATUS.CONFLICT;
+  error.details = { sku };
+  return error;
+};
+
+/**
+ * Static method to build the holder key that ties holds to a customer
+ * @param {Object} identity - Cart identity from getCartIdentity
+ * @param {string|null} identity.userId - Signed-in user ID
+ * @param {string|null} identity.sessionId - Guest cart session ID
+ * @returns {string|null} "user:<id>", "session:<id>", or null without either
+ */
+inventoryReservationSchema.statics.getHolder = function ({ sessionId, userId }) {
+  if (userId) return `user:${userId}`;
+  return sessionId ? `session:${sessionId}` : null;
+};
+
+/**
+ * Static method to total the units under active holds for each SKU
+ * The TTL monitor only runs about once a minute, so lapsed holds are filtered out by expiresAt here
+ * @param {Array<string>} skus - Variant SKUs
+ * @returns {Promise<Map<string, number>>} Held units keyed by SKU; SKUs without holds are absent
+ */
+inventoryReservationSchema.statics.getHeldQuantities = async function (skus) {
+  const totals = await this.aggregate([
+    { $match: { sku: { $in: skus }, expiresAt: { $gt: new Date() } } },
+    { $group: { _id: "$sku", quantity: { $sum: "$quantity" } } },
+  ]);
+  return new Map(totals.map(total => [total._id, total.quantity]));
+};
+
+/**
+ * Static method to hold stock for every line of an order, replacing any holds the order already had
+ * Holds are written first and then checked against inventory, so of two checkouts racing for the last unit
+ * at least one sees the other's hold and backs out; neither can oversell
+ * @param {Object} order - Order document with _id, orderNumber, and items
+ * @param {string} [holder] - Customer the holds belong to
+ * @returns {Promise<Date>} When the new holds lapse
+ * @throws {Error} With status 409 and the SKU that ran out when a line cannot be held
+ */
+inventoryReservationSchema.statics.holdForOrder = async function (order, holder) {
+  const expiresAt = new Date(Date.now() + INVENTORY_HOLD_DURATION);
+
+  await this.deleteMany({ order: order._id });
+  await this.insertMany(
+    order.items.map(item => ({
+      product: item.product?._id || item.product,
+      sku: item.variant.sku,
+      quantity: item.quantity,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      holder,
+      expiresAt,
+    }))
+  );
+
+  const skus = [...new Set(order.items.map(item => item.variant.sku))];
+  const [held, products] = await Promise.all([
+    this.getHeldQuantities(skus),
+    Product.find({ "variants.sku": { $in: skus } }, "variants.sku variants.inventory").lean(),
+  ]);
+  const inventory = new Map(
+    products.flatMap(product => product.variants.map(variant => [variant.sku, variant.inventory]))
+  );
+
+  const shortSku = skus.find(sku => (held.get(sku) || 0) > (inventory.get(sku) || 0));
+  if (shortSku) {
+    await this.deleteMany({ order: order._id });
+    throw createInsufficientStockError(shortSku);
+  }
+
+  return expiresAt;
+};
+
+/**
+ * Static method to release every hold an order has
+ * @param {ObjectId|string} orderId - Order ID
+ * @returns {Promise<number>} Number of holds released
+ */
+inventoryReservationSchema.statics.releaseForOrder = async function (orderId) {
+  const result = await this.deleteMany({ order: orderId });
+  return result.deletedCount;
+};
+
+/**
+ * Static method to release the holds a customer left on earlier checkouts
+ * A customer only has one checkout in progress, so starting another abandons the rest
+ * @param {string} holder - Customer the holds belong to
+ * @param {ObjectId|string} keepOrderId - Order whose holds stay in place
+ * @returns {Promise<number>} Number of holds released
+ */
+inventoryReservationSchema.statics.releaseAbandoned = async function (holder, keepOrderId) {
+  if (!holder) return 0;
+  const result = await this.deleteMany({ holder, order: { $ne: keepOrderId } });
+  return result.deletedCount;
+};
+
+/**
+ * Static method to turn an order's holds into inventory decrements once it is paid
+ * Every line is taken from stock; a line whose hold lapsed and whose stock has since sold is still taken,
+ * leaving the variant's inventory negative, and reported so the order can be backordered
+ * @param {Object} order - Paid order document with _id and items
+ * @returns {Promise<Array<string>>} SKUs that did not have enough stock left
+ */
+inventoryReservationSchema.statics.commitForOrder = async function (order) {
+  const shortSkus = [];
+
+  for (const item of order.items) {
+    const productId = item.product?._id || item.product;
+    const { quantity, variant } = item;
+    if (!(await Product.decrementVariantInventory(productId, variant.sku, quantity))) {
+      await Product.decrementVariantInventory(productId, variant.sku, quantity, {
+        allowBackorder: true,
+      });
+      shortSkus.push(variant.sku);
+    }
+  }
+
+  await this.deleteMany({ order: order._id });
+  return shortSkus;
+};
+
+export default mongoose.models.InventoryReservation ||
+  mongoose.model("InventoryReservation", inventoryReservationSchema);
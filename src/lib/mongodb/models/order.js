@@ -1,28 +1,86 @@
 /**
  * @fileoverview Order model schema for MongoDB with comprehensive e-commerce order management
  * Provides order processing including items, addresses, pricing, status tracking, and payment integration
- * Includes automatic order number generation, status management, and Stripe payment integration
+ * Includes automatic order number generation, status management, payment provider integration, and gift card tender
+ * Order numbers come from a yearly counter (UE-2026-004821); orders placed before that keep their legacy timestamp numbers
  */
 
 import mongoose from "mongoose";
 
-import { DEFAULT_COUNTRY, ORDER_NUMBER_PREFIX, ORDER_STATUS } from "@config/constants";
+import {
+  HTTP_STATUS,
+  ORDER_NUMBER_MAX_ATTEMPTS,
+  ORDER_STATUS,
+  ORDER_STATUS_ACTORS,
+  ORDER_STATUS_TRANSITIONS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_PROVIDERS,
+  PAYMENT_STATUS,
+  PRODUCT_TYPES,
+  PROMO_CODE_TYPES,
+  REFUND_REASONS,
+  SHIPPING_METHODS,
+  WEBHOOK_EVENTS,
+} from "@config/constants";
+import { getPaymentProvider } from "@lib/payments";
+import { emitWebhookEvent } from "@modules/core/utils/api/webhooks";
+import { formatOrderNumber } from "@modules/core/utils/orderNumber";
+
+import addressSchema from "./address-schema";
+import Counter from "./counter";
+import GiftCard from "./gift-card";
+import InventoryReservation from "./inventory-reservation";
+import PromotionRedemption from "./promotion-redemption";
+
+/**
+ * MongoDB duplicate key error code raised by the unique orderNumber index
+ * @type {number}
+ */
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Checks whether a write failed because its order number is already taken
+ * @param {Error} error - Error raised by a write
+ * @returns {boolean} True for duplicate key errors on orderNumber
+ */
+const isDuplicateOrderNumber = error =>
+  error?.code === DUPLICATE_KEY_ERROR && Boolean(error.keyPattern?.orderNumber);
 
 /**
  * Mongoose schema definition for order documents with comprehensive e-commerce functionality
  * @typedef {Object} OrderSchema
- * @property {string} orderNumber - Unique order identifier (auto-generated)
- * @property {ObjectId} user - Reference to user who placed the order (required)
- * @property {Array<Object>} items - Order items with product references, variants, quantities, and pricing
- * @property {Object} shippingAddress - Customer's shipping address information
- * @property {Object} billingAddress - Customer's billing address information
+ * @property {string} orderNumber - Unique order identifier from the yearly sequence (auto-generated), or a legacy timestamp number
+ * @property {ObjectId} user - Reference to user who placed the order; unset for guest orders until they are claimed
+ * @property {string} contactEmail - Email for order updates and guest order lookup (required for guest orders)
+ * @property {string} guestSessionId - Guest cart session that placed the order, which may pay for it
+ * @property {Date} claimedAt - When a guest order was added to the account registered with its contact email
+ * @property {Array<Object>} items - Order items with product references, variants, quantities, pricing, and refunded quantities
+ * @property {Object} shippingAddress - Customer's shipping address (shared address sub-schema)
+ * @property {Object} billingAddress - Customer's billing address (shared address sub-schema)
+ * @property {string} shippingMethod - Selected SHIPPING_METHODS identifier
+ * @property {Object} estimatedDelivery - Earliest and latest delivery days (YYYY-MM-DD) quoted when the order was placed
  * @property {number} subtotal - Order subtotal before shipping and tax (required)
+ * @property {number} discount - Promo code discount taken off the subtotal (default: 0)
+ * @property {Array<Object>} discounts - Promo code discount lines with promotion reference, code, type, and amount
  * @property {number} shipping - Shipping cost (default: 0)
- * @property {number} tax - Tax amount (default: 0)
+ * @property {number} tax - Tax amount (default: 0); already part of the line prices when taxes.included is set
+ * @property {Object} taxes - Tax breakdown with jurisdiction, rate, whether prices include tax, and per-line amounts
  * @property {number} total - Order total including all charges (required)
- * @property {string} status - Order status (pending, confirmed, processing, shipped, delivered, cancelled)
- * @property {string} paymentStatus - Payment status (pending, paid, failed, refunded)
- * @property {string} stripePaymentIntentId - Stripe payment intent ID for payment tracking
+ * @property {Array<Object>} giftCardPayments - Gift cards used as tender with the amount taken and refunded
+ * @property {number} giftCardAmount - Part of the total paid with gift cards (default: 0)
+ * @property {number} amountDue - Part of the total left for the payment provider to charge
+ * @property {Array<Object>} issuedGiftCards - Gift cards issued for gift card lines once the order was paid
+ * @property {Date} giftCardsIssuedAt - When the order's gift cards were issued
+ * @property {Date} stockCommittedAt - When the order's inventory holds were taken from stock on payment
+ * @property {string} status - Order status, changed only through transitionStatus()
+ * @property {Array<Object>} statusHistory - Audit trail of status changes with actor and timestamp
+ * @property {string} paymentStatus - PAYMENT_STATUS value, updated from payment intents
+ * @property {Object} paymentMethod - Payment method summary (type, brand, last4; never raw card data)
+ * @property {string} paymentProvider - PAYMENT_PROVIDERS value that holds the payment intent
+ * @property {string} stripePaymentIntentId - Payment intent ID (Stripe, or the Stripe-compatible mock)
+ * @property {number} refundedAmount - Total refunded so far
+ * @property {Array<Object>} refunds - Refunds issued with provider refund ID, amount, reason, and refunded lines
  * @property {string} trackingNumber - Shipping tracking number
  * @property {string} notes - Additional order notes
  */
@@ -32,15 +90,21 @@ const orderSchema = new mongoose.Schema(
       type: String,
       required: true,
       unique: true,
-      default: function () {
-        return `${ORDER_NUMBER_PREFIX}${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      },
     },
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
     },
+    contactEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: function () {
+        return !this.user;
+      },
+    },
+    guestSessionId: String,
+    claimedAt: Date,
     items: [
       {
         product: {
@@ -66,38 +130,56 @@ const orderSchema = new mongoose.Schema(
           type: Number,
           required: true,
         },
+        productType: {
+          type: String,
+          enum: Object.values(PRODUCT_TYPES),
+          default: PRODUCT_TYPES.STANDARD,
+        },
+        taxCategory: String,
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
       },
     ],
-    shippingAddress: {
-      firstName: String,
-      lastName: String,
-      street: String,
-      city: String,
-      state: String,
-      zipCode: String,
-      country: {
-        type: String,
-        default: DEFAULT_COUNTRY,
-      },
-      phoneNumber: String,
-    },
-    billingAddress: {
-      firstName: String,
-      lastName: String,
-      street: String,
-      city: String,
-      state: String,
-      zipCode: String,
-      country: {
-        type: String,
-        default: DEFAULT_COUNTRY,
-      },
-      phoneNumber: String,
+    shippingAddress: addressSchema,
+    billingAddress: addressSchema,
+    shippingMethod: {
+      type: String,
+      enum: SHIPPING_METHODS.map(method => method.id),
+    },
+    estimatedDelivery: {
+      earliest: String,
+      latest: String,
     },
     subtotal: {
       type: Number,
       required: true,
     },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    discounts: [
+      {
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        code: String,
+        type: {
+          type: String,
+          enum: Object.values(PROMO_CODE_TYPES),
+        },
+        description: String,
+        amount: {
+          type: Number,
+          min: 0,
+        },
+      },
+    ],
     shipping: {
       type: Number,
       default: 0,
@@ -106,21 +188,172 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    taxes: {
+      country: String,
+      region: String,
+      name: String,
+      rate: Number,
+      included: {
+        type: Boolean,
+        default: false,
+      },
+      amount: Number,
+      lines: [
+        {
+          _id: false,
+          sku: String,
+          taxableAmount: Number,
+          rate: Number,
+          amount: Number,
+          isExempt: Boolean,
+        },
+      ],
+    },
     total: {
       type: Number,
       required: true,
     },
+    giftCardPayments: [
+      {
+        _id: false,
+        giftCard: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "GiftCard",
+          required: true,
+        },
+        last4: String,
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        refundedAmount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+    ],
+    giftCardAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    amountDue: {
+      type: Number,
+      min: 0,
+    },
+    issuedGiftCards: [
+      {
+        _id: false,
+        giftCard: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "GiftCard",
+        },
+        last4: String,
+        amount: Number,
+      },
+    ],
+    giftCardsIssuedAt: Date,
+    stockCommittedAt: Date,
     status: {
       type: String,
       enum: Object.values(ORDER_STATUS),
       default: ORDER_STATUS.PENDING,
     },
+    statusHistory: [
+      {
+        _id: false,
+        from: {
+          type: String,
+          enum: Object.values(ORDER_STATUS),
+          default: null,
+        },
+        to: {
+          type: String,
+          enum: Object.values(ORDER_STATUS),
+          required: true,
+        },
+        actor: {
+          type: {
+            type: String,
+            enum: Object.values(ORDER_STATUS_ACTORS),
+            required: true,
+          },
+          id: String,
+        },
+        reason: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded"],
-      default: "pending",
+      enum: Object.values(PAYMENT_STATUS),
+      default: PAYMENT_STATUS.PENDING,
+    },
+    paymentMethod: {
+      type: {
+        type: String,
+        enum: Object.values(PAYMENT_METHODS),
+      },
+      brand: String,
+      last4: String,
+    },
+    paymentProvider: {
+      type: String,
+      enum: Object.values(PAYMENT_PROVIDERS),
     },
     stripePaymentIntentId: String,
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refunds: [
+      {
+        _id: false,
+        refundId: {
+          type: String,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        reason: {
+          type: String,
+          enum: Object.values(REFUND_REASONS),
+          required: true,
+        },
+        note: String,
+        items: [
+          {
+            _id: false,
+            itemId: mongoose.Schema.Types.ObjectId,
+            sku: String,
+            quantity: Number,
+            amount: Number,
+            restocked: Boolean,
+          },
+        ],
+        actor: {
+          type: {
+            type: String,
+            enum: Object.values(ORDER_STATUS_ACTORS),
+            required: true,
+          },
+          id: String,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     trackingNumber: String,
     notes: String,
   },
@@ -133,13 +366,477 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ stripePaymentIntentId: 1 }, { sparse: true });
+orderSchema.index({ user: 1, "discounts.promotion": 1 });
+orderSchema.index({ contactEmail: 1, user: 1 });
+
+/**
+ * Static method to draw the next order number from the year's counter
+ * Numbers already on an order (e.g. imported ones) are skipped, so a counter that fell behind catches up
+ * @param {Date} [date=new Date()] - When the order is placed, which picks the year's sequence
+ * @returns {Promise<string>} Unused order number such as UE-2026-004821
+ * @throws {Error} When ORDER_NUMBER_MAX_ATTEMPTS drawn numbers were all taken
+ */
+orderSchema.statics.generateOrderNumber = async function (date = new Date()) {
+  const year = date.getUTCFullYear();
+
+  for (let attempt = 0; attempt < ORDER_NUMBER_MAX_ATTEMPTS; attempt++) {
+    const orderNumber = formatOrderNumber(year, await Counter.next(`order-${year}`));
+    if (!(await this.exists({ orderNumber }))) return orderNumber;
+  }
+
+  throw new Error("Could not allocate an unused order number");
+};
+
+/**
+ * Static method to create an order under a freshly drawn order number
+ * A save that collides with an existing order number is retried under the next number in the sequence
+ * @param {Object} data - Order fields without orderNumber
+ * @returns {Promise<Object>} Created order document
+ * @throws {Error} The duplicate key error once ORDER_NUMBER_MAX_ATTEMPTS saves have collided, or any other write error
+ */
+orderSchema.statics.createWithOrderNumber = async function (data) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.create({ ...data, orderNumber: await this.generateOrderNumber() });
+    } catch (error) {
+      if (!isDuplicateOrderNumber(error) || attempt >= ORDER_NUMBER_MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Static method to move guest orders placed with an email address into the account registered with it
+ * Only call this for an account whose email address has been verified
+ * @param {string} userId - Account user ID
+ * @param {string} email - The account's verified email address
+ * @returns {Promise<Array<Object>>} Claimed orders with _id and orderNumber
+ */
+orderSchema.statics.claimGuestOrders = async function (userId, email) {
+  const filter = { user: null, contactEmail: email.trim().toLowerCase() };
+  const orders = await this.find(filter).select("_id orderNumber").lean();
+  if (!orders.length) return [];
+
+  await this.updateMany(
+    { ...filter, _id: { $in: orders.map(order => order._id) } },
+    { $set: { user: userId, claimedAt: new Date() }, $unset: { guestSessionId: "" } }
+  );
+  return orders;
+};
+
+/**
+ * Static method to check whether an order may move between two statuses
+ * @param {string} from - Current ORDER_STATUS value
+ * @param {string} to - Requested ORDER_STATUS value
+ * @returns {boolean} True if ORDER_STATUS_TRANSITIONS allows the move
+ */
+orderSchema.statics.canTransition = function (from, to) {
+  return Boolean(ORDER_STATUS_TRANSITIONS[from]?.includes(to));
+};
+
+/**
+ * Draws an order number for new orders created without one
+ */
+orderSchema.pre("validate", async function () {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await this.constructor.generateOrderNumber();
+  }
+});
+
+/**
+ * Records the creation entry in the status history and blocks status writes that bypass transitionStatus()
+ */
+orderSchema.pre("save", function (next) {
+  if (this.isNew) {
+    if (!this.statusHistory.length) {
+      this.statusHistory.push({
+        from: null,
+        to: this.status,
+        actor: { type: ORDER_STATUS_ACTORS.CUSTOMER, id: this.user?.toString() },
+      });
+    }
+    return next();
+  }
+
+  if (this.isModified("status") && !this.$locals.isStatusTransition) {
+    return next(new Error("Order status can only be changed through transitionStatus()"));
+  }
+
+  return next();
+});
+
+/**
+ * Instance method to move the order to a new status, recording who made the change
+ * Emits order.cancelled for cancellations and order.updated for every other move once saved
+ * @param {string} nextStatus - Requested ORDER_STATUS value
+ * @param {Object} options - Transition details
+ * @param {Object} options.actor - Who made the change
+ * @param {string} options.actor.type - ORDER_STATUS_ACTORS value
+ * @param {string} [options.actor.id] - User ID or provider event ID of the actor
+ * @param {string} [options.reason] - Why the status changed
+ * @returns {Promise<Object>} Saved order document
+ * @throws {Error} When the move is not allowed by ORDER_STATUS_TRANSITIONS (status 409)
+ *
+ * @example
+ * await order.transitionStatus(ORDER_STATUS.SHIPPED, {
+ *   actor: { type: ORDER_STATUS_ACTORS.ADMIN, id: adminId },
+ *   reason: "Handed to carrier",
+ * });
+ */
+orderSchema.methods.transitionStatus = async function (nextStatus, { actor, reason } = {}) {
+  const from = this.status;
+
+  if (!this.constructor.canTransition(from, nextStatus)) {
+    const error = new Error(`Cannot change order status from ${from} to ${nextStatus}`);
+    error.status = HTTP_STATUS.CONFLICT;
+    throw error;
+  }
+
+  this.status = nextStatus;
+  this.statusHistory.push({ from, to: nextStatus, actor, reason, changedAt: new Date() });
+  this.$locals.isStatusTransition = true;
+
+  try {
+    await this.save();
+  } finally {
+    this.$locals.isStatusTransition = false;
+  }
+
+  const event =
+    nextStatus === ORDER_STATUS.CANCELLED
+      ? WEBHOOK_EVENTS.ORDER_CANCELLED
+      : WEBHOOK_EVENTS.ORDER_UPDATED;
+  await emitWebhookEvent(event, {
+    orderId: this._id.toString(),
+    orderNumber: this.orderNumber,
+    from,
+    to: nextStatus,
+    actor,
+    reason,
+  });
+
+  return this;
+};
+
+/**
+ * Emits payment.succeeded or payment.failed for a payment intent recorded on an order
+ * @param {Object} order - Order document the intent was applied to
+ * @param {PaymentIntent} intent - Normalized payment intent
+ * @returns {Promise<void>}
+ */
+const emitPaymentEvent = (order, intent) =>
+  emitWebhookEvent(
+    intent.status === PAYMENT_INTENT_STATUS.SUCCEEDED
+      ? WEBHOOK_EVENTS.PAYMENT_SUCCEEDED
+      : WEBHOOK_EVENTS.PAYMENT_FAILED,
+    {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      intentId: intent.id,
+      provider: intent.provider,
+      amount: intent.amount,
+      failureMessage: intent.failureMessage,
+    }
+  );
+
+/**
+ * Instance method to record the outcome of a payment intent on the order
+ * A successful payment marks the order paid and moves a pending order to processing;
+ * a declined card marks the payment failed so the customer can retry, and a cancelled intent fails the order
+ * Emits payment.succeeded or payment.failed once saved; a paid order then takes its held stock and issues
+ * any gift cards it bought, while a failed order releases its holds
+ * A payment that succeeds after the order was cancelled is recorded and refunded instead (see refundLatePayment)
+ * Repeated calls for a paid order are no-ops
+ * @param {PaymentIntent} intent - Normalized payment intent from the payment provider
+ * @param {Object} [options={}] - Outcome details
+ * @param {string} [options.eventId] - Provider webhook event ID recorded as the status change actor
+ * @returns {Promise<Object>} Saved order document
+ *
+ * @example
+ * const intent = await getPaymentProvider().confirm(order.stripePaymentIntentId, { paymentMethod });
+ * await order.applyPaymentIntent(intent);
+ */
+orderSchema.methods.applyPaymentIntent = async function (intent, { eventId } = {}) {
+  if (this.status === ORDER_STATUS.CANCELLED && intent.status === PAYMENT_INTENT_STATUS.SUCCEEDED) {
+    return this.refundLatePayment(intent, { eventId });
+  }
+  if (this.paymentStatus === PAYMENT_STATUS.PAID) return this;
+
+  this.paymentProvider = intent.provider;
+  this.stripePaymentIntentId = intent.id;
+
+  const succeeded = intent.status === PAYMENT_INTENT_STATUS.SUCCEEDED;
+  const failed =
+    intent.status === PAYMENT_INTENT_STATUS.CANCELED ||
+    (intent.status === PAYMENT_INTENT_STATUS.REQUIRES_PAYMENT_METHOD && intent.failureMessage);
+
+  if (succeeded) this.paymentStatus = PAYMENT_STATUS.PAID;
+  else if (failed) this.paymentStatus = PAYMENT_STATUS.FAILED;
+
+  const actor = { type: ORDER_STATUS_ACTORS.PAYMENT_PROVIDER, id: eventId || intent.id };
+  const isPending = this.status === ORDER_STATUS.PENDING;
+
+  if (succeeded && isPending) {
+    await this.transitionStatus(ORDER_STATUS.PROCESSING, { actor, reason: "Payment received" });
+  } else if (intent.status === PAYMENT_INTENT_STATUS.CANCELED && isPending) {
+    // A cancelled intent can no longer be retried, unlike a declined card
+    await this.transitionStatus(ORDER_STATUS.FAILED, { actor, reason: "Payment cancelled" });
+  } else {
+    await this.save();
+  }
+
+  if (succeeded || failed) await emitPaymentEvent(this, intent);
+
+  if (!succeeded) return failed ? this.releaseFailedPayment() : this;
+
+  await PromotionRedemption.commitForOrder(this._id);
+  await this.commitStock();
+  return this.issueGiftCards();
+};
+
+/**
+ * Instance method to give back what an order held for a payment that failed
+ * A declined card leaves the order pending for a retry, so only its promo code redemptions are given back, to be
+ * claimed again before the next attempt; a cancelled payment fails the order and gives back its held stock too
+ * @returns {Promise<Object>} Order document
+ */
+orderSchema.methods.releaseFailedPayment = async function () {
+  if (this.status === ORDER_STATUS.FAILED) await InventoryReservation.releaseForOrder(this._id);
+  await PromotionRedemption.releaseForOrder(this._id);
+  return this;
+};
 
 /**
- * Static method to generate a unique order number with timestamp and random string
- * @returns {string} Generated order number with prefix, timestamp, and random identifier
+ * Instance method to record a payment that succeeded after its order was cancelled, and refund it in full
+ * The cancellation already returned the order's stock and gift card balances, so nothing is committed; the
+ * payment is saved as paid first, so if the provider refund fails the order is left cancelled and paid for an
+ * administrator to refund, and a retried webhook tries the refund again with the same idempotency key
+ * @param {PaymentIntent} intent - Normalized payment intent that succeeded
+ * @param {Object} [options={}] - Outcome details
+ * @param {string} [options.eventId] - Provider webhook event ID recorded as the status change actor
+ * @returns {Promise<Object>} Saved order document
+ * @throws {Error} When the payment provider rejects the refund
  */
-orderSchema.statics.generateOrderNumber = function () {
-  return `${ORDER_NUMBER_PREFIX}${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+orderSchema.methods.refundLatePayment = async function (intent, { eventId } = {}) {
+  if (this.paymentStatus === PAYMENT_STATUS.REFUNDED) return this;
+
+  const actor = { type: ORDER_STATUS_ACTORS.PAYMENT_PROVIDER, id: eventId || intent.id };
+  const reason = "Payment arrived after the order was cancelled";
+
+  if (this.paymentStatus !== PAYMENT_STATUS.PAID) {
+    this.paymentProvider = intent.provider;
+    this.stripePaymentIntentId = intent.id;
+    this.paymentStatus = PAYMENT_STATUS.PAID;
+    await this.save();
+    await emitPaymentEvent(this, intent);
+  }
+
+  const refundKey = `late-payment-${this.orderNumber}`;
+  const refund = await getPaymentProvider().refund(intent.id, {
+    amount: intent.amount,
+    reason: REFUND_REASONS.OTHER,
+    idempotencyKey: refundKey,
+  });
+
+  this.refundedAmount = Math.round(((this.refundedAmount || 0) + intent.amount) * 100) / 100;
+  this.refunds.push({
+    refundId: refund?.id || refundKey,
+    amount: intent.amount,
+    reason: REFUND_REASONS.OTHER,
+    note: reason,
+    items: [],
+    actor,
+    createdAt: new Date(),
+  });
+  this.paymentStatus = PAYMENT_STATUS.REFUNDED;
+
+  return this.transitionStatus(ORDER_STATUS.REFUNDED, { actor, reason });
+};
+
+/**
+ * Instance method to mark an order paid when gift cards cover its whole total, without a payment provider
+ * Moves a pending order to processing and emits payment.succeeded, like a successful payment intent
+ * @returns {Promise<Object>} Saved order document
+ *
+ * @example
+ * if (order.amountDue === 0) await order.recordGiftCardPayment();
+ */
+orderSchema.methods.recordGiftCardPayment = async function () {
+  if (this.paymentStatus === PAYMENT_STATUS.PAID) return this;
+
+  this.paymentStatus = PAYMENT_STATUS.PAID;
+
+  if (this.status === ORDER_STATUS.PENDING) {
+    await this.transitionStatus(ORDER_STATUS.PROCESSING, {
+      actor: { type: ORDER_STATUS_ACTORS.SYSTEM },
+      reason: "Paid with gift cards",
+    });
+  } else {
+    await this.save();
+  }
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.PAYMENT_SUCCEEDED, {
+    orderId: this._id.toString(),
+    orderNumber: this.orderNumber,
+    intentId: null,
+    provider: null,
+    amount: 0,
+    giftCardAmount: this.giftCardAmount,
+  });
+
+  await PromotionRedemption.commitForOrder(this._id);
+  await this.commitStock();
+  return this.issueGiftCards();
+};
+
+/**
+ * Instance method to take a paid order's held stock out of inventory
+ * The order is claimed with an atomic update first, so a payment confirmed by both checkout and the webhook commits once
+ * Lines that no longer have the stock are still taken and the order moves to backordered
+ * @returns {Promise<Object>} Order document
+ */
+orderSchema.methods.commitStock = async function () {
+  if (this.stockCommittedAt) return this;
+
+  const committedAt = new Date();
+  const claim = await this.constructor.updateOne(
+    { _id: this._id, stockCommittedAt: null },
+    { $set: { stockCommittedAt: committedAt } }
+  );
+  if (!claim.modifiedCount) return this;
+
+  this.stockCommittedAt = committedAt;
+  const shortSkus = await InventoryReservation.commitForOrder(this);
+
+  if (shortSkus.length && this.status === ORDER_STATUS.PROCESSING) {
+    await this.transitionStatus(ORDER_STATUS.BACKORDERED, {
+      actor: { type: ORDER_STATUS_ACTORS.SYSTEM },
+      reason: `Out of stock: ${shortSkus.join(", ")}`,
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Instance method to issue a gift card for every gift card unit in a paid order
+ * The order is claimed with an atomic update first, so a payment confirmed by both checkout and the webhook issues once
+ * Emits gift_card.issued with the plain codes for delivery; they are not stored anywhere else
+ * @returns {Promise<Object>} Order document
+ */
+orderSchema.methods.issueGiftCards = async function () {
+  const lines = this.items.filter(item => item.productType === PRODUCT_TYPES.GIFT_CARD);
+  if (!lines.length || this.giftCardsIssuedAt) return this;
+
+  const issuedAt = new Date();
+  const claim = await this.constructor.updateOne(
+    { _id: this._id, giftCardsIssuedAt: null },
+    { $set: { giftCardsIssuedAt: issuedAt } }
+  );
+  if (!claim.modifiedCount) return this;
+
+  const issued = [];
+  for (const line of lines) {
+    for (let unit = 0; unit < line.quantity; unit += 1) {
+      issued.push(
+        await GiftCard.issue({
+          amount: line.price,
+          purchaser: this.user,
+          purchaseOrder: this._id,
+          orderNumber: this.orderNumber,
+        })
+      );
+    }
+  }
+
+  this.giftCardsIssuedAt = issuedAt;
+  this.issuedGiftCards = issued.map(({ giftCard }) => ({
+    giftCard: giftCard._id,
+    last4: giftCard.last4,
+    amount: giftCard.initialBalance,
+  }));
+  await this.save();
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.GIFT_CARD_ISSUED, {
+    orderId: this._id.toString(),
+    orderNumber: this.orderNumber,
+    userId: this.user?.toString() || null,
+    contactEmail: this.contactEmail || null,
+    giftCards: issued.map(({ code, giftCard }) => ({
+      code,
+      last4: giftCard.last4,
+      amount: giftCard.initialBalance,
+      currency: giftCard.currency,
+    })),
+  });
+
+  return this;
+};
+
+/**
+ * Instance method to record a refund issued through the payment provider
+ * Partial refunds leave the payment partially_refunded; once the whole total is refunded the payment is
+ * refunded and the order moves to refunded, cancelling it first when it has not shipped yet, and its promo codes
+ * stop counting against the customer's per-customer limits
+ * @param {Object} refund - Refund details
+ * @param {string} refund.refundId - Provider refund ID
+ * @param {number} refund.amount - Amount refunded
+ * @param {string} refund.reason - REFUND_REASONS value
+ * @param {string} [refund.note] - Free-text note for the refund
+ * @param {Array<Object>} [refund.lines=[]] - Refunded lines with the order line's itemId, sku, quantity, amount, and
+ * restocked flag
+ * @param {Object} refund.actor - Who issued the refund ({ type, id })
+ * @returns {Promise<Object>} Saved order document
+ *
+ * @example
+ * await order.recordRefund({
+ *   refundId: refund.id,
+ *   amount: 21.39,
+ *   reason: REFUND_REASONS.DAMAGED,
+ *   lines: [{ itemId: item._id, sku: "DJ-001-M-BLU", quantity: 1, amount: 21.39, restocked: false }],
+ *   actor: { type: ORDER_STATUS_ACTORS.ADMIN, id: adminId },
+ * });
+ */
+orderSchema.methods.recordRefund = async function ({
+  actor,
+  amount,
+  lines = [],
+  note,
+  reason,
+  refundId,
+}) {
+  lines.forEach(line => {
+    // Matched by line id, since a free gift line can share its SKU with a paid line
+    const item = this.items.id(line.itemId);
+    if (item) item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+  });
+
+  this.refundedAmount = Math.round(((this.refundedAmount || 0) + amount) * 100) / 100;
+  this.refunds.push({ refundId, amount, reason, note, items: lines, actor, createdAt: new Date() });
+
+  const isFullyRefunded = this.refundedAmount >= this.total;
+  this.paymentStatus = isFullyRefunded
+    ? PAYMENT_STATUS.REFUNDED
+    : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+  if (!isFullyRefunded) return this.save();
+
+  // A fully refunded order no longer counts against the customer's per-customer promo limits
+  await PromotionRedemption.releaseForOrder(this._id);
+
+  const { canTransition } = this.constructor;
+  if (
+    !canTransition(this.status, ORDER_STATUS.REFUNDED) &&
+    canTransition(this.status, ORDER_STATUS.CANCELLED)
+  ) {
+    await this.transitionStatus(ORDER_STATUS.CANCELLED, { actor, reason: "Order fully refunded" });
+  }
+
+  if (canTransition(this.status, ORDER_STATUS.REFUNDED)) {
+    return this.transitionStatus(ORDER_STATUS.REFUNDED, { actor, reason });
+  }
+
+  return this.save();
 };
 
 export default mongoose.models.Order || mongoose.model("Order", orderSchema);
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  ORDER_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+} from "@config/constants";
+
+import Order from "./order";
+
+describe("ORDER_STATUS_TRANSITIONS", () => {
+  it("lists next statuses for every order status", () => {
+    Object.values(ORDER_STATUS).forEach(status => {
+      expect(ORDER_STATUS_TRANSITIONS[status], status).toBeInstanceOf(Array);
+    });
+  });
+
+  it("only moves to known order statuses", () => {
+    const statuses = Object.values(ORDER_STATUS);
+    Object.values(ORDER_STATUS_TRANSITIONS)
+      .flat()
+      .forEach(status => expect(statuses).toContain(status));
+  });
+
+  it("lets customers cancel from every status open to them", () => {
+    CUSTOMER_CANCELLABLE_STATUSES.forEach(status => {
+      expect(ORDER_STATUS_TRANSITIONS[status]).toContain(ORDER_STATUS.CANCELLED);
+    });
+  });
+});
+
+describe("Order.canTransition", () => {
+  it("allows moves listed in the transition table", () => {
+    expect(Order.canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING)).toBe(true);
+    expect(Order.canTransition(ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED)).toBe(true);
+    expect(Order.canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED)).toBe(true);
+    expect(Order.canTransition(ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED)).toBe(true);
+  });
+
+  it("never moves an order back through fulfilment", () => {
+    expect(Order.canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.PENDING)).toBe(false);
+    expect(Order.canTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.PROCESSING)).toBe(false);
+    expect(Order.canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED)).toBe(false);
+  });
+
+  it("treats refunded as final", () => {
+    Object.values(ORDER_STATUS).forEach(status => {
+      expect(Order.canTransition(ORDER_STATUS.REFUNDED, status)).toBe(false);
+    });
+  });
+
+  it("rejects unknown statuses", () => {
+    expect(Order.canTransition("lost", ORDER_STATUS.PENDING)).toBe(false);
+    expect(Order.canTransition(ORDER_STATUS.PENDING, "lost")).toBe(false);
+  });
+});
@@ -6,6 +6,9 @@
 
 import mongoose from "mongoose";
 
+import { LOW_STOCK_THRESHOLD, PRODUCT_TYPES, WEBHOOK_EVENTS } from "@config/constants";
+import { emitWebhookEvent } from "@modules/core/utils/api/webhooks";
+
 /**
  * Mongoose schema definition for product documents with comprehensive e-commerce features
  * @typedef {Object} ProductSchema
@@ -15,6 +18,8 @@ import mongoose from "mongoose";
  * @property {string} category - Main product category (men, women, accessories, sale)
  * @property {string} subcategory - Product subcategory for detailed classification
  * @property {string} categoryPath - Computed category path for navigation
+ * @property {string} productType - PRODUCT_TYPES value; gift card variants are priced at their face value
+ * @property {string} taxCategory - Tax classification, exempt from tax when listed in TAX_EXEMPTION_CATEGORIES
  * @property {number} price - Product price (required, minimum 0)
  * @property {number} compareAtPrice - Original price for sale calculations
  * @property {Array<Object>} images - Product images with URLs, alt text, and positioning
@@ -76,6 +81,16 @@ const productSchema = new mongoose.Schema(
       ],
       index: true,
     },
+    productType: {
+      type: String,
+      enum: Object.values(PRODUCT_TYPES),
+      default: PRODUCT_TYPES.STANDARD,
+    },
+    taxCategory: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
     categoryPath: {
       type: String,
       index: true,
@@ -322,6 +337,163 @@ productSchema.statics.findByCollection = function (collectionType, limit = 20) {
     .sort("-createdAt");
 };
 
+/**
+ * Fields read back from stock updates to work out whether a variant crossed the low stock threshold or restocked
+ * @type {Object}
+ */
+const STOCK_PROJECTION = { name: 1, "variants.sku": 1, "variants.inventory": 1 };
+
+/**
+ * Emits inventory.low when a stock change takes a variant from above LOW_STOCK_THRESHOLD to at or below it
+ * Changes that stay on one side of the threshold emit nothing, so each sell-down alerts once
+ * @param {Object} product - Product with _id and name
+ * @param {string} sku - Variant SKU that changed
+ * @param {number} previousInventory - Units in stock before the change
+ * @param {number} inventory - Units in stock after the change
+ * @returns {Promise<void>}
+ */
+const emitLowStockIfCrossed = async (product, sku, previousInventory, inventory) => {
+  if (previousInventory <= LOW_STOCK_THRESHOLD || inventory > LOW_STOCK_THRESHOLD) return;
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.INVENTORY_LOW, {
+    productId: product._id.toString(),
+    productName: product.name,
+    sku,
+    inventory,
+    threshold: LOW_STOCK_THRESHOLD,
+  });
+};
+
+/**
+ * Emits inventory.restocked when a stock change takes a sold-out variant back above zero
+ * Negative counts left by paid backorders count as sold out, so the event fires once stock is actually sellable
+ * @param {Object} product - Product with _id and name
+ * @param {string} sku - Variant SKU that changed
+ * @param {number} previousInventory - Units in stock before the change
+ * @param {number} inventory - Units in stock after the change
+ * @returns {Promise<void>}
+ */
+const emitRestockedIfCrossed = async (product, sku, previousInventory, inventory) => {
+  if (previousInventory > 0 || inventory <= 0) return;
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.INVENTORY_RESTOCKED, {
+    productId: product._id.toString(),
+    productName: product.name,
+    sku,
+    inventory,
+  });
+};
+
+/**
+ * Static method to atomically take stock from a variant when it is sold
+ * The update only matches while the variant still has enough inventory, so concurrent orders cannot oversell
+ * Emits inventory.low when the sale takes the variant down to LOW_STOCK_THRESHOLD
+ * @param {ObjectId|string} productId - Product ID
+ * @param {string} sku - Variant SKU
+ * @param {number} quantity - Units sold
+ * @param {Object} [options={}] - Decrement options
+ * @param {boolean} [options.allowBackorder=false] - Take the stock even if inventory goes negative (paid backorders)
+ * @returns {Promise<boolean>} True if stock was taken, false if the variant had insufficient inventory
+ */
+productSchema.statics.decrementVariantInventory = async function (
+  productId,
+  sku,
+  quantity,
+  { allowBackorder = false } = {}
+) {
+  const variantMatch = allowBackorder ? { sku } : { sku, inventory: { $gte: quantity } };
+  const product = await this.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: variantMatch } },
+    { $inc: { "variants.$.inventory": -quantity, salesCount: quantity } },
+    { new: true, lean: true, projection: STOCK_PROJECTION }
+  );
+  if (!product) return false;
+
+  const { inventory } = product.variants.find(variant => variant.sku === sku);
+  await emitLowStockIfCrossed(product, sku, inventory + quantity, inventory);
+  return true;
+};
+
+/**
+ * Static method to adjust a variant's stock by a number of units or to an exact count
+ * Stock is never taken below zero; a removal larger than the stock on hand leaves the variant untouched
+ * Emits inventory.low when the adjustment takes the variant down to LOW_STOCK_THRESHOLD,
+ * and inventory.restocked when it brings a sold-out variant back into stock
+ * @param {ObjectId|string} productId - Product ID
+ * @param {string} sku - Variant SKU
+ * @param {Object} adjustment - Either change or inventory
+ * @param {number} [adjustment.change] - Units to add (positive) or remove (negative)
+ * @param {number} [adjustment.inventory] - Exact count to set, e.g. after a stocktake
+ * @returns {Promise<Object|null>} { productId, productName, previousInventory, inventory }, or null when the product
+ * has no variant with the SKU or the removal would take stock below zero
+ *
+ * @example
+ * await Product.adjustVariantInventory(productId, "DJ-001-M-BLU", { change: 24 }); // Delivery received
+ * await Product.adjustVariantInventory(productId, "DJ-001-M-BLU", { inventory: 11 }); // Recount
+ */
+productSchema.statics.adjustVariantInventory = async function (
+  productId,
+  sku,
+  { change, inventory }
+) {
+  const isRecount = inventory !== undefined;
+  const variantMatch = !isRecount && change < 0 ? { sku, inventory: { $gte: -change } } : { sku };
+  const update = isRecount
+    ? { $set: { "variants.$.inventory": inventory } }
+    : { $inc: { "variants.$.inventory": change } };
+
+  // The document from before the update gives the previous count for both kinds of adjustment
+  const product = await this.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: variantMatch } },
+    update,
+    { new: false, lean: true, projection: STOCK_PROJECTION }
+  );
+  if (!product) return null;
+
+  const previousInventory = product.variants.find(variant => variant.sku === sku).inventory;
+  const nextInventory = isRecount ? inventory : previousInventory + change;
+  await emitLowStockIfCrossed(product, sku, previousInventory, nextInventory);
+  await emitRestockedIfCrossed(product, sku, previousInventory, nextInventory);
+
+  return {
+    productId: product._id.toString(),
+    productName: product.name,
+    previousInventory,
+    inventory: nextInventory,
+  };
+};
+
+/**
+ * Static method to return stock to a variant, reversing a sale when requested
+ * Emits inventory.restocked when the returned units bring a sold-out variant back into stock
+ * @param {ObjectId|string} productId - Product ID
+ * @param {string} sku - Variant SKU
+ * @param {number} quantity - Units returned to stock
+ * @param {Object} [options={}] - Restock options
+ * @param {boolean} [options.reverseSale=true] - Whether to also decrement salesCount
+ * @returns {Promise<boolean>} True if the variant was found and restocked
+ */
+productSchema.statics.incrementVariantInventory = async function (
+  productId,
+  sku,
+  quantity,
+  { reverseSale = true } = {}
+) {
+  const update = { "variants.$.inventory": quantity };
+  if (reverseSale) update.salesCount = -quantity;
+
+  const product = await this.findOneAndUpdate(
+    { _id: productId, "variants.sku": sku },
+    { $inc: update },
+    { new: false, lean: true, projection: STOCK_PROJECTION }
+  );
+  if (!product) return false;
+
+  const previousInventory = product.variants.find(variant => variant.sku === sku).inventory;
+  await emitRestockedIfCrossed(product, sku, previousInventory, previousInventory + quantity);
+  return true;
+};
+
 /**
  * Instance method to add product to a collection
  * @param {string} collectionType - Collection type to add product to
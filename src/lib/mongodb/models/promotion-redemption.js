@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Promotion redemption model enforcing each promotion's per-customer limit
+ * A customer with a perCustomerLimit of N has N numbered slots per promotion; an order claims a free slot for the
+ * customer's account and for each email address they check out with, and a unique index on the slot means two
+ * concurrent checkouts can never both take the last one
+ * Claims made for an unpaid order are given back when its payment fails, it is cancelled or fully refunded, or the
+ * customer starts another checkout; paying for the order keeps them, so only orders that reached payment use up a code
+ */
+
+import mongoose from "mongoose";
+
+import { HTTP_STATUS } from "@config/constants";
+
+/**
+ * Mongoose schema definition for per-customer promotion redemptions
+ * @typedef {Object} PromotionRedemptionSchema
+ * @property {ObjectId} promotion - Promotion the redemption counts against
+ * @property {string} customer - Customer the redemption belongs to ("user:<id>" or "email:<address>")
+ * @property {number} slot - Which of the customer's perCustomerLimit uses this is, from 1
+ * @property {ObjectId} order - Order that claimed the redemption
+ * @property {string} orderNumber - Order number, for support lookups
+ * @property {Date} paidAt - When the order was paid; null while the claim can still be given back by abandonment
+ */
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    customer: {
+      type: String,
+      required: true,
+    },
+    slot: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: String,
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for one claim per slot, per-order release, and abandoned checkouts
+promotionRedemptionSchema.index({ promotion: 1, customer: 1, slot: 1 }, { unique: true });
+promotionRedemptionSchema.index({ order: 1 });
+promotionRedemptionSchema.index({ customer: 1, paidAt: 1 });
+
+/**
+ * Checks whether an error is a duplicate key error from the slot index
+ * @param {Error} error - Error thrown by an insert
+ * @returns {boolean} True when the slot was already taken
+ */
+const isTakenSlot = error => error?.code === 11000;
+
+/**
+ * Builds the error raised when a customer has no uses of a promotion left
+ * @param {string} code - Promo code that could not be used
+ * @returns {Error} Error with status 422 and the promo code in details
+ */
+const createUsedUpError = code => {
+  const error = new Error("You have already used this promo code");
+  error.status = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+  error.details = { promoCode: code };
+  return error;
+};
+
+/**
+ * Static method to claim one free slot of a promotion for a customer key
+ * @param {Object} promotion - Promotion document with perCustomerLimit
+ * @param {string} customer - Customer key
+ * @param {Object} order - Order document with _id and orderNumber
+ * @returns {Promise<boolean>} True once a slot is held, false when every slot is taken
+ */
+promotionRedemptionSchema.statics.claimSlot = async function (promotion, customer, order) {
+  for (let slot = 1; slot <= promotion.perCustomerLimit; slot++) {
+    try {
+      await this.create({
+        promotion: promotion._id,
+        customer,
+        slot,
+        order: order._id,
+        orderNumber: order.orderNumber,
+      });
+      return true;
+    } catch (error) {
+      if (!isTakenSlot(error)) throw error;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Static method to claim the per-customer redemptions an order needs, keeping any it already holds
+ * Safe to call again before each payment attempt; all of the order's claims are given back if one cannot be made
+ * @param {Object} order - Order document with _id and orderNumber
+ * @param {Array<Object>} promotions - Promotion documents applied to the order
+ * @param {Array<string>} customers - Customer keys from getRedemptionCustomers
+ * @returns {Promise<void>}
+ * @throws {Error} With status 422 and the promo code when the customer has used it up
+ */
+promotionRedemptionSchema.statics.claimForOrder = async function (order, promotions, customers) {
+  const limited = promotions.filter(
+    promotion => promotion.perCustomerLimit !== undefined && promotion.perCustomerLimit !== null
+  );
+  if (!limited.length || !customers.length) return;
+
+  const held = await this.find({ order: order._id }, "promotion customer").lean();
+  const isHeld = (promotion, customer) =>
+    held.some(claim => claim.promotion.equals(promotion._id) && claim.customer === customer);
+
+  for (const promotion of limited) {
+    for (const customer of customers) {
+      if (!isHeld(promotion, customer) && !(await this.claimSlot(promotion, customer, order))) {
+        await this.releaseForOrder(order._id);
+        throw createUsedUpError(promotion.code);
+      }
+    }
+  }
+};
+
+/**
+ * Static method to give back every redemption an order claimed
+ * @param {ObjectId|string} orderId - Order ID
+ * @returns {Promise<number>} Number of redemptions released
+ */
+promotionRedemptionSchema.statics.releaseForOrder = async function (orderId) {
+  const result = await this.deleteMany({ order: orderId });
+  return result.deletedCount;
+};
+
+/**
+ * Static method to give back the redemptions a customer's earlier, unpaid checkouts claimed
+ * A customer only has one checkout in progress, so starting another abandons the rest
+ * @param {Array<string>} customers - Customer keys from getRedemptionCustomers
+ * @param {ObjectId|string} keepOrderId - Order whose redemptions stay in place
+ * @returns {Promise<number>} Number of redemptions released
+ */
+promotionRedemptionSchema.statics.releaseAbandoned = async function (customers, keepOrderId) {
+  if (!customers.length) return 0;
+
+  const result = await this.deleteMany({
+    customer: { $in: customers },
+    order: { $ne: keepOrderId },
+    paidAt: null,
+  });
+  return result.deletedCount;
+};
+
+/**
+ * Static method to keep an order's redemptions for good once it is paid
+ * @param {ObjectId|string} orderId - Paid order ID
+ * @returns {Promise<Object>} Update result
+ */
+promotionRedemptionSchema.statics.commitForOrder = function (orderId) {
+  return this.updateMany({ order: orderId, paidAt: null }, { $set: { paidAt: new Date() } });
+};
+
+export default mongoose.models.PromotionRedemption ||
+  mongoose.model("PromotionRedemption", promotionRedemptionSchema);
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Promotion model schema for MongoDB with promo code rules and usage tracking
+ * Covers every PROMO_CODE_TYPES value: percentage and fixed discounts, free shipping, buy X get Y, and free gifts
+ * Validity windows, minimum subtotals, and category/product eligibility are evaluated by the promo helpers;
+ * the global usage limit is enforced here with an atomic counter so concurrent checkouts cannot overspend it
+ */
+
+import mongoose from "mongoose";
+
+import { PROMO_CODE_TYPES } from "@config/constants";
+
+/**
+ * Mongoose schema definition for promotions redeemable with a promo code
+ * @typedef {Object} PromotionSchema
+ * @property {string} code - Promo code customers enter, stored uppercase
+ * @property {string} description - Customer-facing description shown on the discount line
+ * @property {string} type - PROMO_CODE_TYPES value
+ * @property {number} value - Percent off (percentage, buy_x_get_y) or amount off (fixed_amount)
+ * @property {number} buyQuantity - Eligible units that must be bought per reward (buy_x_get_y)
+ * @property {number} getQuantity - Units discounted by value percent per reward (buy_x_get_y)
+ * @property {ObjectId} giftProduct - Product given away (gift)
+ * @property {string} giftSku - Variant SKU given away (gift)
+ * @property {number} minSubtotal - Cart subtotal required before the code applies
+ * @property {Array<string>} eligibleCategories - Product categories the discount applies to (empty means all)
+ * @property {Array<ObjectId>} eligibleProducts - Products the discount applies to (empty means all)
+ * @property {Date} startsAt - Start of the validity window
+ * @property {Date} endsAt - End of the validity window (open-ended when unset)
+ * @property {number} usageLimit - Total redemptions allowed across all customers (unlimited when unset)
+ * @property {number} usageCount - Redemptions so far
+ * @property {number} perCustomerLimit - Redemptions allowed per customer (unlimited when unset)
+ * @property {boolean} isActive - Whether the code can currently be used
+ */
+const promotionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(PROMO_CODE_TYPES),
+      required: true,
+    },
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    buyQuantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    giftProduct: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    giftSku: String,
+    minSubtotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    eligibleCategories: [String],
+    eligibleProducts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endsAt: Date,
+    usageLimit: {
+      type: Number,
+      min: 0,
+    },
+    usageCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    perCustomerLimit: {
+      type: Number,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for code lookups and active promotion listings
+promotionSchema.index({ isActive: 1, endsAt: 1 });
+
+/**
+ * Static method to find a promotion by the code a customer entered
+ * @param {string} code - Promo code in any letter case
+ * @returns {Query} Query resolving to the promotion or null
+ */
+promotionSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+/**
+ * Static method to count one redemption against the global usage limit
+ * The limit check and increment are a single update, so two orders cannot take the last use
+ * @param {ObjectId|string} promotionId - Promotion ID
+ * @returns {Promise<boolean>} True if the redemption was counted, false when the limit is used up
+ */
+promotionSchema.statics.redeem = async function (promotionId) {
+  const result = await this.updateOne(
+    {
+      _id: promotionId,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ["$usageCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usageCount: 1 } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Static method to give back a redemption when the order that used it was not placed
+ * @param {ObjectId|string} promotionId - Promotion ID
+ * @returns {Promise<Object>} Update result
+ */
+promotionSchema.statics.releaseRedemption = function (promotionId) {
+  return this.updateOne({ _id: promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+};
+
+export default mongoose.models.Promotion || mongoose.model("Promotion", promotionSchema);
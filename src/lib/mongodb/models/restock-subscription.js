@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Restock subscription model for customers waiting on a sold-out variant
+ * A subscription is keyed by variant SKU and email address, optionally linked to the signed-in user who made it
+ * It stays pending until the restock job emails the customer, which stamps notifiedAt; subscribing again re-arms it
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema definition for restock subscriptions
+ * @typedef {Object} RestockSubscriptionSchema
+ * @property {ObjectId} product - Product the variant belongs to
+ * @property {string} sku - Variant SKU the customer is waiting on
+ * @property {string} email - Address the back-in-stock email is sent to (stored lowercase)
+ * @property {ObjectId} user - Signed-in user who subscribed, if any
+ * @property {Date} notifiedAt - When the back-in-stock email was sent; null while pending
+ */
+const restockSubscriptionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for one subscription per address and variant, and pending lookups by the restock job
+restockSubscriptionSchema.index({ sku: 1, email: 1 }, { unique: true });
+restockSubscriptionSchema.index({ sku: 1, notifiedAt: 1 });
+restockSubscriptionSchema.index({ user: 1 });
+
+/**
+ * Static method to subscribe an address to a variant, re-arming a subscription that was already notified
+ * @param {Object} subscription - Subscription details
+ * @param {ObjectId|string} subscription.product - Product ID
+ * @param {string} subscription.sku - Variant SKU
+ * @param {string} subscription.email - Address to notify
+ * @param {ObjectId|string} [subscription.user] - Signed-in user making the subscription
+ * @returns {Promise<Object>} The pending subscription document
+ */
+restockSubscriptionSchema.statics.subscribe = function ({ email, product, sku, user }) {
+  return this.findOneAndUpdate(
+    { sku, email: email.trim().toLowerCase() },
+    { $set: { product, notifiedAt: null, ...(user && { user }) } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Static method to remove an address's subscription to a variant
+ * @param {string} sku - Variant SKU
+ * @param {string} email - Subscribed address
+ * @returns {Promise<boolean>} True if a subscription was removed
+ */
+restockSubscriptionSchema.statics.unsubscribe = async function (sku, email) {
+  const result = await this.deleteOne({ sku, email: email.trim().toLowerCase() });
+  return result.deletedCount === 1;
+};
+
+/**
+ * Static method to list the subscriptions still waiting on a variant
+ * @param {string} sku - Variant SKU
+ * @returns {Promise<Array<Object>>} Lean pending subscriptions with _id and email
+ */
+restockSubscriptionSchema.statics.findPending = function (sku) {
+  return this.find({ sku, notifiedAt: null }, "email").lean();
+};
+
+/**
+ * Static method to claim a pending subscription for sending, so concurrent restocks email each customer once
+ * @param {ObjectId|string} subscriptionId - Subscription ID
+ * @returns {Promise<boolean>} True if this caller claimed the subscription and should send the email
+ */
+restockSubscriptionSchema.statics.claimForNotification = async function (subscriptionId) {
+  const result = await this.updateOne(
+    { _id: subscriptionId, notifiedAt: null },
+    { $set: { notifiedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Static method to put a claimed subscription back to pending after its email could not be sent
+ * @param {ObjectId|string} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+restockSubscriptionSchema.statics.releaseClaim = async function (subscriptionId) {
+  await this.updateOne({ _id: subscriptionId }, { $set: { notifiedAt: null } });
+};
+
+export default mongoose.models.RestockSubscription ||
+  mongoose.model("RestockSubscription", restockSubscriptionSchema);
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Review model for customer product reviews with moderation and helpful votes
+ * Each customer may review a product once; reviews start pending when FEATURES.PRODUCT_REVIEWS.moderateReviews is on
+ * Only approved reviews are listed and counted, so Product.averageRating and reviewCount are recomputed from them
+ * whenever a review is approved, leaves the approved state, or is deleted
+ */
+
+import mongoose from "mongoose";
+
+import {
+  MAX_REVIEW_TITLE_LENGTH,
+  MIN_REVIEW_LENGTH,
+  RATING_SCALE,
+  REVIEW_CHAR_LIMIT,
+  REVIEW_STATUS,
+} from "@config/constants";
+
+import Product from "./product";
+import User from "./user";
+
+/**
+ * Mongoose schema definition for product reviews
+ * @typedef {Object} ReviewSchema
+ * @property {ObjectId} product - Reviewed product
+ * @property {ObjectId} user - Customer who wrote the review
+ * @property {string} authorName - Name shown with the review, captured when it is written
+ * @property {number} rating - Whole-star rating from 1 to RATING_SCALE
+ * @property {string} title - Optional headline
+ * @property {string} body - Review text, MIN_REVIEW_LENGTH to REVIEW_CHAR_LIMIT characters
+ * @property {string} status - REVIEW_STATUS value
+ * @property {boolean} verifiedPurchase - Whether the customer has a paid order containing the product
+ * @property {number} helpfulCount - Number of customers who found the review helpful
+ * @property {Array<ObjectId>} helpfulVoters - Customers who voted, so each votes once (not selected by default)
+ * @property {Object} moderation - Last moderation decision ({ moderatedBy, moderatedAt, note })
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    authorName: {
+      type: String,
+      trim: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: RATING_SCALE,
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number of stars",
+      },
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: MAX_REVIEW_TITLE_LENGTH,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: MIN_REVIEW_LENGTH,
+      maxlength: REVIEW_CHAR_LIMIT,
+    },
+    status: {
+      type: String,
+      enum: Object.values(REVIEW_STATUS),
+      default: REVIEW_STATUS.PENDING,
+    },
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    helpfulVoters: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false,
+    },
+    moderation: {
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      moderatedAt: Date,
+      note: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for one review per customer and product, the three list sorts, and the moderation queue
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, status: 1, rating: -1, createdAt: -1 });
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Static method to recompute a product's average rating and review count from its approved reviews
+ * @param {ObjectId|string} productId - Product ID
+ * @returns {Promise<Object>} { averageRating, reviewCount } as written to the product
+ */
+reviewSchema.statics.recomputeProductRating = async function (productId) {
+  const [totals] = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        status: REVIEW_STATUS.APPROVED,
+      },
+    },
+    { $group: { _id: null, averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } },
+  ]);
+
+  const rating = {
+    averageRating: totals ? Math.round(totals.averageRating * 10) / 10 : 0,
+    reviewCount: totals?.reviewCount || 0,
+  };
+
+  await Product.updateOne({ _id: productId }, { $set: rating });
+  return rating;
+};
+
+/**
+ * Static method to count a product's approved reviews by star rating
+ * @param {ObjectId|string} productId - Product ID
+ * @returns {Promise<Object<number, number>>} Review counts keyed by rating, with every star from 1 to RATING_SCALE present
+ */
+reviewSchema.statics.getRatingDistribution = async function (productId) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        status: REVIEW_STATUS.APPROVED,
+      },
+    },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const distribution = Object.fromEntries(
+    Array.from({ length: RATING_SCALE }, (_, index) => [index + 1, 0])
+  );
+  counts.forEach(({ _id: rating, count }) => {
+    distribution[rating] = count;
+  });
+  return distribution;
+};
+
+/**
+ * Static method to record a customer's helpful vote on an approved review
+ * The update only matches while the customer has not voted and did not write the review, so votes are counted once
+ * @param {ObjectId|string} reviewId - Review ID
+ * @param {ObjectId|string} userId - Voting customer
+ * @returns {Promise<boolean>} True if the vote was counted
+ */
+reviewSchema.statics.markHelpful = async function (reviewId, userId) {
+  const result = await this.updateOne(
+    {
+      _id: reviewId,
+      status: REVIEW_STATUS.APPROVED,
+      user: { $ne: userId },
+      helpfulVoters: { $ne: userId },
+    },
+    { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Static method to publish or queue a new review and link it to its author
+ * @param {Object} fields - Review fields (product, user, authorName, rating, title, body, verifiedPurchase)
+ * @param {Object} [options={}] - Creation options
+ * @param {boolean} [options.moderate=true] - Queue the review as pending instead of approving it immediately
+ * @returns {Promise<Object>} The saved review document
+ * @throws {Error} With code 11000 when the customer has already reviewed the product
+ */
+reviewSchema.statics.submit = async function (fields, { moderate = true } = {}) {
+  const review = await this.create({
+    ...fields,
+    status: moderate ? REVIEW_STATUS.PENDING : REVIEW_STATUS.APPROVED,
+  });
+
+  await User.updateOne({ _id: review.user }, { $addToSet: { reviews: review._id } });
+  if (review.status === REVIEW_STATUS.APPROVED) await this.recomputeProductRating(review.product);
+  return review;
+};
+
+/**
+ * Instance method to record a moderation decision, recomputing the product rating when the review
+ * enters or leaves the approved state
+ * @param {string} status - REVIEW_STATUS value
+ * @param {Object} moderation - Decision details
+ * @param {ObjectId|string} moderation.moderatedBy - Administrator making the decision
+ * @param {string} [moderation.note] - Reason recorded with the decision
+ * @returns {Promise<Object>} The saved review document
+ */
+reviewSchema.methods.moderate = async function (status, { moderatedBy, note }) {
+  const wasApproved = this.status === REVIEW_STATUS.APPROVED;
+
+  this.status = status;
+  this.moderation = { moderatedBy, moderatedAt: new Date(), note };
+  await this.save();
+
+  if (wasApproved !== (status === REVIEW_STATUS.APPROVED)) {
+    await this.constructor.recomputeProductRating(this.product);
+  }
+  return this;
+};
+
+/**
+ * Instance method to delete the review, unlink it from its author, and recompute the product rating if it counted
+ * @returns {Promise<void>}
+ */
+reviewSchema.methods.deleteAndRecompute = async function () {
+  await this.deleteOne();
+  await User.updateOne({ _id: this.user }, { $pull: { reviews: this._id } });
+
+  if (this.status === REVIEW_STATUS.APPROVED) {
+    await this.constructor.recomputeProductRating(this.product);
+  }
+};
+
+export default mongoose.models.Review || mongoose.model("Review", reviewSchema);
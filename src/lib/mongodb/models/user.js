@@ -6,6 +6,10 @@
 
 import mongoose from "mongoose";
 
+import { ADDRESS_TYPES } from "@config/constants";
+
+import { addressFields } from "./address-schema";
+
 /**
  * Mongoose schema definition for user documents with comprehensive e-commerce and authentication features
  * @typedef {Object} UserSchema
@@ -24,7 +28,7 @@ import mongoose from "mongoose";
  * @property {boolean} isActive - Whether user account is active
  * @property {boolean} requirePasswordReset - Whether user needs to reset password
  * @property {Date} lastLoginAt - Timestamp of user's last login
- * @property {Array<Object>} addresses - User's shipping and billing addresses
+ * @property {Array<Object>} addresses - User's address book of shared address fields plus type and isDefault; at most one default per ADDRESS_TYPES type, where "both" counts as shipping and billing
  * @property {Array<Object>} wishlist - User's wishlist with product references
  * @property {Array<Object>} recentlyViewed - Recently viewed products with timestamps
  * @property {Array<ObjectId>} orders - References to user's orders
@@ -125,17 +129,10 @@ const userSchema = new mongoose.Schema(
       {
         type: {
           type: String,
-          enum: ["shipping", "billing"],
+          enum: Object.values(ADDRESS_TYPES),
           required: true,
         },
-        street: String,
-        city: String,
-        state: String,
-        zipCode: String,
-        country: {
-          type: String,
-          default: "US",
-        },
+        ...addressFields,
         isDefault: {
           type: Boolean,
           default: false,
@@ -208,7 +205,7 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ auth0Id: 1 });
 userSchema.index({ role: 1 });
-userSchema.index({ "addresses.zipCode": 1 });
+userSchema.index({ "addresses.postalCode": 1 });
 userSchema.index({ "wishlist.productId": 1 });
 userSchema.index({ "recentlyViewed.productId": 1 });
 
@@ -320,6 +317,37 @@ userSchema.methods.isAdmin = function () {
   return ["ADMIN", "SUPER_ADMIN"].includes(this.role);
 };
 
+/**
+ * Static method to find or create the user behind an Auth0 profile on login
+ * An existing account with the same email is only linked when Auth0 has verified that email,
+ * otherwise anyone could take over an account by signing up with its address
+ * @param {Object} profile - Auth0 session user claims (sub, email, email_verified, names, picture)
+ * @returns {Promise<User>} Linked user document with lastLoginAt updated
+ * @throws {Error} When the email belongs to another account and has not been verified
+ */
+userSchema.statics.syncFromAuth0 = async function (profile) {
+  const email = profile.email?.toLowerCase();
+  let user = await this.findOne({ auth0Id: profile.sub });
+
+  if (!user && email) {
+    user = await this.findOne({ email });
+    if (user && !profile.email_verified) {
+      throw new Error("Verify your email address to sign in to this account");
+    }
+  }
+
+  user ||= new this({ email, provider: "auth0" });
+  user.auth0Id = profile.sub;
+  user.emailVerified = user.emailVerified || Boolean(profile.email_verified);
+  user.given_name = profile.given_name || user.given_name;
+  user.family_name = profile.family_name || user.family_name;
+  user.name = profile.name || user.name;
+  user.avatar = user.avatar || profile.picture;
+  user.lastLoginAt = new Date();
+
+  return user.save();
+};
+
 userSchema.set("toJSON", { virtuals: true });
 userSchema.set("toObject", { virtuals: true });
 
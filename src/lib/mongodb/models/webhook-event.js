@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Webhook event model recording provider events the store has received
+ * Lets webhook receivers claim an event id exactly once, so redelivered events become no-ops
+ * Records expire after WEBHOOK_EVENT_RETENTION_DAYS, well beyond provider retry windows
+ */
+
+import mongoose from "mongoose";
+
+import { PAYMENT_PROVIDERS, WEBHOOK_EVENT_RETENTION_DAYS } from "@config/constants";
+
+/**
+ * Time after which an event stuck in processing (e.g. the server crashed mid-way) may be claimed again
+ * @type {number}
+ */
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * MongoDB duplicate key error code raised by the unique { provider, eventId } index
+ * @type {number}
+ */
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Mongoose schema definition for received webhook events
+ * @typedef {Object} WebhookEventSchema
+ * @property {string} provider - PAYMENT_PROVIDERS value that sent the event
+ * @property {string} eventId - Provider event id
+ * @property {string} type - WEBHOOK_EVENTS value, or the provider's own type for ignored events
+ * @property {string} status - processing while being handled, processed once applied
+ * @property {string} orderNumber - Order the event was applied to
+ * @property {Date} processedAt - When handling finished
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: Object.values(PAYMENT_PROVIDERS),
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: String,
+    status: {
+      type: String,
+      enum: ["processing", "processed"],
+      default: "processing",
+    },
+    orderNumber: String,
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for duplicate detection and automatic cleanup
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: WEBHOOK_EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Static method to claim an event for processing
+ * Returns false when the event was already processed or another delivery is handling it right now
+ * @param {string} provider - PAYMENT_PROVIDERS value
+ * @param {Object} event - Normalized provider event with id and type
+ * @returns {Promise<boolean>} True if this delivery should process the event
+ */
+webhookEventSchema.statics.claim = async function (provider, event) {
+  try {
+    await this.create({ provider, eventId: event.id, type: event.type || event.providerType });
+    return true;
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+  }
+
+  const stale = await this.findOneAndUpdate(
+    {
+      provider,
+      eventId: event.id,
+      status: "processing",
+      updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) },
+    },
+    { $set: { updatedAt: new Date() } }
+  );
+
+  return Boolean(stale);
+};
+
+/**
+ * Static method to mark a claimed event as processed
+ * @param {string} provider - PAYMENT_PROVIDERS value
+ * @param {string} eventId - Provider event id
+ * @param {Object} [details={}] - Extra fields to store, such as orderNumber
+ * @returns {Promise<Object>} Update result
+ */
+webhookEventSchema.statics.markProcessed = function (provider, eventId, details = {}) {
+  return this.updateOne(
+    { provider, eventId },
+    { $set: { ...details, status: "processed", processedAt: new Date() } }
+  );
+};
+
+/**
+ * Static method to release a claim after a processing failure so the provider's retry is handled
+ * @param {string} provider - PAYMENT_PROVIDERS value
+ * @param {string} eventId - Provider event id
+ * @returns {Promise<Object>} Delete result
+ */
+webhookEventSchema.statics.release = function (provider, eventId) {
+  return this.deleteOne({ provider, eventId, status: "processing" });
+};
+
+export default mongoose.models.WebhookEvent || mongoose.model("WebhookEvent", webhookEventSchema);
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Migration script that moves stored addresses onto the shared address sub-schema field names
+ * Renames street to addressLine1 and zipCode to postalCode on order shipping/billing addresses and address book entries
+ * Fills address book names and phone numbers from the owner's profile, where the old entries had none
+ * Works on the raw collections so fields the models no longer define are still visible, and is safe to run again
+ */
+
+/* eslint-disable no-relative-import-paths/no-relative-import-paths */
+import mongoose from "mongoose";
+
+import dbConnect from "../client.js";
+
+const ORDER_ADDRESS_PATHS = ["shippingAddress", "billingAddress"];
+const LEGACY_ADDRESS_FIELDS = { street: "addressLine1", zipCode: "postalCode" };
+
+/**
+ * Renames the legacy fields of the embedded order addresses
+ * Old order addresses joined both address lines into street, so the whole value becomes addressLine1
+ * @async
+ * @function migrateOrders
+ * @param {mongoose.mongo.Db} db - Native database handle
+ * @returns {Promise<number>} Number of orders updated
+ */
+async function migrateOrders(db) {
+  const paths = ORDER_ADDRESS_PATHS.flatMap(path =>
+    Object.entries(LEGACY_ADDRESS_FIELDS).map(([from, to]) => [`${path}.${from}`, `${path}.${to}`])
+  );
+
+  const result = await db
+    .collection("orders")
+    .updateMany(
+      { $or: paths.map(([from]) => ({ [from]: { $exists: true } })) },
+      { $rename: Object.fromEntries(paths) }
+    );
+
+  return result.modifiedCount;
+}
+
+/**
+ * Renames the legacy fields of every address book entry and fills in recipient details from the profile
+ * Array elements cannot be renamed with $rename, so each entry is rebuilt with an update pipeline
+ * @async
+ * @function migrateUsers
+ * @param {mongoose.mongo.Db} db - Native database handle
+ * @returns {Promise<number>} Number of users updated
+ */
+async function migrateUsers(db) {
+  const legacyFields = Object.keys(LEGACY_ADDRESS_FIELDS);
+
+  const result = await db
+    .collection("users")
+    .updateMany(
+      { $or: legacyFields.map(field => ({ [`addresses.${field}`]: { $exists: true } })) },
+      [
+        {
+          $set: {
+            addresses: {
+              $map: {
+                input: "$addresses",
+                as: "address",
+                in: {
+                  $mergeObjects: [
+                    { firstName: "$firstName", lastName: "$lastName", phoneNumber: "$phone" },
+                    {
+                      $arrayToObject: {
+                        $filter: {
+                          input: { $objectToArray: "$$address" },
+                          cond: { $not: { $in: ["$$this.k", legacyFields] } },
+                        },
+                      },
+                    },
+                    {
+                      addressLine1: { $ifNull: ["$$address.addressLine1", "$$address.street"] },
+                      postalCode: { $ifNull: ["$$address.postalCode", "$$address.zipCode"] },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      ]
+    );
+
+  return result.modifiedCount;
+}
+
+/**
+ * Replaces the address book ZIP code index with one on the new postal code field
+ * @async
+ * @function migrateIndexes
+ * @param {mongoose.mongo.Db} db - Native database handle
+ * @returns {Promise<boolean>} True when the old index existed and was dropped
+ */
+async function migrateIndexes(db) {
+  const users = db.collection("users");
+  const dropped = await users
+    .dropIndex("addresses.zipCode_1")
+    .then(() => true)
+    .catch(() => false);
+
+  await users.createIndex({ "addresses.postalCode": 1 });
+  return dropped;
+}
+
+/**
+ * Main migration function that converts orders and address books to the shared address field names
+ * @async
+ * @function migrateAddressFields
+ * @returns {Promise<void>} Resolves when the migration is complete
+ */
+async function migrateAddressFields() {
+  console.log("🏠 Starting Address Field Migration...\n");
+
+  try {
+    await dbConnect();
+    const { db } = mongoose.connection;
+
+    console.log("📦 Migrating order addresses...");
+    const orderCount = await migrateOrders(db);
+    console.log(`✅ Updated ${orderCount} orders\n`);
+
+    console.log("👥 Migrating address books...");
+    const userCount = await migrateUsers(db);
+    console.log(`✅ Updated ${userCount} users\n`);
+
+    console.log("🗂️ Updating address indexes...");
+    const droppedIndex = await migrateIndexes(db);
+    console.log(
+      droppedIndex ? "✅ Replaced addresses.zipCode index\n" : "✅ Address indexes up to date\n"
+    );
+
+    console.log("🎉 Address Field Migration Completed Successfully!");
+  } catch (error) {
+    console.error("❌ Address field migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateAddressFields();
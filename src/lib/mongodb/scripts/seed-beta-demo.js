@@ -483,10 +483,10 @@ const demoUsers = [
         isDefault: true,
         firstName: "Admin",
         lastName: "User",
-        street: "123 Business Center Dr",
+        addressLine1: "123 Business Center Dr",
         city: "New York",
         state: "NY",
-        zipCode: "10001",
+        postalCode: "10001",
         country: "US",
         phoneNumber: "+1-555-0100",
       },
@@ -515,10 +515,10 @@ const demoUsers = [
         isDefault: true,
         firstName: "John",
         lastName: "Doe",
-        street: "456 Oak Street",
+        addressLine1: "456 Oak Street",
         city: "Los Angeles",
         state: "CA",
-        zipCode: "90210",
+        postalCode: "90210",
         country: "US",
         phoneNumber: "+1-555-0101",
       },
@@ -547,10 +547,10 @@ const demoUsers = [
         isDefault: true,
         firstName: "Jane",
         lastName: "Smith",
-        street: "789 Pine Avenue",
+        addressLine1: "789 Pine Avenue",
         city: "Chicago",
         state: "IL",
-        zipCode: "60601",
+        postalCode: "60601",
         country: "US",
         phoneNumber: "+1-555-0102",
       },
@@ -559,10 +559,10 @@ const demoUsers = [
         isDefault: false,
         firstName: "Jane",
         lastName: "Smith",
-        street: "321 Maple Lane",
+        addressLine1: "321 Maple Lane",
         city: "Chicago",
         state: "IL",
-        zipCode: "60602",
+        postalCode: "60602",
         country: "US",
         phoneNumber: "+1-555-0102",
       },
@@ -591,10 +591,10 @@ const demoUsers = [
         isDefault: true,
         firstName: "Mike",
         lastName: "Wilson",
-        street: "654 Cedar Blvd",
+        addressLine1: "654 Cedar Blvd",
         city: "Miami",
         state: "FL",
-        zipCode: "33101",
+        postalCode: "33101",
         country: "US",
         phoneNumber: "+1-555-0103",
       },
@@ -623,10 +623,10 @@ const demoUsers = [
         isDefault: true,
         firstName: "Sarah",
         lastName: "Johnson",
-        street: "987 Elm Street",
+        addressLine1: "987 Elm Street",
         city: "Seattle",
         state: "WA",
-        zipCode: "98101",
+        postalCode: "98101",
         country: "US",
         phoneNumber: "+1-555-0104",
       },
@@ -636,6 +636,24 @@ const demoUsers = [
   },
 ];
 
+/**
+ * Numbers demo orders from the yearly order sequences in the order they were placed
+ * @param {Array<Object>} orders - Demo orders without order numbers
+ * @returns {Object} Numbered orders and the last sequence value used per year
+ */
+const numberDemoOrders = orders => {
+  const sequences = {};
+  const numbered = [...orders]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(order => {
+      const year = order.createdAt.getUTCFullYear();
+      sequences[year] = (sequences[year] || 0) + 1;
+      return { ...order, orderNumber: `UE-${year}-${String(sequences[year]).padStart(6, "0")}` };
+    });
+
+  return { orders: numbered, sequences };
+};
+
 const createDemoOrders = (users, products) => {
   const orders = [];
   const statuses = ["pending", "processing", "shipped", "delivered", "cancelled"];
@@ -681,7 +699,6 @@ const createDemoOrders = (users, products) => {
       const finalTotal = orderTotal + shipping + tax;
 
       orders.push({
-        orderNumber: `UE-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
         user: customer._id,
         items: orderItems,
         status: status,
@@ -697,7 +714,7 @@ const createDemoOrders = (users, products) => {
     }
   });
 
-  return orders;
+  return numberDemoOrders(orders);
 };
 
 /**
@@ -744,8 +761,22 @@ async function seedBetaDemo() {
     console.log(`✅ Created ${createdUsers.length} users\n`);
 
     console.log("📦 Creating demo orders...");
-    const demoOrders = createDemoOrders(createdUsers, createdProducts);
+    const { orders: demoOrders, sequences } = createDemoOrders(createdUsers, createdProducts);
     const createdOrders = await Order.insertMany(demoOrders);
+
+    // Start the order counters after the seeded numbers so new orders continue each sequence
+    const counters = Order.db.collection("counters");
+    await counters.deleteMany({ _id: /^order-/ });
+    await Promise.all(
+      Object.entries(sequences).map(([year, seq]) =>
+        counters.insertOne({
+          _id: `order-${year}`,
+          seq,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+      )
+    );
     console.log(`✅ Created ${createdOrders.length} orders\n`);
 
     console.log("📊 Database Summary:");
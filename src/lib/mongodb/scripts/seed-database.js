@@ -249,10 +249,10 @@ async function seedDatabase() {
         addresses: [
           {
             type: "shipping",
-            street: "123 Admin St",
+            addressLine1: "123 Admin St",
             city: "New York",
             state: "NY",
-            zipCode: "10001",
+            postalCode: "10001",
             country: "US",
             isDefault: true,
           },
@@ -276,10 +276,10 @@ async function seedDatabase() {
         addresses: [
           {
             type: "shipping",
-            street: "456 Customer Ave",
+            addressLine1: "456 Customer Ave",
             city: "Los Angeles",
             state: "CA",
-            zipCode: "90210",
+            postalCode: "90210",
             country: "US",
             isDefault: true,
           },
@@ -70,10 +70,11 @@ const orderSchema = new mongoose.Schema(
     shippingAddress: {
       firstName: String,
       lastName: String,
-      street: String,
+      addressLine1: String,
+      addressLine2: String,
       city: String,
       state: String,
-      zipCode: String,
+      postalCode: String,
       country: {
         type: String,
         default: "US",
@@ -83,10 +84,11 @@ const orderSchema = new mongoose.Schema(
     billingAddress: {
       firstName: String,
       lastName: String,
-      street: String,
+      addressLine1: String,
+      addressLine2: String,
       city: String,
       state: String,
-      zipCode: String,
+      postalCode: String,
       country: {
         type: String,
         default: "US",
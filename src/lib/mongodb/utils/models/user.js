@@ -124,10 +124,11 @@ const userSchema = new mongoose.Schema(
         },
         firstName: String,
         lastName: String,
-        street: String,
+        addressLine1: String,
+        addressLine2: String,
         city: String,
         state: String,
-        zipCode: String,
+        postalCode: String,
         country: {
           type: String,
           default: "US",
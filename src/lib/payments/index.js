@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Payment provider abstraction used by checkout, refunds, and payment webhooks
+ * Defines the PaymentProvider interface and selects the implementation from the PAYMENT_PROVIDER environment variable
+ * Falls back to the in-process mock provider when Stripe is not configured, so checkout runs end-to-end offline
+ */
+
+import { PAYMENT_PROVIDERS } from "@config/constants";
+import { getEnvironment } from "@config/environment";
+
+import { createMockProvider } from "./mock-provider";
+import { createStripeProvider } from "./stripe-provider";
+
+/**
+ * @typedef {Object} PaymentIntent
+ * @property {string} id - Provider payment intent id
+ * @property {string} provider - PAYMENT_PROVIDERS value that created the intent
+ * @property {number} amount - Amount to charge in major units
+ * @property {string} currency - ISO currency code
+ * @property {string} status - PAYMENT_INTENT_STATUS value
+ * @property {string|null} clientSecret - Secret the browser uses to complete provider-side authentication
+ * @property {string|null} failureMessage - Decline message from the last failed confirmation
+ * @property {Object} metadata - Order details attached to the intent
+ */
+
+/**
+ * @typedef {Object} PaymentRefund
+ * @property {string} id - Provider refund id
+ * @property {string} intentId - Payment intent the refund belongs to
+ * @property {number} amount - Refunded amount in major units
+ * @property {string} currency - ISO currency code
+ * @property {string} status - Provider refund status (pending, succeeded, failed)
+ * @property {string|null} reason - Reason recorded with the refund
+ */
+
+/**
+ * @typedef {Object} PaymentWebhookEvent
+ * @property {string} id - Provider event id, used to skip duplicate deliveries
+ * @property {string|null} type - Matching WEBHOOK_EVENTS value, or null for events the store ignores
+ * @property {string} providerType - Event type as named by the provider
+ * @property {PaymentIntent|null} intent - Payment intent the event describes
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - PAYMENT_PROVIDERS value
+ * @property {function(Object): Promise<PaymentIntent>} createIntent - Starts a payment for
+ *   { amount, currency, orderNumber, paymentMethod, metadata }; repeated calls for the same order and amount
+ *   return the same intent
+ * @property {function(string, Object): Promise<PaymentIntent>} confirm - Charges an intent with
+ *   { paymentMethod }; declines resolve with status requires_payment_method and a failureMessage
+ * @property {function(string, Object): Promise<PaymentRefund>} refund - Refunds all of an intent, or
+ *   { amount } of it, with an optional { reason, idempotencyKey }
+ * @property {function(string, string): PaymentWebhookEvent} parseWebhook - Verifies the signature header
+ *   against the raw body and normalizes the event; throws a 400 error when verification fails
+ */
+
+/**
+ * Returns the configured payment provider
+ * @function getPaymentProvider
+ * @returns {PaymentProvider} Stripe when PAYMENT_PROVIDER is "stripe" or a Stripe secret key is set, otherwise the mock
+ * @throws {Error} When PAYMENT_PROVIDER names an unknown provider, or production would use the mock
+ *
+ * @example
+ * const provider = getPaymentProvider();
+ * const intent = await provider.createIntent({
+ *   amount: order.total,
+ *   currency: DEFAULT_CURRENCY,
+ *   orderNumber: order.orderNumber,
+ *   paymentMethod: PAYMENT_METHODS.CREDIT_CARD,
+ * });
+ */
+export const getPaymentProvider = () => {
+  const { isProduction, paymentProvider, stripeSecretKey, stripeWebhookSecret } = getEnvironment();
+  const name =
+    paymentProvider || (stripeSecretKey ? PAYMENT_PROVIDERS.STRIPE : PAYMENT_PROVIDERS.MOCK);
+
+  switch (name) {
+    case PAYMENT_PROVIDERS.STRIPE:
+      return createStripeProvider({
+        secretKey: stripeSecretKey,
+        webhookSecret: stripeWebhookSecret,
+      });
+    case PAYMENT_PROVIDERS.MOCK:
+      // The mock approves test cards without charging anyone, so production never falls back to it
+      if (isProduction) {
+        throw new Error("The mock payment provider cannot be used in production");
+      }
+      return createMockProvider({ webhookSecret: stripeWebhookSecret });
+    default:
+      throw new Error(`Unsupported PAYMENT_PROVIDER: ${name}`);
+  }
+};
+
+export { createMockProvider } from "./mock-provider";
+export { createPaymentError, fromMinorUnits, toMinorUnits } from "./payment-utils";
+export { createStripeProvider } from "./stripe-provider";
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Deterministic in-process implementation of the PaymentProvider interface for development and tests
+ * Behaves like Stripe without network access: intent and refund ids are derived from their inputs,
+ * and card outcomes follow Stripe's test card numbers (e.g. a card ending in 0002 is declined)
+ * Intents live in a process-wide cache so every API route sees the same payments during a dev session
+ * Refuses to run in production, and only verifies webhooks signed with the configured STRIPE_WEBHOOK_SECRET
+ */
+
+import { createHash } from "node:crypto";
+
+import {
+  HTTP_STATUS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_PROVIDERS,
+  WEBHOOK_EVENTS,
+} from "@config/constants";
+import { getEnvironment } from "@config/environment";
+
+import {
+  createPaymentError,
+  createSignatureHeader,
+  fromMinorUnits,
+  toMinorUnits,
+  verifySignatureHeader,
+} from "./payment-utils";
+
+/**
+ * Decline messages keyed by the last four digits of Stripe test cards; every other card succeeds
+ * @type {Object<string, string>}
+ */
+const DECLINED_CARDS = {
+  "0002": "Your card was declined.",
+  9995: "Your card has insufficient funds.",
+  "0069": "Your card has expired.",
+  "0127": "Your card's security code is incorrect.",
+};
+
+let cached = global.mockPayments;
+
+if (!cached) {
+  cached = global.mockPayments = { intents: new Map() };
+}
+
+/**
+ * Derives a stable identifier from its inputs
+ * @param {string} prefix - Stripe-style id prefix (pi, re, evt)
+ * @param {...string} parts - Values the id is derived from
+ * @returns {string} Deterministic id such as "pi_mock_3f2a..."
+ */
+const deriveId = (prefix, ...parts) =>
+  `${prefix}_mock_${createHash("sha256").update(parts.join(":")).digest("hex").slice(0, 24)}`;
+
+/**
+ * Returns the public shape of a stored intent
+ * @param {Object} intent - Stored intent including refunds
+ * @returns {PaymentIntent} Normalized payment intent
+ */
+const toIntent = ({ refunds, ...intent }) => ({ ...intent, metadata: { ...intent.metadata } });
+
+/**
+ * Looks up a stored intent
+ * @param {string} intentId - Payment intent id
+ * @returns {Object} Stored intent
+ * @throws {Error} 404 error when the intent does not exist in this process
+ */
+const findIntent = intentId => {
+  const intent = cached.intents.get(intentId);
+  if (!intent) {
+    throw createPaymentError(`No such payment intent: ${intentId}`, HTTP_STATUS.NOT_FOUND, {
+      provider: PAYMENT_PROVIDERS.MOCK,
+    });
+  }
+  return intent;
+};
+
+/**
+ * Returns the webhook signing secret, which mock webhooks cannot be signed or verified without
+ * @param {string} [webhookSecret] - Configured signing secret
+ * @returns {string} The signing secret
+ * @throws {Error} When no signing secret is configured
+ */
+const requireWebhookSecret = webhookSecret => {
+  if (!webhookSecret) throw new Error("Please define STRIPE_WEBHOOK_SECRET to use mock webhooks");
+  return webhookSecret;
+};
+
+/**
+ * Creates the mock payment provider
+ * @function createMockProvider
+ * @param {Object} [config={}] - Provider configuration
+ * @param {string} [config.webhookSecret] - Secret used to sign and verify mock webhooks; webhooks are
+ *   rejected without one
+ * @returns {PaymentProvider & { createWebhook: Function }} Mock payment provider
+ * @throws {Error} When called in production, where the mock would approve orders without charging anyone
+ *
+ * @example
+ * const mock = createMockProvider();
+ * const intent = await mock.createIntent({ amount: 49.99, currency: 'USD', orderNumber: 'UE-...' });
+ * await mock.confirm(intent.id, { paymentMethod: { last4: '0002' } });
+ * // Returns: { status: 'requires_payment_method', failureMessage: 'Your card was declined.' }
+ */
+export const createMockProvider = ({ webhookSecret } = {}) => {
+  if (getEnvironment().isProduction) {
+    throw new Error("The mock payment provider cannot be used in production");
+  }
+
+  return {
+    name: PAYMENT_PROVIDERS.MOCK,
+
+    async createIntent({ amount, currency, metadata = {}, orderNumber, paymentMethod }) {
+      const id = deriveId("pi", orderNumber, toMinorUnits(amount));
+      const existing = cached.intents.get(id);
+      if (existing) return toIntent(existing);
+
+      const intent = {
+        id,
+        provider: PAYMENT_PROVIDERS.MOCK,
+        amount,
+        currency: currency.toUpperCase(),
+        status: PAYMENT_INTENT_STATUS.REQUIRES_CONFIRMATION,
+        clientSecret: `${id}_secret`,
+        failureMessage: null,
+        metadata: { ...metadata, orderNumber, paymentMethod },
+        refunds: [],
+      };
+
+      cached.intents.set(id, intent);
+      return toIntent(intent);
+    },
+
+    async confirm(intentId, { paymentMethod } = {}) {
+      const intent = findIntent(intentId);
+      if (intent.status === PAYMENT_INTENT_STATUS.SUCCEEDED) return toIntent(intent);
+
+      const declineMessage = DECLINED_CARDS[paymentMethod?.last4];
+      intent.status = declineMessage
+        ? PAYMENT_INTENT_STATUS.REQUIRES_PAYMENT_METHOD
+        : PAYMENT_INTENT_STATUS.SUCCEEDED;
+      intent.failureMessage = declineMessage || null;
+
+      return toIntent(intent);
+    },
+
+    async refund(intentId, { amount, idempotencyKey, reason } = {}) {
+      const intent = findIntent(intentId);
+
+      if (intent.status !== PAYMENT_INTENT_STATUS.SUCCEEDED) {
+        throw createPaymentError("Only successful payments can be refunded", HTTP_STATUS.CONFLICT, {
+          provider: PAYMENT_PROVIDERS.MOCK,
+        });
+      }
+
+      const id = deriveId("re", intentId, idempotencyKey || intent.refunds.length);
+      const existing = intent.refunds.find(refund => refund.id === id);
+      if (existing) return existing;
+
+      const refunded = intent.refunds.reduce((sum, refund) => sum + toMinorUnits(refund.amount), 0);
+      const remaining = toMinorUnits(intent.amount) - refunded;
+      const requested = amount === undefined ? remaining : toMinorUnits(amount);
+
+      if (requested <= 0 || requested > remaining) {
+        throw createPaymentError(
+          "Refund amount exceeds the remaining captured amount",
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          { provider: PAYMENT_PROVIDERS.MOCK, remaining: fromMinorUnits(remaining) }
+        );
+      }
+
+      const refund = {
+        id,
+        intentId,
+        amount: fromMinorUnits(requested),
+        currency: intent.currency,
+        status: "succeeded",
+        reason: reason || null,
+      };
+
+      intent.refunds.push(refund);
+      return refund;
+    },
+
+    parseWebhook(payload, signature) {
+      verifySignatureHeader(payload, signature, requireWebhookSecret(webhookSecret));
+      const event = JSON.parse(payload);
+
+      // Only the intent id is taken from the payload; its status comes from the provider's own record
+      return {
+        id: event.id,
+        type: Object.values(WEBHOOK_EVENTS).includes(event.type) ? event.type : null,
+        providerType: event.type,
+        intent: event.intent?.id ? toIntent(findIntent(event.intent.id)) : null,
+      };
+    },
+
+    /**
+     * Builds a signed webhook delivery for a stored intent, for exercising the webhook endpoint offline
+     * @param {string} type - WEBHOOK_EVENTS payment event type
+     * @param {string} intentId - Payment intent id
+     * @returns {{ payload: string, signature: string }} Raw body and signature header value
+     */
+    createWebhook(type, intentId) {
+      const intent = toIntent(findIntent(intentId));
+      const payload = JSON.stringify({
+        id: deriveId("evt", type, intentId, intent.status),
+        type,
+        intent,
+      });
+
+      return {
+        payload,
+        signature: createSignatureHeader(payload, requireWebhookSecret(webhookSecret)),
+      };
+    },
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Shared helpers for payment provider implementations
+ * Converts between decimal order amounts and provider minor units, builds errors that carry an HTTP status,
+ * and signs or verifies webhook payloads using Stripe's "t=<timestamp>,v1=<hmac>" signature header scheme
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+import { HTTP_STATUS } from "@config/constants";
+
+/**
+ * Maximum age of a signed webhook before it is rejected as a possible replay
+ * @type {number}
+ */
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Creates an error carrying the HTTP status API routes should respond with
+ * @function createPaymentError
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {Object} [details={}] - Extra context such as the provider error code
+ * @returns {Error} Error with status and details properties
+ */
+export const createPaymentError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Converts a decimal amount to the integer minor units providers charge in
+ * @function toMinorUnits
+ * @param {number} amount - Amount in major units (e.g. 49.99)
+ * @returns {number} Amount in minor units (e.g. 4999)
+ */
+export const toMinorUnits = amount => Math.round(amount * 100);
+
+/**
+ * Converts integer minor units back to a decimal amount
+ * @function fromMinorUnits
+ * @param {number} amount - Amount in minor units
+ * @returns {number} Amount in major units
+ */
+export const fromMinorUnits = amount => amount / 100;
+
+/**
+ * Computes the v1 signature for a webhook payload
+ * @param {string} payload - Raw request body
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Webhook signing secret
+ * @returns {string} Hex-encoded HMAC-SHA256 signature
+ */
+const computeSignature = (payload, timestamp, secret) =>
+  createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+
+/**
+ * Builds a signature header for a webhook payload
+ * @function createSignatureHeader
+ * @param {string} payload - Raw request body
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [timestamp] - Unix timestamp in seconds (defaults to now)
+ * @returns {string} Header value in the form "t=<timestamp>,v1=<signature>"
+ */
+export const createSignatureHeader = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+
+/**
+ * Verifies a webhook signature header against the raw request body
+ * @function verifySignatureHeader
+ * @param {string} payload - Raw request body exactly as received
+ * @param {string|null} header - Signature header value
+ * @param {string} secret - Webhook signing secret
+ * @returns {void}
+ * @throws {Error} 400 error when the header is missing, stale, or does not match the payload
+ */
+export const verifySignatureHeader = (payload, header, secret) => {
+  const parts = Object.fromEntries(
+    (header || "").split(",").map(part => part.trim().split("=", 2))
+  );
+  const timestamp = Number(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    throw createPaymentError("Missing webhook signature", HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw createPaymentError("Webhook signature has expired", HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const expected = Buffer.from(computeSignature(payload, timestamp, secret), "hex");
+  const received = Buffer.from(parts.v1, "hex");
+
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    throw createPaymentError("Invalid webhook signature", HTTP_STATUS.BAD_REQUEST);
+  }
+};
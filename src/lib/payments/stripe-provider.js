@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Stripe implementation of the PaymentProvider interface
+ * Talks to the Stripe REST API with fetch and form-encoded bodies, so no Stripe SDK is required
+ * Normalizes payment intents, refunds, and webhook events into the provider-agnostic shapes in ./index.js
+ */
+
+import { HTTP_STATUS, PAYMENT_PROVIDERS, WEBHOOK_EVENTS } from "@config/constants";
+
+import {
+  createPaymentError,
+  fromMinorUnits,
+  toMinorUnits,
+  verifySignatureHeader,
+} from "./payment-utils";
+
+const STRIPE_API_URL = "https://api.stripe.com/v1";
+
+/**
+ * Stripe event types mapped to the store's WEBHOOK_EVENTS
+ * @type {Object<string, string>}
+ */
+const STRIPE_EVENT_TYPES = {
+  "payment_intent.succeeded": WEBHOOK_EVENTS.PAYMENT_SUCCEEDED,
+  "payment_intent.payment_failed": WEBHOOK_EVENTS.PAYMENT_FAILED,
+  "payment_intent.canceled": WEBHOOK_EVENTS.PAYMENT_FAILED,
+};
+
+/**
+ * Refund reasons Stripe accepts; anything else is kept in refund metadata only
+ * @type {Array<string>}
+ */
+const STRIPE_REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+
+/**
+ * Flattens a nested object into Stripe's bracketed form encoding
+ * @param {Object} data - Request parameters
+ * @param {URLSearchParams} [form] - Form being built
+ * @param {string} [prefix] - Key prefix for nested values
+ * @returns {URLSearchParams} Form-encoded parameters
+ */
+const toFormBody = (data, form = new URLSearchParams(), prefix = "") => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+
+    if (typeof value === "object") toFormBody(value, form, name);
+    else form.append(name, String(value));
+  });
+
+  return form;
+};
+
+/**
+ * Converts a Stripe PaymentIntent into the provider-agnostic intent shape
+ * @param {Object} intent - Stripe PaymentIntent object
+ * @param {string} [failureMessage] - Decline message from a failed confirmation
+ * @returns {PaymentIntent} Normalized payment intent
+ */
+const normalizeIntent = (intent, failureMessage) => ({
+  id: intent.id,
+  provider: PAYMENT_PROVIDERS.STRIPE,
+  amount: fromMinorUnits(intent.amount),
+  currency: intent.currency.toUpperCase(),
+  status: intent.status,
+  clientSecret: intent.client_secret || null,
+  failureMessage: failureMessage || intent.last_payment_error?.message || null,
+  metadata: intent.metadata || {},
+});
+
+/**
+ * Converts a Stripe Refund into the provider-agnostic refund shape
+ * @param {Object} refund - Stripe Refund object
+ * @returns {PaymentRefund} Normalized refund
+ */
+const normalizeRefund = refund => ({
+  id: refund.id,
+  intentId: refund.payment_intent,
+  amount: fromMinorUnits(refund.amount),
+  currency: refund.currency.toUpperCase(),
+  status: refund.status,
+  reason: refund.metadata?.reason || refund.reason || null,
+});
+
+/**
+ * Creates the Stripe payment provider
+ * @function createStripeProvider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.secretKey - Stripe secret API key (sk_...)
+ * @param {string} [config.webhookSecret] - Stripe webhook signing secret (whsec_...)
+ * @returns {PaymentProvider} Stripe-backed payment provider
+ * @throws {Error} When no secret key is configured
+ *
+ * @example
+ * const stripe = createStripeProvider({ secretKey: process.env.STRIPE_SECRET_KEY });
+ * const intent = await stripe.createIntent({ amount: 49.99, currency: 'USD', orderNumber: 'UE-...' });
+ */
+export const createStripeProvider = ({ secretKey, webhookSecret }) => {
+  if (!secretKey) {
+    throw new Error("Please define STRIPE_SECRET_KEY to use the Stripe payment provider");
+  }
+
+  /**
+   * Sends a request to the Stripe API
+   * @param {string} path - API path below /v1
+   * @param {Object} data - Form parameters
+   * @param {string} [idempotencyKey] - Key that makes retries return the original result
+   * @returns {Promise<{ body: Object, ok: boolean }>} Parsed response body and success flag
+   */
+  const stripeRequest = async (path, data, idempotencyKey) => {
+    const headers = {
+      Authorization: `Bearer ${secretKey}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    };
+    if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+    const response = await fetch(`${STRIPE_API_URL}/${path}`, {
+      method: "POST",
+      headers,
+      body: toFormBody(data),
+    });
+
+    return { body: await response.json(), ok: response.ok };
+  };
+
+  /**
+   * Turns a Stripe error body into an error with an HTTP status
+   * @param {Object} body - Stripe error response body
+   * @returns {Error} Payment error
+   */
+  const toStripeError = ({ error = {} }) =>
+    createPaymentError(
+      error.message || "Stripe request failed",
+      error.type === "card_error" ? HTTP_STATUS.PAYMENT_REQUIRED : HTTP_STATUS.BAD_GATEWAY,
+      { code: error.code, provider: PAYMENT_PROVIDERS.STRIPE }
+    );
+
+  return {
+    name: PAYMENT_PROVIDERS.STRIPE,
+
+    async createIntent({ amount, currency, metadata = {}, orderNumber, paymentMethod }) {
+      const { body, ok } = await stripeRequest(
+        "payment_intents",
+        {
+          amount: toMinorUnits(amount),
+          currency: currency.toLowerCase(),
+          automatic_payment_methods: { enabled: true, allow_redirects: "never" },
+          metadata: { ...metadata, orderNumber, paymentMethod },
+        },
+        `intent-${orderNumber}-${toMinorUnits(amount)}`
+      );
+
+      if (!ok) throw toStripeError(body);
+      return normalizeIntent(body);
+    },
+
+    async confirm(intentId, { paymentMethod } = {}) {
+      // Without a PaymentMethod from Stripe.js Stripe would charge nothing, so refuse before calling it
+      if (!paymentMethod?.id) {
+        throw createPaymentError(
+          "A card saved with Stripe is required to confirm this payment",
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          { provider: PAYMENT_PROVIDERS.STRIPE }
+        );
+      }
+
+      const { body, ok } = await stripeRequest(`payment_intents/${intentId}/confirm`, {
+        payment_method: paymentMethod?.id,
+      });
+
+      // Declines come back as card errors that still carry the updated intent
+      if (!ok && body.error?.payment_intent) {
+        return normalizeIntent(body.error.payment_intent, body.error.message);
+      }
+      if (!ok) throw toStripeError(body);
+      return normalizeIntent(body);
+    },
+
+    async refund(intentId, { amount, idempotencyKey, reason } = {}) {
+      const { body, ok } = await stripeRequest(
+        "refunds",
+        {
+          payment_intent: intentId,
+          amount: amount === undefined ? undefined : toMinorUnits(amount),
+          reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : undefined,
+          metadata: { reason },
+        },
+        idempotencyKey
+      );
+
+      if (!ok) throw toStripeError(body);
+      return normalizeRefund(body);
+    },
+
+    parseWebhook(payload, signature) {
+      if (!webhookSecret) {
+        throw new Error("Please define STRIPE_WEBHOOK_SECRET to receive Stripe webhooks");
+      }
+
+      verifySignatureHeader(payload, signature, webhookSecret);
+      const event = JSON.parse(payload);
+      const isIntentEvent = event.data?.object?.object === "payment_intent";
+
+      return {
+        id: event.id,
+        type: STRIPE_EVENT_TYPES[event.type] || null,
+        providerType: event.type,
+        intent: isIntentEvent ? normalizeIntent(event.data.object) : null,
+      };
+    },
+  };
+};
@@ -24,6 +24,9 @@ export {
   usePageConfig,
 } from "./useContent";
 
+// Cart Hooks
+export { useCartSync } from "./useCartSync";
+
 // Utility Hooks
 export { useDebounce } from "./useDebounce";
 export { useLocalStorage } from "./useLocalStorage";
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Custom hook that keeps the client cart in sync with the server cart API
+ * Waits for the Auth0 session, then loads the server cart, merges the anonymous cart into the account cart
+ * after login, and clears the local cart on logout so the next shopper starts with an empty cart
+ */
+
+import { useEffect } from "react";
+
+import { useCartActions, useSessionLoaded, useUser } from "@modules/core/stores";
+
+/**
+ * Custom hook to synchronise the persisted cart with the server for the current user
+ * @hook
+ * @returns {void}
+ *
+ * @example
+ * // Mount once near the application root, inside SessionProvider
+ * const CartSyncProvider = ({ children }) => {
+ *   useCartSync();
+ *   return children;
+ * };
+ */
+export const useCartSync = () => {
+  const user = useUser();
+  const isSessionLoaded = useSessionLoaded();
+  const { syncCartOwner } = useCartActions();
+  const userId = user?.id || user?._id || null;
+
+  useEffect(() => {
+    if (isSessionLoaded) syncCartOwner(userId);
+  }, [isSessionLoaded, syncCartOwner, userId]);
+};
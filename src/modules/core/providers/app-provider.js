@@ -1,13 +1,13 @@
 /**
  * @fileoverview Centralized application provider wrapper that combines all core providers
  * Provides a single entry point for wrapping the entire application with necessary context providers
- * Currently includes React Query provider with plans for future provider additions (auth, theme, etc.)
+ * Currently includes React Query, Auth0 session, and cart sync providers with plans for future additions (theme, etc.)
  * Maintains clean provider composition and enables easy addition of new application-wide providers
  */
 
 import PropTypes from "prop-types";
 
-import { QueryProvider } from "@modules/core/providers";
+import { CartSyncProvider, QueryProvider, SessionProvider } from "@modules/core/providers";
 
 /**
  * Central application provider component that wraps all necessary providers
@@ -17,7 +17,13 @@ import { QueryProvider } from "@modules/core/providers";
  * @returns {JSX.Element} Composed provider wrapper with all application-wide context providers
  */
 const AppProviders = ({ children }) => {
-  return <QueryProvider>{children}</QueryProvider>;
+  return (
+    <QueryProvider>
+      <SessionProvider>
+        <CartSyncProvider>{children}</CartSyncProvider>
+      </SessionProvider>
+    </QueryProvider>
+  );
 };
 
 AppProviders.propTypes = {
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Cart sync provider that connects the persisted client cart to the server cart API
+ * Mounts the cart sync hook once for the whole application so every page shares one server cart
+ */
+
+"use client";
+import PropTypes from "prop-types";
+
+import { useCartSync } from "@modules/core/hooks/useCartSync";
+
+/**
+ * Provider component that keeps the cart store synchronised with the server
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactNode} Children rendered unchanged
+ */
+export const CartSyncProvider = ({ children }) => {
+  useCartSync();
+  return children;
+};
+
+CartSyncProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
@@ -15,3 +15,9 @@
 
 // Core Data Management Providers
 export { errorRecovery, prefetchUtils, queryKeys, QueryProvider } from "./query-provider";
+
+// Authentication Providers
+export { SessionProvider } from "./session-provider";
+
+// Cart Persistence Providers
+export { CartSyncProvider } from "./cart-sync-provider";
@@ -180,6 +180,11 @@ export const queryKeys = {
     preferences: () => [...queryKeys.user.all, "preferences"],
   },
 
+  orders: {
+    all: ["orders"],
+    lookup: params => [...queryKeys.orders.all, "lookup", params],
+  },
+
   cart: {
     all: ["cart"],
     items: () => [...queryKeys.cart.all, "items"],
@@ -188,13 +193,14 @@ export const queryKeys = {
     promo: () => [...queryKeys.cart.all, "promo"],
   },
 
-  // for future implementation
   reviews: {
     all: ["reviews"],
     product: productId => [...queryKeys.reviews.all, "product", productId],
+    productList: (productId, options) => [...queryKeys.reviews.product(productId), { options }],
     user: userId => [...queryKeys.reviews.all, "user", userId],
   },
 
+  // for future implementation
   newsletter: {
     all: ["newsletter"],
     subscription: () => [...queryKeys.newsletter.all, "subscription"],
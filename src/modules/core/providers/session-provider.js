@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Session provider that fills the user store from the Auth0 session cookie
+ * Wraps the application in the Auth0 UserProvider, which reads /api/auth/me once per page load,
+ * and copies the signed-in profile into the user store so hooks like useUser and useAuthState see it
+ */
+
+"use client";
+import { useEffect } from "react";
+import { UserProvider, useUser as useAuth0User } from "@auth0/nextjs-auth0/client";
+import PropTypes from "prop-types";
+
+import { getEnvironment } from "@config/environment";
+import { useUserActions } from "@modules/core/stores";
+
+/**
+ * Copies the Auth0 session profile into the user store once the session has been read
+ * A session that cannot be read counts as signed out
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactNode} Children rendered unchanged
+ */
+const SessionSync = ({ children }) => {
+  const { error, isLoading, user } = useAuth0User();
+  const { setSessionUser } = useUserActions();
+
+  useEffect(() => {
+    if (!isLoading) setSessionUser(error ? null : user || null);
+  }, [error, isLoading, setSessionUser, user]);
+
+  return children;
+};
+
+SessionSync.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Marks the session as signed out when authentication is turned off, without calling Auth0
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactNode} Children rendered unchanged
+ */
+const GuestSession = ({ children }) => {
+  const { setSessionUser } = useUserActions();
+
+  useEffect(() => {
+    setSessionUser(null);
+  }, [setSessionUser]);
+
+  return children;
+};
+
+GuestSession.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Provider component that keeps the user store in step with the Auth0 session
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Children wrapped in the Auth0 UserProvider
+ */
+export const SessionProvider = ({ children }) => {
+  if (!getEnvironment().enableAuth) return <GuestSession>{children}</GuestSession>;
+
+  return (
+    <UserProvider>
+      <SessionSync>{children}</SessionSync>
+    </UserProvider>
+  );
+};
+
+SessionProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
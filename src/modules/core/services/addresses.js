@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Address book API service for the signed-in customer's saved addresses
+ * Every change returns the whole address book, since saving or deleting one address can move the default of another
+ */
+
+import { API_ENDPOINTS } from "@config/constants";
+
+import { del, get, patch, post } from "./http-client";
+
+/**
+ * Retrieves the signed-in customer's saved addresses, defaults first
+ * @async
+ * @function getAddresses
+ * @returns {Promise<Object>} Addresses with id, type, name, address lines, city, state, postalCode, country, phoneNumber, and isDefault
+ *
+ * @example
+ * const { addresses } = await getAddresses();
+ */
+export const getAddresses = async () => {
+  return get(API_ENDPOINTS.addresses);
+};
+
+/**
+ * Saves a new address to the address book
+ * @async
+ * @function createAddress
+ * @param {Object} address - Address with type, addressLine1, city, postalCode, country, and optional names, addressLine2, state, phoneNumber, and isDefault
+ * @returns {Promise<Object>} Saved address and the updated address book
+ *
+ * @example
+ * const { address, addresses } = await createAddress({
+ *   type: 'shipping', addressLine1: '1 Main St', city: 'Austin', state: 'TX', postalCode: '78701', country: 'US',
+ * });
+ */
+export const createAddress = async address => {
+  return post(API_ENDPOINTS.addresses, address);
+};
+
+/**
+ * Updates fields of a saved address
+ * @async
+ * @function updateAddress
+ * @param {string} addressId - Address ID
+ * @param {Object} changes - Address fields to change
+ * @returns {Promise<Object>} Updated address and the updated address book
+ *
+ * @example
+ * await updateAddress('6660a1b2c3d4e5f601234567', { addressLine1: '2 Main St' });
+ */
+export const updateAddress = async (addressId, changes) => {
+  return patch(`${API_ENDPOINTS.addresses}/${encodeURIComponent(addressId)}`, changes);
+};
+
+/**
+ * Makes a saved address the default for its type
+ * @async
+ * @function setDefaultAddress
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} Updated address and the updated address book
+ */
+export const setDefaultAddress = async addressId => {
+  return updateAddress(addressId, { isDefault: true });
+};
+
+/**
+ * Removes a saved address from the address book
+ * @async
+ * @function deleteAddress
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} Remaining address book
+ *
+ * @example
+ * const { addresses } = await deleteAddress('6660a1b2c3d4e5f601234567');
+ */
+export const deleteAddress = async addressId => {
+  return del(`${API_ENDPOINTS.addresses}/${encodeURIComponent(addressId)}`);
+};
+
+/**
+ * Address service object containing all address book operations
+ * @namespace addressService
+ * @description Provides a centralized interface for address book API operations
+ */
+const addressService = {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+};
+
+export default addressService;
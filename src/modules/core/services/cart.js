@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Cart API service for server-side shopping cart persistence
+ * Handles cart retrieval, line additions, quantity updates, removals, guest-to-user merging, validation, promo codes, and taxes
+ * Lines are addressed by variant-based line IDs and priced by the server on every write
+ */
+
+import { API_ENDPOINTS } from "@config/constants";
+
+import { del, get, post, put } from "./http-client";
+
+/**
+ * Retrieves the cart for the signed-in user or the current guest session
+ * @async
+ * @function getCart
+ * @returns {Promise<Object>} Cart with items, totalItems, subtotal, and updatedAt
+ *
+ * @example
+ * const cart = await getCart();
+ * // Returns: { id: '...', items: [{ lineId, productId, sku, quantity, ... }], totalItems: 2 }
+ */
+export const getCart = async () => {
+  return get(API_ENDPOINTS.cart);
+};
+
+/**
+ * Adds a product variant to the server cart
+ * @async
+ * @function addCartItem
+ * @param {Object} line - Line to add
+ * @param {string} line.productId - Product ID
+ * @param {string} line.sku - Variant SKU
+ * @param {number} [line.quantity=1] - Quantity to add
+ * @returns {Promise<Object>} Updated cart
+ *
+ * @example
+ * const cart = await addCartItem({ productId: '507f...', sku: 'DJ-001-M-BLU', quantity: 1 });
+ */
+export const addCartItem = async ({ productId, quantity = 1, sku }) => {
+  return post(API_ENDPOINTS.cartItems, { productId, quantity, sku });
+};
+
+/**
+ * Updates the quantity of a server cart line (quantity below one removes the line)
+ * @async
+ * @function updateCartItem
+ * @param {string} lineId - Cart line identifier
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object>} Updated cart
+ *
+ * @example
+ * const cart = await updateCartItem('DJ-001-M-BLU', 3);
+ */
+export const updateCartItem = async (lineId, quantity) => {
+  return put(`${API_ENDPOINTS.cartItems}/${encodeURIComponent(lineId)}`, { quantity });
+};
+
+/**
+ * Removes a line from the server cart
+ * @async
+ * @function removeCartItem
+ * @param {string} lineId - Cart line identifier
+ * @returns {Promise<Object>} Updated cart
+ *
+ * @example
+ * const cart = await removeCartItem('DJ-001-M-BLU');
+ */
+export const removeCartItem = async lineId => {
+  return del(`${API_ENDPOINTS.cartItems}/${encodeURIComponent(lineId)}`);
+};
+
+/**
+ * Removes all lines from the server cart
+ * @async
+ * @function clearCart
+ * @returns {Promise<Object>} Emptied cart
+ *
+ * @example
+ * await clearCart();
+ */
+export const clearCart = async () => {
+  return del(API_ENDPOINTS.cart);
+};
+
+/**
+ * Merges the guest cart and local browser lines into the signed-in user's cart
+ * @async
+ * @function mergeCart
+ * @param {Array<Object>} [items=[]] - Local lines with productId, sku, and quantity
+ * @returns {Promise<Object>} Merged account cart
+ *
+ * @example
+ * const cart = await mergeCart(localItems);
+ * // Returns the account cart including lines added before login
+ */
+export const mergeCart = async (items = []) => {
+  return post(API_ENDPOINTS.cartMerge, {
+    items: items.map(({ productId, quantity, sku }) => ({ productId, quantity, sku })),
+  });
+};
+
+/**
+ * Re-prices cart lines and checks variant stock before checkout
+ * @async
+ * @function validateCart
+ * @param {Array<Object>} items - Cart lines with lineId, productId, sku (or size and color), price, and quantity
+ * @returns {Promise<Object>} Validation result with per-line SKU, price, stock, warnings, and isValid flag
+ *
+ * @example
+ * const { isValid, items: lines } = await validateCart(cartItems);
+ * // lines: [{ lineId, sku, price, availableQuantity, warnings: [{ type, message }], isBlocking }]
+ */
+export const validateCart = async items => {
+  return post(API_ENDPOINTS.cartValidate, {
+    items: items.map(({ color, lineId, price, productId, quantity, size, sku }) => ({
+      lineId,
+      price,
+      productId,
+      quantity,
+      sku,
+      size,
+      color,
+    })),
+  });
+};
+
+/**
+ * Applies a promo code to the server cart
+ * @async
+ * @function applyPromoCode
+ * @param {string} code - Promo code as entered by the customer
+ * @returns {Promise<Object>} Updated cart with promoCodes and discount lines
+ * @throws {Error} With the customer-facing reason when the code cannot be used
+ *
+ * @example
+ * const cart = await applyPromoCode('spring20');
+ * // cart.discounts: [{ code: 'SPRING20', type: 'percentage', amount: 32, freeShipping: false }]
+ */
+export const applyPromoCode = async code => {
+  return post(API_ENDPOINTS.cartPromo, { code: code.trim() });
+};
+
+/**
+ * Removes a promo code from the server cart
+ * @async
+ * @function removePromoCode
+ * @param {string} code - Applied promo code
+ * @returns {Promise<Object>} Updated cart
+ *
+ * @example
+ * const cart = await removePromoCode('SPRING20');
+ */
+export const removePromoCode = async code => {
+  return del(`${API_ENDPOINTS.cartPromo}?code=${encodeURIComponent(code)}`);
+};
+
+/**
+ * Calculates taxes for the server cart shipped to an address
+ * @async
+ * @function calculateCartTaxes
+ * @param {Object} shippingAddress - Shipping address with country, state, and postalCode
+ * @returns {Promise<Object>} Updated cart with a taxes breakdown
+ *
+ * @example
+ * const cart = await calculateCartTaxes({ country: 'US', state: 'NY', postalCode: '10001' });
+ * // cart.taxes: { name: 'Sales Tax', rate: 0.04, included: false, amount: 6.4, lines: [...] }
+ */
+export const calculateCartTaxes = async ({ country, postalCode, state }) => {
+  return post(API_ENDPOINTS.cartTaxes, { shippingAddress: { country, postalCode, state } });
+};
+
+/**
+ * Cart service object containing all server cart operations
+ * @namespace cartService
+ * @description Provides a centralized interface for cart persistence API operations
+ */
+const cartService = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  validateCart,
+  applyPromoCode,
+  removePromoCode,
+  calculateCartTaxes,
+};
+
+export default cartService;
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Gift card API service for checking balances before paying with a gift card
+ * A balance check returns a signed reference, which is what the order is paid with; the code is only sent here
+ */
+
+import { API_ENDPOINTS } from "@config/constants";
+
+import { post } from "./http-client";
+
+/**
+ * Checks the balance left on a gift card
+ * @async
+ * @function checkGiftCardBalance
+ * @param {string} code - Gift card code as entered by the customer
+ * @returns {Promise<Object>} Gift card with last4, balance, currency, and the reference to place the order with
+ * @throws {Error} With the customer-facing reason when the code is not recognized
+ *
+ * @example
+ * const giftCard = await checkGiftCardBalance('7K3M-QX9P-2WRT-H4NC');
+ * // Returns: { last4: 'H4NC', balance: 42.5, currency: 'USD', reference: '6661b2c3d4e5f60123456789.H4NC...' }
+ */
+export const checkGiftCardBalance = async code => {
+  return post(API_ENDPOINTS.giftCardBalance, { code: code.trim() });
+};
+
+/**
+ * Gift card service object containing all gift card operations
+ * @namespace giftCardService
+ * @description Provides a centralized interface for gift card API operations
+ */
+const giftCardService = {
+  checkGiftCardBalance,
+};
+
+export default giftCardService;
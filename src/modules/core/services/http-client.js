@@ -171,6 +171,25 @@ export const put = async (endpoint, data = {}) => {
   });
 };
 
+/**
+ * Performs HTTP PATCH request with JSON body serialization for partial resource updates
+ * @async
+ * @function patch
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} [data={}] - Request body data to be JSON serialized
+ * @returns {Promise<any>} Parsed API response data
+ *
+ * @example
+ * const order = await patch('orders/UE-123', { status: 'cancelled' });
+ * // Makes PATCH request with JSON body to: /api/orders/UE-123
+ */
+export const patch = async (endpoint, data = {}) => {
+  return request(endpoint, {
+    method: "PATCH",
+    body: JSON.stringify(data),
+  });
+};
+
 /**
  * Performs HTTP DELETE request for resource removal
  * @async
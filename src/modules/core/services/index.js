@@ -11,9 +11,34 @@
  * import { authService, login, productService, getProducts } from '@modules/core/services';
  */
 
+// Address Services
+export {
+  default as addressService,
+  createAddress,
+  deleteAddress,
+  getAddresses,
+  setDefaultAddress,
+  updateAddress,
+} from "./addresses";
+
 // Authentication Services
 export { default as authService, getUserProfile, login, register, updateUserProfile } from "./auth";
 
+// Cart Services
+export {
+  addCartItem,
+  applyPromoCode,
+  calculateCartTaxes,
+  default as cartService,
+  clearCart,
+  getCart,
+  mergeCart,
+  removeCartItem,
+  removePromoCode,
+  updateCartItem,
+  validateCart,
+} from "./cart";
+
 // Content Management Services
 export {
   default as contentService,
@@ -22,8 +47,11 @@ export {
   getPageConfig,
 } from "./content";
 
+// Gift Card Services
+export { checkGiftCardBalance, default as giftCardService } from "./gift-cards";
+
 // HTTP Client Services
-export { del, get, post, put } from "./http-client";
+export { del, get, patch, post, put } from "./http-client";
 
 // Newsletter Services
 export {
@@ -31,3 +59,28 @@ export {
   subscribeNewsletter,
   unsubscribeNewsletter,
 } from "./newsletter";
+
+// Order Services
+export {
+  cancelOrder,
+  claimGuestOrders,
+  createOrder,
+  getOrder,
+  getOrderFromLink,
+  getOrders,
+  lookupOrder,
+  default as orderService,
+  refundOrder,
+  updateOrderStatus,
+} from "./orders";
+
+// Payment Services
+export {
+  confirmPayment,
+  createPaymentIntent,
+  payForOrder,
+  default as paymentService,
+} from "./payments";
+
+// Shipping Services
+export { getShippingMethods, default as shippingService } from "./shipping";
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Orders API service for placing orders and reading order history
+ * Sends variant lines and checkout selections; the server prices the order and issues the order number
+ * Reads the signed-in customer's paginated order history and individual order details
+ * Moves orders through the status state machine, including customer cancellations, and issues refunds
+ * Looks guest orders up by contact email and order number or signed link, and claims them into a new account
+ */
+
+import { API_ENDPOINTS, ORDER_STATUS, ORDERS_PER_PAGE } from "@config/constants";
+
+import { get, patch, post } from "./http-client";
+
+/**
+ * Retrieves a page of the signed-in customer's orders, newest first
+ * @async
+ * @function getOrders
+ * @param {Object} [params={}] - Pagination parameters
+ * @param {number} [params.page=1] - Page number (1-based)
+ * @param {number} [params.limit=ORDERS_PER_PAGE] - Orders per page
+ * @returns {Promise<Object>} Orders and pagination metadata
+ *
+ * @example
+ * const { orders, pagination } = await getOrders({ page: 2 });
+ * // orders: [{ orderNumber, status, total, itemCount, createdAt, ... }]
+ */
+export const getOrders = async ({ limit = ORDERS_PER_PAGE, page = 1 } = {}) => {
+  return get(API_ENDPOINTS.orders, { page, limit });
+};
+
+/**
+ * Retrieves one of the signed-in customer's orders by order number
+ * @async
+ * @function getOrder
+ * @param {string} orderNumber - Order number shown to the customer
+ * @returns {Promise<Object>} Order with line items, product snapshots, totals, and status
+ *
+ * @example
+ * const order = await getOrder('UE-2026-004821');
+ * // order.items[0].product: { name, slug, category, image }
+ */
+export const getOrder = async orderNumber => {
+  return get(`${API_ENDPOINTS.orders}/${encodeURIComponent(orderNumber)}`);
+};
+
+/**
+ * Places an order for the signed-in customer, or for a guest from their guest cart session
+ * @async
+ * @function createOrder
+ * @param {Object} order - Order details from checkout
+ * @param {string} [order.contactEmail] - Email for order updates; required for guests
+ * @param {Array<Object>} order.items - Cart lines with productId, sku, and quantity
+ * @param {Object} order.shippingAddress - Shipping address from the shipping step
+ * @param {string} order.shippingMethod - SHIPPING_METHODS identifier
+ * @param {Array<string>} [order.giftCardReferences] - Gift card balance check references to pay with before the payment step
+ * @returns {Promise<Object>} Created order with orderNumber, items, totals, amountDue, and status; guest orders
+ * also carry a signed lookupUrl
+ *
+ * @example
+ * const order = await createOrder({ items, shippingAddress, shippingMethod: 'standard' });
+ * // Returns: { id: '...', orderNumber: 'UE-...', subtotal, shipping, tax, total, status: 'pending' }
+ */
+export const createOrder = async ({
+  contactEmail,
+  giftCardReferences,
+  items,
+  shippingAddress,
+  shippingMethod,
+}) => {
+  return post(API_ENDPOINTS.orders, {
+    contactEmail,
+    items: items.map(({ productId, quantity, sku }) => ({ productId, quantity, sku })),
+    shippingAddress,
+    shippingMethod,
+    giftCardReferences: giftCardReferences?.length ? giftCardReferences : undefined,
+  });
+};
+
+/**
+ * Moves an order to a new status; the server enforces ORDER_STATUS_TRANSITIONS and who may make the change
+ * @async
+ * @function updateOrderStatus
+ * @param {string} orderNumber - Order number shown to the customer
+ * @param {string} status - Requested ORDER_STATUS value
+ * @param {string} [reason] - Why the status is changing
+ * @returns {Promise<Object>} Updated order including statusHistory
+ *
+ * @example
+ * const order = await updateOrderStatus('UE-2026-004821', 'shipped', 'Handed to carrier');
+ */
+export const updateOrderStatus = async (orderNumber, status, reason) => {
+  return patch(`${API_ENDPOINTS.orders}/${encodeURIComponent(orderNumber)}`, { status, reason });
+};
+
+/**
+ * Cancels one of the signed-in customer's unpaid orders before fulfilment starts
+ * @async
+ * @function cancelOrder
+ * @param {string} orderNumber - Order number shown to the customer
+ * @param {string} [reason] - Why the customer is cancelling
+ * @returns {Promise<Object>} Cancelled order
+ *
+ * @example
+ * await cancelOrder('UE-2026-004821', 'Ordered the wrong size');
+ */
+export const cancelOrder = async (orderNumber, reason) => {
+  return updateOrderStatus(orderNumber, ORDER_STATUS.CANCELLED, reason);
+};
+
+/**
+ * Refunds all or part of a paid order (administrators only)
+ * @async
+ * @function refundOrder
+ * @param {string} orderNumber - Order number shown to the customer
+ * @param {Object} refund - Refund details
+ * @param {string} refund.reason - REFUND_REASONS value
+ * @param {Array<Object>} [refund.items] - Lines to refund as { sku, quantity }; omit with amount for a full refund
+ * @param {number} [refund.amount] - Amount to refund instead of the calculated line amounts
+ * @param {boolean} [refund.restock=true] - Whether refunded units go back into stock
+ * @param {string} [refund.note] - Free-text note stored with the refund
+ * @returns {Promise<Object>} Updated order with refunds, refundedAmount, and paymentStatus
+ *
+ * @example
+ * await refundOrder('UE-2026-004821', {
+ *   reason: 'returned',
+ *   items: [{ sku: 'DJ-001-M-BLU', quantity: 1 }],
+ * });
+ */
+export const refundOrder = async (orderNumber, { amount, items, note, reason, restock }) => {
+  return post(`${API_ENDPOINTS.orders}/${encodeURIComponent(orderNumber)}/refunds`, {
+    reason,
+    items,
+    amount,
+    restock,
+    note,
+  });
+};
+
+/**
+ * Looks an order up by the contact email and order number from its confirmation
+ * @async
+ * @function lookupOrder
+ * @param {Object} details - Lookup details
+ * @param {string} details.email - Contact email the order was placed with
+ * @param {string} details.orderNumber - Order number shown to the customer
+ * @returns {Promise<Object>} Order with a fresh signed lookupUrl
+ *
+ * @example
+ * const order = await lookupOrder({ email: 'sam@example.com', orderNumber: 'UE-2026-004821' });
+ */
+export const lookupOrder = async ({ email, orderNumber }) => {
+  return post(API_ENDPOINTS.orderLookup, { email, orderNumber });
+};
+
+/**
+ * Opens an order from the query parameters of a signed order link
+ * @async
+ * @function getOrderFromLink
+ * @param {Object} params - Link parameters
+ * @param {string} params.email - Contact email
+ * @param {string} params.expires - Expiry as a Unix timestamp in seconds
+ * @param {string} params.orderNumber - Order number
+ * @param {string} params.signature - Link signature
+ * @returns {Promise<Object>} Order
+ *
+ * @example
+ * const order = await getOrderFromLink(Object.fromEntries(searchParams));
+ */
+export const getOrderFromLink = async ({ email, expires, orderNumber, signature }) => {
+  return get(API_ENDPOINTS.orderLookup, { email, expires, orderNumber, signature });
+};
+
+/**
+ * Adds the guest orders placed with the signed-in customer's verified email address to their account
+ * @async
+ * @function claimGuestOrders
+ * @returns {Promise<Object>} Claimed order numbers
+ *
+ * @example
+ * const { orderNumbers } = await claimGuestOrders();
+ */
+export const claimGuestOrders = async () => {
+  return post(API_ENDPOINTS.orderClaim);
+};
+
+/**
+ * Orders service object containing all order operations
+ * @namespace orderService
+ * @description Provides a centralized interface for order API operations
+ */
+const orderService = {
+  getOrders,
+  getOrder,
+  createOrder,
+  updateOrderStatus,
+  cancelOrder,
+  refundOrder,
+  lookupOrder,
+  getOrderFromLink,
+  claimGuestOrders,
+};
+
+export default orderService;
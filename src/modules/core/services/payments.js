@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Checkout payment API service for paying placed orders
+ * Starts a payment intent for an order's server-calculated total, then confirms it
+ * Only a payment method summary (type, brand, last four digits) and the Stripe PaymentMethod id are ever sent,
+ * never raw card data
+ */
+
+import { API_ENDPOINTS } from "@config/constants";
+
+import { post, put } from "./http-client";
+
+/**
+ * Starts paying for a placed order
+ * @async
+ * @function createPaymentIntent
+ * @param {Object} payment - Payment details
+ * @param {string} payment.orderNumber - Order to pay
+ * @param {Object} payment.paymentMethod - Payment method summary with type, brand, last4, and Stripe id
+ * @returns {Promise<Object>} Payment intent with intentId, clientSecret, status, amount, and currency
+ *
+ * @example
+ * const intent = await createPaymentIntent({
+ *   orderNumber: 'UE-2026-004821',
+ *   paymentMethod: { type: 'credit_card', id: 'pm_1Q...', brand: 'Visa', last4: '4242' },
+ * });
+ */
+export const createPaymentIntent = async ({ orderNumber, paymentMethod }) => {
+  const { brand, id, last4, type } = paymentMethod;
+  return post(API_ENDPOINTS.payment, { orderNumber, paymentMethod: { type, id, brand, last4 } });
+};
+
+/**
+ * Confirms the payment started for an order
+ * @async
+ * @function confirmPayment
+ * @param {Object} payment - Payment details
+ * @param {string} payment.orderNumber - Order to pay
+ * @param {string} [payment.paymentMethodId] - Provider payment method reference (e.g. "pm_..." from Stripe.js)
+ * @returns {Promise<Object>} Updated order and payment status
+ * @throws {Error} When the payment is declined or fails
+ *
+ * @example
+ * const { order } = await confirmPayment({ orderNumber: 'UE-2026-004821', paymentMethodId: 'pm_1Q...' });
+ * // order.paymentStatus: 'paid', order.status: 'processing'
+ */
+export const confirmPayment = async ({ orderNumber, paymentMethodId }) => {
+  return put(API_ENDPOINTS.payment, {
+    orderNumber,
+    paymentMethod: paymentMethodId ? { id: paymentMethodId } : undefined,
+  });
+};
+
+/**
+ * Pays for a placed order by starting and confirming a payment in one step
+ * @async
+ * @function payForOrder
+ * @param {Object} payment - Payment details
+ * @param {string} payment.orderNumber - Order to pay
+ * @param {Object} payment.paymentMethod - Payment method summary with type, brand, last4, and the Stripe
+ *   PaymentMethod id that Stripe payments are confirmed with
+ * @returns {Promise<Object>} Updated order and payment status
+ * @throws {Error} When the payment is declined or fails
+ *
+ * @example
+ * await payForOrder({ orderNumber, paymentMethod: details.paymentMethod });
+ */
+export const payForOrder = async ({ orderNumber, paymentMethod }) => {
+  await createPaymentIntent({ orderNumber, paymentMethod });
+  return confirmPayment({ orderNumber, paymentMethodId: paymentMethod.id });
+};
+
+/**
+ * Payment service object containing all checkout payment operations
+ * @namespace paymentService
+ * @description Provides a centralized interface for checkout payment API operations
+ */
+const paymentService = {
+  createPaymentIntent,
+  confirmPayment,
+  payForOrder,
+};
+
+export default paymentService;
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Shipping API service for quoting checkout delivery options
+ * Methods are priced by the server against the current cart, so costs reflect per-product free shipping and promo codes
+ */
+
+import { API_ENDPOINTS } from "@config/constants";
+
+import { get } from "./http-client";
+
+/**
+ * Retrieves the shipping methods available for a destination country
+ * @async
+ * @function getShippingMethods
+ * @param {string} country - Destination country code
+ * @returns {Promise<Object>} Country and methods with id, name, description, cost, isFree, and estimatedDelivery
+ *
+ * @example
+ * const { methods } = await getShippingMethods('GB');
+ * // Returns: [{ id: 'international', cost: 29.99, estimatedDelivery: { earliest: '2026-10-27', latest: '2026-11-05' } }]
+ */
+export const getShippingMethods = async country => {
+  return get(API_ENDPOINTS.shippingMethods, { country });
+};
+
+/**
+ * Shipping service object containing all shipping operations
+ * @namespace shippingService
+ * @description Provides a centralized interface for shipping API operations
+ */
+const shippingService = {
+  getShippingMethods,
+};
+
+export default shippingService;
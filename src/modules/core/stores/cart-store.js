@@ -1,5 +1,6 @@
 /**
  * @fileoverview Shopping cart state management store using Zustand with persistent storage
+ * Local state is updated optimistically and reconciled with the server cart API after each change
  * FIXED: Using useShallow to prevent getServerSnapshot infinite loop by caching snapshots
  */
 
@@ -9,134 +10,265 @@ import { useShallow } from "zustand/react/shallow";
 
 import {
   CART_STORAGE_KEY,
+  CART_STORAGE_VERSION,
   DEFAULT_TAX_RATE,
   FREE_SHIPPING_THRESHOLD,
   MAX_CART_ITEMS,
   MAX_QUANTITY_PER_ITEM,
   STANDARD_SHIPPING_COST,
 } from "@config/constants";
-import { errorHandler, formatCurrency } from "@modules/core/utils";
+import { cartService } from "@modules/core/services";
+import { errorHandler, formatCurrency, formatTaxLabel } from "@modules/core/utils";
+
+import useUserStore from "./user-store";
 
 /**
  * Initial cart state with empty items and default values
  */
 const initialState = {
   items: [],
+  promoCodes: [],
+  discounts: [],
+  taxes: null,
   isLoading: false,
   lastUpdated: null,
+  lastSyncedAt: null,
+  ownerId: null,
+  validation: null,
 };
 
 /**
- * Main cart store created with Zustand for state management and persistence
+ * Builds the identifier for a cart line from the variant SKU
+ * Falls back to product ID + size + color for products or legacy lines without a SKU
+ * @param {Object} product - Product or cart line data
+ * @returns {string} Stable line identifier for the product variant
  */
-const useCartStore = create(
-  persist(
-    (set, get) => ({
-      ...initialState,
+const createLineId = product => {
+  if (product.sku) return product.sku;
 
-      /**
-       * Computed property that returns total number of items across all cart entries
-       */
-      get totalItems() {
-        const items = get().items || [];
-        return items.reduce((total, item) => total + (item.quantity || 0), 0);
-      },
+  const size = product.selectedSize || product.size || "one-size";
+  const color = product.selectedColor || product.color || "default";
+  return [product.productId || product.id, size, color].join(":");
+};
 
-      /**
-       * Computed property that calculates subtotal before tax and shipping
-       */
-      get subtotal() {
-        const items = get().items || [];
-        return items.reduce((total, item) => {
-          const price = item.price || 0;
-          const quantity = item.quantity || 0;
-          return total + price * quantity;
-        }, 0);
-      },
+/**
+ * Checks whether a line without a SKU holds the same variant as a product being added
+ * Lines migrated from carts persisted before SKU keys are keyed by product ID + size + color instead
+ * @param {Object} item - Cart line
+ * @param {Object} product - Product being added
+ * @returns {boolean} True when the line is a SKU-less line for the same product, size, and color
+ */
+const isLegacyLineFor = (item, product) =>
+  !item.sku &&
+  item.productId === product.id &&
+  item.size === (product.selectedSize || product.size) &&
+  item.color === (product.selectedColor || product.color);
 
-      /**
-       * Computed property that calculates tax amount based on subtotal
-       */
-      get tax() {
-        const subtotal = get().subtotal;
-        return subtotal * DEFAULT_TAX_RATE;
-      },
+/**
+ * Combines lines that share a line ID, capping the combined quantity at MAX_QUANTITY_PER_ITEM
+ * @param {Array<Object>} items - Cart lines, each with the line ID it should be stored under
+ * @returns {Array<Object>} One line per line ID, in first-seen order
+ */
+const combineLines = items => {
+  const lines = new Map();
 
-      /**
-       * Computed property that calculates shipping cost
-       */
-      get shipping() {
-        const subtotal = get().subtotal;
-        return subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : STANDARD_SHIPPING_COST;
-      },
+  items.forEach(item => {
+    const existing = lines.get(item.lineId);
 
-      /**
-       * Computed property that calculates final total
-       */
-      get total() {
-        const { shipping, subtotal, tax } = get();
-        return subtotal + tax + shipping;
-      },
+    if (existing) {
+      existing.quantity = Math.min(existing.quantity + (item.quantity || 0), MAX_QUANTITY_PER_ITEM);
+      return;
+    }
 
-      /**
-       * Computed property that returns currency-formatted subtotal string
-       */
-      get formattedSubtotal() {
-        return formatCurrency(get().subtotal);
-      },
+    lines.set(item.lineId, { ...item });
+  });
 
-      /**
-       * Computed property that returns currency-formatted tax string
-       */
-      get formattedTax() {
-        return formatCurrency(get().tax);
-      },
+  return [...lines.values()];
+};
 
-      /**
-       * Computed property that returns currency-formatted shipping string
-       */
-      get formattedShipping() {
-        return formatCurrency(get().shipping);
-      },
+/**
+ * Re-keys carts persisted before variant-aware lines were introduced
+ * Legacy lines were keyed by product ID only, so duplicate variants are merged by line ID
+ * Their SKUs are looked up from the server on the next cart sync (see resolveLegacySkus)
+ * @param {Object} persistedState - Raw state read from storage
+ * @param {number} version - Version the state was persisted with
+ * @returns {Object} State compatible with the current cart schema
+ */
+const migrateCartState = (persistedState, version) => {
+  if (!persistedState) return persistedState;
 
-      /**
-       * Computed property that returns currency-formatted total string
-       */
-      get formattedTotal() {
-        return formatCurrency(get().total);
-      },
+  const items = Array.isArray(persistedState.items) ? persistedState.items : [];
+  if (version >= 1) return { ...persistedState, items };
 
-      /**
-       * Computed property that indicates whether cart contains any items
-       */
-      get hasItems() {
-        return get().totalItems > 0;
-      },
+  const lines = items.map(({ id, ...item }) => ({
+    ...item,
+    lineId: item.lineId || createLineId({ ...item, id }),
+    productId: item.productId || id,
+    sku: item.sku || null,
+  }));
 
-      /**
-       * Computed property that indicates whether cart qualifies for free shipping
-       */
-      get isFreeShippingEligible() {
-        return get().subtotal >= FREE_SHIPPING_THRESHOLD;
-      },
+  return { ...persistedState, items: combineLines(lines) };
+};
 
-      /**
-       * Computed property that calculates progress percentage toward free shipping
-       */
-      get freeShippingProgress() {
-        const subtotal = get().subtotal;
-        if (subtotal >= FREE_SHIPPING_THRESHOLD) return 100;
-        return Math.min((subtotal / FREE_SHIPPING_THRESHOLD) * 100, 100);
-      },
+/**
+ * Looks up the SKUs of lines that were stored without one and re-keys them by SKU
+ * The validation endpoint matches them on product, size, and color; lines it cannot place keep their old key
+ * @param {Array<Object>} items - Local cart lines
+ * @returns {Promise<Object>} { items, resolvedLines } with the re-keyed cart and the lines that gained a SKU
+ */
+const resolveLegacySkus = async items => {
+  const legacyLines = items.filter(item => !item.sku);
+  if (!legacyLines.length) return { items, resolvedLines: [] };
+
+  const { items: checkedLines } = await cartService.validateCart(legacyLines);
+  const skus = new Map(checkedLines.filter(line => line.sku).map(line => [line.lineId, line.sku]));
+
+  const rekey = item => {
+    const sku = item.sku || skus.get(item.lineId);
+    return sku ? { ...item, lineId: sku, sku } : item;
+  };
+
+  return {
+    items: combineLines(items.map(rekey)),
+    resolvedLines: legacyLines.filter(line => skus.has(line.lineId)).map(rekey),
+  };
+};
+
+/**
+ * Maps a server cart onto store state
+ * Discount lines and taxes are calculated by the server for the lines it holds, so they are replaced together
+ * The server only holds lines with a SKU, so local lines without one are kept after the server's lines
+ * @param {Object} cart - Cart from the cart API
+ * @param {Array<Object>} [localItems=[]] - Current local lines
+ * @returns {Object} Partial store state with lines, promo codes, discount lines, taxes, and sync time
+ */
+const toCartState = (cart, localItems = []) => ({
+  items: [
+    ...cart.items,
+    ...localItems.filter(
+      item => !item.sku && !cart.items.some(line => line.lineId === item.lineId)
+    ),
+  ],
+  promoCodes: cart.promoCodes || [],
+  discounts: cart.discounts || [],
+  taxes: cart.taxes || null,
+  lastSyncedAt: new Date().toISOString(),
+});
+
+/**
+ * Runs a server cart request and replaces local lines with the server's priced lines
+ * Lines the server cannot hold (no SKU) stay in the cart
+ * Failures are reported but leave the optimistic local cart intact so the cart keeps working offline
+ * @param {Function} set - Zustand state setter
+ * @param {Function} request - Function returning a promise for the updated server cart
+ * @param {Object} context - Error context for reporting
+ * @returns {Promise<boolean>} True when the server cart was applied
+ */
+const syncWithServer = async (set, request, context) => {
+  try {
+    const cart = await request();
+    set(state => toCartState(cart, state.items));
+    return true;
+  } catch (error) {
+    errorHandler.handleError(error, "NETWORK_ERROR", { source: "cart-store", ...context });
+    return false;
+  }
+};
+
+/**
+ * Uploads local lines to an empty server cart
+ * Guest lines are added one at a time so the first request can issue the session cookie
+ * @param {Array<Object>} items - Local cart lines
+ * @returns {Promise<Object|null>} Server cart after seeding, or null when nothing was sent
+ */
+const seedServerCart = async items => {
+  const lines = items.filter(item => item.sku);
+  if (!lines.length) return null;
+  if (useUserStore.getState().isAuthenticated) return cartService.mergeCart(lines);
+
+  return lines.reduce(
+    (previous, line) => previous.then(() => cartService.addCartItem(line)),
+    Promise.resolve(null)
+  );
+};
+
+/**
+ * Derives cart totals from store state
+ * Computed on read instead of as store getters, which Zustand's set() flattens into stale values
+ * Promo code discounts come off the subtotal before tax; a free shipping code waives shipping
+ * Tax is the server's breakdown for the shipping address once one is known, and a DEFAULT_TAX_RATE estimate before;
+ * tax already included in prices is shown but not added to the total
+ * @param {Object} state - Cart store state
+ * @returns {Object} Item count, money totals, discount lines, tax label, formatted amounts, and free shipping progress
+ */
+export const getCartSummary = state => {
+  const items = state.items || [];
+  const discounts = state.discounts || [];
+  const totalItems = items.reduce((total, item) => total + (item.quantity || 0), 0);
+  const subtotal = items.reduce(
+    (total, item) => total + (item.price || 0) * (item.quantity || 0),
+    0
+  );
+  const discount = Math.min(
+    discounts.filter(line => !line.freeShipping).reduce((total, line) => total + line.amount, 0),
+    subtotal
+  );
+  const hasFreeShippingPromo = discounts.some(line => line.freeShipping);
+  const isFreeShippingEligible = subtotal >= FREE_SHIPPING_THRESHOLD || hasFreeShippingPromo;
+  const taxes = state.taxes || null;
+  const isTaxIncluded = Boolean(taxes?.included);
+  const tax = taxes ? taxes.amount : (subtotal - discount) * DEFAULT_TAX_RATE;
+  const shipping = totalItems === 0 || isFreeShippingEligible ? 0 : STANDARD_SHIPPING_COST;
+  const total = subtotal - discount + (isTaxIncluded ? 0 : tax) + shipping;
+
+  return {
+    totalItems,
+    subtotal,
+    discount,
+    discounts,
+    tax,
+    isTaxIncluded,
+    taxLabel: formatTaxLabel(taxes, "Estimated Taxes"),
+    shipping,
+    total,
+    formattedSubtotal: formatCurrency(subtotal),
+    formattedDiscount: formatCurrency(discount),
+    formattedTax: formatCurrency(tax),
+    formattedShipping: formatCurrency(shipping),
+    formattedTotal: formatCurrency(total),
+    hasItems: totalItems > 0,
+    isFreeShippingEligible,
+    hasFreeShippingPromo,
+    freeShippingProgress: isFreeShippingEligible
+      ? 100
+      : Math.min((subtotal / FREE_SHIPPING_THRESHOLD) * 100, 100),
+    amountToFreeShipping: isFreeShippingEligible ? 0 : FREE_SHIPPING_THRESHOLD - subtotal,
+  };
+};
+
+/**
+ * Main cart store created with Zustand for state management and persistence
+ */
+const useCartStore = create(
+  persist(
+    (set, get) => ({
+      ...initialState,
 
       /**
-       * Adds a product to the cart with quantity and validation checks
+       * Adds a product variant to the cart with quantity and validation checks
+       * Lines are keyed by variant SKU so each size/color combination is tracked separately;
+       * adding the variant of a line stored without a SKU re-keys that line instead of adding a second one
        */
       addItem: product => {
         try {
           const { items } = get();
+          const lineId = createLineId(product);
+          const existingItemIndex = items.findIndex(
+            item => item.lineId === lineId || isLegacyLineFor(item, product)
+          );
+          let syncQuantity = product.quantity || 1;
 
-          if (items.length >= MAX_CART_ITEMS) {
+          if (existingItemIndex < 0 && items.length >= MAX_CART_ITEMS) {
             errorHandler.handleError(
               new Error(`Cannot add more than ${MAX_CART_ITEMS} different items to cart`),
               "VALIDATION_ERROR",
@@ -145,31 +277,39 @@ const useCartStore = create(
             return false;
           }
 
-          const existingItemIndex = items.findIndex(item => item.id === product.id);
-
           if (existingItemIndex >= 0) {
             const existingItem = items[existingItemIndex];
-            const newQuantity = existingItem.quantity + 1;
+            const newQuantity = existingItem.quantity + (product.quantity || 1);
 
             if (newQuantity > MAX_QUANTITY_PER_ITEM) {
               errorHandler.handleError(
                 new Error(`Cannot add more than ${MAX_QUANTITY_PER_ITEM} of the same item`),
                 "VALIDATION_ERROR",
-                { maxQuantity: MAX_QUANTITY_PER_ITEM, productId: product.id }
+                { maxQuantity: MAX_QUANTITY_PER_ITEM, lineId, productId: product.id }
               );
               return false;
             }
 
             const updatedItems = [...items];
-            updatedItems[existingItemIndex] = { ...existingItem, quantity: newQuantity };
+            updatedItems[existingItemIndex] = {
+              ...existingItem,
+              lineId,
+              sku: product.sku || existingItem.sku,
+              quantity: newQuantity,
+            };
+            // A line without a SKU was never sent to the server, so all of its units are sent now
+            if (!existingItem.sku) syncQuantity = newQuantity;
 
             set({
               items: updatedItems,
               lastUpdated: new Date().toISOString(),
+              validation: null,
             });
           } else {
             const newItem = {
-              id: product.id,
+              lineId,
+              productId: product.id,
+              sku: product.sku || null,
               name: product.name,
               price: product.price,
               image: product.image,
@@ -182,9 +322,23 @@ const useCartStore = create(
             set({
               items: [...items, newItem],
               lastUpdated: new Date().toISOString(),
+              validation: null,
             });
           }
 
+          if (product.sku) {
+            syncWithServer(
+              set,
+              () =>
+                cartService.addCartItem({
+                  productId: product.id,
+                  quantity: syncQuantity,
+                  sku: product.sku,
+                }),
+              { action: "addItem", lineId }
+            );
+          }
+
           return true;
         } catch (error) {
           errorHandler.handleError(error, "UNKNOWN_ERROR", {
@@ -196,45 +350,51 @@ const useCartStore = create(
       },
 
       /**
-       * Removes a product from the cart by product ID
+       * Removes a line from the cart by line ID
        */
-      removeItem: productId => {
+      removeItem: lineId => {
         try {
           const { items } = get();
-          const updatedItems = items.filter(item => item.id !== productId);
+          const updatedItems = items.filter(item => item.lineId !== lineId);
 
           set({
             items: updatedItems,
             lastUpdated: new Date().toISOString(),
+            validation: null,
+          });
+
+          syncWithServer(set, () => cartService.removeCartItem(lineId), {
+            action: "removeItem",
+            lineId,
           });
 
           return true;
         } catch (error) {
-          errorHandler.handleError(error, "UNKNOWN_ERROR", { action: "removeItem", productId });
+          errorHandler.handleError(error, "UNKNOWN_ERROR", { action: "removeItem", lineId });
           return false;
         }
       },
 
       /**
-       * Updates the quantity of a specific cart item with validation
+       * Updates the quantity of a specific cart line with validation
        */
-      updateQuantity: (productId, quantity) => {
+      updateQuantity: (lineId, quantity) => {
         try {
           if (quantity < 1) {
-            return get().removeItem(productId);
+            return get().removeItem(lineId);
           }
 
           if (quantity > MAX_QUANTITY_PER_ITEM) {
             errorHandler.handleError(
               new Error(`Cannot add more than ${MAX_QUANTITY_PER_ITEM} of the same item`),
               "VALIDATION_ERROR",
-              { maxQuantity: MAX_QUANTITY_PER_ITEM, productId, requestedQuantity: quantity }
+              { maxQuantity: MAX_QUANTITY_PER_ITEM, lineId, requestedQuantity: quantity }
             );
             return false;
           }
 
           const { items } = get();
-          const itemIndex = items.findIndex(item => item.id === productId);
+          const itemIndex = items.findIndex(item => item.lineId === lineId);
 
           if (itemIndex >= 0) {
             const updatedItems = [...items];
@@ -243,6 +403,12 @@ const useCartStore = create(
             set({
               items: updatedItems,
               lastUpdated: new Date().toISOString(),
+              validation: null,
+            });
+
+            syncWithServer(set, () => cartService.updateCartItem(lineId, quantity), {
+              action: "updateQuantity",
+              lineId,
             });
 
             return true;
@@ -252,7 +418,7 @@ const useCartStore = create(
         } catch (error) {
           errorHandler.handleError(error, "UNKNOWN_ERROR", {
             action: "updateQuantity",
-            productId,
+            lineId,
             quantity,
           });
           return false;
@@ -266,8 +432,14 @@ const useCartStore = create(
         try {
           set({
             items: [],
+            promoCodes: [],
+            discounts: [],
+            taxes: null,
             lastUpdated: new Date().toISOString(),
+            validation: null,
           });
+
+          syncWithServer(set, () => cartService.clearCart(), { action: "clearCart" });
           return true;
         } catch (error) {
           errorHandler.handleError(error, "UNKNOWN_ERROR", { action: "clearCart" });
@@ -276,21 +448,171 @@ const useCartStore = create(
       },
 
       /**
-       * Retrieves a specific cart item by product ID
+       * Clears the local cart without touching the server cart (used on logout)
+       */
+      resetCart: () => {
+        set({ ...initialState });
+      },
+
+      /**
+       * Loads the server cart, seeding it from local lines when the server has no cart yet
+       * Lines stored without a SKU are resolved first and added to the server cart once they have one
+       */
+      syncCart: async () => {
+        set({ isLoading: true });
+
+        const synced = await syncWithServer(
+          set,
+          async () => {
+            const { items, resolvedLines } = await resolveLegacySkus(get().items);
+            const cart = await cartService.getCart();
+            const seededCart = await seedServerCart(cart.id ? resolvedLines : items);
+
+            if (seededCart) return seededCart;
+            return cart.id || !items.length ? cart : { items };
+          },
+          { action: "syncCart" }
+        );
+
+        set({ isLoading: false });
+        return synced;
+      },
+
+      /**
+       * Brings the local cart in line with the Auth0 session once it has been read
+       * Login is a full-page redirect, so the account the local lines belong to is persisted as ownerId:
+       * guest lines are merged into the account cart after login, and another account's lines are dropped
+       * @param {string|null} userId - Signed-in user ID, or null for a guest
+       * @returns {Promise<boolean>} True when the server cart was applied
+       */
+      syncCartOwner: async userId => {
+        const { ownerId } = get();
+
+        if (userId && !ownerId) {
+          const merged = await get().mergeGuestCart();
+          if (merged) set({ ownerId: userId });
+          return merged;
+        }
+
+        if (ownerId !== userId) {
+          set({ ...initialState, ownerId: userId });
+        }
+        return get().syncCart();
+      },
+
+      /**
+       * Merges the anonymous cart into the signed-in user's server cart after login
+       */
+      mergeGuestCart: async () => {
+        set({ isLoading: true });
+
+        const merged = await syncWithServer(set, () => cartService.mergeCart(get().items), {
+          action: "mergeGuestCart",
+        });
+
+        set({ isLoading: false });
+        return merged;
+      },
+
+      /**
+       * Applies a promo code to the server cart and takes its discount lines
+       * Rejects with the customer-facing reason so the promo code form can show why a code was refused
+       */
+      applyPromoCode: async code => {
+        set({ isLoading: true });
+
+        try {
+          const cart = await cartService.applyPromoCode(code);
+          set(state => ({ ...toCartState(cart, state.items), isLoading: false }));
+          return cart;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      /**
+       * Removes a promo code locally and from the server cart
        */
-      getItem: productId => {
+      removePromoCode: code => {
+        set(state => ({
+          promoCodes: state.promoCodes.filter(item => item !== code),
+          discounts: state.discounts.filter(line => line.code !== code),
+        }));
+
+        return syncWithServer(set, () => cartService.removePromoCode(code), {
+          action: "removePromoCode",
+          code,
+        });
+      },
+
+      /**
+       * Prices tax on the server cart for a shipping address and takes the returned breakdown
+       */
+      calculateTaxes: shippingAddress =>
+        syncWithServer(
+          set,
+          async () => {
+            const cart = await cartService.calculateCartTaxes(shippingAddress);
+            // Without a server cart there is nothing to price, so the local lines are kept
+            return cart.id ? cart : get();
+          },
+          { action: "calculateTaxes" }
+        ),
+
+      /**
+       * Retrieves a specific cart line by line ID
+       */
+      getItem: lineId => {
         const { items } = get();
-        return items.find(item => item.id === productId);
+        return items.find(item => item.lineId === lineId);
       },
 
       /**
-       * Gets the quantity of a specific product in the cart
+       * Gets the quantity of a specific cart line
        */
-      getItemQuantity: productId => {
-        const item = get().getItem(productId);
+      getItemQuantity: lineId => {
+        const item = get().getItem(lineId);
         return item ? item.quantity : 0;
       },
 
+      /**
+       * Re-prices every line and checks variant stock before checkout
+       * Applies current prices to the cart and stores per-line warnings keyed by line ID
+       */
+      validateCart: async () => {
+        const { items } = get();
+        if (!items.length) {
+          set({ validation: null });
+          return true;
+        }
+
+        try {
+          set({ isLoading: true });
+          const result = await cartService.validateCart(items);
+          const lines = Object.fromEntries(result.items.map(line => [line.lineId, line]));
+
+          set(state => ({
+            items: state.items.map(item =>
+              lines[item.lineId] ? { ...item, price: lines[item.lineId].price } : item
+            ),
+            validation: {
+              isValid: result.isValid,
+              hasChanges: result.hasChanges,
+              checkedAt: result.checkedAt,
+              lines,
+            },
+            isLoading: false,
+          }));
+
+          return result.isValid;
+        } catch (error) {
+          errorHandler.handleError(error, "NETWORK_ERROR", { action: "validateCart" });
+          set({ isLoading: false });
+          return false;
+        }
+      },
+
       /**
        * Sets the loading state for cart operations
        */
@@ -300,10 +622,17 @@ const useCartStore = create(
     }),
     {
       name: CART_STORAGE_KEY,
+      version: CART_STORAGE_VERSION,
       storage: createJSONStorage(() => localStorage),
+      migrate: migrateCartState,
       partialize: state => ({
         items: state.items,
+        promoCodes: state.promoCodes,
+        discounts: state.discounts,
+        taxes: state.taxes,
         lastUpdated: state.lastUpdated,
+        lastSyncedAt: state.lastSyncedAt,
+        ownerId: state.ownerId,
       }),
       onRehydrateStorage: () => state => {
         if (!state) return;
@@ -325,19 +654,31 @@ export const useCartItems = () => useCartStore(state => state.items || []);
  * Hook that returns total item count in cart
  * Using regular selector since totalItems is a primitive number
  */
-export const useCartCount = () => useCartStore(state => state.totalItems);
+export const useCartCount = () => useCartStore(state => getCartSummary(state).totalItems);
 
 /**
  * Hook that returns cart subtotal amount
  * Using regular selector since subtotal is a primitive number
  */
-export const useCartSubtotal = () => useCartStore(state => state.subtotal);
+export const useCartSubtotal = () => useCartStore(state => getCartSummary(state).subtotal);
 
 /**
  * Hook that returns cart total amount
  * Using regular selector since total is a primitive number
  */
-export const useCartTotal = () => useCartStore(state => state.total);
+export const useCartTotal = () => useCartStore(state => getCartSummary(state).total);
+
+/**
+ * Hook that returns the full cart summary (totals, formatted amounts, free shipping progress)
+ * CRITICAL: Using useShallow since the summary object is rebuilt on every read
+ */
+export const useCartSummary = () => useCartStore(useShallow(getCartSummary));
+
+/**
+ * Hook that returns the promo codes applied to the cart
+ * Using regular selector since promoCodes is replaced as a whole on each server sync
+ */
+export const useCartPromoCodes = () => useCartStore(state => state.promoCodes || []);
 
 /**
  * Hook that returns cart loading state
@@ -345,6 +686,12 @@ export const useCartTotal = () => useCartStore(state => state.total);
  */
 export const useCartLoading = () => useCartStore(state => state.isLoading);
 
+/**
+ * Hook that returns the latest cart validation result with per-line warnings
+ * Using regular selector since validation is replaced as a whole on each check
+ */
+export const useCartValidation = () => useCartStore(state => state.validation);
+
 /**
  * Hook that returns cart action functions for modifying cart state
  * CRITICAL: Using useShallow to prevent infinite re-renders when returning object
@@ -356,6 +703,14 @@ export const useCartActions = () =>
       removeItem: state.removeItem,
       updateQuantity: state.updateQuantity,
       clearCart: state.clearCart,
+      resetCart: state.resetCart,
+      syncCart: state.syncCart,
+      mergeGuestCart: state.mergeGuestCart,
+      syncCartOwner: state.syncCartOwner,
+      validateCart: state.validateCart,
+      applyPromoCode: state.applyPromoCode,
+      removePromoCode: state.removePromoCode,
+      calculateTaxes: state.calculateTaxes,
       getItem: state.getItem,
       getItemQuantity: state.getItemQuantity,
       setLoading: state.setLoading,
@@ -0,0 +1,110 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+import { cartService } from "@modules/core/services";
+
+import useCartStore from "./cart-store";
+import useUserStore from "./user-store";
+
+// The stores persist to localStorage, which Node does not have
+vi.hoisted(() => {
+  const values = new Map();
+  globalThis.localStorage = {
+    getItem: key => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+  };
+});
+
+vi.mock("@modules/core/services", () => ({
+  cartService: {
+    addCartItem: vi.fn(),
+    getCart: vi.fn(),
+    mergeCart: vi.fn(),
+  },
+}));
+
+const GUEST_LINE = {
+  lineId: "DJ-001-M-BLU",
+  productId: "product-1",
+  sku: "DJ-001-M-BLU",
+  price: 50,
+  quantity: 2,
+};
+
+const ACCOUNT_LINE = {
+  lineId: "TS-002-S-WHT",
+  productId: "product-2",
+  sku: "TS-002-S-WHT",
+  price: 20,
+  quantity: 1,
+};
+
+/**
+ * Builds a server cart response
+ * @param {Array<Object>} items - Cart lines
+ * @returns {Object} Cart API-shaped object
+ */
+const buildCart = items => ({ id: "cart-1", items, promoCodes: [], discounts: [], taxes: null });
+
+/**
+ * Signs the user store in as it would be after the Auth0 session is read
+ * @param {string|null} userId - Linked user ID, or null for a guest
+ * @returns {void}
+ */
+const loadSession = userId => {
+  useUserStore
+    .getState()
+    .setSessionUser(userId ? { userId, email: "sam@example.com", sub: "auth0|sam" } : null);
+};
+
+describe("syncCartOwner", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useCartStore.getState().resetCart();
+  });
+
+  it("keeps the guest cart when the customer signs in", async () => {
+    useCartStore.setState({ items: [GUEST_LINE], ownerId: null });
+    cartService.mergeCart.mockResolvedValue(buildCart([ACCOUNT_LINE, GUEST_LINE]));
+    loadSession("user-1");
+
+    await useCartStore.getState().syncCartOwner(useUserStore.getState().user.id);
+
+    expect(cartService.mergeCart).toHaveBeenCalledWith([GUEST_LINE]);
+    expect(cartService.getCart).not.toHaveBeenCalled();
+    expect(useCartStore.getState().items).toEqual([ACCOUNT_LINE, GUEST_LINE]);
+    expect(useCartStore.getState().ownerId).toBe("user-1");
+  });
+
+  it("keeps the guest lines and retries the merge when it fails", async () => {
+    useCartStore.setState({ items: [GUEST_LINE], ownerId: null });
+    cartService.mergeCart.mockRejectedValue(new Error("Network error"));
+
+    await useCartStore.getState().syncCartOwner("user-1");
+
+    expect(useCartStore.getState().items).toEqual([GUEST_LINE]);
+    expect(useCartStore.getState().ownerId).toBeNull();
+  });
+
+  it("loads the account cart without merging again on later page loads", async () => {
+    useCartStore.setState({ items: [GUEST_LINE], ownerId: "user-1" });
+    cartService.getCart.mockResolvedValue(buildCart([GUEST_LINE]));
+    loadSession("user-1");
+
+    await useCartStore.getState().syncCartOwner("user-1");
+
+    expect(cartService.mergeCart).not.toHaveBeenCalled();
+    expect(useCartStore.getState().items).toEqual([GUEST_LINE]);
+  });
+
+  it("clears the account cart from the browser after logout", async () => {
+    useCartStore.setState({ items: [ACCOUNT_LINE], ownerId: "user-1" });
+    cartService.getCart.mockResolvedValue(buildCart([]));
+    loadSession(null);
+
+    await useCartStore.getState().syncCartOwner(null);
+
+    expect(useCartStore.getState().items).toEqual([]);
+    expect(useCartStore.getState().ownerId).toBeNull();
+  });
+});
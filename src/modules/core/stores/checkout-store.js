@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Checkout flow state machine using Zustand with session-scoped persistence
+ * Walks the customer through CHECKOUT_STEP_ORDER, only allowing entry to a step once every earlier step is complete
+ * Stores contact, shipping, payment, and gift card selections so a reload resumes checkout where the customer left off
+ */
+
+import { create } from "zustand";
+import { createJSONStorage, persist } from "zustand/middleware";
+import { useShallow } from "zustand/react/shallow";
+
+import {
+  CHECKOUT_STEP_ORDER,
+  CHECKOUT_STEPS,
+  CHECKOUT_STORAGE_KEY,
+  MAX_GIFT_CARDS_PER_ORDER,
+  SHIPPING_METHODS,
+} from "@config/constants";
+import { errorHandler } from "@modules/core/utils";
+
+/**
+ * Initial checkout state starting at the cart step with nothing completed
+ */
+const initialState = {
+  currentStep: CHECKOUT_STEPS.CART,
+  completedSteps: [],
+  contactEmail: "",
+  shippingAddress: null,
+  shippingMethod: SHIPPING_METHODS[0].id,
+  paymentMethod: null,
+  giftCards: [],
+  unpaidOrder: null,
+  order: null,
+  lastUpdated: null,
+};
+
+/**
+ * Returns the step that follows the given step in CHECKOUT_STEP_ORDER
+ * @param {string} step - Checkout step
+ * @returns {string|null} Next checkout step, or null after the final step
+ */
+export const getNextCheckoutStep = step => {
+  const index = CHECKOUT_STEP_ORDER.indexOf(step);
+  return index === -1 ? null : CHECKOUT_STEP_ORDER[index + 1] || null;
+};
+
+/**
+ * Returns the furthest step the customer may currently enter (the first incomplete step)
+ * @param {Array<string>} completedSteps - Steps completed so far
+ * @returns {string} Furthest reachable checkout step
+ */
+export const getFurthestCheckoutStep = completedSteps => {
+  return (
+    CHECKOUT_STEP_ORDER.find(step => !completedSteps.includes(step)) || CHECKOUT_STEP_ORDER.at(-1)
+  );
+};
+
+/**
+ * Checks whether a step may be entered given the steps completed so far
+ * A step is reachable when every step before it has been completed
+ * @param {Array<string>} completedSteps - Steps completed so far
+ * @param {string} step - Step the customer is trying to enter
+ * @returns {boolean} True if the step can be entered
+ */
+export const canAccessCheckoutStep = (completedSteps, step) => {
+  const index = CHECKOUT_STEP_ORDER.indexOf(step);
+  if (index === -1) return false;
+  return index <= CHECKOUT_STEP_ORDER.indexOf(getFurthestCheckoutStep(completedSteps));
+};
+
+/**
+ * Main checkout store created with Zustand for step progression and persistence
+ * @typedef {Object} CheckoutStore
+ * @property {string} currentStep - Step the customer is currently on
+ * @property {Array<string>} completedSteps - Steps completed in order
+ * @property {string} contactEmail - Email used for order updates
+ * @property {Object|null} shippingAddress - Shipping address entered on the shipping step
+ * @property {string} shippingMethod - Selected SHIPPING_METHODS identifier
+ * @property {Object|null} paymentMethod - Selected payment method summary (never raw card data)
+ * @property {Array<Object>} giftCards - Gift cards applied on the review step with last4, balance, and the
+ *   server-issued reference (never the code)
+ * @property {Object|null} unpaidOrder - Order placed on the review step whose payment has not succeeded yet
+ * @property {Object|null} order - Placed order shown on the confirmation step
+ * @property {Function} goToStep - Moves to a reachable step
+ * @property {Function} completeStep - Saves step data, marks the step complete, and advances
+ * @property {Function} setShippingMethod - Updates the selected shipping method
+ * @property {Function} addGiftCard - Applies a checked gift card
+ * @property {Function} removeGiftCard - Removes an applied gift card
+ * @property {Function} setUnpaidOrder - Remembers or clears the order awaiting payment
+ * @property {Function} resetCheckout - Clears checkout progress
+ */
+const useCheckoutStore = create(
+  persist(
+    (set, get) => ({
+      ...initialState,
+
+      /**
+       * Moves to a checkout step if every earlier step has been completed
+       * @param {string} step - Step to enter
+       * @returns {boolean} True if the step was entered, false if it is not reachable yet
+       */
+      goToStep: step => {
+        if (!canAccessCheckoutStep(get().completedSteps, step)) return false;
+        if (get().currentStep !== step) set({ currentStep: step });
+        return true;
+      },
+
+      /**
+       * Saves the data collected on a step, marks it complete, and advances to the next step
+       * Completing a step again invalidates the steps after it so later choices are re-confirmed
+       * @param {string} step - Step being completed
+       * @param {Object} [data={}] - Step data to store (contactEmail, shippingAddress, paymentMethod, order)
+       * @returns {string|null} Next step to navigate to, or null if the step cannot be completed
+       */
+      completeStep: (step, data = {}) => {
+        try {
+          const { completedSteps } = get();
+          if (!canAccessCheckoutStep(completedSteps, step)) {
+            errorHandler.handleError(
+              new Error(`Cannot complete checkout step "${step}" before earlier steps`),
+              "VALIDATION_ERROR",
+              { action: "completeStep", step, completedSteps }
+            );
+            return null;
+          }
+
+          const stepIndex = CHECKOUT_STEP_ORDER.indexOf(step);
+          const nextStep = getNextCheckoutStep(step);
+
+          set({
+            ...data,
+            completedSteps: [
+              ...completedSteps.filter(done => CHECKOUT_STEP_ORDER.indexOf(done) < stepIndex),
+              step,
+            ],
+            currentStep: nextStep || step,
+            lastUpdated: new Date().toISOString(),
+          });
+
+          return nextStep;
+        } catch (error) {
+          errorHandler.handleError(error, "UNKNOWN_ERROR", { action: "completeStep", step });
+          return null;
+        }
+      },
+
+      /**
+       * Updates the selected shipping method without completing the shipping step
+       * @param {string} shippingMethod - SHIPPING_METHODS identifier
+       */
+      setShippingMethod: shippingMethod => {
+        set({ shippingMethod, lastUpdated: new Date().toISOString() });
+      },
+
+      /**
+       * Applies a gift card whose balance has been checked, replacing an earlier entry for the same card
+       * @param {Object} giftCard - Gift card from the balance check with last4, balance, and reference
+       * @returns {boolean} True if the card was applied, false once MAX_GIFT_CARDS_PER_ORDER are applied
+       */
+      addGiftCard: giftCard => {
+        const others = get().giftCards.filter(card => card.last4 !== giftCard.last4);
+        if (others.length >= MAX_GIFT_CARDS_PER_ORDER) return false;
+
+        set({ giftCards: [...others, giftCard], lastUpdated: new Date().toISOString() });
+        return true;
+      },
+
+      /**
+       * Removes an applied gift card
+       * @param {string} last4 - Last four characters of the gift card code
+       */
+      removeGiftCard: last4 => {
+        set({
+          giftCards: get().giftCards.filter(card => card.last4 !== last4),
+          lastUpdated: new Date().toISOString(),
+        });
+      },
+
+      /**
+       * Remembers an order that was placed but not paid, so a payment retry reuses it
+       * @param {Object|null} unpaidOrder - Placed order with the checkout key it was placed for, or null to clear
+       */
+      setUnpaidOrder: unpaidOrder => {
+        set({ unpaidOrder, lastUpdated: new Date().toISOString() });
+      },
+
+      /**
+       * Clears all checkout progress, e.g. after an order is confirmed or abandoned
+       */
+      resetCheckout: () => {
+        set({ ...initialState });
+      },
+    }),
+    {
+      name: CHECKOUT_STORAGE_KEY,
+      storage: createJSONStorage(() => sessionStorage),
+      onRehydrateStorage: () => state => {
+        if (!state) return;
+        if (!Array.isArray(state.completedSteps)) {
+          state.completedSteps = [];
+        }
+      },
+    }
+  )
+);
+
+/**
+ * Hook that returns the current checkout step
+ * Using regular selector since currentStep is a primitive string
+ */
+export const useCheckoutStep = () => useCheckoutStore(state => state.currentStep);
+
+/**
+ * Hook that returns the details collected during checkout
+ * CRITICAL: Using useShallow to prevent infinite re-renders when returning object
+ */
+export const useCheckoutDetails = () =>
+  useCheckoutStore(
+    useShallow(state => ({
+      completedSteps: state.completedSteps,
+      contactEmail: state.contactEmail,
+      shippingAddress: state.shippingAddress,
+      shippingMethod: state.shippingMethod,
+      paymentMethod: state.paymentMethod,
+      giftCards: state.giftCards,
+      unpaidOrder: state.unpaidOrder,
+      order: state.order,
+    }))
+  );
+
+/**
+ * Hook that returns checkout action functions for moving through the flow
+ * CRITICAL: Using useShallow to prevent infinite re-renders when returning object
+ */
+export const useCheckoutActions = () =>
+  useCheckoutStore(
+    useShallow(state => ({
+      goToStep: state.goToStep,
+      completeStep: state.completeStep,
+      setShippingMethod: state.setShippingMethod,
+      addGiftCard: state.addGiftCard,
+      removeGiftCard: state.removeGiftCard,
+      setUnpaidOrder: state.setUnpaidOrder,
+      resetCheckout: state.resetCheckout,
+    }))
+  );
+
+export default useCheckoutStore;
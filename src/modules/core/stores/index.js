@@ -1,11 +1,12 @@
 /**
  * @fileoverview Centralized barrel export file for Zustand state management stores
- * Provides unified access to cart store, user store, and all their associated hooks and utilities
+ * Provides unified access to cart store, checkout store, user store, and all their associated hooks and utilities
  * Simplifies import statements across components and maintains clean project architecture
  * Exports both store instances and specialized hooks for granular state access and performance optimization
  *
  * @example - Instead of multiple imports:
  * import useCartStore, { useCartItems, useCartActions } from './cart-store';
+ * import useCheckoutStore, { useCheckoutActions } from './checkout-store';
  * import useUserStore, { useUser, useUserActions } from './user-store';
  *
  * You can now import from a single location:
@@ -21,19 +22,35 @@
 
 // Cart Store Exports
 export {
+  getCartSummary,
   useCartActions,
   useCartCount,
   useCartItems,
   useCartLoading,
+  useCartPromoCodes,
   default as useCartStore,
   useCartSubtotal,
+  useCartSummary,
   useCartTotal,
+  useCartValidation,
 } from "./cart-store";
 
+// Checkout Store Exports
+export {
+  canAccessCheckoutStep,
+  getFurthestCheckoutStep,
+  getNextCheckoutStep,
+  useCheckoutActions,
+  useCheckoutDetails,
+  useCheckoutStep,
+  default as useCheckoutStore,
+} from "./checkout-store";
+
 // User Store Exports
 export {
   useAuthState,
   useRecentlyViewed,
+  useSessionLoaded,
   useUser,
   useUserActions,
   useUserPermissions,
@@ -6,6 +6,7 @@
  */
 import { create } from "zustand";
 import { persist } from "zustand/middleware";
+import { useShallow } from "zustand/react/shallow";
 
 import {
   AUTH_TOKEN_KEY,
@@ -22,10 +23,12 @@ import { errorHandler, formatDate, isValidEmail } from "@modules/core/utils";
  * @typedef {Object} UserStore
  * @property {Object|null} user - Current user object with profile information
  * @property {boolean} isAuthenticated - Authentication status
+ * @property {boolean} isSessionLoaded - Whether the Auth0 session has been checked since the page loaded
  * @property {Object} preferences - User preferences including theme, currency, and notifications
  * @property {Array<Object>} wishlist - User's wishlist items with product details
  * @property {Array<Object>} recentlyViewed - Recently viewed products for recommendations
  * @property {Function} setUser - Sets user data and authentication state
+ * @property {Function} setSessionUser - Sets the user from the Auth0 session profile
  * @property {Function} updateUser - Updates user profile information
  * @property {Function} logout - Clears user data and authentication state
  * @property {Function} updatePreferences - Updates user preferences
@@ -50,6 +53,7 @@ const useUserStore = create(
     (set, get) => ({
       user: null,
       isAuthenticated: false,
+      isSessionLoaded: false,
       preferences: {
         theme: "light",
         currency: DEFAULT_CURRENCY,
@@ -95,6 +99,22 @@ const useUserStore = create(
         }
       },
 
+      /**
+       * Sets the user from the Auth0 session profile returned by /api/auth/me
+       * Claims keep their Auth0 names (given_name, email_verified); id is the MongoDB user ID linked at login
+       * The session is read again on every page load, so the user is not persisted
+       * @function setSessionUser
+       * @param {Object|null} profile - Session user claims, or null when signed out
+       * @param {string} profile.userId - MongoDB user ID linked at login
+       * @param {string} profile.email - User's email address
+       * @returns {boolean} True if the user was set, false if validation failed
+       */
+      setSessionUser: profile => {
+        const isSet = get().setUser(profile ? { ...profile, id: profile.userId } : null);
+        set({ isSessionLoaded: true });
+        return isSet;
+      },
+
       /**
        * Updates user profile information with validation
        * @function updateUser
@@ -509,6 +529,7 @@ const useUserStore = create(
  * @example
  * const user = useUser();
  * const isAuthenticated = useAuthState();
+ * const isSessionLoaded = useSessionLoaded();
  * const preferences = useUserPreferences();
  * const wishlist = useWishlist();
  * const recentlyViewed = useRecentlyViewed();
@@ -517,38 +538,44 @@ const useUserStore = create(
  */
 export const useUser = () => useUserStore(state => state.user);
 export const useAuthState = () => useUserStore(state => state.isAuthenticated);
+export const useSessionLoaded = () => useUserStore(state => state.isSessionLoaded);
 export const useUserPreferences = () => useUserStore(state => state.preferences);
 export const useWishlist = () => useUserStore(state => state.wishlist);
 export const useRecentlyViewed = () => useUserStore(state => state.recentlyViewed);
 export const useUserActions = () =>
-  useUserStore(state => ({
-    setUser: state.setUser,
-    updateUser: state.updateUser,
-    logout: state.logout,
-    updatePreferences: state.updatePreferences,
-    toggleTheme: state.toggleTheme,
-    addToWishlist: state.addToWishlist,
-    removeFromWishlist: state.removeFromWishlist,
-    isInWishlist: state.isInWishlist,
-    clearWishlist: state.clearWishlist,
-    addToRecentlyViewed: state.addToRecentlyViewed,
-    clearRecentlyViewed: state.clearRecentlyViewed,
-    hasRole: state.hasRole,
-    hasPermission: state.hasPermission,
-    isAdmin: state.isAdmin,
-    getUserDisplayName: state.getUserDisplayName,
-    getUserInitials: state.getUserInitials,
-    getFormattedJoinDate: state.getFormattedJoinDate,
-    isEmailVerified: state.isEmailVerified,
-    needsPasswordReset: state.needsPasswordReset,
-  }));
+  useUserStore(
+    useShallow(state => ({
+      setUser: state.setUser,
+      setSessionUser: state.setSessionUser,
+      updateUser: state.updateUser,
+      logout: state.logout,
+      updatePreferences: state.updatePreferences,
+      toggleTheme: state.toggleTheme,
+      addToWishlist: state.addToWishlist,
+      removeFromWishlist: state.removeFromWishlist,
+      isInWishlist: state.isInWishlist,
+      clearWishlist: state.clearWishlist,
+      addToRecentlyViewed: state.addToRecentlyViewed,
+      clearRecentlyViewed: state.clearRecentlyViewed,
+      hasRole: state.hasRole,
+      hasPermission: state.hasPermission,
+      isAdmin: state.isAdmin,
+      getUserDisplayName: state.getUserDisplayName,
+      getUserInitials: state.getUserInitials,
+      getFormattedJoinDate: state.getFormattedJoinDate,
+      isEmailVerified: state.isEmailVerified,
+      needsPasswordReset: state.needsPasswordReset,
+    }))
+  );
 
 export const useUserPermissions = () =>
-  useUserStore(state => ({
-    hasRole: state.hasRole,
-    hasPermission: state.hasPermission,
-    isAdmin: state.isAdmin,
-    isAuthenticated: state.isAuthenticated,
-  }));
+  useUserStore(
+    useShallow(state => ({
+      hasRole: state.hasRole,
+      hasPermission: state.hasPermission,
+      isAdmin: state.isAdmin,
+      isAuthenticated: state.isAuthenticated,
+    }))
+  );
 
 export default useUserStore;
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Address utilities shared by checkout, the address book, and the order APIs
+ * Validates required fields, postal codes, and phone numbers against the rules for each SUPPORTED_COUNTRIES entry,
+ * and renders addresses line by line from the ADDRESS_FORMATS template of their country
+ */
+
+import {
+  ADDRESS_FORMATS,
+  ADDRESS_VALIDATION_RULES,
+  DEFAULT_COUNTRY,
+  PHONE_NUMBER_FORMATS,
+  REQUIRED_ADDRESS_FIELDS,
+  SUPPORTED_COUNTRIES,
+} from "@config/constants";
+
+// Rules for countries without an ADDRESS_VALIDATION_RULES entry: any postal code, no region, any phone number
+const FALLBACK_RULES = {
+  postalCode: /\S/,
+  postalCodeLabel: "postal code",
+  requiresRegion: false,
+  callingCode: null,
+  phoneDigits: [8, 15],
+};
+
+const REQUIRED_MESSAGE = "This field is required";
+
+/**
+ * Reduces a phone number to its national digits for a country
+ * Accepts the number with the country's calling code (+44 20 ...), with a trunk prefix (020 ...), or bare
+ * @param {string} phone - Phone number as entered
+ * @param {Object} rules - Country rules from getAddressRules
+ * @returns {string|null} National digits, or null for a number with another country's calling code
+ */
+const getNationalNumber = (phone, { callingCode }) => {
+  const digits = phone.replaceAll(/\D/g, "");
+
+  if (phone.trim().startsWith("+")) {
+    return callingCode && digits.startsWith(callingCode) ? digits.slice(callingCode.length) : null;
+  }
+  if (callingCode === "1" && digits.length === 11 && digits.startsWith("1")) return digits.slice(1);
+  return digits.replace(/^0/, "");
+};
+
+/**
+ * Looks up the address validation rules for a country
+ * @function getAddressRules
+ * @param {string} country - Country code
+ * @returns {Object} Rules with postalCode pattern, postalCodeLabel, requiresRegion, callingCode, and phoneDigits
+ *
+ * @example
+ * getAddressRules("GB").postalCodeLabel; // "postcode"
+ */
+export const getAddressRules = country => ADDRESS_VALIDATION_RULES[country] || FALLBACK_RULES;
+
+/**
+ * Lists the address fields a country requires
+ * @function getRequiredAddressFields
+ * @param {string} country - Country code
+ * @returns {Array<string>} REQUIRED_ADDRESS_FIELDS without state where the country has no regions in addresses
+ *
+ * @example
+ * getRequiredAddressFields("GB"); // [..., "city", "postalCode", "country", "phoneNumber"] (no "state")
+ */
+export const getRequiredAddressFields = country =>
+  getAddressRules(country).requiresRegion
+    ? REQUIRED_ADDRESS_FIELDS
+    : REQUIRED_ADDRESS_FIELDS.filter(field => field !== "state");
+
+/**
+ * Checks a postal code against the format used in a country
+ * @function isValidPostalCode
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} country - Country code
+ * @returns {boolean} True if the postal code matches the country's format
+ *
+ * @example
+ * isValidPostalCode("SW1A 1AA", "GB"); // true
+ * isValidPostalCode("SW1A 1AA", "US"); // false
+ */
+export const isValidPostalCode = (postalCode, country) =>
+  Boolean(postalCode) && getAddressRules(country).postalCode.test(postalCode.trim());
+
+/**
+ * Checks a phone number against the national number length of a country
+ * Numbers written with another country's calling code are accepted when they are a plausible international number
+ * @function isValidPhoneNumber
+ * @param {string} phone - Phone number as entered
+ * @param {string} country - Country code of the address the number belongs to
+ * @returns {boolean} True if the number could be dialled in or into that country
+ *
+ * @example
+ * isValidPhoneNumber("020 7946 0958", "GB"); // true
+ * isValidPhoneNumber("+44 20 7946 0958", "GB"); // true
+ * isValidPhoneNumber("555-0100", "US"); // false
+ */
+export const isValidPhoneNumber = (phone, country) => {
+  if (!phone?.trim()) return false;
+
+  const rules = getAddressRules(country);
+  const national = getNationalNumber(phone, rules);
+  const [min, max] = national === null ? FALLBACK_RULES.phoneDigits : rules.phoneDigits;
+  const length = (national ?? phone.replaceAll(/\D/g, "")).length;
+
+  return length >= min && length <= max;
+};
+
+/**
+ * Validates an address against the required fields, postal code format, and phone rules of its country
+ * @function validateAddress
+ * @param {Object} address - Address with firstName, lastName, addressLine1, city, state, postalCode, country, and phoneNumber
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ *
+ * @example
+ * validateAddress({ ...address, country: "CA", postalCode: "12345" });
+ * // { postalCode: "Enter a valid postal code" }
+ */
+export const validateAddress = address => {
+  const errors = {};
+  const { country, phoneNumber, postalCode } = address;
+
+  getRequiredAddressFields(country).forEach(field => {
+    if (!address[field]?.trim?.()) errors[field] = REQUIRED_MESSAGE;
+  });
+
+  if (country && !SUPPORTED_COUNTRIES.some(supported => supported.code === country)) {
+    errors.country = "We don't ship to this country";
+  }
+  if (postalCode?.trim() && !isValidPostalCode(postalCode, country)) {
+    errors.postalCode = `Enter a valid ${getAddressRules(country).postalCodeLabel}`;
+  }
+  if (phoneNumber?.trim() && !isValidPhoneNumber(phoneNumber, country)) {
+    errors.phoneNumber = "Enter a valid phone number";
+  }
+
+  return errors;
+};
+
+/**
+ * Formats a phone number with the PHONE_NUMBER_FORMATS pattern of its country
+ * @function formatPhoneNumber
+ * @param {string} phone - Phone number as entered
+ * @param {string} country - Country code
+ * @returns {string} Formatted number, or the number as entered when it does not fit the country's pattern
+ *
+ * @example
+ * formatPhoneNumber("5125550100", "US"); // "+1 (512) 555-0100"
+ */
+export const formatPhoneNumber = (phone, country) => {
+  const format = PHONE_NUMBER_FORMATS[country];
+  if (!phone || !format) return phone || "";
+
+  const national = getNationalNumber(phone, getAddressRules(country));
+  if (national?.length !== format.split("#").length - 1) return phone.trim();
+
+  let index = 0;
+  return format.replaceAll("#", () => national[index++]);
+};
+
+/**
+ * Renders an address as display lines using the ADDRESS_FORMATS template of its country
+ * Countries without a template use the DEFAULT_COUNTRY layout
+ * @function formatAddress
+ * @param {Object} address - Address with the ADDRESS_FIELD_NAMES fields
+ * @returns {Array<string>} Address lines in the order the country writes them, without empty lines
+ *
+ * @example
+ * formatAddress({ firstName: "Ada", lastName: "Lovelace", addressLine1: "10 Downing St", city: "London",
+ *   postalCode: "SW1A 2AA", country: "GB" });
+ * // ["Ada Lovelace", "10 Downing St", "London", "SW1A 2AA", "United Kingdom"]
+ */
+export const formatAddress = address => {
+  if (!address) return [];
+
+  const template = ADDRESS_FORMATS[address.country] || ADDRESS_FORMATS[DEFAULT_COUNTRY];
+  const values = {
+    firstName: address.firstName,
+    lastName: address.lastName,
+    addressLine1: address.addressLine1,
+    addressLine2: address.addressLine2,
+    city: address.city,
+    state: address.state,
+    county: address.state,
+    prefecture: address.state,
+    postalCode: address.postalCode,
+    country:
+      SUPPORTED_COUNTRIES.find(country => country.code === address.country)?.name ||
+      address.country,
+  };
+
+  return template.split("\n").reduce((lines, line) => {
+    const placeholders = [...line.matchAll(/{(\w+)}/g)].map(match => match[1]);
+    if (!placeholders.some(key => values[key]?.trim?.())) return lines;
+
+    const text = line
+      .replaceAll(/{(\w+)}/g, (match, key) => values[key]?.trim?.() || "")
+      .replaceAll(/\s+/g, " ")
+      .replaceAll(/\s+,/g, ",")
+      .replace(/^[\s,]+|[\s,]+$/g, "");
+
+    lines.push(text);
+    return lines;
+  }, []);
+};
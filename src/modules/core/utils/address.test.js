@@ -0,0 +1,126 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  formatAddress,
+  formatPhoneNumber,
+  isValidPhoneNumber,
+  isValidPostalCode,
+  validateAddress,
+} from "./address";
+
+/**
+ * Builds a complete US address
+ * @param {Object} [overrides] - Address fields to replace
+ * @returns {Object} Address-shaped object
+ */
+const buildAddress = (overrides = {}) => ({
+  firstName: "Ada",
+  lastName: "Lovelace",
+  addressLine1: "100 Congress Ave",
+  city: "Austin",
+  state: "TX",
+  postalCode: "78701",
+  country: "US",
+  phoneNumber: "(512) 555-0100",
+  ...overrides,
+});
+
+describe("validateAddress", () => {
+  it("accepts a complete address", () => {
+    expect(validateAddress(buildAddress())).toEqual({});
+  });
+
+  it("requires every field, including the state where the country uses regions", () => {
+    expect(validateAddress(buildAddress({ city: " ", state: "" }))).toEqual({
+      city: "This field is required",
+      state: "This field is required",
+    });
+  });
+
+  it("does not require a region where addresses have none", () => {
+    const address = buildAddress({
+      addressLine1: "10 Downing St",
+      city: "London",
+      state: "",
+      postalCode: "SW1A 2AA",
+      country: "GB",
+      phoneNumber: "020 7946 0958",
+    });
+
+    expect(validateAddress(address)).toEqual({});
+  });
+
+  it("names the postal code format of the country", () => {
+    expect(validateAddress(buildAddress({ postalCode: "SW1A 2AA" }))).toEqual({
+      postalCode: "Enter a valid ZIP code",
+    });
+    expect(validateAddress(buildAddress({ country: "CA", postalCode: "78701" }))).toEqual({
+      postalCode: "Enter a valid postal code",
+    });
+  });
+
+  it("rejects countries we do not ship to", () => {
+    expect(validateAddress(buildAddress({ country: "BR", state: "" }))).toEqual({
+      country: "We don't ship to this country",
+    });
+  });
+
+  it("rejects phone numbers of the wrong length", () => {
+    expect(validateAddress(buildAddress({ phoneNumber: "555-0100" }))).toEqual({
+      phoneNumber: "Enter a valid phone number",
+    });
+  });
+});
+
+describe("isValidPostalCode", () => {
+  it("checks postal codes against the country format", () => {
+    expect(isValidPostalCode("78701-1234", "US")).toBe(true);
+    expect(isValidPostalCode("k1a 0b1", "CA")).toBe(true);
+    expect(isValidPostalCode("100-0001", "JP")).toBe(true);
+    expect(isValidPostalCode("7870", "US")).toBe(false);
+    expect(isValidPostalCode("", "US")).toBe(false);
+  });
+});
+
+describe("isValidPhoneNumber", () => {
+  it("accepts national numbers with or without the calling code or trunk prefix", () => {
+    expect(isValidPhoneNumber("512 555 0100", "US")).toBe(true);
+    expect(isValidPhoneNumber("1 512 555 0100", "US")).toBe(true);
+    expect(isValidPhoneNumber("+44 20 7946 0958", "GB")).toBe(true);
+    expect(isValidPhoneNumber("020 7946 0958", "GB")).toBe(true);
+  });
+
+  it("accepts plausible numbers from another country", () => {
+    expect(isValidPhoneNumber("+1 512 555 0100", "GB")).toBe(true);
+  });
+
+  it("rejects empty and wrong length numbers", () => {
+    expect(isValidPhoneNumber(" ", "US")).toBe(false);
+    expect(isValidPhoneNumber("+44 20 7946", "GB")).toBe(false);
+  });
+});
+
+describe("formatPhoneNumber", () => {
+  it("formats national numbers with the country pattern", () => {
+    expect(formatPhoneNumber("5125550100", "US")).toBe("+1 (512) 555-0100");
+  });
+
+  it("leaves numbers that do not fit the pattern as entered", () => {
+    expect(formatPhoneNumber(" 555-0100 ", "US")).toBe("555-0100");
+  });
+});
+
+describe("formatAddress", () => {
+  it("renders lines in the order the country writes them, skipping empty lines", () => {
+    expect(
+      formatAddress({
+        firstName: "Ada",
+        lastName: "Lovelace",
+        addressLine1: "10 Downing St",
+        city: "London",
+        postalCode: "SW1A 2AA",
+        country: "GB",
+      })
+    ).toEqual(["Ada Lovelace", "10 Downing St", "London", "SW1A 2AA", "United Kingdom"]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Server-side address book helpers for the signed-in customer's saved addresses
+ * Validates address input against the destination country, keeps exactly one default address per type,
+ * and shapes saved addresses for API responses; "both" addresses count as shipping and billing addresses
+ */
+
+import {
+  ADDRESS_FIELD_NAMES,
+  ADDRESS_TYPES,
+  API_VALIDATION_LIMITS,
+  SUPPORTED_COUNTRIES,
+} from "@config/constants";
+import { getAddressRules, isValidPhoneNumber, isValidPostalCode } from "@modules/core/utils";
+
+/**
+ * Lists the address types an address of a given type can be used as
+ * @param {string} type - ADDRESS_TYPES value
+ * @returns {Array<string>} Shipping and/or billing
+ */
+const getCoveredTypes = type =>
+  type === ADDRESS_TYPES.BOTH ? [ADDRESS_TYPES.SHIPPING, ADDRESS_TYPES.BILLING] : [type];
+
+/**
+ * Checks whether an address can be used as a given type
+ * @param {Object} address - Saved address with type
+ * @param {string} type - ADDRESS_TYPES.SHIPPING or ADDRESS_TYPES.BILLING
+ * @returns {boolean} True when the address type matches or is "both"
+ */
+const isAddressForType = (address, type) => getCoveredTypes(address.type).includes(type);
+
+/**
+ * Transforms a saved address subdocument into the API response format
+ * @function transformAddress
+ * @param {Object} address - Address subdocument (lean or hydrated)
+ * @returns {Object} Address with id, type, the ADDRESS_FIELD_NAMES fields (empty strings when unset), and isDefault
+ */
+export const transformAddress = address => ({
+  id: address._id.toString(),
+  type: address.type,
+  ...Object.fromEntries(ADDRESS_FIELD_NAMES.map(field => [field, address[field] || ""])),
+  isDefault: Boolean(address.isDefault),
+});
+
+/**
+ * Transforms a user's address subdocuments into the address book response, default addresses first
+ * @function transformAddressBook
+ * @param {Array<Object>} addresses - Address subdocuments (lean or hydrated)
+ * @returns {Array<Object>} Addresses from transformAddress
+ */
+export const transformAddressBook = addresses =>
+  [...addresses]
+    .sort((first, second) => Number(Boolean(second.isDefault)) - Number(Boolean(first.isDefault)))
+    .map(transformAddress);
+
+/**
+ * Picks the editable address fields from a request body, trimming text values
+ * @function pickAddressFields
+ * @param {Object} input - Request body
+ * @returns {Object} Only the address fields present in the input
+ */
+export const pickAddressFields = input => {
+  const fields = {};
+
+  if (input.type !== undefined) fields.type = input.type;
+  ADDRESS_FIELD_NAMES.forEach(field => {
+    if (typeof input[field] === "string") fields[field] = input[field].trim();
+  });
+  if (fields.country) fields.country = fields.country.toUpperCase();
+  if (input.isDefault !== undefined) fields.isDefault = input.isDefault;
+
+  return fields;
+};
+
+/**
+ * Validates address fields, applying the postal code, region, and phone rules of the address country
+ * @function validateAddressFields
+ * @param {Object} fields - Fields from pickAddressFields, merged over the saved address when updating
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ *
+ * @example
+ * validateAddressFields({ type: "shipping", addressLine1: "1 Main St", city: "Austin", state: "TX", postalCode: "7870", country: "US" });
+ * // { postalCode: "Enter a valid ZIP code" }
+ */
+export const validateAddressFields = fields => {
+  const errors = {};
+  const maxLength = API_VALIDATION_LIMITS.MAX_ADDRESS_FIELD_LENGTH;
+
+  if (!Object.values(ADDRESS_TYPES).includes(fields.type)) {
+    errors.type = `Address type must be one of: ${Object.values(ADDRESS_TYPES).join(", ")}`;
+  }
+
+  ADDRESS_FIELD_NAMES.forEach(field => {
+    if (fields[field]?.length > maxLength) errors[field] = `Use at most ${maxLength} characters`;
+  });
+
+  const rules = getAddressRules(fields.country);
+  if (!SUPPORTED_COUNTRIES.some(country => country.code === fields.country)) {
+    errors.country = "We don't ship to this country";
+  } else if (!isValidPostalCode(fields.postalCode, fields.country)) {
+    errors.postalCode = `Enter a valid ${rules.postalCodeLabel}`;
+  }
+  if (rules.requiresRegion && !fields.state) errors.state = "This field is required";
+  if (fields.phoneNumber && !isValidPhoneNumber(fields.phoneNumber, fields.country)) {
+    errors.phoneNumber = "Enter a valid phone number";
+  }
+
+  if (fields.isDefault !== undefined && typeof fields.isDefault !== "boolean") {
+    errors.isDefault = "isDefault must be true or false";
+  }
+
+  return errors;
+};
+
+/**
+ * Keeps one default address per type after an address has been added, changed, or removed
+ * A new default replaces any other default it shares a type with; when a type is left without a default,
+ * the first address of exactly that type takes over, or a "both" address when no default is left at all
+ * @function normalizeDefaultAddresses
+ * @param {Array<Object>} addresses - User's address subdocuments, updated in place
+ * @param {Object} [changed] - Address that was just added or updated
+ * @returns {Array<Object>} The same addresses
+ *
+ * @example
+ * user.addresses.push(fields);
+ * normalizeDefaultAddresses(user.addresses, user.addresses.at(-1));
+ * await user.save();
+ */
+export const normalizeDefaultAddresses = (addresses, changed) => {
+  if (changed?.isDefault) {
+    addresses.forEach(address => {
+      const sharesType = getCoveredTypes(changed.type).some(type =>
+        isAddressForType(address, type)
+      );
+      if (address !== changed && sharesType) address.isDefault = false;
+    });
+  }
+
+  [ADDRESS_TYPES.SHIPPING, ADDRESS_TYPES.BILLING].forEach(type => {
+    if (addresses.some(address => address.isDefault && isAddressForType(address, type))) return;
+
+    const next =
+      addresses.find(address => address.type === type) ||
+      addresses.find(
+        address => address.type === ADDRESS_TYPES.BOTH && !addresses.some(other => other.isDefault)
+      );
+    if (next) next.isDefault = true;
+  });
+
+  return addresses;
+};
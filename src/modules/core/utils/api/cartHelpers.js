@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Server-side cart helpers for resolving cart owners, building lines, and formatting carts
+ * Resolves guest and user identities, re-prices client lines against MongoDB products, flags
+ * stock problems, and transforms cart documents into the line shape used by the client cart store
+ */
+
+import {
+  BLOCKING_CART_LINE_WARNINGS,
+  CART_EXPIRY,
+  CART_LINE_WARNINGS,
+  CART_SESSION_COOKIE,
+  LOW_STOCK_THRESHOLD,
+} from "@config/constants";
+import { formatCurrency } from "@modules/core/utils";
+
+import { calculateDiscounts } from "./promoHelpers";
+import { getRequestCookie, getRequestUserId, setResponseCookie } from "./requestContext";
+import { calculateTaxes } from "./taxHelpers";
+import { isValidObjectId } from "./validation";
+
+/**
+ * Resolves the cart owner for an API request
+ * @async
+ * @function getCartIdentity
+ * @param {Request} request - Incoming API request
+ * @returns {Promise<Object>} Cart identity with userId (authenticated) and sessionId (guest cookie)
+ *
+ * @example
+ * const identity = await getCartIdentity(request);
+ * const cart = await Cart.findByIdentity(identity);
+ */
+export const getCartIdentity = async request => ({
+  userId: await getRequestUserId(request),
+  sessionId: getRequestCookie(request, CART_SESSION_COOKIE),
+});
+
+/**
+ * Ensures anonymous requests have a guest session identifier
+ * @function ensureCartSession
+ * @param {Object} identity - Identity from getCartIdentity
+ * @returns {Object} Identity with a sessionId and an isNewSession flag for cookie issuing
+ */
+export const ensureCartSession = identity => {
+  if (identity.userId || identity.sessionId) return { ...identity, isNewSession: false };
+  return { ...identity, sessionId: crypto.randomUUID(), isNewSession: true };
+};
+
+/**
+ * Issues the guest cart session cookie on responses that created a new guest cart
+ * @function withCartSession
+ * @param {Response} response - Outgoing API response
+ * @param {Object} identity - Identity from ensureCartSession
+ * @returns {Response} Response with the session cookie attached when needed
+ */
+export const withCartSession = (response, identity) => {
+  if (!identity.isNewSession) return response;
+  return setResponseCookie(response, CART_SESSION_COOKIE, identity.sessionId, CART_EXPIRY);
+};
+
+/**
+ * Builds a cart line from a product document and one of its variants
+ * Prices always come from the database, never from the client
+ * @function buildCartLine
+ * @param {Object} product - Product document (lean or hydrated)
+ * @param {Object} variant - Product variant with sku, size, color, and optional price
+ * @param {number} quantity - Requested quantity
+ * @returns {Object} Cart line ready to be stored on a Cart document
+ */
+export const buildCartLine = (product, variant, quantity) => ({
+  lineId: variant.sku,
+  product: product._id,
+  variant: { size: variant.size, color: variant.color, sku: variant.sku },
+  name: product.name,
+  slug: product.slug,
+  category: product.category,
+  productType: product.productType,
+  taxCategory: product.taxCategory,
+  freeShipping: Boolean(product.freeShipping),
+  image: product.images?.[0]?.url || null,
+  price: variant.price ?? product.price,
+  quantity,
+});
+
+/**
+ * Finds a product variant by SKU
+ * @function findVariant
+ * @param {Object} product - Product document with variants
+ * @param {string} sku - Variant SKU
+ * @returns {Object|undefined} Matching variant
+ */
+export const findVariant = (product, sku) => product?.variants?.find(v => v.sku === sku);
+
+/**
+ * Finds the variant a client cart line refers to
+ * Lines from carts persisted before lines were keyed by SKU carry only size and color, so those are matched on both
+ * @function findLineVariant
+ * @param {Object} product - Product document with variants
+ * @param {Object} line - Client line with sku, or size and color when it has no SKU
+ * @returns {Object|undefined} Matching variant
+ */
+export const findLineVariant = (product, line) => {
+  if (line.sku) return findVariant(product, line.sku);
+  return product?.variants?.find(v => v.size === line.size && v.color === line.color);
+};
+
+/**
+ * Re-resolves client-supplied cart lines against active products
+ * Lines whose product or variant no longer exists are skipped
+ * @async
+ * @function resolveCartLines
+ * @param {Object} Product - Product mongoose model
+ * @param {Array<Object>} lines - Client lines with productId, sku (or size and color), and quantity
+ * @returns {Promise<Array<Object>>} Cart lines priced from the database
+ */
+export const resolveCartLines = async (Product, lines = []) => {
+  const productIds = [...new Set(lines.map(line => line.productId).filter(isValidObjectId))];
+  if (!productIds.length) return [];
+
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true }).lean();
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return lines.reduce((resolved, line) => {
+    const product = productsById.get(String(line.productId));
+    const variant = findLineVariant(product, line);
+    const quantity = Number.parseInt(line.quantity, 10);
+
+    if (variant && quantity > 0) resolved.push(buildCartLine(product, variant, quantity));
+    return resolved;
+  }, []);
+};
+
+/**
+ * Builds the warnings for a single cart line against its current product and variant
+ * @function getCartLineWarnings
+ * @param {Object} line - Client line with price and quantity
+ * @param {Object|undefined} product - Active product document, if any
+ * @param {Object|undefined} variant - Matching variant, if any
+ * @returns {Array<Object>} Warnings with type and customer-facing message
+ */
+const getCartLineWarnings = (line, product, variant) => {
+  if (!variant) {
+    return [{ type: CART_LINE_WARNINGS.UNAVAILABLE, message: "This item is no longer available" }];
+  }
+
+  const warnings = [];
+  const currentPrice = variant.price ?? product.price;
+  const inventory = variant.inventory || 0;
+
+  if (Number(line.price) !== currentPrice) {
+    warnings.push({
+      type: CART_LINE_WARNINGS.PRICE_CHANGED,
+      message: `Price changed from ${formatCurrency(Number(line.price) || 0)} to ${formatCurrency(currentPrice)}`,
+    });
+  }
+
+  if (inventory <= 0) {
+    warnings.push({ type: CART_LINE_WARNINGS.OUT_OF_STOCK, message: "This size is sold out" });
+  } else if (inventory < line.quantity) {
+    warnings.push({
+      type: CART_LINE_WARNINGS.INSUFFICIENT_STOCK,
+      message: `Only ${inventory} available - reduce the quantity to continue`,
+    });
+  } else if (inventory <= LOW_STOCK_THRESHOLD) {
+    warnings.push({ type: CART_LINE_WARNINGS.LOW_STOCK, message: `Only ${inventory} left` });
+  }
+
+  return warnings;
+};
+
+/**
+ * Re-checks client cart lines against current catalog prices and variant inventory
+ * @async
+ * @function validateCartLines
+ * @param {Object} Product - Product mongoose model
+ * @param {Array<Object>} lines - Client lines with lineId, productId, sku (or size and color), price, and quantity
+ * @returns {Promise<Object>} Validation result with per-line SKU, current price, stock, and warnings
+ *
+ * @example
+ * const result = await validateCartLines(Product, items);
+ * // {
+ * //   isValid: false,
+ * //   hasChanges: true,
+ * //   items: [{ lineId: "DJ-001-M", sku: "DJ-001-M", price: 79.99, availableQuantity: 0, warnings: [...] }]
+ * // }
+ */
+export const validateCartLines = async (Product, lines = []) => {
+  const productIds = [...new Set(lines.map(line => line.productId).filter(isValidObjectId))];
+  const products = productIds.length
+    ? await Product.find({ _id: { $in: productIds }, isActive: true }).lean()
+    : [];
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = lines.map(line => {
+    const product = productsById.get(String(line.productId));
+    const variant = findLineVariant(product, line);
+    const warnings = getCartLineWarnings(line, product, variant);
+
+    return {
+      lineId: line.lineId,
+      sku: variant?.sku || null,
+      price: variant ? (variant.price ?? product.price) : Number(line.price) || 0,
+      availableQuantity: variant?.inventory || 0,
+      warnings,
+      isBlocking: warnings.some(warning => BLOCKING_CART_LINE_WARNINGS.includes(warning.type)),
+    };
+  });
+
+  return {
+    items,
+    isValid: items.every(item => !item.isBlocking),
+    hasChanges: items.some(item => item.warnings.length > 0),
+    checkedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Transforms a cart document into the client cart store format
+ * Discount lines are calculated only when the cart's promotions have been populated, and the tax
+ * breakdown only once a shipping address has been given; both are recalculated on every read
+ * @function transformCart
+ * @param {Object|null} cart - Cart document (lean or hydrated) or null
+ * @returns {Object} Cart with client-shaped lines, promo codes, discount lines, tax breakdown, totals, and update timestamp
+ *
+ * @example
+ * return createSuccessResponse(transformCart(await cart.populate("promotions")));
+ * // { id, items: [{ lineId, productId, sku, name, price, quantity, ... }], discounts, totalItems, subtotal }
+ */
+export const transformCart = cart => {
+  const items = (cart?.items || []).map(item => ({
+    lineId: item.lineId,
+    productId: item.product.toString(),
+    sku: item.variant?.sku || null,
+    name: item.name,
+    price: item.price,
+    image: item.image,
+    size: item.variant?.size,
+    color: item.variant?.color,
+    slug: item.slug,
+    category: item.category,
+    productType: item.productType,
+    freeShipping: Boolean(item.freeShipping),
+    quantity: item.quantity,
+  }));
+
+  const promotions = (cart?.promotions || []).filter(promotion => promotion?.code);
+  const discounts = calculateDiscounts(promotions, cart?.items || []);
+  const discount = discounts.reduce((total, line) => total + line.amount, 0);
+
+  return {
+    id: cart?._id?.toString() || null,
+    items,
+    promoCodes: promotions.map(promotion => promotion.code),
+    discounts,
+    discount,
+    taxes: cart?.taxAddress?.country ? calculateTaxes(cart.items, cart.taxAddress, discount) : null,
+    totalItems: items.reduce((total, item) => total + item.quantity, 0),
+    subtotal: items.reduce((total, item) => total + item.price * item.quantity, 0),
+    updatedAt: cart?.updatedAt || null,
+  };
+};
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Server-side gift card helpers for paying orders with gift cards and giving balances back
+ * Issues signed references for checked codes so the browser never has to keep a code, resolves them when the
+ * order is placed, splits an order total across their balances in the order applied, debits them atomically
+ * with rollback, and credits them again for cancellations and refunds
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+import {
+  GIFT_CARD_REFERENCE_EXPIRY,
+  HTTP_STATUS,
+  MAX_GIFT_CARDS_PER_ORDER,
+} from "@config/constants";
+import { getEnvironment } from "@config/environment";
+
+import { isValidObjectId } from "./validation";
+
+/**
+ * Rounds a currency amount to whole cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Amount rounded to two decimal places
+ */
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Creates an error carrying an HTTP status and the gift card's last four characters for API routes to surface
+ * @param {string} message - Customer-facing error message
+ * @param {string} last4 - Last four characters of the gift card code
+ * @returns {Error} Error with status and details properties
+ */
+const createGiftCardError = (message, last4) => {
+  const error = new Error(message);
+  error.status = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+  error.details = { giftCard: last4 };
+  return error;
+};
+
+/**
+ * Computes the signature for a gift card reference
+ * @param {string} payload - Gift card ID, last4, and expiry joined with dots
+ * @param {string} secret - GIFT_CARD_SECRET
+ * @returns {string} Base64url-encoded HMAC-SHA256 signature
+ */
+const signGiftCardReference = (payload, secret) =>
+  createHmac("sha256", secret).update(payload).digest("base64url");
+
+/**
+ * Returns the last four characters a reference claims, for messages about references that cannot be used
+ * @param {string} reference - Gift card reference as sent by the client
+ * @returns {string} Last four code characters
+ */
+const getReferenceLast4 = reference => String(reference).split(".")[1]?.slice(0, 4) || "";
+
+/**
+ * Issues a short-lived reference to a checked gift card, which checkout keeps instead of the code
+ * @function createGiftCardReference
+ * @param {Object} giftCard - Gift card document (lean or hydrated)
+ * @returns {string} Signed reference that pays with the card until GIFT_CARD_REFERENCE_EXPIRY passes
+ * @throws {Error} When GIFT_CARD_SECRET is not configured
+ *
+ * @example
+ * createGiftCardReference(giftCard);
+ * // "6661b2c3d4e5f60123456789.H4NC.1763000000.kX9..."
+ */
+export const createGiftCardReference = giftCard => {
+  const { giftCardSecret } = getEnvironment();
+  if (!giftCardSecret) throw new Error("Please define GIFT_CARD_SECRET to accept gift cards");
+
+  const expires = Math.floor((Date.now() + GIFT_CARD_REFERENCE_EXPIRY) / 1000);
+  const payload = `${giftCard._id}.${giftCard.last4}.${expires}`;
+  return `${payload}.${signGiftCardReference(payload, giftCardSecret)}`;
+};
+
+/**
+ * Verifies a gift card reference and returns the card it points to
+ * @function readGiftCardReference
+ * @param {string} reference - Reference from createGiftCardReference
+ * @returns {string|null} Gift card ID, or null when the reference was not issued here or has expired
+ */
+export const readGiftCardReference = reference => {
+  const { giftCardSecret } = getEnvironment();
+  const [id, last4, expires, signature] = String(reference).split(".");
+
+  if (!giftCardSecret || !signature || !(Number.parseInt(expires, 10) * 1000 > Date.now())) {
+    return null;
+  }
+
+  const expected = Buffer.from(
+    signGiftCardReference(`${id}.${last4}.${expires}`, giftCardSecret),
+    "base64url"
+  );
+  const received = Buffer.from(signature, "base64url");
+  const isValid = expected.length === received.length && timingSafeEqual(expected, received);
+  return isValid && isValidObjectId(id) ? id : null;
+};
+
+/**
+ * Transforms a gift card document into the balance response format
+ * @function transformGiftCard
+ * @param {Object} giftCard - Gift card document (lean or hydrated)
+ * @returns {Object} Gift card with last4, balance, currency, and the reference to pay with it
+ */
+export const transformGiftCard = giftCard => ({
+  last4: giftCard.last4,
+  balance: roundCurrency(giftCard.balance),
+  currency: giftCard.currency,
+  reference: createGiftCardReference(giftCard),
+});
+
+/**
+ * Finds the gift cards behind the references checkout sends, in the order they were applied
+ * @async
+ * @function resolveGiftCards
+ * @param {Object} GiftCard - GiftCard mongoose model
+ * @param {Array<string>} references - References issued by the balance check
+ * @returns {Promise<Array<Object>>} Active gift cards with a balance left
+ * @throws {Error} With status 422 and the card's last four characters when a reference is expired or forged,
+ *   or its card is inactive or empty
+ *
+ * @example
+ * const giftCards = await resolveGiftCards(GiftCard, body.giftCardReferences);
+ */
+export const resolveGiftCards = async (GiftCard, references = []) => {
+  if (references.length > MAX_GIFT_CARDS_PER_ORDER) {
+    throw createGiftCardError(
+      `Only ${MAX_GIFT_CARDS_PER_ORDER} gift cards can be used per order`,
+      getReferenceLast4(references.at(-1))
+    );
+  }
+
+  const giftCards = await Promise.all(
+    references.map(reference => {
+      const id = readGiftCardReference(reference);
+      return id ? GiftCard.findOne({ _id: id, isActive: true }) : null;
+    })
+  );
+
+  return giftCards.reduce((resolved, giftCard, index) => {
+    const last4 = getReferenceLast4(references[index]);
+
+    if (!giftCard) {
+      throw createGiftCardError(`Please apply gift card ${last4} again`, last4 || "card");
+    }
+    if (!(giftCard.balance > 0)) {
+      throw createGiftCardError(`Gift card ${last4} has no balance left`, last4);
+    }
+
+    if (!resolved.some(card => card._id.equals(giftCard._id))) resolved.push(giftCard);
+    return resolved;
+  }, []);
+};
+
+/**
+ * Splits an order total across gift cards, using each card's balance in turn until the total is covered
+ * @function planGiftCardPayments
+ * @param {Array<Object>} giftCards - Gift cards from resolveGiftCards
+ * @param {number} total - Order total
+ * @returns {Object} Plan with payments (giftCard ID, last4, amount), giftCardAmount, and the amountDue left to charge
+ *
+ * @example
+ * planGiftCardPayments([{ _id, last4: "H4NC", balance: 25 }], 80.5);
+ * // { payments: [{ giftCard: _id, last4: "H4NC", amount: 25 }], giftCardAmount: 25, amountDue: 55.5 }
+ */
+export const planGiftCardPayments = (giftCards, total) => {
+  let amountDue = roundCurrency(total);
+
+  const payments = giftCards.reduce((planned, giftCard) => {
+    const amount = roundCurrency(Math.min(giftCard.balance, amountDue));
+
+    if (amount > 0) {
+      planned.push({ giftCard: giftCard._id, last4: giftCard.last4, amount });
+      amountDue = roundCurrency(amountDue - amount);
+    }
+
+    return planned;
+  }, []);
+
+  return { payments, giftCardAmount: roundCurrency(total - amountDue), amountDue };
+};
+
+/**
+ * Credits gift card payments back, up to what each card paid and has not had back yet
+ * Amounts go back to the last card used first, so a partial refund returns the balance a customer spent most recently
+ * Each payment's refundedAmount is updated in place, so callers passing order.giftCardPayments only need to save the order
+ * @async
+ * @function creditGiftCards
+ * @param {Object} GiftCard - GiftCard mongoose model
+ * @param {Array<Object>} payments - Gift card payments with giftCard, amount, and refundedAmount
+ * @param {number} amount - Amount to credit back
+ * @param {string} orderNumber - Order the amount came from
+ * @returns {Promise<Array<Object>>} Credits made as { giftCard, amount }
+ */
+export const creditGiftCards = async (GiftCard, payments, amount, orderNumber) => {
+  let remaining = roundCurrency(amount);
+  const credits = [];
+
+  for (const payment of [...payments].reverse()) {
+    const creditable = roundCurrency(payment.amount - (payment.refundedAmount || 0));
+    const credit = roundCurrency(Math.min(creditable, remaining));
+
+    if (credit > 0) {
+      await GiftCard.credit(payment.giftCard, credit, orderNumber);
+      payment.refundedAmount = roundCurrency((payment.refundedAmount || 0) + credit);
+      credits.push({ giftCard: payment.giftCard, amount: credit });
+      remaining = roundCurrency(remaining - credit);
+    }
+  }
+
+  return credits;
+};
+
+/**
+ * Debits every planned gift card payment, crediting back already-debited cards if any balance has run out
+ * @async
+ * @function debitGiftCards
+ * @param {Object} GiftCard - GiftCard mongoose model
+ * @param {Array<Object>} payments - Payments from planGiftCardPayments
+ * @param {string} orderNumber - Order the payments are for
+ * @returns {Promise<void>}
+ * @throws {Error} With status 422 and the card's last four characters when a balance changed since it was read
+ */
+export const debitGiftCards = async (GiftCard, payments, orderNumber) => {
+  const debited = [];
+
+  for (const payment of payments) {
+    if (!(await GiftCard.debit(payment.giftCard, payment.amount, orderNumber))) {
+      await creditGiftCards(
+        GiftCard,
+        debited,
+        debited.reduce((total, entry) => total + entry.amount, 0),
+        orderNumber
+      );
+      throw createGiftCardError(
+        `Gift card ${payment.last4} no longer has enough balance`,
+        payment.last4
+      );
+    }
+
+    debited.push(payment);
+  }
+};
+
+/**
+ * Works out how much of a refund goes back to the payment provider and how much to gift cards
+ * The provider refunds what it captured first, so gift card balances are only restored once the card payment is used up
+ * @function splitRefund
+ * @param {Object} order - Order document with total, giftCardAmount, refundedAmount, and giftCardPayments
+ * @param {number} amount - Amount being refunded
+ * @returns {Object} Refund split with providerAmount and giftCardAmount
+ *
+ * @example
+ * splitRefund({ total: 100, giftCardAmount: 30, refundedAmount: 0, giftCardPayments }, 80);
+ * // { providerAmount: 70, giftCardAmount: 10 }
+ */
+export const splitRefund = (order, amount) => {
+  const giftCardRefunded = (order.giftCardPayments || []).reduce(
+    (total, payment) => total + (payment.refundedAmount || 0),
+    0
+  );
+  const providerRefunded = (order.refundedAmount || 0) - giftCardRefunded;
+  const providerCaptured = order.total - (order.giftCardAmount || 0);
+  const providerAmount = roundCurrency(
+    Math.max(Math.min(amount, providerCaptured - providerRefunded), 0)
+  );
+
+  return { providerAmount, giftCardAmount: roundCurrency(amount - providerAmount) };
+};
@@ -56,6 +56,98 @@ export {
   createValidationErrorResponse,
 } from "./responseBuilders";
 
+// Request context
+export { getRequestCookie, getRequestUserId, setResponseCookie } from "./requestContext";
+
+// Rate limiting
+export { getRateLimitResponse } from "./rateLimit";
+
+// Cart helpers
+export {
+  buildCartLine,
+  ensureCartSession,
+  findLineVariant,
+  findVariant,
+  getCartIdentity,
+  resolveCartLines,
+  transformCart,
+  validateCartLines,
+  withCartSession,
+} from "./cartHelpers";
+
+// Order helpers
+export {
+  calculateOrderTotals,
+  calculateRefund,
+  findShippingMethod,
+  resolveGiftLines,
+  resolveOrderLines,
+  restoreOrderStock,
+  toOrderAddress,
+  transformOrder,
+} from "./orderHelpers";
+
+// Order lookup helpers
+export {
+  createOrderLookupUrl,
+  normalizeLookupEmail,
+  verifyOrderLookupSignature,
+} from "./orderLookup";
+
+// Promo code helpers
+export {
+  calculateDiscounts,
+  countCustomerRedemptions,
+  getPromotionIssue,
+  getRedemptionCustomers,
+  redeemPromotions,
+  releasePromotions,
+} from "./promoHelpers";
+
+// Gift card helpers
+export {
+  creditGiftCards,
+  debitGiftCards,
+  planGiftCardPayments,
+  resolveGiftCards,
+  splitRefund,
+  transformGiftCard,
+} from "./giftCardHelpers";
+
+// Inventory helpers
+export {
+  findStockLevels,
+  getStockStatus,
+  parseSkuList,
+  transformInventoryAdjustment,
+  transformRestockSubscription,
+  transformStockLevel,
+} from "./inventoryHelpers";
+
+// Address book helpers
+export {
+  normalizeDefaultAddresses,
+  pickAddressFields,
+  transformAddress,
+  transformAddressBook,
+  validateAddressFields,
+} from "./addressHelpers";
+
+// Review helpers
+export {
+  buildReviewSort,
+  getReviewAuthorName,
+  pickReviewFields,
+  transformReview,
+  validateReviewFields,
+} from "./reviewHelpers";
+
+// Tax helpers
+export { calculateTaxes, getTaxJurisdiction } from "./taxHelpers";
+
+// Webhook events
+export { emitWebhookEvent, onWebhookEvent, signWebhookPayload } from "./webhooks";
+
 // Content helpers (for CMS integration)
 export {
   createFallbackResponse,
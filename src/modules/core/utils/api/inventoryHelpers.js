@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Server-side inventory helpers for the stock read and adjustment endpoints
+ * Works out what each variant can still sell once checkout holds are taken off its stock on hand,
+ * and formats stock levels, adjustment ledger entries, and restock subscriptions for API responses
+ */
+
+import { LOW_STOCK_THRESHOLD, PRODUCT_STATUS } from "@config/constants";
+
+/**
+ * Reads the SKUs requested through repeated or comma-separated sku query parameters
+ * @function parseSkuList
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Array<string>} Unique, trimmed SKUs in the order requested
+ *
+ * @example
+ * parseSkuList(new URLSearchParams("sku=DJ-001-M-BLU,DJ-001-L-BLU&sku=UCJ-BLK-S"));
+ * // ["DJ-001-M-BLU", "DJ-001-L-BLU", "UCJ-BLK-S"]
+ */
+export const parseSkuList = searchParams => [
+  ...new Set(
+    searchParams
+      .getAll("sku")
+      .flatMap(value => value.split(","))
+      .map(sku => sku.trim())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Maps the units a variant can still sell onto a product status
+ * @function getStockStatus
+ * @param {number} available - Units available to new orders
+ * @returns {string} PRODUCT_STATUS value: in_stock, low_stock, or out_of_stock
+ */
+export const getStockStatus = available => {
+  if (available <= 0) return PRODUCT_STATUS.OUT_OF_STOCK;
+  return available <= LOW_STOCK_THRESHOLD ? PRODUCT_STATUS.LOW_STOCK : PRODUCT_STATUS.IN_STOCK;
+};
+
+/**
+ * Transforms a variant into the stock level response format
+ * @function transformStockLevel
+ * @param {Object} product - Lean product with _id, name, and variants
+ * @param {Object} variant - Variant with sku, size, color, and inventory
+ * @param {number} [held=0] - Units under active checkout holds
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.includeCounts=false] - Include stock on hand and held units (administrators)
+ * @returns {Object} Stock level with sku, product, size, color, available units, and status
+ */
+export const transformStockLevel = (product, variant, held = 0, { includeCounts = false } = {}) => {
+  const available = Math.max(0, variant.inventory - held);
+
+  return {
+    sku: variant.sku,
+    productId: product._id.toString(),
+    productName: product.name,
+    size: variant.size,
+    color: variant.color,
+    available,
+    status: getStockStatus(available),
+    ...(includeCounts && { inventory: variant.inventory, held }),
+  };
+};
+
+/**
+ * Loads stock levels for a list of SKUs, taking active checkout holds off each variant's stock on hand
+ * @async
+ * @function findStockLevels
+ * @param {Object} models - InventoryReservation and Product mongoose models
+ * @param {Array<string>} skus - Variant SKUs
+ * @param {Object} [options={}] - Options passed on to transformStockLevel
+ * @returns {Promise<Object>} { stock, missing } with stock levels in the order requested and unknown SKUs
+ *
+ * @example
+ * const { missing, stock } = await findStockLevels({ InventoryReservation, Product }, ["DJ-001-M-BLU"]);
+ * // stock: [{ sku: "DJ-001-M-BLU", available: 3, status: "low_stock", ... }], missing: []
+ */
+export const findStockLevels = async ({ InventoryReservation, Product }, skus, options = {}) => {
+  const [products, held] = await Promise.all([
+    Product.find({ "variants.sku": { $in: skus } }, "name variants").lean(),
+    InventoryReservation.getHeldQuantities(skus),
+  ]);
+
+  const bySku = new Map(
+    products.flatMap(product =>
+      product.variants.map(variant => [
+        variant.sku,
+        transformStockLevel(product, variant, held.get(variant.sku), options),
+      ])
+    )
+  );
+
+  return {
+    stock: skus.filter(sku => bySku.has(sku)).map(sku => bySku.get(sku)),
+    missing: skus.filter(sku => !bySku.has(sku)),
+  };
+};
+
+/**
+ * Transforms an inventory adjustment ledger entry into the API response format
+ * @function transformInventoryAdjustment
+ * @param {Object} adjustment - Inventory adjustment document (lean or hydrated)
+ * @returns {Object} Ledger entry with counts, reason, note, actor, and timestamp
+ */
+export const transformInventoryAdjustment = adjustment => ({
+  id: adjustment._id.toString(),
+  productId: adjustment.product.toString(),
+  sku: adjustment.sku,
+  change: adjustment.change,
+  previousInventory: adjustment.previousInventory,
+  inventory: adjustment.inventory,
+  reason: adjustment.reason,
+  note: adjustment.note,
+  actor: adjustment.actor,
+  createdAt: adjustment.createdAt,
+});
+
+/**
+ * Transforms a restock subscription into the API response format
+ * @function transformRestockSubscription
+ * @param {Object} subscription - Restock subscription document (lean or hydrated)
+ * @returns {Object} Subscription with SKU, product, address, and notification state
+ */
+export const transformRestockSubscription = subscription => ({
+  id: subscription._id.toString(),
+  productId: subscription.product.toString(),
+  sku: subscription.sku,
+  email: subscription.email,
+  notifiedAt: subscription.notifiedAt,
+  createdAt: subscription.createdAt,
+});
@@ -0,0 +1,460 @@
+/**
+ * @fileoverview Server-side order helpers for pricing order lines, calculating totals, and taking stock
+ * Re-prices every line from MongoDB so order totals never depend on client-supplied amounts,
+ * adds free gift lines for gift promotions, takes variant inventory atomically with rollback, calculates refunds, and transforms order documents for API responses
+ */
+
+import {
+  ADDRESS_FIELD_NAMES,
+  HTTP_STATUS,
+  MAX_QUANTITY_PER_ITEM,
+  SHIPPING_METHODS,
+} from "@config/constants";
+import { calculateShippingCost } from "@modules/core/utils";
+
+import { findVariant } from "./cartHelpers";
+import { calculateTaxes } from "./taxHelpers";
+import { isValidObjectId } from "./validation";
+
+/**
+ * Rounds a currency amount to whole cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Amount rounded to two decimal places
+ */
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Creates an error carrying an HTTP status for the order route to surface
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {Object} [details={}] - Extra details for the error response
+ * @returns {Error} Error with status and details properties
+ */
+const createOrderError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Combines client lines that reference the same variant so stock is checked once per SKU
+ * @param {Array<Object>} items - Client lines with productId, sku, and quantity
+ * @returns {Array<Object>} Lines with unique SKUs and summed quantities
+ * @throws {Error} With status 422 when lines for one SKU name different products, or their combined quantity
+ *   exceeds MAX_QUANTITY_PER_ITEM
+ */
+const mergeOrderItems = items => {
+  const bySku = new Map();
+
+  items.forEach(({ productId, quantity, sku }) => {
+    const existing = bySku.get(sku);
+    const amount = Number.parseInt(quantity, 10) || 0;
+
+    if (existing && String(existing.productId) !== String(productId)) {
+      throw createOrderError(
+        `Item ${sku} was sent for more than one product`,
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        { sku }
+      );
+    }
+
+    const merged = { productId, sku, quantity: (existing?.quantity || 0) + amount };
+    if (merged.quantity > MAX_QUANTITY_PER_ITEM) {
+      throw createOrderError(
+        `Cannot order more than ${MAX_QUANTITY_PER_ITEM} of the same item`,
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        { sku, maxQuantity: MAX_QUANTITY_PER_ITEM }
+      );
+    }
+
+    bySku.set(sku, merged);
+  });
+
+  return [...bySku.values()];
+};
+
+/**
+ * Prices order lines from active products and their variants
+ * @async
+ * @function resolveOrderLines
+ * @param {Object} Product - Product mongoose model
+ * @param {Array<Object>} items - Client lines with productId, sku, and quantity
+ * @returns {Promise<Array<Object>>} Order lines with product, category, productType, taxCategory, freeShipping, variant, quantity, price, and total
+ * @throws {Error} With status 422 when any product or variant is no longer available, a SKU is sent for two
+ *   products, or a SKU's lines add up to more than MAX_QUANTITY_PER_ITEM
+ *
+ * @example
+ * const lines = await resolveOrderLines(Product, [
+ *   { productId: "507f1f77bcf86cd799439011", sku: "DJ-001-M-BLU", quantity: 2 },
+ * ]);
+ * // [{ product, category, variant: { size: "M", color: "Blue", sku }, quantity: 2, price: 79.99, total: 159.98 }]
+ */
+export const resolveOrderLines = async (Product, items = []) => {
+  const merged = mergeOrderItems(items);
+  const productIds = [...new Set(merged.map(line => line.productId).filter(isValidObjectId))];
+  const products = productIds.length
+    ? await Product.find({ _id: { $in: productIds }, isActive: true }).lean()
+    : [];
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const unavailable = [];
+  const lines = merged.map(line => {
+    const product = productsById.get(String(line.productId));
+    const variant = findVariant(product, line.sku);
+
+    if (!variant) {
+      unavailable.push(line.sku);
+      return null;
+    }
+
+    const price = variant.price ?? product.price;
+    return {
+      product: product._id,
+      category: product.category,
+      productType: product.productType,
+      taxCategory: product.taxCategory,
+      freeShipping: Boolean(product.freeShipping),
+      variant: { size: variant.size, color: variant.color, sku: variant.sku },
+      quantity: line.quantity,
+      price,
+      total: roundCurrency(price * line.quantity),
+    };
+  });
+
+  if (unavailable.length) {
+    throw createOrderError("Some items are no longer available", HTTP_STATUS.UNPROCESSABLE_ENTITY, {
+      unavailable,
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Builds free order lines for gift promotions whose gift variant is in stock
+ * Out-of-stock gifts are left out rather than blocking the order
+ * @async
+ * @function resolveGiftLines
+ * @param {Object} Product - Product mongoose model
+ * @param {Array<Object>} discounts - Discount lines from calculateDiscounts
+ * @returns {Promise<Array<Object>>} Order lines priced at zero
+ */
+export const resolveGiftLines = async (Product, discounts) => {
+  const gifts = discounts.filter(discount => discount.gift?.productId);
+  if (!gifts.length) return [];
+
+  const products = await Product.find({
+    _id: { $in: gifts.map(discount => discount.gift.productId) },
+    isActive: true,
+  }).lean();
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return gifts.reduce((lines, { gift }) => {
+    const product = productsById.get(gift.productId);
+    const variant = findVariant(product, gift.sku);
+
+    if (variant?.inventory > 0) {
+      lines.push({
+        product: product._id,
+        category: product.category,
+        taxCategory: product.taxCategory,
+        variant: { size: variant.size, color: variant.color, sku: variant.sku },
+        quantity: 1,
+        price: 0,
+        total: 0,
+      });
+    }
+
+    return lines;
+  }, []);
+};
+
+/**
+ * Finds a shipping method by identifier
+ * @function findShippingMethod
+ * @param {string} shippingMethodId - SHIPPING_METHODS identifier
+ * @returns {Object|undefined} Matching shipping method
+ */
+export const findShippingMethod = shippingMethodId =>
+  SHIPPING_METHODS.find(method => method.id === shippingMethodId);
+
+/**
+ * Calculates order totals from priced lines, the selected shipping method, promo code discounts, and the shipping address
+ * Mirrors the checkout summary: free shipping thresholds apply to the subtotal before discounts, orders of only
+ * free shipping products ship free on methods with a threshold, and tax is charged on lines after item discounts at the destination's rate; tax-inclusive prices add nothing to the total
+ * @function calculateOrderTotals
+ * @param {Array<Object>} lines - Priced order lines from resolveOrderLines
+ * @param {Object} shippingMethod - Entry from SHIPPING_METHODS
+ * @param {Array<Object>} [discounts=[]] - Discount lines from calculateDiscounts
+ * @param {Object} [address={}] - Shipping address with country and state
+ * @returns {Object} Totals with subtotal, discount, shipping, tax, the taxes breakdown, and total
+ *
+ * @example
+ * const totals = calculateOrderTotals(lines, findShippingMethod("standard"), [], { country: "US", state: "NY" });
+ * // { subtotal: 159.98, discount: 0, shipping: 0, tax: 6.4, taxes: { rate: 0.04, lines: [...] }, total: 166.38 }
+ */
+export const calculateOrderTotals = (lines, shippingMethod, discounts = [], address = {}) => {
+  const subtotal = roundCurrency(lines.reduce((total, line) => total + line.total, 0));
+  const shipping = calculateShippingCost(shippingMethod, lines, {
+    hasFreeShippingPromo: discounts.some(discount => discount.freeShipping),
+  });
+  const discount = roundCurrency(
+    discounts.filter(line => !line.freeShipping).reduce((total, line) => total + line.amount, 0)
+  );
+  const taxes = calculateTaxes(lines, address, discount);
+
+  return {
+    subtotal,
+    discount,
+    shipping,
+    tax: taxes.amount,
+    taxes,
+    total: roundCurrency(subtotal - discount + shipping + (taxes.included ? 0 : taxes.amount)),
+  };
+};
+
+/**
+ * Returns stock taken for order lines and reverses their sales counts
+ * @async
+ * @function restoreOrderStock
+ * @param {Object} Product - Product mongoose model
+ * @param {Array<Object>} lines - Order lines whose stock should be returned
+ * @returns {Promise<void>}
+ */
+export const restoreOrderStock = async (Product, lines) => {
+  await Promise.all(
+    lines.map(line =>
+      Product.incrementVariantInventory(line.product, line.variant.sku, line.quantity)
+    )
+  );
+};
+
+/**
+ * Checks whether an order line was charged for and so can be refunded
+ * Free gift lines can share a SKU with a paid line, so refunds by SKU only ever match the paid line
+ * @param {Object} item - Order line
+ * @returns {boolean} True for lines with a price
+ */
+const isRefundableLine = item => item.price > 0;
+
+/**
+ * Works out the tax to give back with refunded units of a line
+ * Uses the line's own tax from the order's breakdown, which is nothing extra when prices included tax;
+ * orders placed before line-level taxes spread the order tax over lines in proportion to their price
+ * @param {Object} order - Order document with tax, taxes, subtotal, and discount
+ * @param {Object} item - Order line being refunded
+ * @param {number} quantity - Units being refunded
+ * @param {number} lineSubtotal - Refunded units' price after their share of discounts
+ * @returns {number} Tax to refund on top of the line amount
+ */
+const getRefundLineTax = (order, item, quantity, lineSubtotal) => {
+  // Tax lines are priced in the same order as the order lines
+  const taxLine = order.taxes?.lines?.[order.items.indexOf(item)];
+  if (taxLine?.sku === item.variant?.sku) {
+    return order.taxes.included ? 0 : (taxLine.amount * quantity) / item.quantity;
+  }
+
+  const taxableSubtotal = order.subtotal - (order.discount || 0);
+  return taxableSubtotal ? (order.tax * lineSubtotal) / taxableSubtotal : 0;
+};
+
+/**
+ * Works out what a refund covers: the requested lines with their share of discounts and tax, or a set amount
+ * With neither items nor amount, refunds everything not yet refunded (all remaining units and shipping)
+ * @function calculateRefund
+ * @param {Object} order - Order document with items, totals, and refundedAmount
+ * @param {Object} [request={}] - Refund request
+ * @param {Array<Object>} [request.items] - Lines to refund as { sku, quantity }
+ * @param {number} [request.amount] - Amount to refund instead of the calculated line amounts
+ * @returns {Object} Refund with lines ({ itemId, product, sku, quantity, amount }) and the amount to refund
+ * @throws {Error} With status 422 when a line is unknown, over-refunded, or the amount exceeds what remains
+ *
+ * @example
+ * const refund = calculateRefund(order, { items: [{ sku: "DJ-001-M-BLU", quantity: 1 }] });
+ * // { lines: [{ itemId, product, sku: "DJ-001-M-BLU", quantity: 1, amount: 96.29 }], amount: 96.29 }
+ */
+export const calculateRefund = (order, { amount, items } = {}) => {
+  const remaining = roundCurrency(order.total - (order.refundedAmount || 0));
+  const isFullRefund = !items?.length && amount === undefined;
+  const requested = new Map();
+
+  if (isFullRefund) {
+    order.items.filter(isRefundableLine).forEach(item => {
+      requested.set(item.variant.sku, item.quantity - (item.refundedQuantity || 0));
+    });
+  } else {
+    (items || []).forEach(({ quantity, sku }) => {
+      requested.set(sku, (requested.get(sku) || 0) + Number.parseInt(quantity, 10));
+    });
+  }
+
+  const lines = [...requested]
+    .filter(([, quantity]) => !isFullRefund || quantity > 0)
+    .map(([sku, quantity]) => {
+      const item = order.items.find(entry => isRefundableLine(entry) && entry.variant?.sku === sku);
+      const refundable = item ? item.quantity - (item.refundedQuantity || 0) : 0;
+
+      if (!(quantity >= 1 && quantity <= refundable)) {
+        throw createOrderError(
+          `Cannot refund ${quantity} of ${sku}`,
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          {
+            sku,
+            refundable,
+          }
+        );
+      }
+
+      // Order-level discounts are spread over lines in proportion to their price
+      const lineSubtotal = order.subtotal
+        ? (item.price * quantity * (order.subtotal - (order.discount || 0))) / order.subtotal
+        : 0;
+      const lineTax = getRefundLineTax(order, item, quantity, lineSubtotal);
+      return {
+        itemId: item._id,
+        product: item.product,
+        sku,
+        quantity,
+        amount: roundCurrency(lineSubtotal + lineTax),
+      };
+    });
+
+  const lineAmount = roundCurrency(lines.reduce((total, line) => total + line.amount, 0));
+  let refundAmount = Math.min(lineAmount, remaining);
+  if (isFullRefund) refundAmount = remaining;
+  else if (amount !== undefined) refundAmount = roundCurrency(Number(amount));
+
+  if (!(refundAmount > 0 && refundAmount <= remaining)) {
+    throw createOrderError(
+      "Refund amount must be more than zero and no more than the amount left to refund",
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      { amount: refundAmount, remaining }
+    );
+  }
+
+  return { lines, amount: refundAmount };
+};
+
+/**
+ * Picks the ADDRESS_FIELD_NAMES fields of a checkout address for storing on an order, trimming each value
+ * @function toOrderAddress
+ * @param {Object} address - Checkout address form values
+ * @returns {Object} Order address with empty fields left out
+ */
+export const toOrderAddress = address =>
+  Object.fromEntries(
+    ADDRESS_FIELD_NAMES.map(field => [field, address[field]?.trim?.()]).filter(([, value]) => value)
+  );
+
+/**
+ * Builds the product snapshot for an order line when its product reference has been populated
+ * @param {Object|ObjectId} product - Populated product document or bare product ID
+ * @returns {Object|null} Product name, slug, category, and image, or null when not populated
+ */
+const getProductSnapshot = product => {
+  if (!product?.name) return null;
+
+  return {
+    name: product.name,
+    slug: product.slug,
+    category: product.category,
+    image: product.images?.[0]?.url || null,
+  };
+};
+
+/**
+ * Transforms an order document into the API response format
+ * Lines include a product snapshot when items.product has been populated
+ * @function transformOrder
+ * @param {Object} order - Order document (lean or hydrated)
+ * @returns {Object} Order with string IDs, line items, totals, and status fields
+ *
+ * @example
+ * const order = await Order.findOne({ orderNumber, user: userId })
+ *   .populate("items.product", "name slug category images")
+ *   .lean();
+ * return createSuccessResponse(transformOrder(order), { endpoint });
+ */
+export const transformOrder = order => ({
+  id: order._id.toString(),
+  orderNumber: order.orderNumber,
+  items: order.items.map(item => ({
+    productId: (item.product?._id || item.product).toString(),
+    product: getProductSnapshot(item.product),
+    sku: item.variant?.sku || null,
+    size: item.variant?.size,
+    color: item.variant?.color,
+    quantity: item.quantity,
+    price: item.price,
+    total: item.total,
+    productType: item.productType,
+    refundedQuantity: item.refundedQuantity || 0,
+  })),
+  itemCount: order.items.reduce((count, item) => count + item.quantity, 0),
+  contactEmail: order.contactEmail || null,
+  shippingAddress: order.shippingAddress,
+  shippingMethod: order.shippingMethod,
+  estimatedDelivery: order.estimatedDelivery?.earliest
+    ? { earliest: order.estimatedDelivery.earliest, latest: order.estimatedDelivery.latest }
+    : null,
+  subtotal: order.subtotal,
+  discount: order.discount || 0,
+  discounts: (order.discounts || []).map(discount => ({
+    code: discount.code,
+    type: discount.type,
+    description: discount.description || null,
+    amount: discount.amount,
+  })),
+  shipping: order.shipping,
+  tax: order.tax,
+  taxes: order.taxes?.name
+    ? {
+        country: order.taxes.country || null,
+        region: order.taxes.region || null,
+        name: order.taxes.name,
+        rate: order.taxes.rate,
+        included: Boolean(order.taxes.included),
+        lines: (order.taxes.lines || []).map(({ amount, isExempt, rate, sku, taxableAmount }) => ({
+          sku,
+          taxableAmount,
+          rate,
+          amount,
+          isExempt: Boolean(isExempt),
+        })),
+      }
+    : null,
+  total: order.total,
+  giftCardAmount: order.giftCardAmount || 0,
+  amountDue: order.amountDue ?? order.total,
+  giftCardPayments: (order.giftCardPayments || []).map(payment => ({
+    last4: payment.last4,
+    amount: payment.amount,
+    refundedAmount: payment.refundedAmount || 0,
+  })),
+  issuedGiftCards: (order.issuedGiftCards || []).map(({ amount, last4 }) => ({ last4, amount })),
+  status: order.status,
+  statusHistory: (order.statusHistory || []).map(entry => ({
+    from: entry.from || null,
+    to: entry.to,
+    reason: entry.reason || null,
+    changedAt: entry.changedAt,
+  })),
+  paymentStatus: order.paymentStatus,
+  refundedAmount: order.refundedAmount || 0,
+  refunds: (order.refunds || []).map(refund => ({
+    amount: refund.amount,
+    reason: refund.reason,
+    items: refund.items.map(({ quantity, sku }) => ({ sku, quantity })),
+    createdAt: refund.createdAt,
+  })),
+  paymentMethod: order.paymentMethod?.type
+    ? {
+        type: order.paymentMethod.type,
+        brand: order.paymentMethod.brand || null,
+        last4: order.paymentMethod.last4 || null,
+      }
+    : null,
+  trackingNumber: order.trackingNumber || null,
+  createdAt: order.createdAt,
+});
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+
+import { HTTP_STATUS } from "@config/constants";
+
+import { calculateRefund } from "./orderHelpers";
+
+/**
+ * Builds an order with two units of a $50 jacket, a $10 discount, $5 shipping, and 20% tax on top of prices,
+ * plus a free gift line that shares the jacket's SKU
+ * @param {Object} [overrides] - Order fields to replace
+ * @returns {Object} Order-shaped object
+ */
+const buildOrder = (overrides = {}) => ({
+  items: [
+    {
+      _id: "line-paid",
+      product: "product-1",
+      variant: { sku: "DJ-001-M-BLU" },
+      quantity: 2,
+      price: 50,
+      refundedQuantity: 0,
+    },
+    {
+      _id: "line-gift",
+      product: "product-1",
+      variant: { sku: "DJ-001-M-BLU" },
+      quantity: 1,
+      price: 0,
+      refundedQuantity: 0,
+    },
+  ],
+  subtotal: 100,
+  discount: 10,
+  shipping: 5,
+  tax: 18,
+  taxes: {
+    included: false,
+    lines: [
+      { sku: "DJ-001-M-BLU", amount: 18 },
+      { sku: "DJ-001-M-BLU", amount: 0 },
+    ],
+  },
+  total: 113,
+  refundedAmount: 0,
+  ...overrides,
+});
+
+describe("calculateRefund", () => {
+  it("refunds units with their share of the discount and their line tax", () => {
+    const refund = calculateRefund(buildOrder(), {
+      items: [{ sku: "DJ-001-M-BLU", quantity: 1 }],
+    });
+
+    expect(refund.amount).toBe(54);
+    expect(refund.lines).toEqual([
+      { itemId: "line-paid", product: "product-1", sku: "DJ-001-M-BLU", quantity: 1, amount: 54 },
+    ]);
+  });
+
+  it("matches the paid line rather than a free gift line with the same SKU", () => {
+    const refund = calculateRefund(buildOrder(), {
+      items: [{ sku: "DJ-001-M-BLU", quantity: 2 }],
+    });
+
+    expect(refund.lines[0].itemId).toBe("line-paid");
+    expect(refund.amount).toBe(108);
+  });
+
+  it("adds no tax when prices already included it", () => {
+    const order = buildOrder({ taxes: { ...buildOrder().taxes, included: true }, total: 95 });
+    const refund = calculateRefund(order, { items: [{ sku: "DJ-001-M-BLU", quantity: 1 }] });
+
+    expect(refund.amount).toBe(45);
+  });
+
+  it("refunds everything left, including shipping, when neither items nor amount are given", () => {
+    const order = buildOrder({ refundedAmount: 54 });
+    order.items[0].refundedQuantity = 1;
+
+    const refund = calculateRefund(order);
+
+    expect(refund.amount).toBe(59);
+    expect(refund.lines).toHaveLength(1);
+    expect(refund.lines[0]).toMatchObject({ itemId: "line-paid", quantity: 1 });
+  });
+
+  it("refunds a set amount without lines", () => {
+    expect(calculateRefund(buildOrder(), { amount: 20 })).toEqual({ lines: [], amount: 20 });
+  });
+
+  it("rejects more units than are left to refund", () => {
+    expect(() =>
+      calculateRefund(buildOrder(), { items: [{ sku: "DJ-001-M-BLU", quantity: 3 }] })
+    ).toThrow(expect.objectContaining({ status: HTTP_STATUS.UNPROCESSABLE_ENTITY }));
+  });
+
+  it("rejects SKUs that are not on the order", () => {
+    expect(() => calculateRefund(buildOrder(), { items: [{ sku: "NOPE", quantity: 1 }] })).toThrow(
+      "Cannot refund 1 of NOPE"
+    );
+  });
+
+  it("rejects amounts above what is left to refund", () => {
+    expect(() => calculateRefund(buildOrder({ refundedAmount: 100 }), { amount: 20 })).toThrow(
+      expect.objectContaining({ status: HTTP_STATUS.UNPROCESSABLE_ENTITY })
+    );
+  });
+});
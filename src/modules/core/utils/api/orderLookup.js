@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Server-side helpers for guest order lookup by contact email and order number
+ * Issues signed order links so guests can reopen an order without an account, and verifies them on the way back in
+ * Links are signed with ORDER_LOOKUP_SECRET and expire after ORDER_LOOKUP_LINK_EXPIRY; without a secret none are issued
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+import { ORDER_LOOKUP_LINK_EXPIRY, ROUTES } from "@config/constants";
+import { getEnvironment } from "@config/environment";
+
+/**
+ * Normalizes an email address the way orders store their contact email
+ * @function normalizeLookupEmail
+ * @param {string} email - Email address as entered
+ * @returns {string} Trimmed, lowercased email address
+ */
+export const normalizeLookupEmail = email =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+/**
+ * Computes the signature for an order link
+ * @param {Object} params - Link parameters
+ * @param {string} params.email - Normalized contact email
+ * @param {number} params.expires - Expiry as a Unix timestamp in seconds
+ * @param {string} params.orderNumber - Order number
+ * @param {string} secret - ORDER_LOOKUP_SECRET
+ * @returns {string} Hex-encoded HMAC-SHA256 signature
+ */
+const signOrderLookup = ({ email, expires, orderNumber }, secret) =>
+  createHmac("sha256", secret).update(`${orderNumber}.${email}.${expires}`).digest("hex");
+
+/**
+ * Builds a signed link to the order lookup page for a guest order
+ * @function createOrderLookupUrl
+ * @param {Object} order - Order with orderNumber and contactEmail
+ * @returns {string|null} Absolute order link, or null when ORDER_LOOKUP_SECRET is not configured
+ *
+ * @example
+ * createOrderLookupUrl(order);
+ * // "https://shopurbanecho.com/orders/lookup?orderNumber=UE-...&email=sam%40example.com&expires=1763000000&signature=9f2c..."
+ */
+export const createOrderLookupUrl = order => {
+  const { orderLookupSecret, siteUrl } = getEnvironment();
+  if (!orderLookupSecret || !order.contactEmail) return null;
+
+  const params = {
+    orderNumber: order.orderNumber,
+    email: normalizeLookupEmail(order.contactEmail),
+    expires: Math.floor((Date.now() + ORDER_LOOKUP_LINK_EXPIRY) / 1000),
+  };
+  const query = new URLSearchParams({
+    ...params,
+    expires: String(params.expires),
+    signature: signOrderLookup(params, orderLookupSecret),
+  });
+
+  return `${siteUrl}${ROUTES.ORDER_LOOKUP}?${query}`;
+};
+
+/**
+ * Verifies the parameters of a signed order link
+ * @function verifyOrderLookupSignature
+ * @param {Object} params - Parameters from the link's query string
+ * @param {string} params.email - Contact email
+ * @param {string} params.expires - Expiry as a Unix timestamp in seconds
+ * @param {string} params.orderNumber - Order number
+ * @param {string} params.signature - Hex-encoded signature
+ * @returns {boolean} True when the link was issued by this store and has not expired
+ *
+ * @example
+ * const params = Object.fromEntries(new URL(request.url).searchParams);
+ * if (!verifyOrderLookupSignature(params)) return createErrorResponse(...);
+ */
+export const verifyOrderLookupSignature = ({ email, expires, orderNumber, signature }) => {
+  const { orderLookupSecret } = getEnvironment();
+  const expiresAt = Number.parseInt(expires, 10);
+
+  if (!orderLookupSecret || !orderNumber || !signature || !(expiresAt * 1000 > Date.now())) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    signOrderLookup(
+      { email: normalizeLookupEmail(email), expires: expiresAt, orderNumber },
+      orderLookupSecret
+    ),
+    "hex"
+  );
+  const received = Buffer.from(signature, "hex");
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
@@ -5,6 +5,8 @@
  * Optimizes data structure for frontend consumption with computed fields and consistent formatting
  */
 
+import { getStockStatus } from "./inventoryHelpers";
+
 /**
  * Transforms a raw MongoDB product document to frontend-compatible format with flexible options
  * @function transformProduct
@@ -13,6 +15,8 @@
  * @param {boolean} [options.includeVariants=false] - Include full variant data (size, color, inventory)
  * @param {boolean} [options.includeImages=true] - Include image URLs and metadata
  * @param {boolean} [options.includeSEO=false] - Include SEO metadata for detail pages
+ * @param {Map<string, number>} [options.heldQuantities] - Units under checkout holds by SKU, taken off each
+ * variant's available count (from InventoryReservation.getHeldQuantities)
  * @returns {Object|null} Transformed product object with frontend-friendly structure or null if input invalid
  *
  * @description
@@ -22,6 +26,7 @@
  * - Processes image arrays and selects primary image
  * - Calculates stock status and total inventory from variants
  * - Includes computed fields for better UX (inStock, totalInventory)
+ * - Gives each included variant the units it can still sell (available) and its stock status
  * - Conditionally includes expensive data (variants, SEO) based on options
  *
  * @example
@@ -41,7 +46,12 @@
  * // Returns complete product data for detail pages
  */
 export const transformProduct = (product, options = {}) => {
-  const { includeImages = true, includeSEO = false, includeVariants = false } = options;
+  const {
+    heldQuantities = new Map(),
+    includeImages = true,
+    includeSEO = false,
+    includeVariants = false,
+  } = options;
 
   if (!product) return null;
 
@@ -75,7 +85,14 @@ export const transformProduct = (product, options = {}) => {
     transformed.totalInventory = product.variants.reduce((sum, v) => sum + (v.inventory || 0), 0);
 
     if (includeVariants) {
-      transformed.variants = product.variants;
+      transformed.variants = product.variants.map(variant => {
+        const available = Math.max(
+          0,
+          (variant.inventory || 0) - (heldQuantities.get(variant.sku) || 0)
+        );
+        return { ...variant, available, stockStatus: getStockStatus(available) };
+      });
+      transformed.inStock = transformed.variants.some(variant => variant.available > 0);
     }
   } else {
     transformed.colors = [];
@@ -165,24 +182,26 @@ export const transformProductForListing = product => {
  * Transforms product for detail views with complete data structure
  * @function transformProductForDetail
  * @param {Object} product - Raw product document from MongoDB
+ * @param {Map<string, number>} [heldQuantities] - Units under checkout holds by SKU
  * @returns {Object} Fully transformed product with all available data for detail pages
  *
  * @description
  * Complete transformer for product detail contexts:
  * - Includes all available data (variants, images, SEO)
- * - Provides full variant information for size/color selection
+ * - Provides full variant information for size/color selection, with per-variant availability
  * - Includes SEO metadata for page optimization
  * - Optimized for complete product detail display
  *
  * @example
- * const detailProduct = transformProductForDetail(mongoProduct);
+ * const detailProduct = transformProductForDetail(mongoProduct, heldQuantities);
  * // Returns: Complete product with variants[], seo{}, full images[], etc.
- * // Includes: All variant data, SEO metadata, complete image arrays
+ * // Includes: All variant data with available and stockStatus, SEO metadata, complete image arrays
  */
-export const transformProductForDetail = product => {
+export const transformProductForDetail = (product, heldQuantities) => {
   return transformProduct(product, {
     includeVariants: true,
     includeImages: true,
     includeSEO: true,
+    heldQuantities,
   });
 };
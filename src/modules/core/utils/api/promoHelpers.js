@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Server-side promo code helpers for checking promotions and calculating discount lines
+ * Evaluates validity windows, usage limits, minimum subtotals, and category/product eligibility,
+ * prices every PROMO_CODE_TYPES value against cart or order lines, and redeems codes when orders are placed
+ */
+
+import {
+  HTTP_STATUS,
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PRODUCT_TYPES,
+  PROMO_CODE_TYPES,
+} from "@config/constants";
+import { formatCurrency } from "@modules/core/utils";
+
+import { normalizeLookupEmail } from "./orderLookup";
+
+/**
+ * Rounds a currency amount to whole cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Amount rounded to two decimal places
+ */
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Promotion types whose discount depends on which lines qualify
+ * @type {Array<string>}
+ */
+const LINE_BASED_TYPES = [
+  PROMO_CODE_TYPES.PERCENTAGE,
+  PROMO_CODE_TYPES.FIXED_AMOUNT,
+  PROMO_CODE_TYPES.BUY_X_GET_Y,
+];
+
+/**
+ * Creates an error carrying an HTTP status and the promo code for API routes to surface
+ * @param {string} message - Customer-facing error message
+ * @param {string} code - Promo code that could not be used
+ * @returns {Error} Error with status and details properties
+ */
+const createPromoError = (message, code) => {
+  const error = new Error(message);
+  error.status = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+  error.details = { promoCode: code };
+  return error;
+};
+
+/**
+ * Checks whether a line can be discounted at all
+ * Gift cards are stored value, so discounting them would let a code be cashed out
+ * @param {Object} line - Cart or order line with productType
+ * @returns {boolean} True if the line is not a gift card
+ */
+const isDiscountableLine = line => line.productType !== PRODUCT_TYPES.GIFT_CARD;
+
+/**
+ * Checks whether a line counts towards a promotion's category and product restrictions
+ * A line qualifies when it matches any listed category or product; no restrictions means every discountable line
+ * @param {Object} promotion - Promotion document
+ * @param {Object} line - Cart or order line with product, category, productType, price, and quantity
+ * @returns {boolean} True if the line qualifies
+ */
+const isEligibleLine = (promotion, line) => {
+  if (!isDiscountableLine(line)) return false;
+
+  const categories = promotion.eligibleCategories || [];
+  const products = (promotion.eligibleProducts || []).map(String);
+  if (!categories.length && !products.length) return true;
+
+  return (
+    categories.includes(line.category) ||
+    products.includes(String(line.product?._id || line.product))
+  );
+};
+
+/**
+ * Sums line totals
+ * @param {Array<Object>} lines - Lines with price and quantity
+ * @returns {number} Rounded subtotal
+ */
+const sumLines = lines =>
+  roundCurrency(lines.reduce((total, line) => total + line.price * line.quantity, 0));
+
+/**
+ * Calculates a buy X get Y discount over the qualifying units
+ * Units are ranked by price so each reward discounts the cheapest units of its group
+ * @param {Object} promotion - buy_x_get_y promotion
+ * @param {Array<Object>} lines - Qualifying lines
+ * @returns {number} Discount amount
+ */
+const calculateBuyXGetY = (promotion, lines) => {
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const unitPrices = lines
+    .flatMap(line => Array.from({ length: line.quantity }, () => line.price))
+    .sort((a, b) => b - a);
+  const percentOff = Math.min(promotion.value || 100, 100);
+
+  const discounted = unitPrices.filter((_, index) => index % groupSize >= promotion.buyQuantity);
+  const rewardUnits = Math.floor(unitPrices.length / groupSize) * promotion.getQuantity;
+
+  return roundCurrency(
+    (discounted.slice(0, rewardUnits).reduce((total, price) => total + price, 0) * percentOff) / 100
+  );
+};
+
+/**
+ * Checks a promotion's active flag, validity window, and usage limits
+ * @param {Object} promotion - Promotion document
+ * @param {number} customerRedemptions - Orders the customer already placed with the code
+ * @param {Date} now - Time to evaluate the validity window at
+ * @returns {string|null} Customer-facing reason the code cannot be used, or null
+ */
+const getAvailabilityIssue = (promotion, customerRedemptions, now) => {
+  const hasUsageLimit = promotion.usageLimit !== undefined && promotion.usageLimit !== null;
+  const hasCustomerLimit =
+    promotion.perCustomerLimit !== undefined && promotion.perCustomerLimit !== null;
+
+  if (!promotion.isActive) return "This promo code is no longer active";
+  if (promotion.startsAt && promotion.startsAt > now) return "This promo code is not active yet";
+  if (promotion.endsAt && promotion.endsAt < now) return "This promo code has expired";
+  if (hasUsageLimit && promotion.usageCount >= promotion.usageLimit) {
+    return "This promo code has reached its usage limit";
+  }
+  if (hasCustomerLimit && customerRedemptions >= promotion.perCustomerLimit) {
+    return "You have already used this promo code";
+  }
+
+  return null;
+};
+
+/**
+ * Checks whether a promotion can be used on a set of lines right now
+ * @function getPromotionIssue
+ * @param {Object} promotion - Promotion document
+ * @param {Array<Object>} lines - Cart or order lines with product, category, price, and quantity
+ * @param {Object} [options={}] - Evaluation options
+ * @param {number} [options.customerRedemptions=0] - Orders the customer already placed with the code
+ * @param {Date} [options.now=new Date()] - Time to evaluate the validity window at
+ * @returns {string|null} Customer-facing reason the code cannot be used, or null when it applies
+ *
+ * @example
+ * const issue = getPromotionIssue(promotion, cart.items, { customerRedemptions: 1 });
+ * // "You have already used this promo code"
+ */
+export const getPromotionIssue = (
+  promotion,
+  lines,
+  { customerRedemptions = 0, now = new Date() } = {}
+) => {
+  const availabilityIssue = getAvailabilityIssue(promotion, customerRedemptions, now);
+  if (availabilityIssue) return availabilityIssue;
+
+  const eligibleLines = lines.filter(line => isEligibleLine(promotion, line));
+  const eligibleUnits = eligibleLines.reduce((total, line) => total + line.quantity, 0);
+  const requiredUnits = promotion.buyQuantity + promotion.getQuantity;
+
+  if (sumLines(lines.filter(isDiscountableLine)) < (promotion.minSubtotal || 0)) {
+    return `Spend ${formatCurrency(promotion.minSubtotal)} or more to use this promo code`;
+  }
+  if (LINE_BASED_TYPES.includes(promotion.type) && !eligibleLines.length) {
+    return "No items in your cart qualify for this promo code";
+  }
+  if (promotion.type === PROMO_CODE_TYPES.BUY_X_GET_Y && eligibleUnits < requiredUnits) {
+    return `Add ${requiredUnits} qualifying items to use this promo code`;
+  }
+  if (promotion.type === PROMO_CODE_TYPES.GIFT && !promotion.giftSku) {
+    return "This promo code is no longer active";
+  }
+
+  return null;
+};
+
+/**
+ * Calculates the discount one promotion gives on a set of lines
+ * @param {Object} promotion - Promotion document that passed getPromotionIssue
+ * @param {Array<Object>} lines - Cart or order lines
+ * @param {number} shipping - Shipping cost being charged (0 when not yet known)
+ * @returns {number} Discount amount before capping at the subtotal
+ */
+const calculatePromotionAmount = (promotion, lines, shipping) => {
+  const eligibleLines = lines.filter(line => isEligibleLine(promotion, line));
+  const eligibleSubtotal = sumLines(eligibleLines);
+
+  switch (promotion.type) {
+    case PROMO_CODE_TYPES.PERCENTAGE:
+      return roundCurrency((eligibleSubtotal * Math.min(promotion.value, 100)) / 100);
+    case PROMO_CODE_TYPES.FIXED_AMOUNT:
+      return Math.min(promotion.value, eligibleSubtotal);
+    case PROMO_CODE_TYPES.BUY_X_GET_Y:
+      return calculateBuyXGetY(promotion, eligibleLines);
+    case PROMO_CODE_TYPES.FREE_SHIPPING:
+      return shipping;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Builds the discount lines for the promotions applied to a cart or order
+ * Promotions that no longer apply are skipped; item discounts together never exceed the subtotal
+ * @function calculateDiscounts
+ * @param {Array<Object>} promotions - Promotion documents applied to the cart
+ * @param {Array<Object>} lines - Cart or order lines with product, category, price, and quantity
+ * @param {Object} [options={}] - Calculation options
+ * @param {number} [options.shipping=0] - Shipping cost, used as the free_shipping discount amount
+ * @param {Object} [options.customerRedemptions={}] - Prior redemptions keyed by promotion ID
+ * @returns {Array<Object>} Discount lines with promotion, code, type, description, amount, freeShipping, and gift
+ *
+ * @example
+ * const discounts = calculateDiscounts(cart.promotions, cart.items);
+ * // [{ promotion: "66a...", code: "SPRING20", type: "percentage", amount: 32, freeShipping: false, gift: null }]
+ */
+export const calculateDiscounts = (
+  promotions,
+  lines,
+  { customerRedemptions = {}, shipping = 0 } = {}
+) => {
+  let remaining = sumLines(lines.filter(isDiscountableLine));
+
+  return promotions
+    .filter(
+      promotion =>
+        promotion?.code &&
+        !getPromotionIssue(promotion, lines, {
+          customerRedemptions: customerRedemptions[promotion._id.toString()],
+        })
+    )
+    .map(promotion => {
+      const isFreeShipping = promotion.type === PROMO_CODE_TYPES.FREE_SHIPPING;
+      let amount = calculatePromotionAmount(promotion, lines, shipping);
+
+      if (!isFreeShipping) {
+        amount = Math.min(amount, remaining);
+        remaining = roundCurrency(remaining - amount);
+      }
+
+      return {
+        promotion: promotion._id.toString(),
+        code: promotion.code,
+        type: promotion.type,
+        description: promotion.description || null,
+        amount: roundCurrency(amount),
+        freeShipping: isFreeShipping,
+        gift:
+          promotion.type === PROMO_CODE_TYPES.GIFT
+            ? { productId: promotion.giftProduct?.toString() || null, sku: promotion.giftSku }
+            : null,
+      };
+    });
+};
+
+/**
+ * Collects the normalized email addresses a customer is known by: the contact email given at checkout and,
+ * for a signed-in customer, their account email
+ * @param {Object} User - User mongoose model
+ * @param {Object} customer - Customer identity
+ * @param {string} [customer.userId] - Customer user ID
+ * @param {string} [customer.email] - Contact email the customer checks out with
+ * @returns {Promise<Array<string>>} Normalized email addresses without duplicates
+ */
+const findCustomerEmails = async (User, { email, userId }) => {
+  const account = userId ? await User.findById(userId, "email").lean() : null;
+  return [...new Set([email, account?.email].filter(Boolean).map(normalizeLookupEmail))];
+};
+
+/**
+ * Counts the paid orders a customer has placed with each promotion, ignoring cancelled orders
+ * Orders count by account and by email, matching both the contact email given at checkout and a signed-in
+ * customer's account email, so a code cannot be used again by checking out as a guest or with another email
+ * Only orders that reached payment count, so a declined or abandoned checkout does not use up a code; this is
+ * a pre-check for the cart and order totals, and PromotionRedemption.claimForOrder enforces the limit atomically
+ * @async
+ * @function countCustomerRedemptions
+ * @param {Object} models - Order and User mongoose models
+ * @param {Object} customer - Customer identity
+ * @param {string} [customer.userId] - Customer user ID
+ * @param {string} [customer.email] - Contact email the customer checks out with
+ * @param {Array<Object>} promotions - Promotion documents to count
+ * @returns {Promise<Object>} Number of redemptions keyed by promotion ID
+ *
+ * @example
+ * const customerRedemptions = await countCustomerRedemptions({ Order, User }, { userId }, [promotion]);
+ * // { "6650f1e2d3c4b5a697887766": 1 }
+ */
+export const countCustomerRedemptions = async ({ Order, User }, { email, userId }, promotions) => {
+  const emails = await findCustomerEmails(User, { email, userId });
+  const owners = [
+    userId && { user: userId },
+    emails.length > 0 && { contactEmail: { $in: emails } },
+  ].filter(Boolean);
+
+  const counts = await Promise.all(
+    promotions.map(promotion =>
+      owners.length
+        ? Order.countDocuments({
+            $or: owners,
+            "discounts.promotion": promotion._id,
+            paymentStatus: { $in: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED] },
+            status: { $ne: ORDER_STATUS.CANCELLED },
+          })
+        : 0
+    )
+  );
+
+  return Object.fromEntries(
+    promotions.map((promotion, index) => [promotion._id.toString(), counts[index]])
+  );
+};
+
+/**
+ * Builds the keys a customer's per-customer promotion redemptions are recorded under, one for their account
+ * and one for each email address they are known by, matching how countCustomerRedemptions counts orders
+ * @async
+ * @function getRedemptionCustomers
+ * @param {Object} User - User mongoose model
+ * @param {Object} customer - Customer identity
+ * @param {string} [customer.userId] - Customer user ID
+ * @param {string} [customer.email] - Contact email the customer checks out with
+ * @returns {Promise<Array<string>>} "user:<id>" and "email:<address>" keys
+ *
+ * @example
+ * const customers = await getRedemptionCustomers(User, { email: "sam@example.com", userId });
+ * // ["user:6650f1e2d3c4b5a697887766", "email:sam@example.com"]
+ */
+export const getRedemptionCustomers = async (User, { email, userId }) => {
+  const emails = await findCustomerEmails(User, { email, userId });
+  return [userId && `user:${userId}`, ...emails.map(address => `email:${address}`)].filter(Boolean);
+};
+
+/**
+ * Gives back the usage of promotions redeemed for an order that was not placed or has been cancelled
+ * @async
+ * @function releasePromotions
+ * @param {Object} Promotion - Promotion mongoose model
+ * @param {Array<Object>} discounts - Discount lines from calculateDiscounts or an order, with promotion IDs
+ * @returns {Promise<void>}
+ */
+export const releasePromotions = async (Promotion, discounts) => {
+  await Promise.all(discounts.map(discount => Promotion.releaseRedemption(discount.promotion)));
+};
+
+/**
+ * Counts one use of every promotion in an order, undoing all of them if any limit is used up
+ * @async
+ * @function redeemPromotions
+ * @param {Object} Promotion - Promotion mongoose model
+ * @param {Array<Object>} discounts - Discount lines from calculateDiscounts
+ * @returns {Promise<void>}
+ * @throws {Error} With status 422 and the promo code when a usage limit ran out
+ */
+export const redeemPromotions = async (Promotion, discounts) => {
+  const redeemed = [];
+
+  for (const discount of discounts) {
+    if (!(await Promotion.redeem(discount.promotion))) {
+      await releasePromotions(Promotion, redeemed);
+      throw createPromoError("This promo code has reached its usage limit", discount.code);
+    }
+
+    redeemed.push(discount);
+  }
+};
@@ -0,0 +1,152 @@
+import { describe, expect, it } from "vitest";
+
+import { PRODUCT_TYPES, PROMO_CODE_TYPES } from "@config/constants";
+
+import { calculateDiscounts } from "./promoHelpers";
+
+/**
+ * Cart lines: two $50 jackets, one $20 tee, and a $100 gift card that no promotion may discount
+ * @type {Array<Object>}
+ */
+const LINES = [
+  {
+    product: "product-1",
+    category: "outerwear",
+    productType: PRODUCT_TYPES.STANDARD,
+    price: 50,
+    quantity: 2,
+  },
+  {
+    product: "product-2",
+    category: "tops",
+    productType: PRODUCT_TYPES.STANDARD,
+    price: 20,
+    quantity: 1,
+  },
+  {
+    product: "gift-card",
+    category: "gift-cards",
+    productType: PRODUCT_TYPES.GIFT_CARD,
+    price: 100,
+    quantity: 1,
+  },
+];
+
+/**
+ * Builds an active promotion without usage limits or eligibility restrictions
+ * @param {Object} [overrides] - Promotion fields to replace
+ * @returns {Object} Promotion-shaped object
+ */
+const buildPromotion = (overrides = {}) => ({
+  _id: "promo-1",
+  code: "SPRING20",
+  type: PROMO_CODE_TYPES.PERCENTAGE,
+  value: 20,
+  isActive: true,
+  usageCount: 0,
+  ...overrides,
+});
+
+describe("calculateDiscounts", () => {
+  it("takes a percentage off every discountable line, leaving gift cards out", () => {
+    expect(calculateDiscounts([buildPromotion()], LINES)).toEqual([
+      {
+        promotion: "promo-1",
+        code: "SPRING20",
+        type: PROMO_CODE_TYPES.PERCENTAGE,
+        description: null,
+        amount: 24,
+        freeShipping: false,
+        gift: null,
+      },
+    ]);
+  });
+
+  it("only discounts lines in the promotion's categories or products", () => {
+    const byCategory = buildPromotion({ eligibleCategories: ["tops"] });
+    const byProduct = buildPromotion({ eligibleProducts: ["product-1"] });
+
+    expect(calculateDiscounts([byCategory], LINES)[0].amount).toBe(4);
+    expect(calculateDiscounts([byProduct], LINES)[0].amount).toBe(20);
+  });
+
+  it("caps a fixed amount at the discountable subtotal", () => {
+    const promotion = buildPromotion({ type: PROMO_CODE_TYPES.FIXED_AMOUNT, value: 200 });
+
+    expect(calculateDiscounts([promotion], LINES)[0].amount).toBe(120);
+  });
+
+  it("never lets item discounts together exceed the subtotal", () => {
+    const discounts = calculateDiscounts(
+      [
+        buildPromotion({ type: PROMO_CODE_TYPES.FIXED_AMOUNT, value: 100 }),
+        buildPromotion({ _id: "promo-2", code: "HALF", value: 50 }),
+      ],
+      LINES
+    );
+
+    expect(discounts.map(discount => discount.amount)).toEqual([100, 20]);
+  });
+
+  it("discounts the shipping cost for free shipping without counting it against the subtotal", () => {
+    const discounts = calculateDiscounts(
+      [
+        buildPromotion({ type: PROMO_CODE_TYPES.FIXED_AMOUNT, value: 120 }),
+        buildPromotion({ _id: "promo-2", code: "SHIPFREE", type: PROMO_CODE_TYPES.FREE_SHIPPING }),
+      ],
+      LINES,
+      { shipping: 8 }
+    );
+
+    expect(discounts[1]).toMatchObject({ amount: 8, freeShipping: true });
+  });
+
+  it("gives the cheapest unit of each buy X get Y group away", () => {
+    const promotion = buildPromotion({
+      type: PROMO_CODE_TYPES.BUY_X_GET_Y,
+      value: undefined,
+      buyQuantity: 2,
+      getQuantity: 1,
+    });
+
+    expect(calculateDiscounts([promotion], LINES)[0].amount).toBe(20);
+    expect(calculateDiscounts([{ ...promotion, value: 50 }], LINES)[0].amount).toBe(10);
+  });
+
+  it("adds the gift SKU to gift promotions without discounting items", () => {
+    const promotion = buildPromotion({
+      type: PROMO_CODE_TYPES.GIFT,
+      giftProduct: "product-3",
+      giftSku: "TB-001-OS-BLK",
+    });
+
+    expect(calculateDiscounts([promotion], LINES)[0]).toMatchObject({
+      amount: 0,
+      gift: { productId: "product-3", sku: "TB-001-OS-BLK" },
+    });
+  });
+
+  it("skips promotions that no longer apply", () => {
+    const promotions = [
+      buildPromotion({ isActive: false }),
+      buildPromotion({ endsAt: new Date("2000-01-01") }),
+      buildPromotion({ usageLimit: 10, usageCount: 10 }),
+      buildPromotion({ minSubtotal: 150 }),
+      buildPromotion({ eligibleCategories: ["shoes"] }),
+      buildPromotion({ type: PROMO_CODE_TYPES.BUY_X_GET_Y, buyQuantity: 3, getQuantity: 1 }),
+    ];
+
+    expect(calculateDiscounts(promotions, LINES)).toEqual([]);
+  });
+
+  it("skips promotions the customer has already used up", () => {
+    const promotion = buildPromotion({ perCustomerLimit: 1 });
+
+    expect(
+      calculateDiscounts([promotion], LINES, { customerRedemptions: { "promo-1": 1 } })
+    ).toEqual([]);
+    expect(
+      calculateDiscounts([promotion], LINES, { customerRedemptions: { "promo-1": 0 } })
+    ).toHaveLength(1);
+  });
+});
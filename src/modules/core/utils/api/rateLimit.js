@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Request rate limiting for API endpoints that can be used to guess secrets
+ * Counts requests per client IP and endpoint in a fixed RATE_LIMIT window and answers 429 once the limit is reached
+ * Counters live in server memory, so each server instance enforces the limit on the requests it handles
+ * Assumes the app is only reachable through RATE_LIMIT.trustedProxies proxies that append to X-Forwarded-For;
+ * entries to the left of theirs come from the client and are never used, so a spoofed header cannot pick the key
+ */
+
+import { API_RESPONSE_MESSAGES, HTTP_STATUS, RATE_LIMIT } from "@config/constants";
+
+import { createErrorResponse } from "./responseBuilders";
+
+/**
+ * Request counters keyed by endpoint and client IP
+ * @type {Map<string, Object>}
+ */
+const requestWindows = new Map();
+
+/**
+ * Resolves the client IP address recorded by the outermost trusted proxy
+ * Each trusted proxy appends one X-Forwarded-For entry, so the client is the entry RATE_LIMIT.trustedProxies
+ * places from the right
+ * @param {Request} request - Incoming API request
+ * @returns {string} Client address, or "unknown" when the request did not pass through every trusted proxy
+ */
+const getClientAddress = request => {
+  const hops = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map(hop => hop.trim())
+    .filter(Boolean);
+
+  return (RATE_LIMIT.trustedProxies > 0 && hops.at(-RATE_LIMIT.trustedProxies)) || "unknown";
+};
+
+/**
+ * Drops windows that have ended, so counters for one-off clients do not pile up
+ * @param {number} now - Current time in milliseconds
+ * @returns {void}
+ */
+const pruneExpiredWindows = now => {
+  requestWindows.forEach((window, key) => {
+    if (window.resetAt <= now) requestWindows.delete(key);
+  });
+};
+
+/**
+ * Counts a request against the client's RATE_LIMIT window for an endpoint
+ * @function getRateLimitResponse
+ * @param {Request} request - Incoming API request
+ * @param {string} endpoint - Endpoint path the limit applies to, also used for response metadata
+ * @returns {Response|null} 429 response with a Retry-After header once the limit is reached, or null
+ *
+ * @example
+ * const rateLimitResponse = getRateLimitResponse(request, endpoint);
+ * if (rateLimitResponse) return rateLimitResponse;
+ */
+export const getRateLimitResponse = (request, endpoint) => {
+  const now = Date.now();
+  const key = `${endpoint}:${getClientAddress(request)}`;
+  let window = requestWindows.get(key);
+
+  if (!window || window.resetAt <= now) {
+    if (requestWindows.size >= RATE_LIMIT.maxRequests * 100) pruneExpiredWindows(now);
+    window = { count: 0, resetAt: now + RATE_LIMIT.timeWindow };
+    requestWindows.set(key, window);
+  }
+
+  window.count += 1;
+  if (window.count <= RATE_LIMIT.maxRequests) return null;
+
+  const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+  const response = createErrorResponse(
+    API_RESPONSE_MESSAGES.ERROR.RATE_LIMIT_EXCEEDED,
+    `Too many requests. Try again in ${retryAfter} seconds`,
+    { endpoint, retryAfter },
+    HTTP_STATUS.TOO_MANY_REQUESTS
+  );
+  response.headers.set("Retry-After", String(retryAfter));
+  return response;
+};
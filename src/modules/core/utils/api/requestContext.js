@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Request context utilities for resolving the caller of an API route
+ * Provides user identification from the Auth0 session and guest session handling via cookies
+ * Centralizes identity lookups so routes can be moved to verified sessions in a single place
+ */
+
+import { getSessionUser } from "@lib/auth0";
+
+import { isValidObjectId } from "./validation";
+
+/**
+ * Resolves the authenticated user ID for an API request from the Auth0 session cookie
+ * @async
+ * @function getRequestUserId
+ * @param {Request} request - Incoming API request
+ * @returns {Promise<string|null>} MongoDB user ID linked at login, or null for anonymous requests
+ *
+ * @example
+ * const userId = await getRequestUserId(request);
+ * if (!userId) return createErrorResponse("Unauthorized", "Sign in required", {}, 401);
+ */
+export const getRequestUserId = async request => {
+  const userId = (await getSessionUser(request))?.userId;
+  return userId && isValidObjectId(userId) ? userId : null;
+};
+
+/**
+ * Reads a cookie value from an API request
+ * @function getRequestCookie
+ * @param {Request} request - Incoming API request (NextRequest exposes parsed cookies)
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value or null when not present
+ *
+ * @example
+ * const sessionId = getRequestCookie(request, CART_SESSION_COOKIE);
+ */
+export const getRequestCookie = (request, name) => {
+  if (request.cookies?.get) return request.cookies.get(name)?.value || null;
+
+  const header = request.headers.get("cookie") || "";
+  const match = header.split(";").find(part => part.trim().startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.trim().slice(name.length + 1)) : null;
+};
+
+/**
+ * Attaches a session cookie to an API response
+ * @function setResponseCookie
+ * @param {Response} response - Outgoing API response
+ * @param {string} name - Cookie name
+ * @param {string|null} value - Cookie value, or null to expire the cookie
+ * @param {number} [maxAgeMs=0] - Cookie lifetime in milliseconds
+ * @returns {Response} The same response with a Set-Cookie header appended
+ *
+ * @example
+ * return setResponseCookie(createSuccessResponse(cart), CART_SESSION_COOKIE, sessionId, CART_EXPIRY);
+ */
+export const setResponseCookie = (response, name, value, maxAgeMs = 0) => {
+  const maxAge = value ? Math.floor(maxAgeMs / 1000) : 0;
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+
+  response.headers.append(
+    "Set-Cookie",
+    `${name}=${encodeURIComponent(value || "")}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`
+  );
+  return response;
+};
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Server-side review helpers for the review submission, listing, and moderation endpoints
+ * Validates review input against the rating scale and length limits, maps list sorts onto the review indexes,
+ * and shapes reviews for API responses without exposing who voted or the author's account details
+ */
+
+import {
+  MAX_REVIEW_TITLE_LENGTH,
+  MIN_REVIEW_LENGTH,
+  RATING_SCALE,
+  REVIEW_CHAR_LIMIT,
+} from "@config/constants";
+
+/**
+ * Sort orders for each API_SORT_OPTIONS.REVIEWS value; newest first breaks ties
+ * @type {Object<string, Object>}
+ */
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+};
+
+/**
+ * Builds the MongoDB sort for a review list
+ * @function buildReviewSort
+ * @param {string} [sort="newest"] - API_SORT_OPTIONS.REVIEWS value
+ * @returns {Object} MongoDB sort specification
+ *
+ * @example
+ * buildReviewSort("helpful"); // { helpfulCount: -1, createdAt: -1 }
+ */
+export const buildReviewSort = (sort = "newest") => REVIEW_SORTS[sort] || REVIEW_SORTS.newest;
+
+/**
+ * Reads the review fields a customer may set from a request body
+ * @function pickReviewFields
+ * @param {Object} input - Parsed request body
+ * @returns {Object} { rating, title, body } with strings trimmed
+ */
+export const pickReviewFields = input => ({
+  rating: input.rating,
+  title: typeof input.title === "string" ? input.title.trim() || undefined : input.title,
+  body: typeof input.body === "string" ? input.body.trim() : input.body,
+});
+
+/**
+ * Validates review fields against RATING_SCALE, MIN_REVIEW_LENGTH, and REVIEW_CHAR_LIMIT
+ * @function validateReviewFields
+ * @param {Object} fields - Fields from pickReviewFields
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ *
+ * @example
+ * validateReviewFields({ rating: 6, body: "Great" });
+ * // { rating: "Rating must be a whole number from 1 to 5", body: "Use at least 10 characters" }
+ */
+export const validateReviewFields = ({ body, rating, title }) => {
+  const errors = {};
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > RATING_SCALE) {
+    errors.rating = `Rating must be a whole number from 1 to ${RATING_SCALE}`;
+  }
+
+  if (typeof body !== "string" || body.length < MIN_REVIEW_LENGTH) {
+    errors.body = `Use at least ${MIN_REVIEW_LENGTH} characters`;
+  } else if (body.length > REVIEW_CHAR_LIMIT) {
+    errors.body = `Use at most ${REVIEW_CHAR_LIMIT} characters`;
+  }
+
+  if (
+    title !== undefined &&
+    (typeof title !== "string" || title.length > MAX_REVIEW_TITLE_LENGTH)
+  ) {
+    errors.title = `Use at most ${MAX_REVIEW_TITLE_LENGTH} characters`;
+  }
+
+  return errors;
+};
+
+/**
+ * Builds the public name shown with a review: first name and last initial, never the email address
+ * @function getReviewAuthorName
+ * @param {Object} user - User document
+ * @returns {string} Display name such as "Sam D.", or "Customer" when the account has no name
+ */
+export const getReviewAuthorName = user => {
+  const firstName = user.firstName || user.given_name;
+  const lastName = user.lastName || user.family_name;
+
+  if (firstName) return lastName ? `${firstName} ${lastName[0]}.` : firstName;
+  return user.name || "Customer";
+};
+
+/**
+ * Transforms a review into the API response format
+ * @function transformReview
+ * @param {Object} review - Review document (lean or hydrated)
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.includeModeration=false] - Include status and moderation details (authors and moderators)
+ * @returns {Object} Review with rating, text, author name, verification, and helpful count
+ */
+export const transformReview = (review, { includeModeration = false } = {}) => ({
+  id: review._id.toString(),
+  productId: (review.product?._id || review.product).toString(),
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  authorName: review.authorName || "Customer",
+  verifiedPurchase: review.verifiedPurchase,
+  helpfulCount: review.helpfulCount,
+  createdAt: review.createdAt,
+  ...(includeModeration && {
+    status: review.status,
+    moderation: review.moderation,
+    userId: review.user.toString(),
+  }),
+});
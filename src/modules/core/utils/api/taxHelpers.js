@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Server-side tax helpers for pricing tax on cart and order lines by shipping destination
+ * Picks the state or province rate from REGIONAL_TAX_RATES, falling back to the country rate in TAX_FORMATS,
+ * extracts tax already included in prices for VAT-style countries, and exempts gift cards and TAX_EXEMPTION_CATEGORIES
+ */
+
+import {
+  DEFAULT_TAX_RATE,
+  PRODUCT_TYPES,
+  REGIONAL_TAX_RATES,
+  TAX_EXEMPTION_CATEGORIES,
+  TAX_FORMATS,
+} from "@config/constants";
+
+/**
+ * Rounds a currency amount to whole cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Amount rounded to two decimal places
+ */
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Checks whether a line is exempt from tax
+ * Gift cards are taxed when they are spent, not when they are bought
+ * @param {Object} line - Cart or order line with productType and taxCategory
+ * @returns {boolean} True if no tax is charged on the line
+ */
+const isExemptLine = line =>
+  line.productType === PRODUCT_TYPES.GIFT_CARD ||
+  TAX_EXEMPTION_CATEGORIES.includes(line.taxCategory);
+
+/**
+ * Finds the tax rules for a shipping destination
+ * @function getTaxJurisdiction
+ * @param {Object} [address={}] - Shipping address
+ * @param {string} [address.country] - Country code
+ * @param {string} [address.state] - State, province, or region code
+ * @returns {Object} Jurisdiction with country, region (null when the country rate applies), tax name, rate, and included flag
+ *
+ * @example
+ * getTaxJurisdiction({ country: "US", state: "ny" });
+ * // { country: "US", region: "NY", name: "Sales Tax", rate: 0.04, included: false }
+ */
+export const getTaxJurisdiction = ({ country, state } = {}) => {
+  const format = TAX_FORMATS[country];
+  const region = state?.trim().toUpperCase() || null;
+  const regionalRate = region ? REGIONAL_TAX_RATES[country]?.[region] : undefined;
+
+  return {
+    country: country || null,
+    region: regionalRate === undefined ? null : region,
+    name: format?.name || "Tax",
+    rate: regionalRate ?? format?.rate ?? DEFAULT_TAX_RATE,
+    included: Boolean(format?.included),
+  };
+};
+
+/**
+ * Calculates tax for every line shipped to an address
+ * Item discounts are spread over taxable lines in proportion to their price, and shipping is not taxed;
+ * where prices include tax, the amounts are the tax already inside each line rather than an extra charge
+ * @function calculateTaxes
+ * @param {Array<Object>} lines - Cart or order lines with sku or variant.sku, price, quantity, productType, and taxCategory
+ * @param {Object} address - Shipping address with country and state
+ * @param {number} [discount=0] - Item discount taken off the lines
+ * @returns {Object} Jurisdiction fields, total tax amount, and lines ({ sku, taxableAmount, rate, amount, isExempt })
+ *
+ * @example
+ * calculateTaxes(cart.items, { country: "GB" });
+ * // { country: "GB", region: null, name: "VAT", rate: 0.2, included: true, amount: 20,
+ * //   lines: [{ sku: "DJ-001-M-BLU", taxableAmount: 120, rate: 0.2, amount: 20, isExempt: false }] }
+ */
+export const calculateTaxes = (lines, address, discount = 0) => {
+  const jurisdiction = getTaxJurisdiction(address);
+  const discountableSubtotal = lines
+    .filter(line => line.productType !== PRODUCT_TYPES.GIFT_CARD)
+    .reduce((total, line) => total + line.price * line.quantity, 0);
+
+  const taxLines = lines.map(line => {
+    const lineTotal = line.price * line.quantity;
+    const isExempt = isExemptLine(line);
+    const lineDiscount =
+      discountableSubtotal && line.productType !== PRODUCT_TYPES.GIFT_CARD
+        ? (discount * lineTotal) / discountableSubtotal
+        : 0;
+    const taxableAmount = roundCurrency(Math.max(lineTotal - lineDiscount, 0));
+    const rate = isExempt ? 0 : jurisdiction.rate;
+    const amount = jurisdiction.included
+      ? (taxableAmount * rate) / (1 + rate)
+      : taxableAmount * rate;
+
+    return {
+      sku: line.variant?.sku || line.sku || null,
+      taxableAmount,
+      rate,
+      amount: roundCurrency(amount),
+      isExempt,
+    };
+  });
+
+  return {
+    ...jurisdiction,
+    amount: roundCurrency(taxLines.reduce((total, line) => total + line.amount, 0)),
+    lines: taxLines,
+  };
+};
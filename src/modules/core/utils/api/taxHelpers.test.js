@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+
+import { DEFAULT_TAX_RATE, PRODUCT_TYPES } from "@config/constants";
+
+import { calculateTaxes, getTaxJurisdiction } from "./taxHelpers";
+
+/**
+ * Cart lines: two $50 jackets, a $20 tee in an exempt tax category, and a $100 gift card
+ * @type {Array<Object>}
+ */
+const LINES = [
+  { sku: "DJ-001-M-BLU", productType: PRODUCT_TYPES.STANDARD, price: 50, quantity: 2 },
+  {
+    variant: { sku: "TS-002-S-WHT" },
+    productType: PRODUCT_TYPES.STANDARD,
+    taxCategory: "clothing",
+    price: 20,
+    quantity: 1,
+  },
+  { sku: "GC-100", productType: PRODUCT_TYPES.GIFT_CARD, price: 100, quantity: 1 },
+];
+
+describe("getTaxJurisdiction", () => {
+  it("uses the state rate when the state is listed", () => {
+    expect(getTaxJurisdiction({ country: "US", state: " ny " })).toEqual({
+      country: "US",
+      region: "NY",
+      name: "Sales Tax",
+      rate: 0.04,
+      included: false,
+    });
+  });
+
+  it("falls back to the country rate for unlisted regions", () => {
+    expect(getTaxJurisdiction({ country: "US", state: "ZZ" })).toMatchObject({
+      region: null,
+      rate: 0.0725,
+    });
+    expect(getTaxJurisdiction({ country: "GB" })).toMatchObject({ name: "VAT", included: true });
+  });
+
+  it("uses the default rate until a known country is given", () => {
+    expect(getTaxJurisdiction()).toMatchObject({
+      country: null,
+      name: "Tax",
+      rate: DEFAULT_TAX_RATE,
+    });
+    expect(getTaxJurisdiction({ country: "BR" })).toMatchObject({ rate: DEFAULT_TAX_RATE });
+  });
+});
+
+describe("calculateTaxes", () => {
+  it("adds tax on top of prices and exempts gift cards and exempt categories", () => {
+    const taxes = calculateTaxes(LINES, { country: "US", state: "NY" });
+
+    expect(taxes.amount).toBe(4);
+    expect(taxes.lines).toEqual([
+      { sku: "DJ-001-M-BLU", taxableAmount: 100, rate: 0.04, amount: 4, isExempt: false },
+      { sku: "TS-002-S-WHT", taxableAmount: 20, rate: 0, amount: 0, isExempt: true },
+      { sku: "GC-100", taxableAmount: 100, rate: 0, amount: 0, isExempt: true },
+    ]);
+  });
+
+  it("spreads the discount over non gift card lines in proportion to their price", () => {
+    const taxes = calculateTaxes(LINES, { country: "US", state: "NY" }, 12);
+
+    expect(taxes.lines.map(line => line.taxableAmount)).toEqual([90, 18, 100]);
+    expect(taxes.amount).toBe(3.6);
+  });
+
+  it("extracts the tax already included in prices", () => {
+    const taxes = calculateTaxes(LINES.slice(0, 1), { country: "GB" });
+
+    expect(taxes).toMatchObject({ included: true, rate: 0.2 });
+    expect(taxes.amount).toBe(16.67);
+  });
+
+  it("charges no tax on an empty cart", () => {
+    expect(calculateTaxes([], { country: "US", state: "CA" }, 10)).toMatchObject({
+      amount: 0,
+      lines: [],
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Server-side webhook event dispatch for WEBHOOK_EVENTS
+ * Delivers events to in-process subscribers and, when WEBHOOK_URL is configured, to an outbound endpoint
+ * Outbound payloads are signed with WEBHOOK_SECRET so receivers can verify they came from the store
+ */
+
+import { createHmac } from "node:crypto";
+
+import { ERROR_TYPES, REQUEST_HEADERS } from "@config/constants";
+import { getEnvironment } from "@config/environment";
+import { errorHandler } from "@modules/core/utils";
+
+/**
+ * Longest an outbound webhook endpoint may take to respond before delivery is abandoned
+ * @type {number}
+ */
+const WEBHOOK_DELIVERY_TIMEOUT = 10 * 1000;
+
+/**
+ * In-process subscribers keyed by event type
+ * Kept on global so handlers registered at server startup see events emitted from every route bundle
+ * @type {Map<string, Set<Function>>}
+ */
+let subscribers = global.webhookSubscribers;
+
+if (!subscribers) {
+  subscribers = global.webhookSubscribers = new Map();
+}
+
+/**
+ * Signs a webhook payload with HMAC-SHA256
+ * @function signWebhookPayload
+ * @param {string} body - Serialized JSON payload
+ * @param {string} secret - Shared signing secret
+ * @returns {string} Hex-encoded signature
+ */
+export const signWebhookPayload = (body, secret) =>
+  createHmac("sha256", secret).update(body).digest("hex");
+
+/**
+ * Subscribes to a webhook event inside the running server
+ * @function onWebhookEvent
+ * @param {string} type - Event type from WEBHOOK_EVENTS
+ * @param {Function} handler - Called with the event envelope ({ id, type, createdAt, data })
+ * @returns {Function} Unsubscribe function
+ *
+ * @example
+ * const unsubscribe = onWebhookEvent(WEBHOOK_EVENTS.ORDER_CANCELLED, async event => {
+ *   await notifyWarehouse(event.data.orderNumber);
+ * });
+ */
+export const onWebhookEvent = (type, handler) => {
+  if (!subscribers.has(type)) subscribers.set(type, new Set());
+  subscribers.get(type).add(handler);
+  return () => subscribers.get(type)?.delete(handler);
+};
+
+/**
+ * Posts an event envelope to the configured outbound webhook endpoint
+ * @param {Object} event - Event envelope
+ * @returns {Promise<void>}
+ * @throws {Error} When the endpoint responds with a non-2xx status or does not respond within WEBHOOK_DELIVERY_TIMEOUT
+ */
+const deliverWebhook = async event => {
+  const { webhookSecret, webhookUrl } = getEnvironment();
+  if (!webhookUrl) return;
+
+  const body = JSON.stringify(event);
+  const headers = { [REQUEST_HEADERS.contentType]: "application/json" };
+  if (webhookSecret) {
+    headers[REQUEST_HEADERS.webhookSignature] = signWebhookPayload(body, webhookSecret);
+  }
+
+  const response = await fetch(webhookUrl, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_DELIVERY_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook delivery failed with status ${response.status}`);
+  }
+};
+
+/**
+ * Emits a webhook event to in-process subscribers and the outbound endpoint
+ * Delivery failures are logged and never thrown, so emitting cannot fail the operation that caused it
+ * @async
+ * @function emitWebhookEvent
+ * @param {string} type - Event type from WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object>} The emitted event envelope
+ *
+ * @example
+ * await emitWebhookEvent(WEBHOOK_EVENTS.ORDER_UPDATED, {
+ *   orderNumber: order.orderNumber,
+ *   from: "processing",
+ *   to: "shipped",
+ * });
+ */
+export const emitWebhookEvent = async (type, data) => {
+  const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+  const handlers = [...(subscribers.get(type) || [])];
+
+  const results = await Promise.allSettled([
+    ...handlers.map(async handler => handler(event)),
+    deliverWebhook(event),
+  ]);
+
+  results
+    .filter(result => result.status === "rejected")
+    .forEach(result => {
+      errorHandler.handleError(result.reason, ERROR_TYPES.API_ERROR, {
+        source: "webhooks",
+        action: "emit-webhook-event",
+        eventType: type,
+        eventId: event.id,
+      });
+    });
+
+  return event;
+};
@@ -3,7 +3,12 @@
  * Provides standardized breadcrumb generation for consistent navigation experience
  */
 
-import { ROUTES } from "@config/constants";
+import {
+  CHECKOUT_STEP_LABELS,
+  CHECKOUT_STEP_ROUTES,
+  CHECKOUT_STEPS,
+  ROUTES,
+} from "@config/constants";
 
 /**
  * Generate breadcrumb items for category pages
@@ -96,22 +101,16 @@ export const generateAccountBreadcrumbs = page => {
 
 /**
  * Generate breadcrumb items for checkout flow
- * @param {string} step - Checkout step (cart, shipping, payment, confirmation)
+ * @param {string} step - Checkout step (cart, shipping, payment, review, confirmation)
  * @returns {Array<Object>} Breadcrumb items array
  */
 export const generateCheckoutBreadcrumbs = step => {
-  const breadcrumbs = [{ path: ROUTES.CART, label: "Shopping Cart" }];
+  const breadcrumbs = [{ path: ROUTES.CART, label: CHECKOUT_STEP_LABELS[CHECKOUT_STEPS.CART] }];
 
-  const stepLabels = {
-    shipping: "Shipping Information",
-    payment: "Payment",
-    confirmation: "Order Confirmation",
-  };
-
-  if (step && stepLabels[step]) {
+  if (step && step !== CHECKOUT_STEPS.CART && CHECKOUT_STEP_ROUTES[step]) {
     breadcrumbs.push({
-      path: `/checkout/${step}`,
-      label: stepLabels[step],
+      path: CHECKOUT_STEP_ROUTES[step],
+      label: CHECKOUT_STEP_LABELS[step],
     });
   }
 
@@ -71,3 +71,23 @@ export const formatCurrency = (value, currency = "USD", locale = "en-US") => {
 export const formatDate = (date, options = {}) => {
   return new Intl.DateTimeFormat("en-US", options).format(new Date(date));
 };
+
+/**
+ * Formats the label shown beside a tax amount from a cart or order tax breakdown
+ * @function formatTaxLabel
+ * @param {Object|null} taxes - Tax breakdown with name and included flag
+ * @param {string} [fallback="Taxes"] - Label used when there is no breakdown
+ * @returns {string} Tax name, marked as included when prices already contain it
+ *
+ * @example
+ * formatTaxLabel({ name: "VAT", included: true });
+ * // Returns: "VAT (included)"
+ *
+ * @example
+ * formatTaxLabel(null, "Estimated tax");
+ * // Returns: "Estimated tax"
+ */
+export const formatTaxLabel = (taxes, fallback = "Taxes") => {
+  if (!taxes?.name) return fallback;
+  return taxes.included ? `${taxes.name} (included)` : taxes.name;
+};
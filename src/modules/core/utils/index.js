@@ -14,6 +14,17 @@
  */
 /* eslint-disable simple-import-sort/exports */
 
+// Address Utilities
+export {
+  formatAddress,
+  formatPhoneNumber,
+  getAddressRules,
+  getRequiredAddressFields,
+  isValidPhoneNumber,
+  isValidPostalCode,
+  validateAddress,
+} from "./address";
+
 // Analytics Utilities
 export { trackClick, trackEvent, trackPageView } from "./analytics";
 
@@ -35,7 +46,7 @@ export { classNames, cn } from "./classNames";
 export { errorHandler } from "./errorHandler";
 
 // Formatting Utilities
-export { formatCurrency, formatDate } from "./formatters";
+export { formatCurrency, formatDate, formatTaxLabel } from "./formatters";
 
 // Navigation Utilities
 export { getNavItemById, getNavItemsByIds } from "./getNavItems";
@@ -61,9 +72,24 @@ export {
   getHeroImageUrl,
 } from "./imageUtils";
 
+// Shipping Utilities
+export {
+  addBusinessDays,
+  calculateShippingCost,
+  getAvailableShippingMethods,
+  getDeliveryEstimate,
+  isShippingMethodAvailable,
+} from "./shipping";
+
 // Copyright Utility
 export { setCopyright } from "./setCopyright";
 
+// Order Number Utilities
+export { formatOrderNumber, isValidOrderNumber, parseOrderNumber } from "./orderNumber";
+
+// Stripe.js Utilities
+export { getStripe, isStripeEnabled } from "./stripe";
+
 // Validation Utilities
 export {
   isEmpty,
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Order number utilities shared by the order model and the order APIs
+ * Builds the short yearly sequence numbers (UE-2026-004821) and parses them alongside the legacy
+ * timestamp numbers (UE-1760000000000-k3j9x2a1b) that existing orders keep
+ */
+
+import { ORDER_NUMBER_PREFIX, ORDER_NUMBER_SEQUENCE_DIGITS } from "@config/constants";
+
+const SEQUENCE_PATTERN = new RegExp(String.raw`^${ORDER_NUMBER_PREFIX}(\d{4})-(\d+)$`);
+const LEGACY_PATTERN = new RegExp(String.raw`^${ORDER_NUMBER_PREFIX}(\d{10,})-([\da-z]+)$`, "i");
+
+/**
+ * Formats an order number from its year and position in that year's sequence
+ * @function formatOrderNumber
+ * @param {number} year - Year the order was placed
+ * @param {number} sequence - Value from the year's order counter
+ * @returns {string} Order number, padded to ORDER_NUMBER_SEQUENCE_DIGITS
+ *
+ * @example
+ * formatOrderNumber(2026, 4821); // "UE-2026-004821"
+ */
+export const formatOrderNumber = (year, sequence) =>
+  `${ORDER_NUMBER_PREFIX}${year}-${String(sequence).padStart(ORDER_NUMBER_SEQUENCE_DIGITS, "0")}`;
+
+/**
+ * Parses an order number in either the sequence or the legacy timestamp format
+ * @function parseOrderNumber
+ * @param {string} orderNumber - Order number shown to the customer
+ * @returns {Object|null} { format: "sequence", year, sequence } or { format: "legacy", createdAt, suffix },
+ * or null when the value is not an order number
+ *
+ * @example
+ * parseOrderNumber("UE-2026-004821");
+ * // { format: "sequence", year: 2026, sequence: 4821 }
+ *
+ * @example
+ * parseOrderNumber("UE-1760000000000-k3j9x2a1b");
+ * // { format: "legacy", createdAt: Date(2025-10-09T08:53:20.000Z), suffix: "k3j9x2a1b" }
+ */
+export const parseOrderNumber = orderNumber => {
+  if (typeof orderNumber !== "string") return null;
+  const value = orderNumber.trim();
+
+  const sequenceMatch = SEQUENCE_PATTERN.exec(value);
+  if (sequenceMatch) {
+    return {
+      format: "sequence",
+      year: Number(sequenceMatch[1]),
+      sequence: Number(sequenceMatch[2]),
+    };
+  }
+
+  const legacyMatch = LEGACY_PATTERN.exec(value);
+  if (legacyMatch) {
+    return {
+      format: "legacy",
+      createdAt: new Date(Number(legacyMatch[1])),
+      suffix: legacyMatch[2],
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Checks whether a value is an order number in either supported format
+ * @function isValidOrderNumber
+ * @param {string} orderNumber - Value to check
+ * @returns {boolean} True for sequence and legacy order numbers
+ *
+ * @example
+ * isValidOrderNumber("UE-2026-004821"); // true
+ * isValidOrderNumber("UE-1760000000000-k3j9x2a1b"); // true
+ * isValidOrderNumber("12345"); // false
+ */
+export const isValidOrderNumber = orderNumber => parseOrderNumber(orderNumber) !== null;
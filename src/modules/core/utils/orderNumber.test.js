@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+
+import { formatOrderNumber, isValidOrderNumber, parseOrderNumber } from "./orderNumber";
+
+describe("formatOrderNumber", () => {
+  it("pads the sequence to a fixed width", () => {
+    expect(formatOrderNumber(2026, 4821)).toBe("UE-2026-004821");
+  });
+
+  it("keeps sequences longer than the padding", () => {
+    expect(formatOrderNumber(2026, 12345678)).toBe("UE-2026-12345678");
+  });
+});
+
+describe("parseOrderNumber", () => {
+  it("parses sequence order numbers", () => {
+    expect(parseOrderNumber(" UE-2026-004821 ")).toEqual({
+      format: "sequence",
+      year: 2026,
+      sequence: 4821,
+    });
+  });
+
+  it("round-trips formatted order numbers", () => {
+    expect(parseOrderNumber(formatOrderNumber(2027, 1))).toMatchObject({ year: 2027, sequence: 1 });
+  });
+
+  it("parses legacy timestamp order numbers", () => {
+    expect(parseOrderNumber("UE-1760000000000-K3J9X2A1B")).toEqual({
+      format: "legacy",
+      createdAt: new Date(1760000000000),
+      suffix: "K3J9X2A1B",
+    });
+  });
+
+  it("returns null for values that are not order numbers", () => {
+    expect(parseOrderNumber("12345")).toBeNull();
+    expect(parseOrderNumber("ue-2026-004821")).toBeNull();
+    expect(parseOrderNumber("UE-2026-")).toBeNull();
+    expect(parseOrderNumber("UE-176000-k3j9x2a1b")).toBeNull();
+    expect(parseOrderNumber(4821)).toBeNull();
+    expect(parseOrderNumber()).toBeNull();
+  });
+});
+
+describe("isValidOrderNumber", () => {
+  it("accepts both order number formats", () => {
+    expect(isValidOrderNumber("UE-2026-004821")).toBe(true);
+    expect(isValidOrderNumber("UE-1760000000000-k3j9x2a1b")).toBe(true);
+    expect(isValidOrderNumber("UE-2026-004821x")).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Shipping rate utilities shared by the checkout page and the shipping API
+ * Decides which SHIPPING_METHODS serve a destination country, prices them against free shipping thresholds,
+ * per-product free shipping, and free shipping promo codes, and estimates delivery dates in business days
+ */
+
+import { DEFAULT_COUNTRY, PRODUCT_TYPES, SHIPPING_METHODS } from "@config/constants";
+
+/**
+ * Formats a date as a calendar day in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const toCalendarDay = date =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, "0"))
+    .join("-");
+
+/**
+ * Checks whether a shipping method serves a destination country
+ * @function isShippingMethodAvailable
+ * @param {Object} method - Entry from SHIPPING_METHODS
+ * @param {string} [country=DEFAULT_COUNTRY] - Destination country code
+ * @returns {boolean} True for international methods abroad and domestic methods at home
+ *
+ * @example
+ * isShippingMethodAvailable(SHIPPING_METHODS[0], "GB"); // false (standard is domestic only)
+ */
+export const isShippingMethodAvailable = (method, country = DEFAULT_COUNTRY) =>
+  Boolean(method.isInternational) !== (country === DEFAULT_COUNTRY);
+
+/**
+ * Lists the shipping methods that serve a destination country
+ * @function getAvailableShippingMethods
+ * @param {string} [country=DEFAULT_COUNTRY] - Destination country code
+ * @returns {Array<Object>} Matching SHIPPING_METHODS entries in their configured order
+ */
+export const getAvailableShippingMethods = (country = DEFAULT_COUNTRY) =>
+  SHIPPING_METHODS.filter(method => isShippingMethodAvailable(method, country));
+
+/**
+ * Calculates what a shipping method costs for a set of lines
+ * Gift cards are not shipped, so they neither need shipping nor stop an order from shipping free;
+ * when every shipped line is a free shipping product, methods that can be free (those with a threshold) cost nothing
+ * @function calculateShippingCost
+ * @param {Object} method - Entry from SHIPPING_METHODS
+ * @param {Array<Object>} lines - Cart or order lines with price, quantity, productType, and freeShipping
+ * @param {Object} [options={}] - Pricing options
+ * @param {boolean} [options.hasFreeShippingPromo=false] - Whether a free shipping promo code applies
+ * @returns {number} Shipping cost
+ *
+ * @example
+ * calculateShippingCost(findShippingMethod("standard"), [{ price: 40, quantity: 1, freeShipping: true }]);
+ * // 0
+ */
+export const calculateShippingCost = (method, lines, { hasFreeShippingPromo = false } = {}) => {
+  const shippedLines = lines.filter(line => line.productType !== PRODUCT_TYPES.GIFT_CARD);
+  const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+
+  if (!shippedLines.length || hasFreeShippingPromo) return 0;
+  if (method.freeThreshold && subtotal >= method.freeThreshold) return 0;
+  if (method.freeThreshold && shippedLines.every(line => line.freeShipping)) return 0;
+  return method.cost;
+};
+
+/**
+ * Adds business days to a date, skipping Saturdays and Sundays
+ * @function addBusinessDays
+ * @param {Date|string} date - Start date
+ * @param {number} days - Business days to add
+ * @returns {Date} New date; a weekend start counts from the following Monday
+ *
+ * @example
+ * addBusinessDays(new Date(2026, 9, 16), 1); // Monday 19 October 2026 (from a Friday)
+ */
+export const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let remaining = days;
+
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    if (result.getDay() !== 0 && result.getDay() !== 6) remaining -= 1;
+  }
+
+  return result;
+};
+
+/**
+ * Estimates the delivery window for a shipping method
+ * @function getDeliveryEstimate
+ * @param {Object} method - Entry from SHIPPING_METHODS with minDays and maxDays
+ * @param {Date|string} [from=new Date()] - Date the order is placed
+ * @returns {Object} Estimate with earliest and latest delivery dates as YYYY-MM-DD strings
+ *
+ * @example
+ * getDeliveryEstimate(findShippingMethod("express"), new Date(2026, 9, 16));
+ * // { earliest: "2026-10-20", latest: "2026-10-21" }
+ */
+export const getDeliveryEstimate = (method, from = new Date()) => ({
+  earliest: toCalendarDay(addBusinessDays(from, method.minDays)),
+  latest: toCalendarDay(addBusinessDays(from, method.maxDays)),
+});
@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  EXPRESS_SHIPPING_COST,
+  FREE_SHIPPING_THRESHOLD,
+  PRODUCT_TYPES,
+  SHIPPING_METHODS,
+  STANDARD_SHIPPING_COST,
+} from "@config/constants";
+
+import {
+  addBusinessDays,
+  calculateShippingCost,
+  getAvailableShippingMethods,
+  getDeliveryEstimate,
+} from "./shipping";
+
+const STANDARD = SHIPPING_METHODS.find(method => method.id === "standard");
+const EXPRESS = SHIPPING_METHODS.find(method => method.id === "express");
+
+/**
+ * Builds a shipped cart line
+ * @param {Object} [overrides] - Line fields to replace
+ * @returns {Object} Cart-line-shaped object
+ */
+const buildLine = (overrides = {}) => ({
+  price: 40,
+  quantity: 1,
+  productType: PRODUCT_TYPES.STANDARD,
+  freeShipping: false,
+  ...overrides,
+});
+
+describe("calculateShippingCost", () => {
+  it("charges the method cost below the free shipping threshold", () => {
+    expect(calculateShippingCost(STANDARD, [buildLine()])).toBe(STANDARD_SHIPPING_COST);
+    expect(calculateShippingCost(EXPRESS, [buildLine()])).toBe(EXPRESS_SHIPPING_COST);
+  });
+
+  it("ships free from the threshold only on methods that have one", () => {
+    const lines = [buildLine({ price: FREE_SHIPPING_THRESHOLD })];
+
+    expect(calculateShippingCost(STANDARD, lines)).toBe(0);
+    expect(calculateShippingCost(EXPRESS, lines)).toBe(EXPRESS_SHIPPING_COST);
+  });
+
+  it("ships free when every shipped line is a free shipping product", () => {
+    const lines = [
+      buildLine({ freeShipping: true }),
+      buildLine({ productType: PRODUCT_TYPES.GIFT_CARD, price: 10 }),
+    ];
+
+    expect(calculateShippingCost(STANDARD, lines)).toBe(0);
+    expect(calculateShippingCost(STANDARD, [...lines, buildLine()])).toBe(STANDARD_SHIPPING_COST);
+  });
+
+  it("charges nothing for gift card only orders or with a free shipping promo code", () => {
+    const giftCard = buildLine({ productType: PRODUCT_TYPES.GIFT_CARD });
+
+    expect(calculateShippingCost(EXPRESS, [giftCard])).toBe(0);
+    expect(calculateShippingCost(EXPRESS, [buildLine()], { hasFreeShippingPromo: true })).toBe(0);
+  });
+});
+
+describe("getAvailableShippingMethods", () => {
+  it("offers domestic methods at home and international methods abroad", () => {
+    expect(getAvailableShippingMethods("US").map(method => method.id)).toEqual([
+      "standard",
+      "express",
+      "nextDay",
+    ]);
+    expect(getAvailableShippingMethods("GB").map(method => method.id)).toEqual(["international"]);
+  });
+});
+
+describe("addBusinessDays", () => {
+  it("skips weekends", () => {
+    expect(addBusinessDays(new Date(2026, 9, 16), 1)).toEqual(new Date(2026, 9, 19));
+    expect(addBusinessDays(new Date(2026, 9, 14), 5)).toEqual(new Date(2026, 9, 21));
+  });
+
+  it("counts a weekend start from the following Monday", () => {
+    expect(addBusinessDays(new Date(2026, 9, 17), 1)).toEqual(new Date(2026, 9, 19));
+  });
+
+  it("returns a copy of the start date for zero days", () => {
+    const start = new Date(2026, 9, 16);
+    const result = addBusinessDays(start, 0);
+
+    expect(result).toEqual(start);
+    expect(result).not.toBe(start);
+  });
+});
+
+describe("getDeliveryEstimate", () => {
+  it("gives the earliest and latest delivery days for a method", () => {
+    expect(getDeliveryEstimate(EXPRESS, new Date(2026, 9, 16))).toEqual({
+      earliest: "2026-10-20",
+      latest: "2026-10-21",
+    });
+  });
+});
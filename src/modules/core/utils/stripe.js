@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Browser-side Stripe.js loader for collecting card details at checkout
+ * Cards are entered into Stripe-hosted fields and turned into a PaymentMethod, so card numbers never reach the store
+ * Without NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY checkout keeps its own card form for the offline mock provider
+ * Uses the pure entry point, so Stripe.js is only fetched once checkout asks for it rather than on every page
+ */
+
+import { loadStripe } from "@stripe/stripe-js/pure";
+
+import { getEnvironment } from "@config/environment";
+
+let stripePromise;
+
+/**
+ * Checks whether checkout collects cards with Stripe.js
+ * @function isStripeEnabled
+ * @returns {boolean} True when a Stripe publishable key is configured
+ */
+export const isStripeEnabled = () => Boolean(getEnvironment().stripePublishableKey);
+
+/**
+ * Loads Stripe.js once per page with the configured publishable key
+ * @async
+ * @function getStripe
+ * @returns {Promise<Object|null>} Stripe instance, or null when no publishable key is configured
+ *
+ * @example
+ * const stripe = await getStripe();
+ * const { paymentMethod } = await stripe.createPaymentMethod({ type: 'card', card: cardElement });
+ */
+export const getStripe = () => {
+  if (!isStripeEnabled()) return Promise.resolve(null);
+
+  stripePromise ||= loadStripe(getEnvironment().stripePublishableKey);
+  return stripePromise;
+};
@@ -33,8 +33,23 @@ export { getProducts, default as productCatalogService } from "./product-catalog
 // Product Details Services
 export { getProduct, default as productDetailsService } from "./product-details";
 
+// Product Review Services
+export {
+  getProductReviews,
+  markReviewHelpful,
+  default as productReviewsService,
+  submitReview,
+} from "./product-reviews";
+
 // Related Products Services
 export { getRelatedProducts, default as relatedProductsService } from "./product-related";
 
 // Product Search Services
 export { default as productSearchService, searchProducts } from "./product-search";
+
+// Restock Alert Services
+export {
+  default as restockAlertsService,
+  subscribeToRestock,
+  unsubscribeFromRestock,
+} from "./restock-alerts";
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Product review service for listing, writing, and voting on reviews
+ * Uses consistent HTTP client pattern; writing and voting require a signed-in customer
+ */
+
+import { API_ENDPOINTS } from "@config/constants";
+import { get, post } from "@modules/core/services";
+
+/**
+ * Retrieves a page of a product's published reviews with its rating summary
+ * @async
+ * @function getProductReviews
+ * @param {string} productId - Product ID
+ * @param {Object} [options={}] - Options object for the query
+ * @param {string} [options.sort="newest"] - Sort order: newest, highest, or helpful
+ * @param {number} [options.page=1] - Page number (1-based)
+ * @param {number} [options.limit] - Reviews per page; defaults to REVIEWS_PER_PAGE on the server
+ * @returns {Promise<Object>} { reviews, summary: { averageRating, reviewCount, distribution }, pagination }
+ */
+export const getProductReviews = async (productId, options = {}) => {
+  const { limit, page = 1, sort = "newest" } = options;
+
+  return get(`${API_ENDPOINTS.productReviews}/${productId}`, {
+    sort,
+    page,
+    ...(limit && { limit }),
+  });
+};
+
+/**
+ * Submits the signed-in customer's review of a product
+ * @async
+ * @function submitReview
+ * @param {Object} review - Review details
+ * @param {string} review.productId - Reviewed product ID
+ * @param {number} review.rating - Whole-star rating
+ * @param {string} [review.title] - Headline
+ * @param {string} review.body - Review text
+ * @returns {Promise<Object>} { review } including whether it is published or awaiting moderation
+ * @throws {Error} With status 409 when the customer has already reviewed the product
+ *
+ * @example
+ * const { review } = await submitReview({ productId, rating: 5, body: 'Fits true to size' });
+ */
+export const submitReview = async ({ body, productId, rating, title }) => {
+  return post(API_ENDPOINTS.reviews, { productId, rating, title, body });
+};
+
+/**
+ * Marks a published review as helpful for the signed-in customer
+ * @async
+ * @function markReviewHelpful
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<Object>} { id, helpfulCount, counted } where counted is false for repeat votes
+ */
+export const markReviewHelpful = async reviewId => {
+  return post(`${API_ENDPOINTS.reviews}/${reviewId}/helpful`);
+};
+
+/**
+ * Product review service object containing all review operations
+ * @namespace productReviewsService
+ * @description Provides a centralized interface for product review API operations
+ */
+const productReviewsService = {
+  getProductReviews,
+  markReviewHelpful,
+  submitReview,
+};
+
+export default productReviewsService;
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Restock alert service for back-in-stock emails on sold-out variants
+ * Uses consistent HTTP client pattern; signed-in customers may leave the email out to use their account address
+ */
+
+import { API_ENDPOINTS } from "@config/constants";
+import { del, post } from "@modules/core/services";
+
+/**
+ * Subscribes an email address to a sold-out variant
+ * @async
+ * @function subscribeToRestock
+ * @param {string} sku - Sold-out variant SKU
+ * @param {string} [email] - Address to notify; defaults to the signed-in user's account email
+ * @returns {Promise<Object>} { subscription } with the pending subscription
+ * @throws {Error} With status 409 when the variant is back in stock, or the customer-facing validation reason
+ *
+ * @example
+ * const { subscription } = await subscribeToRestock('DJ-001-M-BLU', 'sam@example.com');
+ */
+export const subscribeToRestock = async (sku, email) => {
+  return post(API_ENDPOINTS.restockSubscriptions, { sku, ...(email && { email: email.trim() }) });
+};
+
+/**
+ * Removes an email address's subscription to a variant
+ * @async
+ * @function unsubscribeFromRestock
+ * @param {string} sku - Variant SKU
+ * @param {string} [email] - Subscribed address; defaults to the signed-in user's account email
+ * @returns {Promise<Object>} { sku } once the subscription is gone
+ */
+export const unsubscribeFromRestock = async (sku, email) => {
+  const params = new URLSearchParams({ sku, ...(email && { email: email.trim() }) });
+  return del(`${API_ENDPOINTS.restockSubscriptions}?${params}`);
+};
+
+/**
+ * Restock alert service object containing all back-in-stock subscription operations
+ * @namespace restockAlertsService
+ * @description Provides a centralized interface for restock subscription API operations
+ */
+const restockAlertsService = {
+  subscribeToRestock,
+  unsubscribeFromRestock,
+};
+
+export default restockAlertsService;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Vitest configuration for Urban Echo unit tests
+ * Runs *.test.js files next to the modules they cover in a Node environment
+ * Mirrors the path aliases from next.config.mjs so tests import modules the same way the app does
+ */
+
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": join(__dirname, "src"),
+      "@assets": join(__dirname, "src/assets"),
+      "@config": join(__dirname, "src/config"),
+      "@design-system": join(__dirname, "src/design-system"),
+      "@lib": join(__dirname, "src/lib"),
+      "@modules": join(__dirname, "src/modules"),
+      "@styles": join(__dirname, "src/assets/styles"),
+      "@utils": join(__dirname, "src/modules/core/utils"),
+    },
+  },
+  test: {
+    environment: "node",
+    // Server modules read the connection string on import; unit tests never open a connection
+    env: { MONGODB_URI: "mongodb://127.0.0.1:27017/urban-echo-test" },
+    include: ["src/**/*.test.js"],
+  },
+});